@@ -49,7 +49,14 @@ const elements = {
   btnMarkRead: getElement('btnMarkRead'),
   btnArchive: getElement('btnArchive'),
   btnSchedule: getElement('btnSchedule'),
-  btnDelete: getElement('btnDelete')
+  btnDelete: getElement('btnDelete'),
+  // Compose modal fields
+  composeRecipient: getElement('composeRecipient'),
+  composeSubject: getElement('composeSubject'),
+  composeMessage: getElement('composeMessage'),
+  scheduleMessage: getElement('scheduleMessage'),
+  composeSchedule: getElement('composeSchedule'),
+  sendCompose: getElement('sendCompose')
 };
 
 // Utility functions
@@ -64,6 +71,16 @@ function getPlatformEmoji(platform) {
   return emojis[platform] || '💬';
 }
 
+// Text from the API, made safe to interpolate into innerHTML
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function getPlatformColor(platform) {
   const colors = {
     gmail: '#EA4335',
@@ -153,10 +170,16 @@ function messageMatchesFilters(msg) {
   );
 }
 
+// API requests carry the JWT stored at login (see public/app.js)
+function authHeaders(headers = {}) {
+  const token = localStorage.getItem('authToken');
+  return token ? { ...headers, 'Authorization': `Bearer ${token}` } : headers;
+}
+
 // Telegram-specific functions
 async function checkTelegramConnection() {
   try {
-    const response = await fetch('/api/telegram/info');
+    const response = await fetch('/api/telegram/info', { headers: authHeaders() });
     const data = await response.json();
     
     if (data.success) {
@@ -187,9 +210,9 @@ async function sendTelegramMessage(chatId, text, replyToMessageId = null) {
   try {
     const response = await fetch('/api/telegram/send', {
       method: 'POST',
-      headers: {
+      headers: authHeaders({
         'Content-Type': 'application/json'
-      },
+      }),
       body: JSON.stringify({
         chatId,
         text,
@@ -273,7 +296,7 @@ function renderMessages() {
             ${getPlatformEmoji(msg.platform)}
           </span>
           <div>
-            <div class="sender-name">${msg.senderName || 'Unknown'}</div>
+            <div class="sender-name">${escapeHtml(msg.senderName || 'Unknown')}</div>
             <div class="sender-id">${msg.platform.toUpperCase()}</div>
           </div>
         </div>
@@ -293,14 +316,14 @@ function renderMessages() {
         </div>
       </div>
       <div class="message-content">
-        ${msg.subject ? `<div class="message-subject">${msg.subject}</div>` : ''}
-        <div class="message-text">${(msg.text || '').replace(/</g, '&lt;')}</div>
+        ${msg.subject ? `<div class="message-subject">${escapeHtml(msg.subject)}</div>` : ''}
+        <div class="message-text">${escapeHtml(msg.text)}</div>
         ${msg.attachments && msg.attachments.length > 0 ? `
           <div class="message-attachments">
             ${msg.attachments.map(att => `
               <div class="attachment-item">
                 <i class="fas fa-${att.type.startsWith('image/') ? 'image' : 'file'}"></i>
-                <span>${att.name}</span>
+                <span>${escapeHtml(att.name)}</span>
               </div>
             `).join('')}
           </div>
@@ -447,7 +470,7 @@ function loadMockData() {
 // Fetch messages from API
 async function fetchHistory(platform = 'all') {
   try {
-    const res = await fetch(`/api/messages?platform=${platform}`);
+    const res = await fetch(`/api/messages?platform=${platform}`, { headers: authHeaders() });
     const json = await res.json();
     if (json && json.success) {
       allMessages = json.data || [];
@@ -886,6 +909,80 @@ function getTimeAgo(date) {
   return `${Math.floor(diffInSeconds / 86400)}d ago`;
 }
 
+// Open the compose modal with "schedule for later" pre-selected
+function openScheduledCompose() {
+  if (!elements.composeModal) return;
+
+  if (currentConversation && elements.composePlatform) {
+    elements.composePlatform.value = currentConversation.platform;
+  }
+  if (elements.scheduleMessage) elements.scheduleMessage.checked = true;
+  if (elements.composeSchedule) elements.composeSchedule.style.display = 'inline-block';
+
+  elements.composeModal.classList.add('show');
+}
+
+// Send (or schedule) the message in the compose modal
+async function submitCompose() {
+  const platform = elements.composePlatform?.value;
+  const recipient = elements.composeRecipient?.value.trim();
+  const text = elements.composeMessage?.value.trim();
+  const subject = elements.composeSubject?.value.trim();
+  const scheduled = elements.scheduleMessage?.checked;
+
+  if (!platform || !recipient || !text) {
+    showToast('Platform, recipient and message are required', 'error');
+    return;
+  }
+
+  const payload = { platform, recipient, text, subject: subject || undefined };
+  let url = '/api/messages';
+
+  if (scheduled) {
+    const sendAt = elements.composeSchedule?.value;
+    if (!sendAt || new Date(sendAt) <= new Date()) {
+      showToast('Pick a send time in the future', 'error');
+      return;
+    }
+    // datetime-local has no zone; interpret it in the browser's local time
+    payload.sendAt = new Date(sendAt).toISOString();
+    url = '/api/scheduled-messages';
+  }
+
+  try {
+    showLoading(true);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(payload)
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Request failed');
+    }
+
+    elements.composeModal?.classList.remove('show');
+    if (elements.composeMessage) elements.composeMessage.value = '';
+    if (elements.scheduleMessage) elements.scheduleMessage.checked = false;
+    if (elements.composeSchedule) {
+      elements.composeSchedule.value = '';
+      elements.composeSchedule.style.display = 'none';
+    }
+
+    if (scheduled) {
+      showToast(`Message scheduled for ${new Date(payload.sendAt).toLocaleString()}`, 'success');
+    } else {
+      showToast('Message sent successfully!', 'success');
+    }
+  } catch (error) {
+    console.error('Error sending message:', error);
+    showToast(`Failed to ${scheduled ? 'schedule' : 'send'} message: ${error.message}`, 'error');
+  } finally {
+    showLoading(false);
+  }
+}
+
 function showMessageCompose() {
   if (!elements.messageCompose) return;
   elements.messageCompose.style.display = 'block';
@@ -999,11 +1096,24 @@ function setupEventListeners() {
   }
 
   if (elements.btnSchedule) {
-    elements.btnSchedule.addEventListener('click', () => {
-      showToast('Schedule feature coming soon!', 'info');
+    elements.btnSchedule.addEventListener('click', openScheduledCompose);
+  }
+
+  const btnScheduleReply = document.getElementById('btnScheduleReply');
+  if (btnScheduleReply) {
+    btnScheduleReply.addEventListener('click', openScheduledCompose);
+  }
+
+  if (elements.scheduleMessage && elements.composeSchedule) {
+    elements.scheduleMessage.addEventListener('change', () => {
+      elements.composeSchedule.style.display = elements.scheduleMessage.checked ? 'inline-block' : 'none';
     });
   }
 
+  if (elements.sendCompose) {
+    elements.sendCompose.addEventListener('click', submitCompose);
+  }
+
   if (elements.btnDelete) {
     elements.btnDelete.addEventListener('click', () => {
       if (currentConversation && confirm('Are you sure you want to delete this conversation?')) {
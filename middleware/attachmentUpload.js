@@ -0,0 +1,24 @@
+const multer = require('multer');
+const { MAX_OUTBOUND_FILES } = require('../services/attachmentService');
+
+// The largest file any platform accepts (WhatsApp documents); the limits of
+// each platform are checked by AttachmentService.prepareUploads
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_OUTBOUND_FILES }
+});
+
+// Parse multipart/form-data bodies, files in the `files` field, into req.body
+// and req.files. Other bodies pass through untouched.
+function receiveAttachments(req, res, next) {
+  upload.array('files')(req, res, error => {
+    if (error) {
+      return res.status(400).json({ error: `Invalid attachment: ${error.message}` });
+    }
+    next();
+  });
+}
+
+module.exports = { receiveAttachments, MAX_UPLOAD_BYTES };
@@ -0,0 +1,29 @@
+const authService = require('../services/authService');
+
+// Verify the `Authorization: Bearer <token>` header and attach the token claims as req.user
+function authenticateToken(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const payload = authService.verifyAccessToken(token);
+    req.user = { userId: payload.userId, email: payload.email, sessionId: payload.sid };
+    next();
+  } catch (error) {
+    let message = 'Invalid token';
+    if (error.name === 'TokenExpiredError') {
+      message = 'Token expired';
+    } else if (error.message === 'Token revoked') {
+      message = 'Token revoked';
+    }
+    return res.status(401).json({ error: message });
+  }
+}
+
+module.exports = {
+  authenticateToken
+};
@@ -0,0 +1,63 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const authService = require('../services/authService');
+const { authenticateToken } = require('./auth');
+
+const app = express();
+app.get('/protected', authenticateToken, (req, res) => res.json({ user: req.user }));
+
+const get = token => {
+  const req = request(app).get('/protected');
+  return token ? req.set('Authorization', `Bearer ${token}`) : req;
+};
+
+describe('authenticateToken', () => {
+  const user = { id: 'user_auth', email: 'auth@example.com' };
+
+  test('attaches the token claims to the request', async () => {
+    const { token } = await authService.createSession(user);
+
+    const res = await get(token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toEqual({ userId: 'user_auth', email: 'auth@example.com', sessionId: expect.stringMatching(/^sess_/) });
+  });
+
+  test('requires a bearer token', async () => {
+    expect((await get()).body).toEqual({ error: 'Authentication required' });
+
+    const basic = await request(app).get('/protected').set('Authorization', 'Basic dXNlcjpwYXNz');
+    expect(basic.status).toBe(401);
+    expect(basic.body.error).toBe('Authentication required');
+  });
+
+  test('rejects tokens signed with another secret', async () => {
+    const forged = jwt.sign({ userId: 'user_auth' }, 'not-the-secret');
+
+    const res = await get(forged);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid token');
+  });
+
+  test('rejects expired tokens', async () => {
+    const expired = jwt.sign({ userId: 'user_auth', exp: Math.floor(Date.now() / 1000) - 60 }, authService.getJwtSecret());
+
+    const res = await get(expired);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Token expired');
+  });
+
+  test('rejects access tokens of a revoked session', async () => {
+    const { token } = await authService.createSession(user);
+    const { sid } = jwt.decode(token);
+    await authService.revokeSession(sid);
+
+    const res = await get(token);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Token revoked');
+  });
+});
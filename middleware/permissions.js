@@ -0,0 +1,20 @@
+const { hasPermission } = require('../services/permissions');
+
+// Allow the request only when the caller's workspace role grants `permission`.
+// Runs after resolveWorkspace (or another middleware that sets req.workspaceRole).
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.workspaceRole || !hasPermission(req.workspaceRole, permission)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        required: permission,
+        role: req.workspaceRole || null
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  requirePermission
+};
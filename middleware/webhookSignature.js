@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { google } = require('googleapis');
+const winston = require('winston');
+const { redactSecrets } = require('../services/credentialVault');
+const workspaceService = require('../services/workspaceService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'webhook-signature' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/webhook-signature.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Rejected deliveries per workspace and platform, keyed by reason
+const rejections = {};
+
+function recordRejection(platform, reason, req) {
+  const workspaceRejections = rejections[req.workspaceId] || (rejections[req.workspaceId] = {});
+  const stats = workspaceRejections[platform] ||
+    (workspaceRejections[platform] = { total: 0, reasons: {}, lastRejectedAt: null });
+  stats.total++;
+  stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+  stats.lastRejectedAt = new Date().toISOString();
+
+  logger.warn(`Rejected ${platform} webhook (${reason}) for workspace ${req.workspaceId} from ${req.ip}`);
+}
+
+function getRejectionStats(workspaceId) {
+  return rejections[workspaceId] || {};
+}
+
+// A secret from the receiving workspace's platform credentials, falling back to
+// the env-configured app secret. Runs after the webhook route resolved req.workspaceId.
+function workspaceSecret(platform, field, envVar) {
+  return req => workspaceService.getPlatformCredentials(req.workspaceId)[platform]?.[field] || process.env[envVar];
+}
+
+// Compare two signatures without leaking where they differ
+function signaturesMatch(received, expected) {
+  const receivedBuffer = Buffer.from(received);
+  const expectedBuffer = Buffer.from(expected);
+  return receivedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+// Build middleware that checks `header` against an HMAC-SHA256 of the raw body.
+// server.js keeps the unparsed body on req.rawBody; re-serializing req.body
+// would not reproduce the bytes the platform signed.
+function createSignatureVerifier({ platform, header, getSecret, sign }) {
+  return (req, res, next) => {
+    const secret = getSecret(req);
+    if (!secret) {
+      recordRejection(platform, 'secret_not_configured', req);
+      return res.status(401).json({ ok: false, error: `${platform} webhook secret not configured` });
+    }
+
+    const signature = req.get(header);
+    if (!signature) {
+      recordRejection(platform, 'missing_signature', req);
+      return res.status(401).json({ ok: false, error: `Missing ${header} header` });
+    }
+
+    if (!req.rawBody) {
+      recordRejection(platform, 'missing_body', req);
+      return res.status(401).json({ ok: false, error: 'Request body unavailable for signature check' });
+    }
+
+    const expected = sign(secret, req.rawBody);
+    if (!signaturesMatch(signature, expected)) {
+      recordRejection(platform, 'invalid_signature', req);
+      return res.status(401).json({ ok: false, error: 'Invalid webhook signature' });
+    }
+
+    next();
+  };
+}
+
+// Meta (WhatsApp, Instagram): X-Hub-Signature-256: sha256=<hex HMAC keyed with the app secret>
+function metaSignature(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// X: x-twitter-webhooks-signature: sha256=<base64 HMAC keyed with the consumer secret>
+function twitterSignature(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('base64')}`;
+}
+
+const verifyWhatsAppSignature = createSignatureVerifier({
+  platform: 'whatsapp',
+  header: 'X-Hub-Signature-256',
+  getSecret: workspaceSecret('whatsapp', 'appSecret', 'WHATSAPP_APP_SECRET'),
+  sign: metaSignature
+});
+
+const verifyInstagramSignature = createSignatureVerifier({
+  platform: 'instagram',
+  header: 'X-Hub-Signature-256',
+  getSecret: workspaceSecret('instagram', 'appSecret', 'INSTAGRAM_APP_SECRET'),
+  sign: metaSignature
+});
+
+const verifyTwitterSignature = createSignatureVerifier({
+  platform: 'twitter',
+  header: 'x-twitter-webhooks-signature',
+  getSecret: workspaceSecret('twitter', 'apiSecret', 'TWITTER_API_SECRET'),
+  sign: twitterSignature
+});
+
+// Telegram does not sign deliveries: it echoes the secret_token passed to
+// setWebhook in X-Telegram-Bot-Api-Secret-Token
+const getTelegramSecret = workspaceSecret('telegram', 'webhookSecret', 'TELEGRAM_WEBHOOK_SECRET');
+
+function verifyTelegramSecretToken(req, res, next) {
+  const secret = getTelegramSecret(req);
+  if (!secret) {
+    recordRejection('telegram', 'secret_not_configured', req);
+    return res.status(401).json({ ok: false, error: 'telegram webhook secret not configured' });
+  }
+
+  const token = req.get('X-Telegram-Bot-Api-Secret-Token');
+  if (!token) {
+    recordRejection('telegram', 'missing_signature', req);
+    return res.status(401).json({ ok: false, error: 'Missing X-Telegram-Bot-Api-Secret-Token header' });
+  }
+
+  if (!signaturesMatch(token, secret)) {
+    recordRejection('telegram', 'invalid_signature', req);
+    return res.status(401).json({ ok: false, error: 'Invalid webhook secret token' });
+  }
+
+  next();
+}
+
+// Gmail push arrives through one Cloud Pub/Sub push subscription for all
+// workspaces. With authentication enabled on the subscription, Pub/Sub sends an
+// OIDC token (Authorization: Bearer) signed by Google for GMAIL_PUSH_AUDIENCE,
+// issued to GMAIL_PUSH_SERVICE_ACCOUNT when set. Without it, the subscription's
+// endpoint URL carries ?token=GMAIL_PUSH_VERIFICATION_TOKEN.
+const pubsubTokenVerifier = new google.auth.OAuth2();
+
+async function verifyGmailPushToken(req, res, next) {
+  const audience = process.env.GMAIL_PUSH_AUDIENCE;
+  const verificationToken = process.env.GMAIL_PUSH_VERIFICATION_TOKEN;
+  if (!audience && !verificationToken) {
+    recordRejection('gmail', 'secret_not_configured', req);
+    return res.status(401).json({ ok: false, error: 'gmail push authentication not configured' });
+  }
+
+  if (audience) {
+    const [scheme, idToken] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !idToken) {
+      recordRejection('gmail', 'missing_signature', req);
+      return res.status(401).json({ ok: false, error: 'Missing Pub/Sub bearer token' });
+    }
+
+    try {
+      const ticket = await pubsubTokenVerifier.verifyIdToken({ idToken, audience });
+      const { email, email_verified: emailVerified } = ticket.getPayload();
+      const serviceAccount = process.env.GMAIL_PUSH_SERVICE_ACCOUNT;
+      if (serviceAccount && (email !== serviceAccount || !emailVerified)) {
+        throw new Error(`Token issued to ${email}`);
+      }
+    } catch (error) {
+      logger.warn(`Gmail push token rejected: ${error.message}`);
+      recordRejection('gmail', 'invalid_signature', req);
+      return res.status(401).json({ ok: false, error: 'Invalid Pub/Sub bearer token' });
+    }
+    return next();
+  }
+
+  const token = req.query.token;
+  if (typeof token !== 'string' || !token) {
+    recordRejection('gmail', 'missing_signature', req);
+    return res.status(401).json({ ok: false, error: 'Missing push verification token' });
+  }
+
+  if (!signaturesMatch(token, verificationToken)) {
+    recordRejection('gmail', 'invalid_signature', req);
+    return res.status(401).json({ ok: false, error: 'Invalid push verification token' });
+  }
+
+  next();
+}
+
+module.exports = {
+  verifyTelegramSecretToken,
+  verifyGmailPushToken,
+  verifyWhatsAppSignature,
+  verifyInstagramSignature,
+  verifyTwitterSignature,
+  getRejectionStats
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const workspaceService = require('../services/workspaceService');
+const {
+  verifyTelegramSecretToken,
+  verifyWhatsAppSignature,
+  verifyInstagramSignature,
+  verifyTwitterSignature,
+  getRejectionStats
+} = require('./webhookSignature');
+
+// Same raw-body capture as server.js
+const app = express();
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use((req, res, next) => {
+  req.workspaceId = req.get('X-Test-Workspace') || 'ws_signed';
+  next();
+});
+const accept = (req, res) => res.json({ ok: true });
+app.post('/whatsapp', verifyWhatsAppSignature, accept);
+app.post('/instagram', verifyInstagramSignature, accept);
+app.post('/twitter', verifyTwitterSignature, accept);
+app.post('/telegram', verifyTelegramSecretToken, accept);
+
+const hmac = (secret, body, encoding) => crypto.createHmac('sha256', secret).update(body).digest(encoding);
+
+// Sent as a string so the signed bytes are exactly the bytes on the wire
+const body = '{"object":"whatsapp_business_account",  "entry":[]}';
+
+function post(path, headers = {}) {
+  const req = request(app).post(path).set('Content-Type', 'application/json');
+  for (const [name, value] of Object.entries(headers)) {
+    req.set(name, value);
+  }
+  return req.send(body);
+}
+
+describe('webhook signature verification', () => {
+  beforeAll(async () => {
+    process.env.WHATSAPP_APP_SECRET = 'whatsapp-env-secret';
+    process.env.TWITTER_API_SECRET = 'twitter-env-secret';
+    process.env.TELEGRAM_WEBHOOK_SECRET = 'telegram-env-secret';
+    delete process.env.INSTAGRAM_APP_SECRET;
+
+    await workspaceService.createWorkspace({ id: 'ws_own_secret', name: 'Own secret' });
+    await workspaceService.setPlatformCredentials('ws_own_secret', 'whatsapp', { appSecret: 'workspace-secret' });
+  });
+
+  afterAll(() => {
+    delete process.env.WHATSAPP_APP_SECRET;
+    delete process.env.TWITTER_API_SECRET;
+    delete process.env.TELEGRAM_WEBHOOK_SECRET;
+  });
+
+  test('accepts a Meta signature over the raw body', async () => {
+    const res = await post('/whatsapp', { 'X-Hub-Signature-256': `sha256=${hmac('whatsapp-env-secret', body, 'hex')}` });
+    expect(res.status).toBe(200);
+  });
+
+  test('rejects a signature over the re-serialized body', async () => {
+    const reserialized = JSON.stringify(JSON.parse(body));
+    const res = await post('/whatsapp', { 'X-Hub-Signature-256': `sha256=${hmac('whatsapp-env-secret', reserialized, 'hex')}` });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Invalid webhook signature');
+  });
+
+  test('rejects a missing signature', async () => {
+    const res = await post('/whatsapp');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Missing X-Hub-Signature-256 header');
+  });
+
+  test('prefers the workspace app secret over the env one', async () => {
+    const withEnvSecret = await post('/whatsapp', {
+      'X-Test-Workspace': 'ws_own_secret',
+      'X-Hub-Signature-256': `sha256=${hmac('whatsapp-env-secret', body, 'hex')}`
+    });
+    expect(withEnvSecret.status).toBe(401);
+
+    const withWorkspaceSecret = await post('/whatsapp', {
+      'X-Test-Workspace': 'ws_own_secret',
+      'X-Hub-Signature-256': `sha256=${hmac('workspace-secret', body, 'hex')}`
+    });
+    expect(withWorkspaceSecret.status).toBe(200);
+  });
+
+  test('fails closed when no secret is configured', async () => {
+    const res = await post('/instagram', { 'X-Hub-Signature-256': `sha256=${hmac('anything', body, 'hex')}` });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('instagram webhook secret not configured');
+  });
+
+  test('checks the base64 X signature', async () => {
+    const valid = await post('/twitter', { 'x-twitter-webhooks-signature': `sha256=${hmac('twitter-env-secret', body, 'base64')}` });
+    expect(valid.status).toBe(200);
+
+    const hex = await post('/twitter', { 'x-twitter-webhooks-signature': `sha256=${hmac('twitter-env-secret', body, 'hex')}` });
+    expect(hex.status).toBe(401);
+  });
+
+  test('checks the Telegram secret token', async () => {
+    expect((await post('/telegram', { 'X-Telegram-Bot-Api-Secret-Token': 'telegram-env-secret' })).status).toBe(200);
+    expect((await post('/telegram', { 'X-Telegram-Bot-Api-Secret-Token': 'guess' })).status).toBe(401);
+  });
+
+  test('counts rejections per workspace and reason', async () => {
+    await post('/whatsapp', { 'X-Test-Workspace': 'ws_counted' });
+    await post('/whatsapp', { 'X-Test-Workspace': 'ws_counted', 'X-Hub-Signature-256': 'sha256=bogus' });
+
+    expect(getRejectionStats('ws_counted').whatsapp).toMatchObject({
+      total: 2,
+      reasons: { missing_signature: 1, invalid_signature: 1 }
+    });
+    expect(getRejectionStats('ws_unseen')).toEqual({});
+  });
+});
@@ -0,0 +1,28 @@
+const workspaceService = require('../services/workspaceService');
+const userService = require('../services/userService');
+
+// Pick the workspace a request acts on: the `X-Workspace-Id` header when sent,
+// otherwise the caller's default workspace. Must run after authenticateToken.
+// Sets req.workspaceId and req.workspaceRole.
+function resolveWorkspace(req, res, next) {
+  const user = userService.getUser(req.user.userId);
+  const workspaceId = req.get('X-Workspace-Id') || user?.defaultWorkspaceId;
+
+  if (!workspaceId) {
+    return res.status(400).json({ error: 'No workspace selected' });
+  }
+
+  const membership = workspaceService.getMembership(workspaceId, req.user.userId);
+  if (!membership) {
+    // Same answer for unknown and foreign workspaces, so ids cannot be probed
+    return res.status(403).json({ error: 'Not a member of this workspace' });
+  }
+
+  req.workspaceId = workspaceId;
+  req.workspaceRole = membership.role;
+  next();
+}
+
+module.exports = {
+  resolveWorkspace
+};
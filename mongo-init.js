@@ -20,7 +20,7 @@ db.createCollection('messages', {
   validator: {
     $jsonSchema: {
       bsonType: 'object',
-      required: ['platform', 'senderId', 'text', 'timestamp'],
+      required: ['workspaceId', 'platform', 'senderId', 'text', 'timestamp'],
       properties: {
         platform: { enum: ['gmail', 'telegram', 'whatsapp', 'instagram', 'twitter'] },
         status: { enum: ['unread', 'read', 'archived', 'deleted'] }
@@ -29,12 +29,20 @@ db.createCollection('messages', {
   }
 });
 
+db.createCollection('conversations');
+
 // Create indexes for better performance
 db.users.createIndex({ 'email': 1 }, { unique: true });
 db.users.createIndex({ 'username': 1 }, { unique: true });
+db.messages.createIndex({ 'id': 1 }, { unique: true });
+db.messages.createIndex({ 'workspaceId': 1, 'timestamp': -1 });
 db.messages.createIndex({ 'platform': 1, 'timestamp': -1 });
 db.messages.createIndex({ 'senderId': 1 });
 db.messages.createIndex({ 'conversationId': 1 });
 db.messages.createIndex({ 'status': 1 });
+db.conversations.createIndex({ 'id': 1 }, { unique: true });
+db.conversations.createIndex({ 'workspaceId': 1, 'lastMessageTime': -1 });
+db.conversations.createIndex({ 'lastMessageTime': -1 });
+db.conversations.createIndex({ 'platforms': 1 });
 
 print('✅ Database initialized successfully');
@@ -7,6 +7,9 @@ class UnifiedInboxApp {
     this.messages = [];
     this.platforms = [];
     this.conversations = new Map();
+    this.replyingTo = null;
+    this.replyWindowClosed = false;
+    this.replyTemplates = [];
     
     this.init();
   }
@@ -26,6 +29,7 @@ class UnifiedInboxApp {
     document.getElementById('showRegister').addEventListener('click', (e) => this.toggleAuthForms(e));
     document.getElementById('showLogin').addEventListener('click', (e) => this.toggleAuthForms(e));
     document.getElementById('logoutBtn').addEventListener('click', () => this.handleLogout());
+    document.getElementById('logoutAllBtn').addEventListener('click', () => this.handleLogout(true));
     
     // Platform connections
     document.getElementById('connectPlatformBtn').addEventListener('click', () => this.showPlatformModal());
@@ -41,6 +45,11 @@ class UnifiedInboxApp {
     // Message actions
     document.getElementById('messagesContainer').addEventListener('click', (e) => this.handleMessageAction(e));
     
+    // Compose a new message, files included
+    document.getElementById('composeBtn')?.addEventListener('click', () => this.showComposeModal());
+    document.getElementById('composeForm')?.addEventListener('submit', (e) => this.handleCompose(e));
+    document.getElementById('cancelCompose')?.addEventListener('click', () => this.closeModals());
+    
     // Send message
     document.getElementById('sendMessageForm').addEventListener('submit', (e) => this.handleSendMessage(e));
     
@@ -57,13 +66,64 @@ class UnifiedInboxApp {
     });
   }
 
+  // Access tokens are short-lived; keep the rotating refresh token alongside
+  storeTokens({ token, refreshToken }) {
+    localStorage.setItem('authToken', token);
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+  }
+
+  clearTokens() {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+  }
+
+  async refreshTokens() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return false;
+
+    try {
+      const response = await fetch('/api/auth/refresh', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken })
+      });
+
+      if (!response.ok) {
+        this.clearTokens();
+        return false;
+      }
+
+      this.storeTokens(await response.json());
+      return true;
+    } catch (error) {
+      console.error('Token refresh failed:', error);
+      return false;
+    }
+  }
+
+  // fetch() with the access token attached; refreshes once and retries on 401
+  async authFetch(url, options = {}, retry = true) {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+      }
+    });
+
+    if (response.status === 401 && retry && await this.refreshTokens()) {
+      return this.authFetch(url, options, false);
+    }
+    return response;
+  }
+
   async checkAuthStatus() {
     const token = localStorage.getItem('authToken');
     if (token) {
       try {
-        const response = await fetch('/api/auth/verify', {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const response = await this.authFetch('/api/auth/verify');
         
         if (response.ok) {
           const userData = await response.json();
@@ -71,12 +131,12 @@ class UnifiedInboxApp {
           this.showDashboard();
           this.loadMessages();
         } else {
-          localStorage.removeItem('authToken');
+          this.clearTokens();
           this.showAuthModal();
         }
       } catch (error) {
         console.error('Auth verification failed:', error);
-        localStorage.removeItem('authToken');
+        this.clearTokens();
         this.showAuthModal();
       }
     } else {
@@ -98,7 +158,7 @@ class UnifiedInboxApp {
 
       if (response.ok) {
         const data = await response.json();
-        localStorage.setItem('authToken', data.token);
+        this.storeTokens(data);
         this.currentUser = data.user;
         this.showDashboard();
         this.loadMessages();
@@ -128,7 +188,7 @@ class UnifiedInboxApp {
 
       if (response.ok) {
         const data = await response.json();
-        localStorage.setItem('authToken', data.token);
+        this.storeTokens(data);
         this.currentUser = data.user;
         this.showDashboard();
         this.loadMessages();
@@ -143,8 +203,20 @@ class UnifiedInboxApp {
     }
   }
 
-  handleLogout() {
-    localStorage.removeItem('authToken');
+  async handleLogout(allDevices = false) {
+    if (allDevices && !confirm('Sign out of all devices?')) return;
+
+    try {
+      await this.authFetch('/api/auth/logout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ allDevices })
+      });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+
+    this.clearTokens();
     this.currentUser = null;
     this.messages = [];
     this.closeSocket();
@@ -181,15 +253,19 @@ class UnifiedInboxApp {
   closeModals() {
     document.getElementById('authModal').classList.add('hidden');
     document.getElementById('platformModal').classList.add('hidden');
+    document.getElementById('composeModal')?.classList.remove('show');
   }
 
   initializeSocket() {
     if (this.currentUser) {
-      this.socket = io();
+      this.socket = io({ auth: { token: localStorage.getItem('authToken') } });
       
       this.socket.on('connect', () => {
         console.log('Connected to server');
         this.socket.emit('join', this.currentUser.id);
+        ['gmail', 'telegram', 'whatsapp', 'instagram', 'twitter'].forEach(platform => {
+          this.socket.emit('join-platform', platform);
+        });
       });
 
       this.socket.on('message_received', (message) => {
@@ -198,6 +274,15 @@ class UnifiedInboxApp {
         this.showNotification(`New message from ${message.senderName}`, 'info');
       });
 
+      this.socket.on('message:status', (update) => {
+        this.updateDeliveryStatus(update);
+      });
+
+      // Edits and reactions to messages already shown
+      this.socket.on('message:updated', (message) => {
+        this.replaceMessageInUI(message);
+      });
+
       this.socket.on('user_typing', (data) => {
         this.showTypingIndicator(data);
       });
@@ -217,9 +302,7 @@ class UnifiedInboxApp {
 
   async loadMessages() {
     try {
-      const response = await fetch('/api/messages', {
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
-      });
+      const response = await this.authFetch('/api/messages');
 
       if (response.ok) {
         const data = await response.json();
@@ -235,9 +318,7 @@ class UnifiedInboxApp {
 
   async loadPlatforms() {
     try {
-      const response = await fetch('/api/platforms', {
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
-      });
+      const response = await this.authFetch('/api/platforms');
 
       if (response.ok) {
         const data = await response.json();
@@ -278,11 +359,13 @@ class UnifiedInboxApp {
       <div class="message-header">
         <div class="message-sender">
           <span class="platform-icon">${platformIcon}</span>
-          <span class="sender-name">${message.senderName || message.sender}</span>
-          <span class="sender-id">${message.sender}</span>
+          ${message.isIncoming ? this.renderAvatar(message.metadata?.customerAvatar) : ''}
+          <span class="sender-name">${this.escapeHtml(message.senderName || message.sender)}</span>
+          <span class="sender-id">${this.escapeHtml(message.sender)}</span>
         </div>
         <div class="message-meta">
           <span class="timestamp">${timestamp}</span>
+          ${message.isIncoming === false ? this.renderDeliveryStatus(message) : ''}
           <div class="message-actions">
             <button class="btn-action" data-action="reply" title="Reply">
               <i class="fas fa-reply"></i>
@@ -297,16 +380,115 @@ class UnifiedInboxApp {
         </div>
       </div>
       <div class="message-content">
-        ${message.subject ? `<div class="message-subject">${message.subject}</div>` : ''}
-        <div class="message-text">${message.text}</div>
+        ${message.subject ? `<div class="message-subject">${this.escapeHtml(message.subject)}</div>` : ''}
+        ${this.renderMessageContext(message)}
+        ${message.html ? '<iframe class="message-html" sandbox="allow-popups allow-popups-to-escape-sandbox" referrerpolicy="no-referrer" title="Email body"></iframe>' : `<div class="message-text">${this.escapeHtml(message.text)}</div>`}
         ${message.attachments && message.attachments.length > 0 ? 
           `<div class="message-attachments">${this.renderAttachments(message.attachments)}</div>` : ''}
+        ${this.renderReactions(message)}
       </div>
     `;
 
+    if (message.html) {
+      messageDiv.querySelector('.message-html').srcdoc = this.buildEmailDocument(message.html);
+    }
+    this.loadAttachments(messageDiv);
+
     return messageDiv;
   }
 
+  // Ticks for outgoing messages: queued, sent, delivered, read, or failed with the platform's reason
+  renderDeliveryStatus(message) {
+    const icons = {
+      queued: '<i class="far fa-clock"></i>',
+      sent: '<i class="fas fa-check"></i>',
+      delivered: '<i class="fas fa-check-double"></i>',
+      read: '<i class="fas fa-check-double"></i>',
+      failed: '<i class="fas fa-exclamation-circle"></i>'
+    };
+    const status = message.deliveryStatus;
+    if (!icons[status]) {
+      return '';
+    }
+
+    const title = status === 'failed' && message.deliveryError
+      ? `Failed: ${message.deliveryError.message || message.deliveryError.title || 'unknown error'}`
+      : status.charAt(0).toUpperCase() + status.slice(1);
+    return `<span class="delivery-status ${status}" title="${this.escapeHtml(title)}">${icons[status]}</span>`;
+  }
+
+  // Instagram story replies and mentions
+  renderMessageContext(message) {
+    const context = {
+      story_reply: 'Replied to your story',
+      story_mention: 'Mentioned you in their story'
+    }[message.metadata?.messageType];
+    return context ? `<div class="message-context"><i class="fas fa-circle-notch"></i> ${context}</div>` : '';
+  }
+
+  // Profile pictures come from the platform's CDN; anything but an https URL is dropped
+  renderAvatar(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return '';
+    }
+    if (parsed.protocol !== 'https:') {
+      return '';
+    }
+    return `<img class="sender-avatar" src="${this.escapeHtml(parsed.href)}" referrerpolicy="no-referrer" alt="" />`;
+  }
+
+  renderReactions(message) {
+    const reactions = Object.values(message.metadata?.reactions || {});
+    return reactions.length > 0
+      ? `<div class="message-reactions">${reactions.map(reaction => this.escapeHtml(reaction)).join(' ')}</div>`
+      : '';
+  }
+
+  replaceMessageInUI(updated) {
+    const index = this.messages.findIndex(m => m.id === updated.id);
+    if (index === -1) {
+      return;
+    }
+    this.messages[index] = updated;
+
+    const element = document.querySelector(`.message-item[data-message-id="${updated.id}"]`);
+    if (element) {
+      element.replaceWith(this.createMessageElement(updated));
+    }
+  }
+
+  updateDeliveryStatus(update) {
+    const message = this.messages.find(m => m.id === update.messageId);
+    if (!message) {
+      return;
+    }
+    message.deliveryStatus = update.deliveryStatus;
+    message.deliveryError = update.deliveryError;
+
+    const element = document.querySelector(`.message-item[data-message-id="${update.messageId}"] .delivery-status`);
+    if (element) {
+      element.outerHTML = this.renderDeliveryStatus(message);
+    }
+  }
+
+  // Email HTML is sanitized server-side and additionally rendered in a sandboxed
+  // frame without scripts or same-origin access
+  buildEmailDocument(html) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; img-src https: http: data:; style-src 'unsafe-inline'">
+  <base target="_blank">
+  <style>body { margin: 0; font-family: sans-serif; font-size: 14px; word-wrap: break-word; } img { max-width: 100%; height: auto; }</style>
+</head>
+<body>${html}</body>
+</html>`;
+  }
+
   getPlatformIcon(platform) {
     const icons = {
       gmail: '<i class="fas fa-envelope" style="color: #EA4335;"></i>',
@@ -318,18 +500,77 @@ class UnifiedInboxApp {
     return icons[platform] || '<i class="fas fa-comment"></i>';
   }
 
+  // Text from the API or other users, made safe to interpolate into innerHTML
+  // markup, inside elements and quoted attributes alike
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Stored attachments (/api/attachments/:id) need the auth header, so they are
+  // fetched by loadAttachments rather than linked directly
   renderAttachments(attachments) {
     return attachments.map(attachment => {
-      if (attachment.type.startsWith('image/')) {
-        return `<img src="${attachment.url}" alt="Attachment" class="attachment-image" />`;
+      // File names come from whoever sent the file
+      const name = this.escapeHtml(attachment.filename || attachment.name || attachment.type);
+      const url = this.escapeHtml(attachment.url);
+      const isImage = attachment.type === 'image' || (attachment.mimeType || attachment.type || '').startsWith('image/');
+
+      if (attachment.id && isImage) {
+        return `<img data-attachment-src="${this.escapeHtml(attachment.thumbnailUrl || attachment.url)}" data-attachment-url="${url}"
+          alt="${name}" class="attachment-image" />`;
+      } else if (attachment.id) {
+        return `<a href="#" class="attachment-file" data-attachment-url="${url}">
+          <i class="fas fa-paperclip"></i> ${name}
+        </a>`;
+      } else if (isImage) {
+        return `<img src="${url}" alt="Attachment" class="attachment-image" />`;
       } else {
-        return `<a href="${attachment.url}" class="attachment-file" target="_blank">
-          <i class="fas fa-paperclip"></i> ${attachment.name}
+        return `<a href="${url}" class="attachment-file" target="_blank">
+          <i class="fas fa-paperclip"></i> ${name}
         </a>`;
       }
     }).join('');
   }
 
+  loadAttachments(element) {
+    element.querySelectorAll('img[data-attachment-src]').forEach(async image => {
+      const blobUrl = await this.fetchAttachment(image.dataset.attachmentSrc);
+      if (blobUrl) {
+        image.src = blobUrl;
+      } else {
+        image.alt = 'Attachment unavailable';
+      }
+    });
+
+    element.querySelectorAll('[data-attachment-url]').forEach(link => {
+      link.addEventListener('click', async (e) => {
+        e.preventDefault();
+        const blobUrl = await this.fetchAttachment(link.dataset.attachmentUrl);
+        if (blobUrl) {
+          window.open(blobUrl, '_blank', 'noopener');
+        } else {
+          this.showNotification('Attachment unavailable', 'error');
+        }
+      });
+    });
+  }
+
+  async fetchAttachment(url) {
+    try {
+      const response = await this.authFetch(url);
+      if (!response.ok) return null;
+      return URL.createObjectURL(await response.blob());
+    } catch (error) {
+      console.error('Failed to load attachment:', error);
+      return null;
+    }
+  }
+
   renderPlatforms() {
     const container = document.getElementById('platformsList');
     container.innerHTML = '';
@@ -373,9 +614,8 @@ class UnifiedInboxApp {
 
   async connectPlatform(platform) {
     try {
-      const response = await fetch(`/api/platforms/${platform}/connect`, {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+      const response = await this.authFetch(`/api/platforms/${platform}/connect`, {
+        method: 'POST'
       });
 
       if (response.ok) {
@@ -393,9 +633,8 @@ class UnifiedInboxApp {
 
   async disconnectPlatform(platform) {
     try {
-      const response = await fetch(`/api/platforms/${platform}/disconnect`, {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+      const response = await this.authFetch(`/api/platforms/${platform}/disconnect`, {
+        method: 'POST'
       });
 
       if (response.ok) {
@@ -504,31 +743,122 @@ class UnifiedInboxApp {
     const message = this.messages.find(m => m.id === messageId);
     if (!message) return;
 
+    this.replyingTo = message;
     document.getElementById('replyTo').textContent = message.senderName || message.sender;
     document.getElementById('replyPlatform').textContent = message.platform;
     document.getElementById('replyModal').classList.remove('hidden');
     document.getElementById('replyText').focus();
+    this.updateReplyWindow(message);
+  }
+
+  // WhatsApp takes free text only within 24 hours of the customer's last
+  // message; after that the reply has to be one of the registered templates
+  async updateReplyWindow(message) {
+    const replyText = document.getElementById('replyText');
+    const panel = this.getReplyTemplatePanel();
+    this.replyWindowClosed = false;
+    replyText.disabled = false;
+    panel.innerHTML = '';
+    panel.classList.add('hidden');
+
+    if (message.platform !== 'whatsapp') return;
+
+    try {
+      const query = message.conversationId
+        ? `conversationId=${encodeURIComponent(message.conversationId)}`
+        : `recipient=${encodeURIComponent(message.senderId)}`;
+      const windowResponse = await this.authFetch(`/api/whatsapp/window?${query}`);
+      const { window } = await windowResponse.json();
+      if (!windowResponse.ok || window.open || this.replyingTo !== message) return;
+
+      const templatesResponse = await this.authFetch('/api/whatsapp/templates');
+      const { templates = [] } = await templatesResponse.json();
+
+      this.replyWindowClosed = true;
+      this.replyTemplates = templates;
+      replyText.disabled = true;
+      panel.classList.remove('hidden');
+      panel.innerHTML = `
+        <div class="template-notice">
+          <i class="fas fa-clock"></i>
+          More than 24 hours since the customer's last message: reply with a template.
+        </div>
+        ${templates.length === 0 ? '<p class="template-empty">No templates registered for this workspace.</p>' : `
+        <select id="replyTemplateSelect">
+          ${templates.map(template => `<option value="${this.escapeHtml(template.id)}">${this.escapeHtml(template.name)} (${this.escapeHtml(template.language)})</option>`).join('')}
+        </select>
+        <div id="replyTemplateParameters"></div>`}
+      `;
+
+      const select = document.getElementById('replyTemplateSelect');
+      if (select) {
+        select.addEventListener('change', () => this.renderTemplateParameters(select.value));
+        this.renderTemplateParameters(select.value);
+      }
+    } catch (error) {
+      console.error('Failed to check WhatsApp window:', error);
+    }
+  }
+
+  getReplyTemplatePanel() {
+    let panel = document.getElementById('replyTemplates');
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'replyTemplates';
+      panel.className = 'reply-templates hidden';
+      document.getElementById('replyText').insertAdjacentElement('afterend', panel);
+    }
+    return panel;
+  }
+
+  renderTemplateParameters(templateId) {
+    const template = this.replyTemplates.find(t => t.id === templateId);
+    const container = document.getElementById('replyTemplateParameters');
+    if (!template || !container) return;
+
+    container.innerHTML = `
+      ${template.body ? `<div class="template-preview">${this.escapeHtml(template.body)}</div>` : ''}
+      ${template.parameters.map(parameter => `
+        <input type="text" class="template-parameter" data-parameter="${this.escapeHtml(parameter.name)}"
+          placeholder="${this.escapeHtml(parameter.example || parameter.name)}"
+          title="${this.escapeHtml(`${parameter.component} parameter ${parameter.name}`)}" />
+      `).join('')}
+    `;
+  }
+
+  getSelectedTemplate() {
+    const select = document.getElementById('replyTemplateSelect');
+    if (!select) return null;
+
+    const parameters = {};
+    document.querySelectorAll('#replyTemplateParameters .template-parameter').forEach(input => {
+      parameters[input.dataset.parameter] = input.value;
+    });
+    return { id: select.value, parameters };
   }
 
   async handleSendMessage(e) {
     e.preventDefault();
     const text = document.getElementById('replyText').value;
-    const platform = document.getElementById('replyPlatform').textContent;
+    const original = this.replyingTo;
+    const template = this.replyWindowClosed ? this.getSelectedTemplate() : null;
     
-    if (!text.trim()) return;
+    if (!original || (this.replyWindowClosed ? !template : !text.trim())) return;
 
     try {
-      const response = await fetch('/api/messages/send', {
+      const response = await this.authFetch('/api/messages', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-          platform,
-          text,
-          recipient: 'recipient_id', // This should come from the reply context
-          type: 'message'
+          platform: original.platform,
+          text: template ? undefined : text,
+          template: template || undefined,
+          recipient: original.senderId,
+          conversationId: original.conversationId,
+          // Emails answer in the original's Gmail thread
+          replyToMessageId: original.platform === 'gmail' ? original.id : undefined
         })
       });
 
@@ -539,6 +869,10 @@ class UnifiedInboxApp {
       } else {
         const error = await response.json();
         this.showNotification(error.error || 'Failed to send message', 'error');
+        // The window closed while the reply was being written
+        if (error.templateRequired) {
+          this.updateReplyWindow(original);
+        }
       }
     } catch (error) {
       console.error('Send message error:', error);
@@ -546,11 +880,48 @@ class UnifiedInboxApp {
     }
   }
 
+  showComposeModal() {
+    document.getElementById('composeForm').reset();
+    document.getElementById('composeModal').classList.add('show');
+  }
+
+  // Sent as multipart/form-data so the selected files travel with the message;
+  // the browser sets the multipart Content-Type (with its boundary) itself
+  async handleCompose(e) {
+    e.preventDefault();
+    const form = new FormData();
+    form.append('platform', document.getElementById('composePlatform').value);
+    form.append('recipient', document.getElementById('composeRecipient').value);
+    form.append('subject', document.getElementById('composeSubject').value);
+    form.append('text', document.getElementById('composeMessage').value);
+    for (const file of document.getElementById('composeAttachments').files) {
+      form.append('files', file);
+    }
+
+    try {
+      const response = await this.authFetch('/api/messages', {
+        method: 'POST',
+        body: form
+      });
+
+      if (response.ok) {
+        this.showNotification('Message sent successfully!', 'success');
+        this.closeModals();
+        this.loadMessages();
+      } else {
+        const error = await response.json();
+        this.showNotification(error.error || 'Failed to send message', 'error');
+      }
+    } catch (error) {
+      console.error('Compose error:', error);
+      this.showNotification('Failed to send message', 'error');
+    }
+  }
+
   async toggleMessageStar(messageId) {
     try {
-      const response = await fetch(`/api/messages/${messageId}/star`, {
-        method: 'PATCH',
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+      const response = await this.authFetch(`/api/messages/${messageId}/star`, {
+        method: 'PATCH'
       });
 
       if (response.ok) {
@@ -567,9 +938,8 @@ class UnifiedInboxApp {
 
   async archiveMessage(messageId) {
     try {
-      const response = await fetch(`/api/messages/${messageId}/archive`, {
-        method: 'PATCH',
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+      const response = await this.authFetch(`/api/messages/${messageId}/archive`, {
+        method: 'PATCH'
       });
 
       if (response.ok) {
@@ -637,7 +1007,7 @@ class UnifiedInboxApp {
     notification.className = `notification ${type}`;
     notification.innerHTML = `
       <div class="notification-content">
-        <span class="notification-message">${message}</span>
+        <span class="notification-message">${this.escapeHtml(message)}</span>
         <button class="notification-close">&times;</button>
       </div>
     `;
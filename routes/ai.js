@@ -2,12 +2,16 @@ const express = require('express');
 const router = express.Router();
 const messageService = require('../services/messageService');
 const aiService = require('../services/aiService');
+const { requirePermission } = require('../middleware/permissions');
+
+// AI endpoints only read the inbox, so anyone who can read messages may use them
+router.use(requirePermission('messages:read'));
 
 // Get AI insights for dashboard
 router.get('/insights', async (req, res) => {
   try {
     const { timeRange = '24h' } = req.query;
-    const insights = await messageService.getAIInsights(timeRange);
+    const insights = await messageService.getAIInsights(req.workspaceId, timeRange);
     res.json(insights);
   } catch (error) {
     console.error('Error getting AI insights:', error);
@@ -19,7 +23,7 @@ router.get('/insights', async (req, res) => {
 router.get('/suggested-replies/:messageId', async (req, res) => {
   try {
     const { messageId } = req.params;
-    const suggestions = await messageService.getSuggestedReplies(messageId);
+    const suggestions = await messageService.getSuggestedReplies(req.workspaceId, messageId);
     res.json({ suggestions });
   } catch (error) {
     console.error('Error getting suggested replies:', error);
@@ -31,7 +35,7 @@ router.get('/suggested-replies/:messageId', async (req, res) => {
 router.post('/summarize-conversation/:conversationId', async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const summary = await messageService.generateConversationSummary(conversationId);
+    const summary = await messageService.generateConversationSummary(req.workspaceId, conversationId);
     res.json({ summary });
   } catch (error) {
     console.error('Error generating conversation summary:', error);
@@ -60,7 +64,7 @@ router.get('/category/:category', async (req, res) => {
   try {
     const { category } = req.params;
     const { limit = 50 } = req.query;
-    const messages = await messageService.getMessagesByCategory(category, parseInt(limit));
+    const messages = await messageService.getMessagesByCategory(req.workspaceId, category, parseInt(limit));
     res.json({ messages, category, total: messages.length });
   } catch (error) {
     console.error('Error getting messages by category:', error);
@@ -72,7 +76,7 @@ router.get('/category/:category', async (req, res) => {
 router.get('/urgent', async (req, res) => {
   try {
     const { limit = 20 } = req.query;
-    const messages = await messageService.getUrgentMessages(parseInt(limit));
+    const messages = await messageService.getUrgentMessages(req.workspaceId, parseInt(limit));
     res.json({ messages, total: messages.length });
   } catch (error) {
     console.error('Error getting urgent messages:', error);
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const analyticsService = require('../services/analyticsService');
+const { requirePermission } = require('../middleware/permissions');
+
+// Resolve the ?timeRange= query (24h, 7d, 30d, 90d) into a date window, and
+// pick the caller's workspace analytics
+function resolveTimeRange(req, res, next) {
+  const { timeRange = '7d' } = req.query;
+  const analytics = analyticsService.forWorkspace(req.workspaceId);
+
+  if (!analytics.isValidTimeRange(timeRange)) {
+    return res.status(400).json({ error: `Invalid timeRange: ${timeRange}` });
+  }
+
+  req.analytics = analytics;
+  req.timeRange = timeRange;
+  req.startDate = analytics.getStartDate(timeRange);
+  req.endDate = new Date();
+  next();
+}
+
+router.use(requirePermission('analytics:read'), resolveTimeRange);
+
+// Get the full analytics dashboard
+router.get('/dashboard', async (req, res) => {
+  try {
+    const dashboard = await req.analytics.getAnalyticsDashboard(req.timeRange);
+    res.json({ timeRange: req.timeRange, dashboard });
+  } catch (error) {
+    console.error('Error getting analytics dashboard:', error);
+    res.status(500).json({ error: 'Failed to get analytics dashboard' });
+  }
+});
+
+// Get per-platform performance metrics
+router.get('/platform-performance', async (req, res) => {
+  try {
+    const performance = await req.analytics.getPlatformPerformance(req.startDate, req.endDate);
+    res.json({ timeRange: req.timeRange, performance });
+  } catch (error) {
+    console.error('Error getting platform performance:', error);
+    res.status(500).json({ error: 'Failed to get platform performance' });
+  }
+});
+
+// Get response time analysis
+router.get('/response-times', async (req, res) => {
+  try {
+    const analysis = await req.analytics.getResponseTimeAnalysis(req.startDate, req.endDate);
+    res.json({ timeRange: req.timeRange, analysis });
+  } catch (error) {
+    console.error('Error getting response time analysis:', error);
+    res.status(500).json({ error: 'Failed to get response time analysis' });
+  }
+});
+
+// Get sentiment trends
+router.get('/sentiment-trends', async (req, res) => {
+  try {
+    const trends = await req.analytics.getSentimentTrends(req.startDate, req.endDate);
+    res.json({ timeRange: req.timeRange, trends });
+  } catch (error) {
+    console.error('Error getting sentiment trends:', error);
+    res.status(500).json({ error: 'Failed to get sentiment trends' });
+  }
+});
+
+// Get category distribution
+router.get('/category-distribution', async (req, res) => {
+  try {
+    const distribution = await req.analytics.getCategoryDistribution(req.startDate, req.endDate);
+    res.json({ timeRange: req.timeRange, distribution });
+  } catch (error) {
+    console.error('Error getting category distribution:', error);
+    res.status(500).json({ error: 'Failed to get category distribution' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const request = require('supertest');
+const messageService = require('../services/messageService');
+const analyticsRouter = require('./analytics');
+const { createRouteApp } = require('../test/routeApp');
+
+const app = createRouteApp('/api/analytics', analyticsRouter, { role: 'read-only' });
+
+describe('/api/analytics', () => {
+  beforeAll(async () => {
+    // Ingested messages feed the workspace's analytics
+    await messageService.createMessage({ workspaceId: 'ws_test', platform: 'telegram', senderId: 'u1', sender: 'alice', text: 'hi' });
+    await messageService.createMessage({ workspaceId: 'ws_test', platform: 'gmail', senderId: 'u2', sender: 'bob', text: 'mail' });
+    await messageService.createMessage({ workspaceId: 'ws_other', platform: 'twitter', senderId: 'u3', sender: 'eve', text: 'dm' });
+  });
+
+  test('reports platform performance from ingested messages of the workspace', async () => {
+    const res = await request(app).get('/api/analytics/platform-performance').query({ timeRange: '24h' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.timeRange).toBe('24h');
+    expect(Object.keys(res.body.performance).sort()).toEqual(['gmail', 'telegram']);
+    expect(res.body.performance.telegram.totalMessages).toBe(1);
+  });
+
+  test('serves the dashboard', async () => {
+    const res = await request(app).get('/api/analytics/dashboard');
+
+    expect(res.status).toBe(200);
+    expect(res.body.timeRange).toBe('7d');
+    expect(res.body.dashboard.overview.totalMessages).toBe(2);
+  });
+
+  test('rejects unknown time ranges', async () => {
+    const res = await request(app).get('/api/analytics/dashboard').query({ timeRange: '3y' });
+    expect(res.status).toBe(400);
+  });
+
+  test('keeps other workspaces separate', async () => {
+    const res = await request(app).get('/api/analytics/platform-performance').set('X-Test-Workspace', 'ws_other');
+    expect(Object.keys(res.body.performance)).toEqual(['twitter']);
+  });
+});
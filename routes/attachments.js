@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const attachmentService = require('../services/attachmentService');
+const { redact } = require('../services/credentialVault');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { requirePermission } = require('../middleware/permissions');
+
+// Types the browser may render in place; everything else is downloaded
+const INLINE_TYPES = /^(image\/(png|jpeg|gif|webp)|video\/|audio\/)/;
+
+// Map attachment errors onto HTTP responses
+function handleAttachmentError(res, error, fallbackMessage) {
+  if (error.message === 'Attachment not found' || error.message === 'Attachment has no thumbnail') {
+    return res.status(404).json({ error: error.message });
+  }
+  // Not stored, and the platform no longer (or not yet) serves it
+  if (error.message === 'Attachment unavailable') {
+    return res.status(502).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, redact(error));
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Files come from message senders: never let the browser sniff or run them
+function sendFile(res, { key, mimeType, filename, download }) {
+  const disposition = download || !INLINE_TYPES.test(mimeType) ? 'attachment' : 'inline';
+  res.set({
+    'Content-Type': mimeType,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(filename || 'attachment')}`,
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; sandbox",
+    'Cache-Control': 'private, max-age=86400'
+  });
+
+  const stream = attachmentService.createReadStream(key);
+  stream.on('error', error => {
+    console.error('Error streaming attachment:', redact(error));
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+// Signed, expiring link for platforms that fetch the file themselves
+// (Instagram image DMs); see AttachmentService.createPublicUrl
+router.get('/:id/public', (req, res) => {
+  const record = attachmentService.verifyPublicUrl(req.params.id, req.query.expires, req.query.signature);
+  if (!record) {
+    return res.status(404).json({ error: 'Attachment not found' });
+  }
+  sendFile(res, { key: record.storageKey, mimeType: record.mimeType, filename: record.filename });
+});
+
+// Attachment details
+router.get('/:id/info', authenticateToken, resolveWorkspace, requirePermission('messages:read'), (req, res) => {
+  const attachment = attachmentService.getAttachment(req.workspaceId, req.params.id);
+  if (!attachment) {
+    return res.status(404).json({ error: 'Attachment not found' });
+  }
+  res.json({ attachment });
+});
+
+// Image thumbnail (320px, JPEG)
+router.get('/:id/thumbnail', authenticateToken, resolveWorkspace, requirePermission('messages:read'), async (req, res) => {
+  try {
+    const { record, key, mimeType } = await attachmentService.getThumbnail(req.workspaceId, req.params.id);
+    sendFile(res, { key, mimeType, filename: record.filename });
+  } catch (error) {
+    handleAttachmentError(res, error, 'Failed to fetch thumbnail');
+  }
+});
+
+// The file itself; ?download=true sends it as a download
+router.get('/:id', authenticateToken, resolveWorkspace, requirePermission('messages:read'), async (req, res) => {
+  try {
+    const record = await attachmentService.getStoredAttachment(req.workspaceId, req.params.id);
+    sendFile(res, {
+      key: record.storageKey,
+      mimeType: record.mimeType,
+      filename: record.filename,
+      download: req.query.download === 'true'
+    });
+  } catch (error) {
+    handleAttachmentError(res, error, 'Failed to fetch attachment');
+  }
+});
+
+module.exports = router;
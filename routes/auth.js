@@ -1,10 +1,17 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
+const authService = require('../services/authService');
+const userService = require('../services/userService');
+const workspaceService = require('../services/workspaceService');
+const platformService = require('../services/platformService');
+const { redact } = require('../services/credentialVault');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { requirePermission } = require('../middleware/permissions');
 const router = express.Router();
 
-// Mock user database (replace with MongoDB in production)
-const users = [];
+function sessionContext(req) {
+  return { userAgent: req.get('User-Agent'), ip: req.ip };
+}
 
 // Register new user
 router.post('/register', async (req, res) => {
@@ -12,43 +19,30 @@ router.post('/register', async (req, res) => {
     const { email, password, name } = req.body;
 
     // Check if user already exists
-    if (users.find(user => user.email === email)) {
+    if (userService.findByEmail(email)) {
       return res.status(400).json({ error: 'User already exists' });
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 12);
+    // Create user and give them a workspace to land in
+    const user = await userService.createUser({ email, password, name });
+    const workspace = await workspaceService.provisionForUser(user);
+    await userService.setDefaultWorkspace(user.id, workspace.id);
 
-    // Create user
-    const user = {
-      id: Date.now().toString(),
-      email,
-      password: hashedPassword,
-      name,
-      platforms: {},
-      createdAt: new Date()
-    };
-
-    users.push(user);
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    // Issue a short-lived access token and a rotating refresh token
+    const { token, refreshToken, expiresIn } = await authService.createSession(user, sessionContext(req));
 
     res.status(201).json({
       message: 'User created successfully',
       token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        platforms: user.platforms
-      }
+      refreshToken,
+      expiresIn,
+      user: userService.toPublicUser(user),
+      workspace: workspaceService.toPublicWorkspace(workspace)
     });
   } catch (error) {
+    if (error.message === 'Email and password are required') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Registration failed' });
   }
@@ -59,34 +53,25 @@ router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Find user
-    const user = users.find(u => u.email === email);
+    // Check credentials
+    const user = await userService.authenticate(email, password);
     if (!user) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Check password
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+    // The default workspace's owner may have registered before DEFAULT_WORKSPACE_OWNER_EMAIL was set
+    await workspaceService.claimDefaultWorkspace(user);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    // Issue a short-lived access token and a rotating refresh token
+    const { token, refreshToken, expiresIn } = await authService.createSession(user, sessionContext(req));
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        platforms: user.platforms
-      }
+      refreshToken,
+      expiresIn,
+      user: userService.toPublicUser(user),
+      workspaces: workspaceService.getWorkspacesForUser(user.id).map(workspaceService.toPublicWorkspace)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -94,51 +79,44 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Connect platform (OAuth)
-router.post('/connect-platform', (req, res) => {
+// Connect a platform to the selected workspace with the caller's credentials
+// (bot token, OAuth tokens, Meta access token...). They are stored encrypted.
+router.post('/connect-platform', authenticateToken, resolveWorkspace, requirePermission('platforms:manage'), async (req, res) => {
   try {
-    const { platform, authCode } = req.body;
-    const userId = req.user?.userId; // From JWT middleware
-
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required' });
+    const { platform, credentials } = req.body;
+    if (!platform || !credentials) {
+      return res.status(400).json({ error: 'Platform and credentials are required' });
     }
 
-    // In production, you'd handle OAuth flow here
-    // For now, we'll just acknowledge the request
+    const configured = await platformService.forWorkspace(req.workspaceId).saveCredentials(platform, credentials);
+    await userService.recordPlatformConnection(req.user.userId, platform, req.workspaceId);
+
     res.json({
       message: `${platform} connected successfully`,
       platform,
-      status: 'connected'
+      workspaceId: req.workspaceId,
+      status: configured ? 'connected' : 'error'
     });
   } catch (error) {
-    console.error('Platform connection error:', error);
+    if (error.message.startsWith('Missing ') || error.message.startsWith('Unsupported platform')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Platform connection error:', redact(error));
     res.status(500).json({ error: 'Platform connection failed' });
   }
 });
 
 // Get user profile
-router.get('/profile', (req, res) => {
+router.get('/profile', authenticateToken, (req, res) => {
   try {
-    const userId = req.user?.userId;
-
-    if (!userId) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-
-    const user = users.find(u => u.id === userId);
+    const user = userService.getUser(req.user.userId);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
     res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        platforms: user.platforms,
-        createdAt: user.createdAt
-      }
+      user: userService.toPublicUser(user),
+      workspaces: workspaceService.getWorkspacesForUser(user.id).map(workspaceService.toPublicWorkspace)
     });
   } catch (error) {
     console.error('Profile fetch error:', error);
@@ -146,4 +124,65 @@ router.get('/profile', (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new token pair (the old refresh token is spent)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const tokens = await authService.refreshSession(refreshToken);
+    res.json(tokens);
+  } catch (error) {
+    if (['Invalid refresh token', 'Session revoked', 'Refresh token reuse detected'].includes(error.message)) {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  }
+});
+
+// Revoke the current session, or every session with { allDevices: true }
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const { allDevices } = req.body;
+
+    if (allDevices) {
+      const revokedSessions = await authService.revokeAllSessions(req.user.userId);
+      return res.json({ message: 'Signed out of all devices', revokedSessions });
+    }
+
+    if (req.user.sessionId) {
+      await authService.revokeSession(req.user.sessionId);
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// List the signed-in devices for the current user
+router.get('/sessions', authenticateToken, (req, res) => {
+  const sessions = authService.getActiveSessions(req.user.userId).map(session => ({
+    ...session,
+    current: session.id === req.user.sessionId
+  }));
+  res.json({ sessions });
+});
+
+// Verify the bearer token and return the user it belongs to
+router.get('/verify', authenticateToken, (req, res) => {
+  const user = userService.getUser(req.user.userId);
+  if (!user) {
+    return res.status(401).json({ error: 'User not found' });
+  }
+
+  res.json({
+    valid: true,
+    user: userService.toPublicUser(user)
+  });
+});
+
 module.exports = router;
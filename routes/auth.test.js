@@ -0,0 +1,38 @@
+const express = require('express');
+const request = require('supertest');
+const authRouter = require('./auth');
+const workspaceService = require('../services/workspaceService');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRouter);
+
+const { DEFAULT_WORKSPACE_ID } = workspaceService;
+
+describe('/api/auth workspaces', () => {
+  afterEach(() => {
+    delete process.env.DEFAULT_WORKSPACE_OWNER_EMAIL;
+  });
+
+  test('registration gives the first user a workspace of their own', async () => {
+    const res = await request(app).post('/api/auth/register')
+      .send({ email: 'first@example.com', password: 'secret-password', name: 'First' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.workspace.id).not.toBe(DEFAULT_WORKSPACE_ID);
+    expect(res.body.user.defaultWorkspaceId).toBe(res.body.workspace.id);
+  });
+
+  test('the designated owner claims the default workspace at their next sign-in', async () => {
+    await request(app).post('/api/auth/register')
+      .send({ email: 'admin@example.com', password: 'secret-password', name: 'Admin' });
+    process.env.DEFAULT_WORKSPACE_OWNER_EMAIL = 'admin@example.com';
+
+    const res = await request(app).post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'secret-password' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.workspaces.map(workspace => workspace.id)).toContain(DEFAULT_WORKSPACE_ID);
+    expect(workspaceService.getWorkspace(DEFAULT_WORKSPACE_ID).ownerId).toBe(res.body.user.id);
+  });
+});
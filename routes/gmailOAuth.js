@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const gmailOAuthService = require('../services/gmailOAuthService');
+const platformService = require('../services/platformService');
+const { redact } = require('../services/credentialVault');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { requirePermission } = require('../middleware/permissions');
+
+// Mounted ahead of the token-guarded /api/platforms routes: Google redirects the
+// browser to /callback without an Authorization header.
+const STATE_COOKIE = 'gmail_oauth_state';
+const COOKIE_PATH = '/api/platforms/gmail/oauth';
+
+function readCookie(req, name) {
+  const cookies = (req.get('Cookie') || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+// Send the browser back to the dashboard with the outcome in the query string
+function finish(res, status, reason) {
+  res.clearCookie(STATE_COOKIE, { path: COOKIE_PATH });
+  const query = new URLSearchParams({ platform: 'gmail', status });
+  if (reason) {
+    query.set('reason', reason);
+  }
+  res.redirect(`/?${query}`);
+}
+
+// Begin the consent flow for the selected workspace. The state is also set as
+// an httpOnly cookie, so only the browser that started the flow can finish it.
+router.get('/start', authenticateToken, resolveWorkspace, requirePermission('platforms:manage'), (req, res) => {
+  try {
+    const { state, authUrl, expiresAt } = gmailOAuthService.start({
+      workspaceId: req.workspaceId,
+      userId: req.user.userId
+    });
+
+    res.cookie(STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: gmailOAuthService.STATE_TTL_MS,
+      path: COOKIE_PATH
+    });
+
+    if (req.query.redirect === 'true') {
+      return res.redirect(authUrl);
+    }
+    res.json({ authUrl, expiresAt });
+  } catch (error) {
+    if (error.message === 'Gmail platform not configured') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Gmail OAuth start error:', redact(error));
+    res.status(500).json({ error: 'Failed to start Gmail authorization' });
+  }
+});
+
+// Google's redirect target after the consent screen
+router.get('/callback', async (req, res) => {
+  const { state, code, error } = req.query;
+
+  if (!state || readCookie(req, STATE_COOKIE) !== state) {
+    return finish(res, 'error', 'state_mismatch');
+  }
+  if (error) {
+    gmailOAuthService.cancel(state);
+    return finish(res, 'error', error);
+  }
+
+  try {
+    await gmailOAuthService.complete({ state, code });
+    finish(res, 'connected');
+  } catch (err) {
+    if (err.message === 'Invalid or expired OAuth state') {
+      return finish(res, 'error', 'expired_state');
+    }
+    console.error('Gmail OAuth callback error:', redact(err));
+    finish(res, 'error', 'token_exchange_failed');
+  }
+});
+
+// Whether the workspace's Gmail grant is usable, expired or revoked
+router.get('/status', authenticateToken, resolveWorkspace, requirePermission('platforms:read'), async (req, res) => {
+  try {
+    const status = await platformService.forWorkspace(req.workspaceId).getPlatformStatus('gmail');
+    res.json({ platform: 'gmail', ...status });
+  } catch (error) {
+    console.error('Gmail status error:', redact(error));
+    res.status(500).json({ error: 'Failed to fetch Gmail status' });
+  }
+});
+
+module.exports = router;
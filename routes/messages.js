@@ -1,129 +1,57 @@
 const express = require('express');
 const router = express.Router();
+const messageService = require('../services/messageService');
+const platformService = require('../services/platformService');
+const attachmentService = require('../services/attachmentService');
+const { redact } = require('../services/credentialVault');
+const { requirePermission } = require('../middleware/permissions');
+const { receiveAttachments } = require('../middleware/attachmentUpload');
 
-// Mock messages database (replace with MongoDB in production)
-let messages = [
-  {
-    id: '1',
-    platform: 'gmail',
-    sender: 'alice@gmail.com',
-    senderName: 'Alice Johnson',
-    recipient: 'user@example.com',
-    subject: 'Your order has been shipped!',
-    text: 'Hi! Your order #12345 has been shipped and will arrive in 2-3 business days.',
-    timestamp: new Date('2024-01-15T10:30:00Z'),
-    status: 'read',
-    type: 'email',
-    attachments: [],
-    threadId: 'thread_1'
-  },
-  {
-    id: '2',
-    platform: 'telegram',
-    sender: '@devgroup',
-    senderName: 'Dev Group',
-    recipient: '@user',
-    text: 'Check out the new API docs! They\'re much better now.',
-    timestamp: new Date('2024-01-15T11:15:00Z'),
-    status: 'unread',
-    type: 'message',
-    attachments: [],
-    chatId: 'chat_123'
-  },
-  {
-    id: '3',
-    platform: 'whatsapp',
-    sender: '+1234567890',
-    senderName: 'Mom',
-    recipient: '+0987654321',
-    text: 'Dinner at 8? Don\'t forget to bring the wine! 🍷',
-    timestamp: new Date('2024-01-15T12:00:00Z'),
-    status: 'unread',
-    type: 'message',
-    attachments: [],
-    conversationId: 'conv_456'
-  },
-  {
-    id: '4',
-    platform: 'instagram',
-    sender: '@follower123',
-    senderName: 'Follower',
-    recipient: '@user',
-    text: 'Nice post on React! Really helped me understand hooks better.',
-    timestamp: new Date('2024-01-15T13:45:00Z'),
-    status: 'read',
-    type: 'dm',
-    attachments: [],
-    conversationId: 'ig_conv_789'
-  }
-];
+const SORTABLE_FIELDS = ['timestamp', 'platform', 'sender', 'status', 'priority', 'aiCategory'];
+const FILTER_FIELDS = ['platform', 'status', 'search', 'conversationId', 'type', 'dateFrom', 'dateTo'];
 
 // Get all messages with filtering and pagination
-router.get('/', (req, res) => {
+router.get('/', requirePermission('messages:read'), async (req, res) => {
   try {
-    const { 
-      platform, 
-      status, 
-      search, 
-      page = 1, 
+    const {
+      page = 1,
       limit = 20,
       sortBy = 'timestamp',
       sortOrder = 'desc'
     } = req.query;
 
-    let filteredMessages = [...messages];
-
-    // Filter by platform
-    if (platform && platform !== 'all') {
-      filteredMessages = filteredMessages.filter(msg => msg.platform === platform);
-    }
-
-    // Filter by status
-    if (status) {
-      filteredMessages = filteredMessages.filter(msg => msg.status === status);
-    }
-
-    // Search functionality
-    if (search) {
-      const searchTerm = search.toLowerCase();
-      filteredMessages = filteredMessages.filter(msg => 
-        msg.text?.toLowerCase().includes(searchTerm) ||
-        msg.subject?.toLowerCase().includes(searchTerm) ||
-        msg.senderName?.toLowerCase().includes(searchTerm) ||
-        msg.sender?.toLowerCase().includes(searchTerm)
-      );
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+      return res.status(400).json({ error: `Cannot sort by ${sortBy}` });
     }
 
-    // Sorting
-    filteredMessages.sort((a, b) => {
-      let aVal = a[sortBy];
-      let bVal = b[sortBy];
-      
-      if (sortBy === 'timestamp') {
-        aVal = new Date(aVal);
-        bVal = new Date(bVal);
+    // Filters reach the storage query as equality matches: only plain strings,
+    // never the arrays or objects (?platform[$ne]=x) the query parser can build
+    const filters = {};
+    for (const field of FILTER_FIELDS) {
+      const value = req.query[field];
+      if (value === undefined) {
+        continue;
       }
-      
-      if (sortOrder === 'asc') {
-        return aVal > bVal ? 1 : -1;
-      } else {
-        return aVal < bVal ? 1 : -1;
+      if (typeof value !== 'string') {
+        return res.status(400).json({ error: `Invalid ${field} filter` });
       }
+      filters[field] = value;
+    }
+    const { messages, pagination } = await messageService.getMessages(req.workspaceId, filters, {
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.max(1, parseInt(limit) || 20),
+      sortBy,
+      sortOrder
     });
 
-    // Pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedMessages = filteredMessages.slice(startIndex, endIndex);
-
     res.json({
-      messages: paginatedMessages,
+      messages,
       pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(filteredMessages.length / limit),
-        totalMessages: filteredMessages.length,
-        hasNext: endIndex < filteredMessages.length,
-        hasPrev: page > 1
+        currentPage: pagination.page,
+        totalPages: pagination.totalPages,
+        totalMessages: pagination.total,
+        hasNext: pagination.hasNext,
+        hasPrev: pagination.hasPrev
       }
     });
   } catch (error) {
@@ -133,123 +61,145 @@ router.get('/', (req, res) => {
 });
 
 // Get message by ID
-router.get('/:id', (req, res) => {
+router.get('/:id', requirePermission('messages:read'), async (req, res) => {
   try {
-    const message = messages.find(msg => msg.id === req.params.id);
-    
-    if (!message) {
-      return res.status(404).json({ error: 'Message not found' });
-    }
+    const message = await messageService.getMessageById(req.workspaceId, req.params.id);
 
     res.json({ message });
   } catch (error) {
+    if (error.message === 'Message not found') {
+      return res.status(404).json({ error: 'Message not found' });
+    }
     console.error('Error fetching message:', error);
     res.status(500).json({ error: 'Failed to fetch message' });
   }
 });
 
-// Send new message
-router.post('/', (req, res) => {
+// Send new message: JSON, or multipart/form-data with the files in `files`
+router.post('/', requirePermission('messages:send'), receiveAttachments, async (req, res) => {
   try {
-    const { platform, recipient, text, subject, type, attachments } = req.body;
+    const { platform, recipient, recipientId, text, subject, conversationId, replyToMessageId } = req.body;
+    const files = req.files || [];
+
+    // Multipart fields are strings
+    let template = req.body.template;
+    if (typeof template === 'string') {
+      try {
+        template = JSON.parse(template);
+      } catch (error) {
+        return res.status(400).json({ error: 'template must be a JSON object' });
+      }
+    }
 
-    if (!platform || !recipient || !text) {
+    // A reply may leave the recipient to the message it answers; a WhatsApp
+    // template brings its own text, and files may go without text
+    if (!platform || !(recipient || replyToMessageId) || !(text || template || files.length > 0)) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
+    if (template && platform !== 'whatsapp') {
+      return res.status(400).json({ error: 'Templates are only supported for WhatsApp' });
+    }
+    if (template && files.length > 0) {
+      return res.status(400).json({ error: 'Templates cannot carry attachments' });
+    }
 
-    const newMessage = {
-      id: Date.now().toString(),
-      platform,
-      sender: 'user@example.com', // Current user
-      senderName: 'You',
-      recipient,
-      subject,
-      text,
-      timestamp: new Date(),
-      status: 'sent',
-      type: type || 'message',
-      attachments: attachments || [],
-      threadId: `thread_${Date.now()}`,
-      chatId: `chat_${Date.now()}`,
-      conversationId: `conv_${Date.now()}`
-    };
+    if (!platformService.forWorkspace(req.workspaceId).isPlatformConfigured(platform)) {
+      return res.status(400).json({ error: `Platform ${platform} not configured` });
+    }
 
-    messages.unshift(newMessage);
+    const attachments = files.length > 0
+      ? await attachmentService.storeUploads(req.workspaceId, platform, files)
+      : [];
 
-    // In production, you'd send this via the actual platform API
-    // and handle the response accordingly
+    const result = await messageService.sendMessage(req.workspaceId, platform, {
+      recipient,
+      recipientId: recipientId || recipient,
+      text,
+      subject,
+      attachments,
+      conversationId,
+      replyToMessageId,
+      template
+    });
 
     res.status(201).json({
       message: 'Message sent successfully',
-      messageId: newMessage.id
+      messageId: result.message.id
     });
   } catch (error) {
-    console.error('Error sending message:', error);
+    if (error.message === 'Message not found' || error.message === 'Template not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Missing template parameter') || error.message.startsWith('Invalid attachment')) {
+      return res.status(400).json({ error: error.message });
+    }
+    // Outside the 24h window WhatsApp only accepts templates
+    if (error.message === 'WhatsApp customer service window closed') {
+      return res.status(409).json({ error: error.message, templateRequired: true });
+    }
+    console.error('Error sending message:', redact(error));
     res.status(500).json({ error: 'Failed to send message' });
   }
 });
 
 // Update message status (mark as read/unread)
-router.patch('/:id/status', (req, res) => {
+router.patch('/:id/status', requirePermission('messages:update'), async (req, res) => {
   try {
     const { status } = req.body;
-    const messageIndex = messages.findIndex(msg => msg.id === req.params.id);
-
-    if (messageIndex === -1) {
-      return res.status(404).json({ error: 'Message not found' });
-    }
-
-    messages[messageIndex].status = status;
+    const message = await messageService.updateMessageStatus(req.workspaceId, req.params.id, status);
 
     res.json({
       message: 'Message status updated successfully',
-      messageId: req.params.id,
-      status
+      messageId: message.id,
+      status: message.status
     });
   } catch (error) {
+    if (error.message === 'Message not found') {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (error.message.startsWith('Invalid message status')) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error updating message status:', error);
     res.status(500).json({ error: 'Failed to update message status' });
   }
 });
 
 // Delete message
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requirePermission('messages:delete'), async (req, res) => {
   try {
-    const messageIndex = messages.findIndex(msg => msg.id === req.params.id);
-
-    if (messageIndex === -1) {
-      return res.status(404).json({ error: 'Message not found' });
-    }
-
-    messages.splice(messageIndex, 1);
+    await messageService.deleteMessage(req.workspaceId, req.params.id);
 
     res.json({
       message: 'Message deleted successfully',
       messageId: req.params.id
     });
   } catch (error) {
+    if (error.message === 'Message not found') {
+      return res.status(404).json({ error: 'Message not found' });
+    }
     console.error('Error deleting message:', error);
     res.status(500).json({ error: 'Failed to delete message' });
   }
 });
 
 // Get message statistics
-router.get('/stats/overview', (req, res) => {
+router.get('/stats/overview', requirePermission('messages:read'), async (req, res) => {
   try {
+    const messageStats = await messageService.getMessageStats(req.workspaceId);
+
+    const byPlatform = {};
+    for (const [platform, platformStats] of Object.entries(messageStats.platforms)) {
+      byPlatform[platform] = platformStats.count;
+    }
+
     const stats = {
-      total: messages.length,
-      unread: messages.filter(msg => msg.status === 'unread').length,
-      byPlatform: {
-        gmail: messages.filter(msg => msg.platform === 'gmail').length,
-        telegram: messages.filter(msg => msg.platform === 'telegram').length,
-        whatsapp: messages.filter(msg => msg.platform === 'whatsapp').length,
-        instagram: messages.filter(msg => msg.platform === 'instagram').length
-      },
-      byType: {
-        email: messages.filter(msg => msg.type === 'email').length,
-        message: messages.filter(msg => msg.type === 'message').length,
-        dm: messages.filter(msg => msg.type === 'dm').length
-      }
+      total: messageStats.totalMessages,
+      unread: messageStats.unreadMessages,
+      conversations: messageStats.totalConversations,
+      byPlatform,
+      byType: messageStats.messageTypes,
+      recentActivity: messageStats.recentActivity
     };
 
     res.json({ stats });
@@ -0,0 +1,105 @@
+const request = require('supertest');
+const messageService = require('../services/messageService');
+const messagesRouter = require('./messages');
+const { createRouteApp } = require('../test/routeApp');
+
+const app = createRouteApp('/api/messages', messagesRouter);
+
+function seed(workspaceId, overrides = {}) {
+  return messageService.createMessage({
+    workspaceId,
+    platform: 'telegram',
+    sender: 'alice',
+    senderId: 'u1',
+    recipientId: 'chat1',
+    text: 'hello',
+    ...overrides
+  });
+}
+
+describe('/api/messages', () => {
+  let first;
+
+  beforeAll(async () => {
+    first = await seed('ws_test', { sender: 'carol', text: 'first' });
+    await seed('ws_test', { sender: 'alice', platform: 'gmail', subject: 'Invoice', text: 'second' });
+    await seed('ws_test', { sender: 'bob', text: 'third' });
+    await seed('ws_other', { sender: 'mallory', text: 'elsewhere' });
+  });
+
+  test('lists the workspace messages from MessageService with pagination', async () => {
+    const res = await request(app).get('/api/messages').query({ limit: 2, sortBy: 'sender', sortOrder: 'asc' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.messages.map(m => m.sender)).toEqual(['alice', 'bob']);
+    expect(res.body.pagination).toEqual({
+      currentPage: 1,
+      totalPages: 2,
+      totalMessages: 3,
+      hasNext: true,
+      hasPrev: false
+    });
+
+    const page2 = await request(app).get('/api/messages').query({ limit: 2, page: 2, sortBy: 'sender', sortOrder: 'asc' });
+    expect(page2.body.messages.map(m => m.sender)).toEqual(['carol']);
+  });
+
+  test('filters by platform and search', async () => {
+    const byPlatform = await request(app).get('/api/messages').query({ platform: 'gmail' });
+    expect(byPlatform.body.messages.map(m => m.text)).toEqual(['second']);
+
+    const bySearch = await request(app).get('/api/messages').query({ search: 'invoice' });
+    expect(bySearch.body.messages.map(m => m.text)).toEqual(['second']);
+  });
+
+  test('rejects unknown sort fields', async () => {
+    const res = await request(app).get('/api/messages').query({ sortBy: 'password' });
+    expect(res.status).toBe(400);
+  });
+
+  test('rejects query operators in filters', async () => {
+    const res = await request(app).get('/api/messages?platform[$ne]=x');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid platform filter');
+  });
+
+  test('rejects a repeated search instead of failing on it', async () => {
+    const res = await request(app).get('/api/messages?search=a&search=b');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid search filter');
+  });
+
+  test('gets a message by id within the workspace only', async () => {
+    const res = await request(app).get(`/api/messages/${first.id}`);
+    expect(res.status).toBe(200);
+    expect(res.body.message.text).toBe('first');
+
+    const foreign = await request(app).get(`/api/messages/${first.id}`).set('X-Test-Workspace', 'ws_other');
+    expect(foreign.status).toBe(404);
+  });
+
+  test('updates the status and validates it', async () => {
+    const res = await request(app).patch(`/api/messages/${first.id}/status`).send({ status: 'read' });
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('read');
+
+    const invalid = await request(app).patch(`/api/messages/${first.id}/status`).send({ status: 'bogus' });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('rejects sends with missing fields', async () => {
+    const res = await request(app).post('/api/messages').send({ platform: 'telegram' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Missing required fields');
+  });
+
+  test('deletes a message', async () => {
+    const doomed = await seed('ws_test', { text: 'doomed' });
+
+    const res = await request(app).delete(`/api/messages/${doomed.id}`);
+    expect(res.status).toBe(200);
+    expect((await request(app).get(`/api/messages/${doomed.id}`)).status).toBe(404);
+  });
+});
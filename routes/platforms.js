@@ -1,5 +1,10 @@
 const express = require('express');
 const router = express.Router();
+const platformService = require('../services/platformService');
+const workspaceService = require('../services/workspaceService');
+const gmailSyncService = require('../services/gmailSyncService');
+const { redact } = require('../services/credentialVault');
+const { requirePermission } = require('../middleware/permissions');
 
 // Mock platform configurations (replace with database in production)
 const platformConfigs = {
@@ -50,13 +55,21 @@ const platformConfigs = {
   }
 };
 
+// Connection state of a platform in a workspace: connected while PlatformService
+// holds working credentials for it
+function getPlatformState(workspaceId, platformId) {
+  const configured = platformService.forWorkspace(workspaceId).isPlatformConfigured(platformId);
+  return { status: configured ? 'connected' : 'disconnected' };
+}
+
 // Get all platform configurations
-router.get('/', (req, res) => {
+router.get('/', requirePermission('platforms:read'), (req, res) => {
   try {
     res.json({
       platforms: Object.keys(platformConfigs).map(key => ({
         id: key,
-        ...platformConfigs[key]
+        ...platformConfigs[key],
+        ...getPlatformState(req.workspaceId, key)
       }))
     });
   } catch (error) {
@@ -65,8 +78,152 @@ router.get('/', (req, res) => {
   }
 });
 
+// =============================================================================
+// TWITTER/X ACCOUNT ACTIVITY WEBHOOKS
+// =============================================================================
+
+// Surface X API failures with their upstream status instead of a generic 500
+function handleTwitterError(res, error, fallbackMessage) {
+  if (error.message === 'Twitter/X platform not configured') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.response) {
+    return res.status(502).json({
+      error: fallbackMessage,
+      upstreamStatus: error.response.status,
+      details: error.response.data?.errors || error.response.data
+    });
+  }
+  console.error(`${fallbackMessage}:`, redact(error));
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Registered webhooks and subscription state
+router.get('/twitter/webhooks', requirePermission('platforms:read'), async (req, res) => {
+  try {
+    const status = await platformService.forWorkspace(req.workspaceId).getTwitterWebhookStatus();
+    res.json(status);
+  } catch (error) {
+    handleTwitterError(res, error, 'Failed to fetch Twitter webhooks');
+  }
+});
+
+// Register a webhook (defaults to TWITTER_WEBHOOK_URL); `replace: true` removes the
+// existing ones once the new one is registered
+router.post('/twitter/webhooks', requirePermission('platforms:manage'), async (req, res) => {
+  try {
+    const url = req.body.url || process.env.TWITTER_WEBHOOK_URL;
+    if (!url) {
+      return res.status(400).json({ error: 'Webhook url is required' });
+    }
+
+    const webhook = req.body.replace
+      ? await platformService.forWorkspace(req.workspaceId).reregisterTwitterWebhook(url)
+      : await platformService.forWorkspace(req.workspaceId).setTwitterWebhook(url);
+
+    res.status(201).json({ webhook });
+  } catch (error) {
+    handleTwitterError(res, error, 'Failed to register Twitter webhook');
+  }
+});
+
+// List subscribed accounts
+router.get('/twitter/webhooks/subscriptions', requirePermission('platforms:read'), async (req, res) => {
+  try {
+    const subscriptions = await platformService.forWorkspace(req.workspaceId).listTwitterSubscriptions();
+    res.json({ subscriptions });
+  } catch (error) {
+    handleTwitterError(res, error, 'Failed to fetch Twitter subscriptions');
+  }
+});
+
+// Subscribe the configured account to account activity events
+router.post('/twitter/webhooks/subscriptions', requirePermission('platforms:manage'), async (req, res) => {
+  try {
+    await platformService.forWorkspace(req.workspaceId).subscribeTwitterAccount();
+    res.status(201).json({ message: 'Subscription added' });
+  } catch (error) {
+    handleTwitterError(res, error, 'Failed to add Twitter subscription');
+  }
+});
+
+router.delete('/twitter/webhooks/subscriptions/:userId', requirePermission('platforms:manage'), async (req, res) => {
+  try {
+    await platformService.forWorkspace(req.workspaceId).unsubscribeTwitterAccount(req.params.userId);
+    res.json({ message: 'Subscription removed', userId: req.params.userId });
+  } catch (error) {
+    handleTwitterError(res, error, 'Failed to remove Twitter subscription');
+  }
+});
+
+// Trigger a CRC check against a registered webhook
+router.put('/twitter/webhooks/:webhookId', requirePermission('platforms:manage'), async (req, res) => {
+  try {
+    await platformService.forWorkspace(req.workspaceId).triggerTwitterWebhookCrc(req.params.webhookId);
+    res.json({ message: 'CRC check triggered', webhookId: req.params.webhookId });
+  } catch (error) {
+    handleTwitterError(res, error, 'Failed to trigger Twitter CRC');
+  }
+});
+
+router.delete('/twitter/webhooks/:webhookId', requirePermission('platforms:manage'), async (req, res) => {
+  try {
+    await platformService.forWorkspace(req.workspaceId).deleteTwitterWebhook(req.params.webhookId);
+    res.json({ message: 'Webhook deleted', webhookId: req.params.webhookId });
+  } catch (error) {
+    handleTwitterError(res, error, 'Failed to delete Twitter webhook');
+  }
+});
+
+// =============================================================================
+// GMAIL PUSH NOTIFICATIONS (users.watch)
+// =============================================================================
+
+function handleGmailSyncError(res, error, fallbackMessage) {
+  if (error.message === 'Gmail platform not configured' || error.message === 'GMAIL_PUBSUB_TOPIC is not configured') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.response) {
+    return res.status(502).json({
+      error: fallbackMessage,
+      upstreamStatus: error.response.status,
+      details: error.response.data?.error || error.response.data
+    });
+  }
+  console.error(`${fallbackMessage}:`, redact(error));
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Watch state: mailbox, last synced historyId, watch expiry
+router.get('/gmail/watch', requirePermission('platforms:read'), (req, res) => {
+  const state = gmailSyncService.getSyncState(req.workspaceId);
+  res.json({ watching: !!state, state });
+});
+
+// Start (or renew) push notifications for the workspace's Gmail inbox
+router.post('/gmail/watch', requirePermission('platforms:manage'), async (req, res) => {
+  try {
+    const state = await gmailSyncService.startWatch(req.workspaceId);
+    res.status(201).json({ watching: true, state });
+  } catch (error) {
+    handleGmailSyncError(res, error, 'Failed to start Gmail watch');
+  }
+});
+
+router.delete('/gmail/watch', requirePermission('platforms:manage'), async (req, res) => {
+  try {
+    const stopped = await gmailSyncService.stopWatch(req.workspaceId);
+    if (!stopped) {
+      return res.status(404).json({ error: 'Gmail is not being watched' });
+    }
+    res.json({ watching: false });
+  } catch (error) {
+    handleGmailSyncError(res, error, 'Failed to stop Gmail watch');
+  }
+});
+
 // Get platform configuration by ID
-router.get('/:id', (req, res) => {
+router.get('/:id', requirePermission('platforms:read'), (req, res) => {
   try {
     const platform = platformConfigs[req.params.id];
     
@@ -77,7 +234,8 @@ router.get('/:id', (req, res) => {
     res.json({
       platform: {
         id: req.params.id,
-        ...platform
+        ...platform,
+        ...getPlatformState(req.workspaceId, req.params.id)
       }
     });
   } catch (error) {
@@ -87,7 +245,7 @@ router.get('/:id', (req, res) => {
 });
 
 // Connect platform (initiate OAuth)
-router.post('/:id/connect', (req, res) => {
+router.post('/:id/connect', requirePermission('platforms:manage'), (req, res) => {
   try {
     const platformId = req.params.id;
     const platform = platformConfigs[platformId];
@@ -95,8 +253,9 @@ router.post('/:id/connect', (req, res) => {
     if (!platform) {
       return res.status(404).json({ error: 'Platform not found' });
     }
+    const state = getPlatformState(req.workspaceId, platformId);
 
-    if (platform.status === 'connected') {
+    if (state.status === 'connected') {
       return res.status(400).json({ error: 'Platform already connected' });
     }
 
@@ -115,8 +274,8 @@ router.post('/:id/connect', (req, res) => {
   }
 });
 
-// Disconnect platform
-router.post('/:id/disconnect', (req, res) => {
+// Disconnect platform: drop the workspace's stored credentials and reconnect without them
+router.post('/:id/disconnect', requirePermission('platforms:manage'), async (req, res) => {
   try {
     const platformId = req.params.id;
     const platform = platformConfigs[platformId];
@@ -125,17 +284,25 @@ router.post('/:id/disconnect', (req, res) => {
       return res.status(404).json({ error: 'Platform not found' });
     }
 
-    if (platform.status === 'disconnected') {
-      return res.status(400).json({ error: 'Platform already disconnected' });
+    const removed = await workspaceService.removePlatformCredentials(req.workspaceId, platformId);
+    if (removed) {
+      platformService.forWorkspace(req.workspaceId).reloadCredentials();
     }
 
-    // In production, you'd revoke OAuth tokens here
-    platform.status = 'disconnected';
+    // The default workspace's env-configured connections outlive stored credentials
+    const { status } = getPlatformState(req.workspaceId, platformId);
+    if (!removed) {
+      return res.status(400).json({
+        error: status === 'connected'
+          ? `${platform.name} is configured through environment variables`
+          : 'Platform already disconnected'
+      });
+    }
 
     res.json({
       message: `${platform.name} disconnected successfully`,
       platformId,
-      status: 'disconnected'
+      status
     });
   } catch (error) {
     console.error('Error disconnecting platform:', error);
@@ -143,8 +310,9 @@ router.post('/:id/disconnect', (req, res) => {
   }
 });
 
-// Get platform connection status
-router.get('/:id/status', (req, res) => {
+// Get platform connection status, checked live against the platform. Gmail
+// reports its OAuth grant: authenticated, configured, expired or revoked.
+router.get('/:id/status', requirePermission('platforms:read'), async (req, res) => {
   try {
     const platformId = req.params.id;
     const platform = platformConfigs[platformId];
@@ -153,52 +321,16 @@ router.get('/:id/status', (req, res) => {
       return res.status(404).json({ error: 'Platform not found' });
     }
 
-    res.json({
-      platformId,
-      status: platform.status,
-      lastSync: platform.lastSync || null,
-      messageCount: platform.messageCount || 0
-    });
+    const status = await platformService.forWorkspace(req.workspaceId).getPlatformStatus(platformId);
+    res.json({ platformId, ...status });
   } catch (error) {
-    console.error('Error fetching platform status:', error);
+    console.error('Error fetching platform status:', redact(error));
     res.status(500).json({ error: 'Failed to fetch platform status' });
   }
 });
 
-// Sync platform messages
-router.post('/:id/sync', (req, res) => {
-  try {
-    const platformId = req.params.id;
-    const platform = platformConfigs[platformId];
-    
-    if (!platform) {
-      return res.status(404).json({ error: 'Platform not found' });
-    }
-
-    if (platform.status === 'disconnected') {
-      return res.status(400).json({ error: 'Platform not connected' });
-    }
-
-    // In production, you'd actually sync messages from the platform API
-    // For now, we'll simulate a sync
-    platform.lastSync = new Date();
-    platform.messageCount = Math.floor(Math.random() * 100) + 10;
-
-    res.json({
-      message: `${platform.name} sync completed`,
-      platformId,
-      lastSync: platform.lastSync,
-      messageCount: platform.messageCount,
-      syncDuration: Math.floor(Math.random() * 5000) + 1000 // ms
-    });
-  } catch (error) {
-    console.error('Error syncing platform:', error);
-    res.status(500).json({ error: 'Failed to sync platform' });
-  }
-});
-
 // Get platform features
-router.get('/:id/features', (req, res) => {
+router.get('/:id/features', requirePermission('platforms:read'), (req, res) => {
   try {
     const platformId = req.params.id;
     const platform = platformConfigs[platformId];
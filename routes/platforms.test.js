@@ -0,0 +1,91 @@
+const request = require('supertest');
+const platformsRouter = require('./platforms');
+const platformService = require('../services/platformService');
+const workspaceService = require('../services/workspaceService');
+const { createRouteApp } = require('../test/routeApp');
+
+const app = createRouteApp('/api/platforms', platformsRouter, { workspaceId: 'ws_platforms', role: 'admin' });
+
+const WHATSAPP_CREDENTIALS = { accessToken: 'wa-token', phoneNumberId: 'phone_1' };
+
+describe('/api/platforms', () => {
+  beforeAll(async () => {
+    await workspaceService.createWorkspace({ id: 'ws_platforms', name: 'Platforms' });
+  });
+
+  beforeEach(async () => {
+    await platformService.forWorkspace('ws_platforms').saveCredentials('whatsapp', WHATSAPP_CREDENTIALS);
+  });
+
+  test('lists platforms with the workspace connection state', async () => {
+    const res = await request(app).get('/api/platforms');
+
+    const status = Object.fromEntries(res.body.platforms.map(platform => [platform.id, platform.status]));
+    expect(status.whatsapp).toBe('connected');
+    expect(status.telegram).toBe('disconnected');
+  });
+
+  test('disconnect removes the stored credentials and reloads the connections', async () => {
+    const res = await request(app).post('/api/platforms/whatsapp/disconnect');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ platformId: 'whatsapp', status: 'disconnected' });
+    expect(workspaceService.getPlatformCredentials('ws_platforms').whatsapp).toBeUndefined();
+    expect(platformService.forWorkspace('ws_platforms').isPlatformConfigured('whatsapp')).toBeFalsy();
+
+    const again = await request(app).post('/api/platforms/whatsapp/disconnect');
+    expect(again.status).toBe(400);
+    expect(again.body.error).toBe('Platform already disconnected');
+  });
+
+  test('disconnect needs platforms:manage', async () => {
+    const res = await request(app).post('/api/platforms/whatsapp/disconnect').set('X-Test-Role', 'supervisor');
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ required: 'platforms:manage', role: 'supervisor' });
+    expect(workspaceService.getPlatformCredentials('ws_platforms').whatsapp).toEqual(WHATSAPP_CREDENTIALS);
+  });
+
+  test('unknown platforms are not found', async () => {
+    expect((await request(app).post('/api/platforms/myspace/disconnect')).status).toBe(404);
+  });
+
+  describe('GET /:id/status', () => {
+    const gmailCredentials = tokens => ({ clientId: 'client-id', clientSecret: 'client-secret', tokens });
+    const status = async platformId => (await request(app).get(`/api/platforms/${platformId}/status`)).body;
+
+    test('reports the live PlatformService status', async () => {
+      expect(await status('whatsapp')).toEqual({
+        platformId: 'whatsapp',
+        status: 'connected',
+        message: 'WhatsApp Business API connected'
+      });
+      expect((await status('telegram')).status).toBe('not_configured');
+      expect((await request(app).get('/api/platforms/myspace/status')).status).toBe(404);
+    });
+
+    test('reports the Gmail grant', async () => {
+      const gmail = platformService.forWorkspace('ws_platforms');
+
+      await gmail.saveCredentials('gmail', gmailCredentials(undefined));
+      expect((await status('gmail')).status).toBe('configured');
+
+      await gmail.saveCredentials('gmail', gmailCredentials({
+        access_token: 'ya29.valid',
+        refresh_token: 'refresh',
+        expiry_date: Date.now() + 60 * 60 * 1000
+      }));
+      expect(await status('gmail')).toMatchObject({ status: 'authenticated', expiresAt: expect.any(String) });
+
+      await gmail.saveCredentials('gmail', gmailCredentials({ access_token: 'ya29.old', expiry_date: Date.now() - 1000 }));
+      expect((await status('gmail')).status).toBe('expired');
+
+      gmail.getPlatform('gmail').config.status = 'reauthorization_required';
+      expect((await status('gmail')).status).toBe('revoked');
+    });
+  });
+
+  test('there is no simulated sync endpoint', async () => {
+    expect((await request(app).post('/api/platforms/whatsapp/sync')).status).toBe(404);
+  });
+});
@@ -0,0 +1,59 @@
+const express = require('express');
+const workspaceService = require('../services/workspaceService');
+const userService = require('../services/userService');
+const { ROLES, PERMISSIONS, isValidRole, getPermissions, canAssignRole } = require('../services/permissions');
+const { requirePermission } = require('../middleware/permissions');
+const router = express.Router();
+
+// Roles and the permission matrix, for building role pickers in the UI
+router.get('/', (req, res) => {
+  res.json({
+    roles: ROLES.map(role => ({ role, permissions: getPermissions(role) })),
+    permissions: PERMISSIONS
+  });
+});
+
+// The caller's role in the selected workspace
+router.get('/me', (req, res) => {
+  res.json({
+    workspaceId: req.workspaceId,
+    role: req.workspaceRole,
+    permissions: getPermissions(req.workspaceRole)
+  });
+});
+
+// Members of the selected workspace with their roles
+router.get('/members', requirePermission('members:read'), (req, res) => {
+  const workspace = workspaceService.getWorkspace(req.workspaceId);
+  const members = workspace.members.map(member => {
+    const user = userService.getUser(member.userId);
+    return { ...member, email: user?.email, name: user?.name };
+  });
+  res.json({ members, total: members.length });
+});
+
+// Change a member's role
+router.put('/members/:userId', requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!isValidRole(role) || role === 'owner') {
+      return res.status(400).json({ error: `Invalid role: ${role}`, roles: ROLES.filter(r => r !== 'owner') });
+    }
+
+    const current = workspaceService.getMembership(req.workspaceId, req.params.userId);
+    if (!current) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (!canAssignRole(req.workspaceRole, current.role) || !canAssignRole(req.workspaceRole, role)) {
+      return res.status(403).json({ error: `Your role cannot change a ${current.role} to ${role}` });
+    }
+
+    const member = await workspaceService.setMemberRole(req.workspaceId, req.params.userId, role);
+    res.json({ message: 'Role updated', member });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const schedulerService = require('../services/schedulerService');
+const platformService = require('../services/platformService');
+const { redact } = require('../services/credentialVault');
+const { requirePermission } = require('../middleware/permissions');
+
+// Map scheduler errors onto HTTP responses
+function handleSchedulerError(res, error, fallbackMessage) {
+  if (error.message === 'Scheduled message not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (
+    error.message.startsWith('Cannot ') ||
+    error.message.startsWith('Invalid sendAt') ||
+    error.message === 'sendAt must be in the future' ||
+    error.message === 'Platform, recipient and text are required'
+  ) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, redact(error));
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// List scheduled messages
+router.get('/', requirePermission('scheduled:read'), (req, res) => {
+  try {
+    const { status, platform } = req.query;
+    const scheduledMessages = schedulerService.getScheduledMessages({ workspaceId: req.workspaceId, status, platform });
+    res.json({ scheduledMessages, total: scheduledMessages.length });
+  } catch (error) {
+    handleSchedulerError(res, error, 'Failed to fetch scheduled messages');
+  }
+});
+
+// Get a scheduled message by ID
+router.get('/:id', requirePermission('scheduled:read'), (req, res) => {
+  const scheduledMessage = schedulerService.getScheduledMessage(req.workspaceId, req.params.id);
+  if (!scheduledMessage) {
+    return res.status(404).json({ error: 'Scheduled message not found' });
+  }
+  res.json({ scheduledMessage });
+});
+
+// Schedule a message for later delivery
+router.post('/', requirePermission('scheduled:manage'), async (req, res) => {
+  try {
+    const { platform, recipient, recipientId, text, subject, conversationId, sendAt } = req.body;
+
+    if (platform && !platformService.forWorkspace(req.workspaceId).isPlatformConfigured(platform)) {
+      return res.status(400).json({ error: `Platform ${platform} not configured` });
+    }
+
+    const scheduledMessage = await schedulerService.scheduleMessage({
+      workspaceId: req.workspaceId,
+      platform,
+      recipient,
+      recipientId,
+      text,
+      subject,
+      conversationId,
+      sendAt
+    });
+
+    res.status(201).json({ scheduledMessage });
+  } catch (error) {
+    handleSchedulerError(res, error, 'Failed to schedule message');
+  }
+});
+
+// Scheduled messages of other workspaces answer 404, like missing ones
+function loadScheduledMessage(req, res, next) {
+  if (!schedulerService.getScheduledMessage(req.workspaceId, req.params.id)) {
+    return res.status(404).json({ error: 'Scheduled message not found' });
+  }
+  next();
+}
+
+// Move a scheduled message to a new send time
+router.post('/:id/reschedule', requirePermission('scheduled:manage'), loadScheduledMessage, async (req, res) => {
+  try {
+    const scheduledMessage = await schedulerService.rescheduleMessage(req.params.id, req.body.sendAt);
+    res.json({ scheduledMessage });
+  } catch (error) {
+    handleSchedulerError(res, error, 'Failed to reschedule message');
+  }
+});
+
+// Cancel a scheduled message
+router.post('/:id/cancel', requirePermission('scheduled:manage'), loadScheduledMessage, async (req, res) => {
+  try {
+    const scheduledMessage = await schedulerService.cancelScheduledMessage(req.params.id);
+    res.json({ scheduledMessage });
+  } catch (error) {
+    handleSchedulerError(res, error, 'Failed to cancel scheduled message');
+  }
+});
+
+module.exports = router;
@@ -1,183 +1,38 @@
 const express = require('express');
 const router = express.Router();
-const TelegramBot = require('node-telegram-bot-api');
-const crypto = require('crypto');
+const platformService = require('../services/platformService');
+const telegramPollingService = require('../services/telegramPollingService');
+const workspaceService = require('../services/workspaceService');
+const attachmentService = require('../services/attachmentService');
+const { redact } = require('../services/credentialVault');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { requirePermission } = require('../middleware/permissions');
+const { receiveAttachments } = require('../middleware/attachmentUpload');
 
-// Initialize Telegram bot
-const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: false });
+const { DEFAULT_WORKSPACE_ID } = workspaceService;
 
-// Verify webhook signature
-function verifyWebhook(req, res, next) {
-  const signature = req.headers['x-telegram-bot-api-signature'];
-  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
-  
-  if (!signature || !secret) {
-    return res.status(401).json({ error: 'Missing signature or secret' });
-  }
-  
-  const expectedSignature = crypto
-    .createHmac('sha256', secret)
-    .update(JSON.stringify(req.body))
-    .digest('hex');
-    
-  if (signature !== expectedSignature) {
-    return res.status(401).json({ error: 'Invalid signature' });
-  }
-  
-  next();
-}
-
-// Handle incoming Telegram messages
-router.post('/webhook', verifyWebhook, async (req, res) => {
-  try {
-    const { message, callback_query } = req.body;
-    
-    if (message) {
-      await handleIncomingMessage(message);
-    } else if (callback_query) {
-      await handleCallbackQuery(callback_query);
-    }
-    
-    res.status(200).json({ success: true });
-  } catch (error) {
-    console.error('Telegram webhook error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Process incoming message
-async function handleIncomingMessage(message) {
-  const {
-    message_id,
-    from,
-    chat,
-    text,
-    photo,
-    document,
-    voice,
-    video,
-    audio,
-    sticker,
-    date
-  } = message;
-  
-  // Create message object for your database
-  const messageData = {
-    id: `telegram_${message_id}`,
-    platform: 'telegram',
-    platformMessageId: message_id,
-    senderId: from.id.toString(),
-    senderName: `${from.first_name}${from.last_name ? ' ' + from.last_name : ''}`,
-    senderUsername: from.username || null,
-    chatId: chat.id.toString(),
-    chatType: chat.type,
-    text: text || '',
-    timestamp: new Date(date * 1000),
-    status: 'unread',
-    attachments: [],
-    metadata: {
-      telegram: {
-        from,
-        chat,
-        date
-      }
-    }
-  };
-  
-  // Handle different types of content
-  if (photo) {
-    messageData.attachments.push({
-      type: 'image',
-      name: 'Photo',
-      url: photo[photo.length - 1].file_id,
-      size: photo[photo.length - 1].file_size
-    });
-  }
-  
-  if (document) {
-    messageData.attachments.push({
-      type: 'document',
-      name: document.file_name || 'Document',
-      url: document.file_id,
-      size: document.file_size
-    });
-  }
-  
-  if (voice) {
-    messageData.attachments.push({
-      type: 'voice',
-      name: 'Voice Message',
-      url: voice.file_id,
-      size: voice.file_size,
-      duration: voice.duration
-    });
-  }
-  
-  // Save to database (you'll need to implement this)
-  await saveMessage(messageData);
-  
-  // Send confirmation to user
-  await bot.sendMessage(chat.id, '✅ Message received in your unified inbox!');
-  
-  console.log(`📨 Telegram message received from ${messageData.senderName}: ${text}`);
-}
+// Bot management for the caller's workspace. Updates are received through
+// /api/webhooks/telegram (or polling), not here.
 
-// Handle callback queries (button clicks)
-async function handleCallbackQuery(callbackQuery) {
-  const { id, data, message, from } = callbackQuery;
-  
-  try {
-    await bot.answerCallbackQuery(id);
-    
-    if (data === 'mark_read') {
-      // Mark message as read
-      await markMessageAsRead(message.message_id);
-      await bot.editMessageText('✅ Marked as read', {
-        chat_id: message.chat.id,
-        message_id: message.message_id
-      });
-    }
-    
-  } catch (error) {
-    console.error('Callback query error:', error);
-  }
-}
-
-// Save message to database
-async function saveMessage(messageData) {
-  try {
-    // TODO: Implement database save
-    // For now, we'll just log it
-    console.log('💾 Saving message:', messageData);
-    
-    // You can implement this with your message service
-    // await messageService.createMessage(messageData);
-    
-  } catch (error) {
-    console.error('Failed to save message:', error);
-  }
-}
-
-// Mark message as read
-async function markMessageAsRead(messageId) {
-  try {
-    // TODO: Implement database update
-    console.log('📖 Marking message as read:', messageId);
-    
-    // You can implement this with your message service
-    // await messageService.updateMessageStatus(messageId, 'read');
-    
-  } catch (error) {
-    console.error('Failed to mark message as read:', error);
+// The caller's workspace bot for the authenticated routes below
+function requireWorkspaceBot(req, res, next) {
+  const telegram = platformService.forWorkspace(req.workspaceId).getPlatform('telegram');
+  if (!telegram || !telegram.instance) {
+    return res.status(400).json({ error: 'Telegram not configured for this workspace' });
   }
+  req.bot = telegram.instance;
+  next();
 }
 
-// Send message via Telegram
-router.post('/send', async (req, res) => {
+// Send message via Telegram; multipart bodies may carry photos, voice notes
+// and documents in `files`, the text becoming the first file's caption
+router.post('/send', authenticateToken, resolveWorkspace, requirePermission('messages:send'), requireWorkspaceBot, receiveAttachments, async (req, res) => {
   try {
     const { chatId, text, replyToMessageId } = req.body;
+    const files = req.files || [];
     
-    if (!chatId || !text) {
+    if (!chatId || !(text || files.length > 0)) {
       return res.status(400).json({ error: 'Missing chatId or text' });
     }
     
@@ -186,47 +41,74 @@ router.post('/send', async (req, res) => {
       options.reply_to_message_id = replyToMessageId;
     }
     
-    const sentMessage = await bot.sendMessage(chatId, text, options);
-    
+    if (files.length === 0) {
+      const sentMessage = await req.bot.sendMessage(chatId, text, options);
+      return res.json({
+        success: true,
+        messageId: sentMessage.message_id,
+        timestamp: sentMessage.date
+      });
+    }
+
+    const uploads = attachmentService.prepareUploads('telegram', files);
+    const telegram = platformService.forWorkspace(req.workspaceId);
+    const sentMessages = [];
+    for (const [index, { file, kind, mimeType }] of uploads.entries()) {
+      const caption = index === 0 && text ? { caption: text } : {};
+      sentMessages.push(await telegram.sendTelegramFile(chatId, {
+        kind,
+        mimeType,
+        filename: file.originalname
+      }, file.buffer, { ...options, ...caption }));
+    }
+
     res.json({
       success: true,
-      messageId: sentMessage.message_id,
-      timestamp: sentMessage.date
+      messageId: sentMessages[0].message_id,
+      messageIds: sentMessages.map(sentMessage => sentMessage.message_id),
+      timestamp: sentMessages[0].date
     });
     
   } catch (error) {
-    console.error('Failed to send Telegram message:', error);
+    if (error.message.startsWith('Invalid attachment')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Failed to send Telegram message:', redact(error));
     res.status(500).json({ error: 'Failed to send message' });
   }
 });
 
 // Get bot info
-router.get('/info', async (req, res) => {
+router.get('/info', authenticateToken, resolveWorkspace, requirePermission('platforms:read'), requireWorkspaceBot, async (req, res) => {
   try {
-    const botInfo = await bot.getMe();
+    const botInfo = await req.bot.getMe();
     res.json({
       success: true,
       bot: botInfo
     });
   } catch (error) {
-    console.error('Failed to get bot info:', error);
+    console.error('Failed to get bot info:', redact(error));
     res.status(500).json({ error: 'Failed to get bot info' });
   }
 });
 
 // Set webhook
-router.post('/set-webhook', async (req, res) => {
+router.post('/set-webhook', authenticateToken, resolveWorkspace, requirePermission('platforms:manage'), requireWorkspaceBot, async (req, res) => {
   try {
-    const webhookUrl = process.env.TELEGRAM_WEBHOOK_URL;
-    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    const webhookUrl = req.workspaceId === DEFAULT_WORKSPACE_ID
+      ? process.env.TELEGRAM_WEBHOOK_URL
+      : req.body.url;
+    // Telegram echoes it back; /api/webhooks/telegram checks it on every delivery
+    const secret = workspaceService.getPlatformCredentials(req.workspaceId).telegram?.webhookSecret ||
+      process.env.TELEGRAM_WEBHOOK_SECRET;
     
     if (!webhookUrl || !secret) {
       return res.status(400).json({ error: 'Missing webhook URL or secret' });
     }
     
-    const result = await bot.setWebhook(webhookUrl, {
-      secret_token: secret
-    });
+    // Telegram delivers through one channel at a time
+    await telegramPollingService.stopPolling(req.workspaceId);
+    const result = await platformService.forWorkspace(req.workspaceId).setTelegramWebhook(webhookUrl, secret);
     
     res.json({
       success: true,
@@ -235,9 +117,39 @@ router.post('/set-webhook', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Failed to set webhook:', error);
+    console.error('Failed to set webhook:', redact(error));
     res.status(500).json({ error: 'Failed to set webhook' });
   }
 });
 
+// Polling mode: receive updates without a public webhook URL (local development)
+router.get('/polling', authenticateToken, resolveWorkspace, requirePermission('platforms:read'), requireWorkspaceBot, (req, res) => {
+  res.json({
+    polling: telegramPollingService.isPolling(req.workspaceId),
+    state: telegramPollingService.getPollingState(req.workspaceId)
+  });
+});
+
+// Switch to polling; deletes the bot's webhook first
+router.post('/polling', authenticateToken, resolveWorkspace, requirePermission('platforms:manage'), requireWorkspaceBot, async (req, res) => {
+  try {
+    const state = await telegramPollingService.startPolling(req.workspaceId);
+    res.json({ success: true, polling: true, state });
+  } catch (error) {
+    console.error('Failed to start Telegram polling:', redact(error));
+    res.status(500).json({ error: 'Failed to start polling' });
+  }
+});
+
+// Stop polling; set a webhook afterwards to keep receiving updates
+router.delete('/polling', authenticateToken, resolveWorkspace, requirePermission('platforms:manage'), async (req, res) => {
+  try {
+    const stopped = await telegramPollingService.stopPolling(req.workspaceId);
+    res.json({ success: true, polling: false, stopped });
+  } catch (error) {
+    console.error('Failed to stop Telegram polling:', redact(error));
+    res.status(500).json({ error: 'Failed to stop polling' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const webhookQueueService = require('../services/webhookQueueService');
+const { requirePermission } = require('../middleware/permissions');
+
+// Queue depth and dead-letter count
+router.get('/stats', requirePermission('webhooks:read'), (req, res) => {
+  try {
+    res.json({ stats: webhookQueueService.getQueueStats(req.workspaceId) });
+  } catch (error) {
+    console.error('Error fetching webhook queue stats:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook queue stats' });
+  }
+});
+
+// List dead-lettered webhook events
+router.get('/dead-letters', requirePermission('webhooks:read'), (req, res) => {
+  try {
+    const deadLetters = webhookQueueService.getDeadLetters(req.workspaceId, { platform: req.query.platform });
+    res.json({ deadLetters, total: deadLetters.length });
+  } catch (error) {
+    console.error('Error fetching dead letters:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letters' });
+  }
+});
+
+// Dead letters of other workspaces answer 404, like missing ones
+function loadDeadLetter(req, res, next) {
+  req.deadLetter = webhookQueueService.getDeadLetter(req.workspaceId, req.params.id);
+  if (!req.deadLetter) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  next();
+}
+
+// Get a dead-lettered event, including its raw payload and error history
+router.get('/dead-letters/:id', requirePermission('webhooks:read'), loadDeadLetter, (req, res) => {
+  res.json({ deadLetter: req.deadLetter });
+});
+
+// Requeue a dead-lettered event for another round of processing
+router.post('/dead-letters/:id/replay', requirePermission('webhooks:manage'), loadDeadLetter, async (req, res) => {
+  try {
+    const event = await webhookQueueService.replayDeadLetter(req.params.id);
+    res.json({ message: 'Dead letter requeued', eventId: event.id });
+  } catch (error) {
+    if (error.message === 'Dead letter not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error replaying dead letter:', error);
+    res.status(500).json({ error: 'Failed to replay dead letter' });
+  }
+});
+
+// Discard a dead-lettered event
+router.delete('/dead-letters/:id', requirePermission('webhooks:manage'), loadDeadLetter, async (req, res) => {
+  try {
+    await webhookQueueService.deleteDeadLetter(req.params.id);
+    res.json({ message: 'Dead letter deleted', eventId: req.params.id });
+  } catch (error) {
+    if (error.message === 'Dead letter not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Error deleting dead letter:', error);
+    res.status(500).json({ error: 'Failed to delete dead letter' });
+  }
+});
+
+module.exports = router;
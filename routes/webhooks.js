@@ -2,7 +2,23 @@ const express = require('express');
 const router = express.Router();
 const platformService = require('../services/platformService');
 const messageService = require('../services/messageService');
+const webhookQueueService = require('../services/webhookQueueService');
+const workspaceService = require('../services/workspaceService');
+const gmailSyncService = require('../services/gmailSyncService');
+const { decodeGmailNotification } = require('../services/webhookNormalizer');
+const { authenticateToken } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { requirePermission } = require('../middleware/permissions');
+const {
+  verifyTelegramSecretToken,
+  verifyWhatsAppSignature,
+  verifyInstagramSignature,
+  verifyTwitterSignature,
+  verifyGmailPushToken,
+  getRejectionStats
+} = require('../middleware/webhookSignature');
 const winston = require('winston');
+const { redactSecrets } = require('../services/credentialVault');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -10,6 +26,7 @@ const logger = winston.createLogger({
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactSecrets(),
     winston.format.json()
   ),
   defaultMeta: { service: 'webhook-routes' },
@@ -19,86 +36,44 @@ const logger = winston.createLogger({
   ]
 });
 
-// =============================================================================
-// TELEGRAM WEBHOOK
-// =============================================================================
-router.post('/telegram', async (req, res) => {
-  try {
-    const { message, edited_message, channel_post, edited_channel_post } = req.body;
-    
-    if (!message && !edited_message && !channel_post && !edited_channel_post) {
-      return res.status(200).json({ ok: true, message: 'No message content' });
-    }
-
-    const msg = message || edited_message || channel_post || edited_channel_post;
-    
-    // Create unified message format
-    const unifiedMessage = {
-      platform: 'telegram',
-      sender: msg.from.username || msg.from.first_name || 'Unknown',
-      senderId: msg.from.id.toString(),
-      recipient: msg.chat.username || msg.chat.title || 'Unknown',
-      recipientId: msg.chat.id.toString(),
-      text: msg.text || msg.caption || '',
-      timestamp: new Date(msg.date * 1000),
-      type: 'message',
-      platformMessageId: msg.message_id.toString(),
-      metadata: {
-        chatType: msg.chat.type,
-        isEdited: !!edited_message || !!edited_channel_post,
-        hasMedia: !!(msg.photo || msg.video || msg.document || msg.audio || msg.voice)
-      }
-    };
+// Each workspace registers its own callback URL, /api/webhooks/<platform>/<workspaceId>.
+// The bare /api/webhooks/<platform> URL delivers into the default workspace.
+function resolveWebhookWorkspace(req, res, next) {
+  const { workspaceId } = req.params;
+  if (workspaceId && !workspaceService.getWorkspace(workspaceId)) {
+    logger.warn(`Webhook for unknown workspace ${workspaceId} rejected`);
+    return res.status(404).json({ ok: false, error: 'Workspace not found' });
+  }
 
-    // Handle media attachments
-    if (msg.photo || msg.video || msg.document || msg.audio || msg.voice) {
-      unifiedMessage.attachments = [];
-      
-      if (msg.photo) {
-        unifiedMessage.attachments.push({
-          type: 'image',
-          url: msg.photo[msg.photo.length - 1].file_id, // Get highest quality
-          platform: 'telegram'
-        });
-      }
-      
-      if (msg.video) {
-        unifiedMessage.attachments.push({
-          type: 'video',
-          url: msg.video.file_id,
-          platform: 'telegram'
-        });
-      }
-      
-      if (msg.document) {
-        unifiedMessage.attachments.push({
-          type: 'document',
-          url: msg.document.file_id,
-          filename: msg.document.file_name,
-          platform: 'telegram'
-        });
-      }
+  req.workspaceId = workspaceId || workspaceService.DEFAULT_WORKSPACE_ID;
+  next();
+}
+
+// Persist the raw payload and acknowledge immediately; parsing, AI analysis and
+// storage happen in the webhook queue worker, which retries on failure.
+function queueWebhook(platform) {
+  return async (req, res) => {
+    try {
+      const event = await webhookQueueService.enqueue(req.workspaceId, platform, req.body);
+      res.status(200).json({ ok: true, eventId: event.id });
+    } catch (error) {
+      logger.error(`Error queueing ${platform} webhook:`, error);
+      res.status(500).json({ ok: false, error: 'Internal server error' });
     }
+  };
+}
 
-    // Store message
-    const savedMessage = await messageService.createMessage(unifiedMessage);
-    
-    // Emit real-time update
-    req.app.get('io').to('platform:telegram').emit('message:new', savedMessage);
-    
-    logger.info(`Telegram message processed: ${savedMessage.id}`);
-    res.status(200).json({ ok: true, messageId: savedMessage.id });
-    
-  } catch (error) {
-    logger.error('Error processing Telegram webhook:', error);
-    res.status(500).json({ ok: false, error: 'Internal server error' });
-  }
-});
+// =============================================================================
+// TELEGRAM WEBHOOK
+// =============================================================================
+// Updates are queued raw, like those TelegramPollingService fetches; the queue
+// stores messages (new and edited) and runs callback_query actions
+router.post('/telegram/:workspaceId?', resolveWebhookWorkspace, verifyTelegramSecretToken, queueWebhook('telegram'));
 
 // =============================================================================
 // WHATSAPP WEBHOOK
 // =============================================================================
-router.get('/whatsapp', (req, res) => {
+router.get('/whatsapp/:workspaceId?', resolveWebhookWorkspace, (req, res) => {
   try {
     const { 'hub.mode': mode, 'hub.verify_token': token, 'hub.challenge': challenge } = req.query;
     
@@ -115,89 +90,12 @@ router.get('/whatsapp', (req, res) => {
   }
 });
 
-router.post('/whatsapp', async (req, res) => {
-  try {
-    const { object, entry } = req.body;
-    
-    if (object !== 'whatsapp_business_account') {
-      return res.status(200).json({ ok: true, message: 'Not a WhatsApp message' });
-    }
-
-    for (const entryItem of entry) {
-      for (const change of entryItem.changes) {
-        if (change.value?.messages) {
-          for (const message of change.value.messages) {
-            // Create unified message format
-            const unifiedMessage = {
-              platform: 'whatsapp',
-              sender: message.from,
-              senderId: message.from,
-              recipient: change.value.metadata.phone_number_id,
-              recipientId: change.value.metadata.phone_number_id,
-              text: message.text?.body || '',
-              timestamp: new Date(parseInt(message.timestamp) * 1000),
-              type: 'message',
-              platformMessageId: message.id,
-              metadata: {
-                messageType: message.type,
-                phoneNumberId: change.value.metadata.phone_number_id
-              }
-            };
-
-            // Handle media attachments
-            if (message.image || message.video || message.document || message.audio) {
-              unifiedMessage.attachments = [];
-              
-              if (message.image) {
-                unifiedMessage.attachments.push({
-                  type: 'image',
-                  url: message.image.id,
-                  platform: 'whatsapp'
-                });
-              }
-              
-              if (message.video) {
-                unifiedMessage.attachments.push({
-                  type: 'video',
-                  url: message.video.id,
-                  platform: 'whatsapp'
-                });
-              }
-              
-              if (message.document) {
-                unifiedMessage.attachments.push({
-                  type: 'document',
-                  url: message.document.id,
-                  filename: message.document.filename,
-                  platform: 'whatsapp'
-                });
-              }
-            }
-
-            // Store message
-            const savedMessage = await messageService.createMessage(unifiedMessage);
-            
-            // Emit real-time update
-            req.app.get('io').to('platform:whatsapp').emit('message:new', savedMessage);
-            
-            logger.info(`WhatsApp message processed: ${savedMessage.id}`);
-          }
-        }
-      }
-    }
-    
-    res.status(200).json({ ok: true });
-    
-  } catch (error) {
-    logger.error('Error processing WhatsApp webhook:', error);
-    res.status(500).json({ ok: false, error: 'Internal server error' });
-  }
-});
+router.post('/whatsapp/:workspaceId?', resolveWebhookWorkspace, verifyWhatsAppSignature, queueWebhook('whatsapp'));
 
 // =============================================================================
 // INSTAGRAM WEBHOOK
 // =============================================================================
-router.get('/instagram', (req, res) => {
+router.get('/instagram/:workspaceId?', resolveWebhookWorkspace, (req, res) => {
   try {
     const { 'hub.mode': mode, 'hub.verify_token': token, 'hub.challenge': challenge } = req.query;
     
@@ -214,64 +112,17 @@ router.get('/instagram', (req, res) => {
   }
 });
 
-router.post('/instagram', async (req, res) => {
-  try {
-    const { object, entry } = req.body;
-    
-    if (object !== 'instagram') {
-      return res.status(200).json({ ok: true, message: 'Not an Instagram message' });
-    }
-
-    for (const entryItem of entry) {
-      for (const change of entryItem.changes) {
-        if (change.value?.messages) {
-          for (const message of change.value.messages) {
-            // Create unified message format
-            const unifiedMessage = {
-              platform: 'instagram',
-              sender: message.from?.username || 'Unknown',
-              senderId: message.from?.id?.toString() || 'Unknown',
-              recipient: change.value.metadata?.instagram_business_account_id || 'Unknown',
-              recipientId: change.value.metadata?.instagram_business_account_id || 'Unknown',
-              text: message.text || '',
-              timestamp: new Date(parseInt(message.timestamp) * 1000),
-              type: 'message',
-              platformMessageId: message.id,
-              metadata: {
-                messageType: message.type,
-                instagramBusinessAccountId: change.value.metadata?.instagram_business_account_id
-              }
-            };
-
-            // Store message
-            const savedMessage = await messageService.createMessage(unifiedMessage);
-            
-            // Emit real-time update
-            req.app.get('io').to('platform:instagram').emit('message:new', savedMessage);
-            
-            logger.info(`Instagram message processed: ${savedMessage.id}`);
-          }
-        }
-      }
-    }
-    
-    res.status(200).json({ ok: true });
-    
-  } catch (error) {
-    logger.error('Error processing Instagram webhook:', error);
-    res.status(500).json({ ok: false, error: 'Internal server error' });
-  }
-});
+router.post('/instagram/:workspaceId?', resolveWebhookWorkspace, verifyInstagramSignature, queueWebhook('instagram'));
 
 // =============================================================================
 // TWITTER WEBHOOK
 // =============================================================================
-router.get('/twitter', (req, res) => {
+router.get('/twitter/:workspaceId?', resolveWebhookWorkspace, (req, res) => {
   try {
     const { crc_token } = req.query;
     
     if (crc_token) {
-      const response = platformService.verifyTwitterWebhook(crc_token);
+      const response = platformService.forWorkspace(req.workspaceId).verifyTwitterWebhook(crc_token);
       logger.info('Twitter webhook verified successfully');
       res.status(200).json(response);
     } else {
@@ -284,117 +135,51 @@ router.get('/twitter', (req, res) => {
   }
 });
 
-router.post('/twitter', async (req, res) => {
-  try {
-    const { direct_message_events, users } = req.body;
-    
-    if (!direct_message_events || !users) {
-      return res.status(200).json({ ok: true, message: 'No direct message events' });
-    }
-
-    for (const dmEvent of direct_message_events) {
-      if (dmEvent.type === 'message_create') {
-        const message = dmEvent.message_create;
-        const sender = users.find(u => u.id === message.sender_id);
-        const recipient = users.find(u => u.id === message.target.recipient_id);
-        
-        // Create unified message format
-        const unifiedMessage = {
-          platform: 'twitter',
-          sender: sender?.username || 'Unknown',
-          senderId: sender?.id || 'Unknown',
-          recipient: recipient?.username || 'Unknown',
-          recipientId: recipient?.id || 'Unknown',
-          text: message.message_data?.text || '',
-          timestamp: new Date(parseInt(dmEvent.created_timestamp)),
-          type: 'message',
-          platformMessageId: dmEvent.id,
-          metadata: {
-            messageType: 'direct_message',
-            senderId: message.sender_id,
-            recipientId: message.target.recipient_id
-          }
-        };
-
-        // Store message
-        const savedMessage = await messageService.createMessage(unifiedMessage);
-        
-        // Emit real-time update
-        req.app.get('io').to('platform:twitter').emit('message:new', savedMessage);
-        
-        logger.info(`Twitter message processed: ${savedMessage.id}`);
-      }
-    }
-    
-    res.status(200).json({ ok: true });
-    
-  } catch (error) {
-    logger.error('Error processing Twitter webhook:', error);
-    res.status(500).json({ ok: false, error: 'Internal server error' });
-  }
-});
+router.post('/twitter/:workspaceId?', resolveWebhookWorkspace, verifyTwitterSignature, queueWebhook('twitter'));
 
 // =============================================================================
 // GMAIL WEBHOOK (PUSH NOTIFICATIONS)
 // =============================================================================
-router.post('/gmail', async (req, res) => {
+// One Pub/Sub push subscription can serve every workspace: the notification
+// goes to whichever workspace watches the mailbox. A workspace in the URL must
+// be the one watching it; notifications for unwatched mailboxes are refused.
+function resolveGmailMailbox(req, res, next) {
+  let notification;
   try {
-    const { message } = req.body;
-    
-    if (!message?.data) {
-      return res.status(200).json({ ok: true, message: 'No message data' });
-    }
-
-    // Gmail push notifications contain encoded message data
-    const messageData = JSON.parse(Buffer.from(message.data, 'base64').toString());
-    
-    // Create unified message format
-    const unifiedMessage = {
-      platform: 'gmail',
-      sender: messageData.from || 'Unknown',
-      senderId: messageData.from || 'Unknown',
-      recipient: messageData.to || 'Unknown',
-      recipientId: messageData.to || 'Unknown',
-      text: messageData.snippet || '',
-      subject: messageData.subject || '',
-      timestamp: new Date(parseInt(messageData.internalDate)),
-      type: 'email',
-      platformMessageId: messageData.id,
-      metadata: {
-        messageType: 'email',
-        threadId: messageData.threadId,
-        labelIds: messageData.labelIds || []
-      }
-    };
-
-    // Store message
-    const savedMessage = await messageService.createMessage(unifiedMessage);
-    
-    // Emit real-time update
-    req.app.get('io').to('platform:gmail').emit('message:new', savedMessage);
-    
-    logger.info(`Gmail message processed: ${savedMessage.id}`);
-    res.status(200).json({ ok: true, messageId: savedMessage.id });
-    
+    notification = decodeGmailNotification(req.body);
   } catch (error) {
-    logger.error('Error processing Gmail webhook:', error);
-    res.status(500).json({ ok: false, error: 'Internal server error' });
+    logger.warn(`Undecodable Gmail notification: ${error.message}`);
   }
-});
+  if (!notification) {
+    return res.status(400).json({ ok: false, error: 'Invalid Gmail notification' });
+  }
+
+  const state = gmailSyncService.findByEmailAddress(notification.emailAddress);
+  if (!state || (req.params.workspaceId && state.workspaceId !== req.params.workspaceId)) {
+    logger.warn(`Gmail notification for unwatched mailbox ${notification.emailAddress} rejected`);
+    return res.status(404).json({ ok: false, error: 'Mailbox not watched by this workspace' });
+  }
+
+  req.workspaceId = state.workspaceId;
+  next();
+}
+
+router.post('/gmail/:workspaceId?', resolveWebhookWorkspace, verifyGmailPushToken, resolveGmailMailbox, queueWebhook('gmail'));
 
 // =============================================================================
 // WEBHOOK STATUS & MANAGEMENT
 // =============================================================================
-router.get('/status', async (req, res) => {
+router.get('/status', authenticateToken, resolveWorkspace, requirePermission('platforms:read'), async (req, res) => {
   try {
-    const platforms = platformService.getAllPlatforms();
+    const rejectionStats = getRejectionStats(req.workspaceId);
     const webhookStatus = {};
     
-    for (const platform of platforms) {
-      webhookStatus[platform.name] = {
-        status: platform.status,
-        webhookConfigured: !!process.env[`${platform.name.toUpperCase()}_WEBHOOK_URL`],
-        lastActivity: new Date().toISOString() // This would be tracked in production
+    for (const [name, platform] of platformService.forWorkspace(req.workspaceId).platforms) {
+      webhookStatus[name] = {
+        status: platform.config.status,
+        webhookConfigured: !!process.env[`${name.toUpperCase()}_WEBHOOK_URL`],
+        lastActivity: new Date().toISOString(), // This would be tracked in production
+        rejectedDeliveries: rejectionStats[name] || { total: 0, reasons: {}, lastRejectedAt: null }
       };
     }
     
@@ -413,17 +198,18 @@ router.get('/status', async (req, res) => {
 // =============================================================================
 // WEBHOOK TESTING
 // =============================================================================
-router.post('/test/:platform', async (req, res) => {
+router.post('/test/:platform', authenticateToken, resolveWorkspace, requirePermission('platforms:manage'), async (req, res) => {
   try {
     const { platform } = req.params;
     const testMessage = req.body;
     
-    if (!platformService.platforms.has(platform)) {
+    if (!platformService.forWorkspace(req.workspaceId).platforms.has(platform)) {
       return res.status(400).json({ ok: false, error: `Platform ${platform} not supported` });
     }
     
     // Create a test message
     const unifiedMessage = {
+      workspaceId: req.workspaceId,
       platform,
       sender: testMessage.sender || 'Test User',
       senderId: testMessage.senderId || 'test_123',
@@ -440,7 +226,7 @@ router.post('/test/:platform', async (req, res) => {
     const savedMessage = await messageService.createMessage(unifiedMessage);
     
     // Emit real-time update
-    req.app.get('io').to(`platform:${platform}`).emit('message:new', savedMessage);
+    req.app.get('io').to(`workspace:${req.workspaceId}:platform:${platform}`).emit('message:new', savedMessage);
     
     logger.info(`Test message sent for platform ${platform}: ${savedMessage.id}`);
     res.json({ ok: true, messageId: savedMessage.id, platform });
@@ -0,0 +1,88 @@
+const express = require('express');
+const request = require('supertest');
+const { google } = require('googleapis');
+const webhookRoutes = require('./webhooks');
+const webhookQueueService = require('../services/webhookQueueService');
+const workspaceService = require('../services/workspaceService');
+const gmailSyncService = require('../services/gmailSyncService');
+
+const app = express();
+app.use(express.json());
+app.use('/api/webhooks', webhookRoutes);
+
+// A Cloud Pub/Sub push delivery of a Gmail notification
+function gmailPush(emailAddress) {
+  const data = Buffer.from(JSON.stringify({ emailAddress, historyId: 9001 })).toString('base64');
+  return { message: { data, messageId: '1' }, subscription: 'projects/unified-inbox/subscriptions/gmail-push' };
+}
+
+describe('Gmail push webhook', () => {
+  beforeAll(async () => {
+    await workspaceService.createWorkspace({ id: 'ws_mailbox', name: 'Mailbox' });
+    await workspaceService.createWorkspace({ id: 'ws_no_mailbox', name: 'No mailbox' });
+    await gmailSyncService.state.set({ id: 'ws_mailbox', workspaceId: 'ws_mailbox', emailAddress: 'support@example.com' });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(webhookQueueService, 'enqueue').mockImplementation(async (workspaceId, platform) => ({ id: 'evt_1', workspaceId, platform }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.GMAIL_PUSH_VERIFICATION_TOKEN;
+    delete process.env.GMAIL_PUSH_AUDIENCE;
+    delete process.env.GMAIL_PUSH_SERVICE_ACCOUNT;
+  });
+
+  test('is refused until push authentication is configured', async () => {
+    const res = await request(app).post('/api/webhooks/gmail').send(gmailPush('support@example.com'));
+
+    expect(res.status).toBe(401);
+    expect(webhookQueueService.enqueue).not.toHaveBeenCalled();
+  });
+
+  test('needs the verification token of the push subscription', async () => {
+    process.env.GMAIL_PUSH_VERIFICATION_TOKEN = 'push-token';
+
+    await request(app).post('/api/webhooks/gmail').send(gmailPush('support@example.com')).expect(401);
+    await request(app).post('/api/webhooks/gmail?token=wrong').send(gmailPush('support@example.com')).expect(401);
+    const res = await request(app).post('/api/webhooks/gmail?token=push-token').send(gmailPush('support@example.com'));
+
+    expect(res.status).toBe(200);
+    expect(webhookQueueService.enqueue).toHaveBeenCalledWith('ws_mailbox', 'gmail', expect.any(Object));
+  });
+
+  test('accepts a Pub/Sub OIDC token from the configured service account', async () => {
+    process.env.GMAIL_PUSH_AUDIENCE = 'https://inbox.example.com/api/webhooks/gmail';
+    process.env.GMAIL_PUSH_SERVICE_ACCOUNT = 'gmail-push@unified-inbox.iam.gserviceaccount.com';
+    const verifyIdToken = jest.spyOn(google.auth.OAuth2.prototype, 'verifyIdToken').mockImplementation(async ({ idToken }) => ({
+      getPayload: () => ({
+        email: idToken === 'pubsub-token' ? process.env.GMAIL_PUSH_SERVICE_ACCOUNT : 'someone@example.com',
+        email_verified: true
+      })
+    }));
+
+    await request(app).post('/api/webhooks/gmail').send(gmailPush('support@example.com')).expect(401);
+    await request(app).post('/api/webhooks/gmail')
+      .set('Authorization', 'Bearer other-token')
+      .send(gmailPush('support@example.com'))
+      .expect(401);
+    await request(app).post('/api/webhooks/gmail')
+      .set('Authorization', 'Bearer pubsub-token')
+      .send(gmailPush('support@example.com'))
+      .expect(200);
+
+    expect(verifyIdToken).toHaveBeenLastCalledWith({ idToken: 'pubsub-token', audience: process.env.GMAIL_PUSH_AUDIENCE });
+  });
+
+  test('refuses mailboxes no workspace watches, or another workspace watches', async () => {
+    process.env.GMAIL_PUSH_VERIFICATION_TOKEN = 'push-token';
+
+    await request(app).post('/api/webhooks/gmail?token=push-token').send(gmailPush('stranger@example.com')).expect(404);
+    await request(app).post('/api/webhooks/gmail/ws_no_mailbox?token=push-token').send(gmailPush('support@example.com')).expect(404);
+    await request(app).post('/api/webhooks/gmail?token=push-token').send({ message: {} }).expect(400);
+    await request(app).post('/api/webhooks/gmail/ws_mailbox?token=push-token').send(gmailPush('Support@Example.com')).expect(200);
+
+    expect(webhookQueueService.enqueue).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const whatsappTemplateService = require('../services/whatsappTemplateService');
+const messageService = require('../services/messageService');
+const { redact } = require('../services/credentialVault');
+const { requirePermission } = require('../middleware/permissions');
+
+// Map template registry errors onto HTTP responses
+function handleTemplateError(res, error, fallbackMessage) {
+  if (error.message === 'Template not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.startsWith('Invalid template') || error.message.startsWith('Missing template parameter')) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, redact(error));
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Registered message templates of the workspace
+router.get('/templates', requirePermission('platforms:read'), (req, res) => {
+  const templates = whatsappTemplateService.listTemplates(req.workspaceId);
+  res.json({ templates, total: templates.length });
+});
+
+router.get('/templates/:id', requirePermission('platforms:read'), (req, res) => {
+  const template = whatsappTemplateService.getTemplate(req.workspaceId, req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.json({ template });
+});
+
+// Register a template approved in WhatsApp Manager
+router.post('/templates', requirePermission('platforms:manage'), async (req, res) => {
+  try {
+    const template = await whatsappTemplateService.createTemplate(req.workspaceId, req.body);
+    res.status(201).json({ template });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to register template');
+  }
+});
+
+router.put('/templates/:id', requirePermission('platforms:manage'), async (req, res) => {
+  try {
+    const template = await whatsappTemplateService.updateTemplate(req.workspaceId, req.params.id, req.body);
+    res.json({ template });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to update template');
+  }
+});
+
+router.delete('/templates/:id', requirePermission('platforms:manage'), async (req, res) => {
+  try {
+    await whatsappTemplateService.deleteTemplate(req.workspaceId, req.params.id);
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to delete template');
+  }
+});
+
+// Preview the message a template sends with the given parameters
+router.post('/templates/:id/preview', requirePermission('platforms:read'), (req, res) => {
+  try {
+    const template = whatsappTemplateService.getTemplate(req.workspaceId, req.params.id);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(whatsappTemplateService.buildTemplateMessage(template, req.body.parameters));
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to preview template');
+  }
+});
+
+// Whether free text can still be sent: ?conversationId= or ?recipient=<customer phone>
+router.get('/window', requirePermission('messages:read'), async (req, res) => {
+  try {
+    const { conversationId, recipient } = req.query;
+    if (!conversationId && !recipient) {
+      return res.status(400).json({ error: 'conversationId or recipient is required' });
+    }
+
+    const window = await messageService.getWhatsAppWindow(req.workspaceId, { conversationId, recipientId: recipient });
+    res.json({ window });
+  } catch (error) {
+    console.error('Error checking WhatsApp window:', redact(error));
+    res.status(500).json({ error: 'Failed to check customer service window' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const pluginService = require('../services/pluginService');
+const { requirePermission } = require('../middleware/permissions');
+
+// List available plugins with their config schemas
+router.get('/plugins', requirePermission('workflows:read'), (req, res) => {
+  try {
+    const plugins = pluginService.getAvailablePlugins();
+    res.json({ plugins });
+  } catch (error) {
+    console.error('Error getting plugins:', error);
+    res.status(500).json({ error: 'Failed to get plugins' });
+  }
+});
+
+// List all workflows
+router.get('/', requirePermission('workflows:read'), (req, res) => {
+  try {
+    const workflows = pluginService.getAllWorkflows(req.workspaceId);
+    res.json({ workflows, total: workflows.length });
+  } catch (error) {
+    console.error('Error getting workflows:', error);
+    res.status(500).json({ error: 'Failed to get workflows' });
+  }
+});
+
+// Get a workflow by ID
+router.get('/:id', requirePermission('workflows:read'), (req, res) => {
+  try {
+    const workflow = pluginService.getWorkflow(req.workspaceId, req.params.id);
+    if (!workflow) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    res.json({ workflow });
+  } catch (error) {
+    console.error('Error getting workflow:', error);
+    res.status(500).json({ error: 'Failed to get workflow' });
+  }
+});
+
+// Create a workflow
+router.post('/', requirePermission('workflows:manage'), async (req, res) => {
+  try {
+    const { name, description, pluginId, config = {}, triggers = [], actions = [], enabled = false } = req.body;
+
+    if (!name || !pluginId) {
+      return res.status(400).json({ error: 'Workflow name and pluginId are required' });
+    }
+
+    const errors = pluginService.getWorkflowConfigErrors({ pluginId, config, triggers, actions });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid workflow configuration', details: errors });
+    }
+
+    const workflow = await pluginService.createWorkflow({
+      workspaceId: req.workspaceId,
+      name,
+      description,
+      pluginId,
+      config,
+      triggers,
+      actions,
+      enabled: enabled === true
+    });
+
+    res.status(201).json({ workflow });
+  } catch (error) {
+    console.error('Error creating workflow:', error);
+    res.status(500).json({ error: 'Failed to create workflow' });
+  }
+});
+
+// Update a workflow
+router.put('/:id', requirePermission('workflows:manage'), async (req, res) => {
+  try {
+    const existing = pluginService.getWorkflow(req.workspaceId, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    const { name, description, config, triggers, actions } = req.body;
+    const errors = pluginService.getWorkflowConfigErrors({
+      pluginId: existing.pluginId,
+      config: config !== undefined ? config : existing.config,
+      triggers: triggers !== undefined ? triggers : existing.triggers,
+      actions: actions !== undefined ? actions : existing.actions
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid workflow configuration', details: errors });
+    }
+
+    const workflow = await pluginService.updateWorkflow(req.params.id, {
+      name,
+      description,
+      config,
+      triggers,
+      actions
+    });
+
+    res.json({ workflow });
+  } catch (error) {
+    console.error('Error updating workflow:', error);
+    res.status(500).json({ error: 'Failed to update workflow' });
+  }
+});
+
+// Enable a workflow
+router.post('/:id/enable', requirePermission('workflows:manage'), async (req, res) => {
+  try {
+    if (!pluginService.getWorkflow(req.workspaceId, req.params.id)) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    await pluginService.toggleWorkflow(req.params.id, true);
+    res.json({ workflowId: req.params.id, enabled: true });
+  } catch (error) {
+    console.error('Error enabling workflow:', error);
+    res.status(500).json({ error: 'Failed to enable workflow' });
+  }
+});
+
+// Disable a workflow
+router.post('/:id/disable', requirePermission('workflows:manage'), async (req, res) => {
+  try {
+    if (!pluginService.getWorkflow(req.workspaceId, req.params.id)) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    await pluginService.toggleWorkflow(req.params.id, false);
+    res.json({ workflowId: req.params.id, enabled: false });
+  } catch (error) {
+    console.error('Error disabling workflow:', error);
+    res.status(500).json({ error: 'Failed to disable workflow' });
+  }
+});
+
+// Get workflow execution statistics
+router.get('/:id/stats', requirePermission('workflows:read'), (req, res) => {
+  try {
+    const stats = pluginService.getWorkflowStats(req.workspaceId, req.params.id);
+    if (!stats) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+    res.json({ stats });
+  } catch (error) {
+    console.error('Error getting workflow stats:', error);
+    res.status(500).json({ error: 'Failed to get workflow stats' });
+  }
+});
+
+// Delete a workflow
+router.delete('/:id', requirePermission('workflows:manage'), async (req, res) => {
+  try {
+    if (!pluginService.getWorkflow(req.workspaceId, req.params.id)) {
+      return res.status(404).json({ error: 'Workflow not found' });
+    }
+
+    await pluginService.deleteWorkflow(req.params.id);
+    res.json({ message: 'Workflow deleted successfully', workflowId: req.params.id });
+  } catch (error) {
+    console.error('Error deleting workflow:', error);
+    res.status(500).json({ error: 'Failed to delete workflow' });
+  }
+});
+
+module.exports = router;
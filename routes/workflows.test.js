@@ -0,0 +1,92 @@
+const request = require('supertest');
+const workflowsRouter = require('./workflows');
+const { createRouteApp } = require('../test/routeApp');
+
+const app = createRouteApp('/api/workflows', workflowsRouter);
+
+function createWorkflow(overrides = {}) {
+  return request(app).post('/api/workflows').send({
+    name: 'Escalate invoices',
+    pluginId: 'webhook',
+    config: { webhookUrl: 'https://hooks.example.com/inbox', events: ['message_received'] },
+    triggers: ['message_received'],
+    actions: ['http_request'],
+    ...overrides
+  });
+}
+
+describe('/api/workflows', () => {
+  test('lists the plugins with their config schemas', async () => {
+    const res = await request(app).get('/api/workflows/plugins');
+
+    expect(res.status).toBe(200);
+    const webhook = res.body.plugins.find(plugin => plugin.id === 'webhook');
+    expect(webhook.configSchema.webhookUrl).toEqual({ type: 'string', format: 'uri' });
+  });
+
+  test('creates a workflow disabled unless asked otherwise', async () => {
+    const res = await createWorkflow();
+
+    expect(res.status).toBe(201);
+    expect(res.body.workflow).toMatchObject({ name: 'Escalate invoices', workspaceId: 'ws_test', enabled: false });
+  });
+
+  test('rejects configs that do not match the plugin configSchema', async () => {
+    const res = await createWorkflow({
+      config: { webhookUrl: 'not a url', events: ['message_received', 42] },
+      triggers: ['keyword_detected']
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual([
+      'config.webhookUrl must be a valid URI',
+      'config.events[1] must be of type string',
+      'Invalid trigger for plugin webhook: keyword_detected'
+    ]);
+  });
+
+  test('requires a name and a known plugin', async () => {
+    expect((await createWorkflow({ name: '' })).status).toBe(400);
+
+    const unknown = await createWorkflow({ pluginId: 'nope' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.details).toEqual(['Plugin not found: nope']);
+  });
+
+  test('updates, toggles and deletes a workflow', async () => {
+    const { body: { workflow } } = await createWorkflow();
+
+    const invalid = await request(app).put(`/api/workflows/${workflow.id}`).send({ actions: ['send_message'] });
+    expect(invalid.status).toBe(400);
+
+    const updated = await request(app).put(`/api/workflows/${workflow.id}`).send({ name: 'Renamed' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.workflow.name).toBe('Renamed');
+
+    expect((await request(app).post(`/api/workflows/${workflow.id}/enable`)).body.enabled).toBe(true);
+    const stats = await request(app).get(`/api/workflows/${workflow.id}/stats`);
+    expect(stats.body.stats).toMatchObject({ name: 'Renamed', enabled: true, executionCount: 0 });
+    expect((await request(app).post(`/api/workflows/${workflow.id}/disable`)).body.enabled).toBe(false);
+
+    expect((await request(app).delete(`/api/workflows/${workflow.id}`)).status).toBe(200);
+    expect((await request(app).get(`/api/workflows/${workflow.id}`)).status).toBe(404);
+  });
+
+  test('keeps workflows inside their workspace', async () => {
+    const { body: { workflow } } = await createWorkflow();
+
+    const foreign = await request(app).get(`/api/workflows/${workflow.id}`).set('X-Test-Workspace', 'ws_other');
+    expect(foreign.status).toBe(404);
+
+    const list = await request(app).get('/api/workflows').set('X-Test-Workspace', 'ws_other');
+    expect(list.body.total).toBe(0);
+  });
+
+  test('needs workflows:manage to change workflows', async () => {
+    const res = await createWorkflow().set('X-Test-Role', 'agent');
+
+    expect(res.status).toBe(403);
+    expect(res.body.required).toBe('workflows:manage');
+    expect((await request(app).get('/api/workflows').set('X-Test-Role', 'agent')).status).toBe(200);
+  });
+});
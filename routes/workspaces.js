@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const workspaceService = require('../services/workspaceService');
+const userService = require('../services/userService');
+const platformService = require('../services/platformService');
+const { redact } = require('../services/credentialVault');
+const { isValidRole, canAssignRole } = require('../services/permissions');
+const { requirePermission } = require('../middleware/permissions');
+
+// Map workspace errors onto HTTP responses
+function handleWorkspaceError(res, error, fallbackMessage) {
+  if (error.message === 'Workspace not found' || error.message === 'Member not found') {
+    return res.status(404).json({ error: error.message });
+  }
+  if (
+    error.message === 'Workspace name is required' ||
+    error.message === 'User is already a member' ||
+    error.message === 'Cannot remove the workspace owner' ||
+    error.message === 'Cannot change the workspace owner\'s role' ||
+    error.message.startsWith('Invalid role') ||
+    error.message.startsWith('Missing ') ||
+    error.message.startsWith('Unsupported platform')
+  ) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, redact(error));
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Load :id for members only; everyone else gets the same 403 as resolveWorkspace
+function loadWorkspace(req, res, next) {
+  const membership = workspaceService.getMembership(req.params.id, req.user.userId);
+  if (!membership) {
+    return res.status(403).json({ error: 'Not a member of this workspace' });
+  }
+  req.workspace = workspaceService.getWorkspace(req.params.id);
+  req.workspaceRole = membership.role;
+  next();
+}
+
+// Admins may manage supervisors, agents and read-only members; only the owner
+// may grant or revoke admin
+function rejectRoleChange(res, role) {
+  return res.status(403).json({ error: `Your role cannot manage ${role} members` });
+}
+
+// List the caller's workspaces
+router.get('/', (req, res) => {
+  const workspaces = workspaceService.getWorkspacesForUser(req.user.userId).map(workspace => ({
+    ...workspaceService.toPublicWorkspace(workspace),
+    role: workspace.members.find(member => member.userId === req.user.userId).role
+  }));
+  res.json({ workspaces, total: workspaces.length });
+});
+
+// Create a workspace owned by the caller
+router.post('/', async (req, res) => {
+  try {
+    const workspace = await workspaceService.createWorkspace({ name: req.body.name, ownerId: req.user.userId });
+    res.status(201).json({ workspace: workspaceService.toPublicWorkspace(workspace) });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Failed to create workspace');
+  }
+});
+
+router.get('/:id', loadWorkspace, (req, res) => {
+  res.json({ workspace: workspaceService.toPublicWorkspace(req.workspace), role: req.workspaceRole });
+});
+
+// Rename a workspace
+router.patch('/:id', loadWorkspace, requirePermission('workspace:manage'), async (req, res) => {
+  try {
+    const workspace = await workspaceService.updateWorkspace(req.params.id, { name: req.body.name });
+    res.json({ workspace: workspaceService.toPublicWorkspace(workspace) });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Failed to update workspace');
+  }
+});
+
+// Add a registered user to the workspace by email
+router.post('/:id/members', loadWorkspace, requirePermission('members:manage'), async (req, res) => {
+  try {
+    const { email, role = 'agent' } = req.body;
+    // Unknown roles fall through to the service, which rejects them with a 400
+    if (isValidRole(role) && !canAssignRole(req.workspaceRole, role)) {
+      return rejectRoleChange(res, role);
+    }
+
+    const user = userService.findByEmail(email);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const member = await workspaceService.addMember(req.params.id, user.id, role);
+    res.status(201).json({ member });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Failed to add member');
+  }
+});
+
+// Remove a member; members may also remove themselves (leave)
+router.delete('/:id/members/:userId', loadWorkspace, async (req, res) => {
+  try {
+    if (req.params.userId !== req.user.userId) {
+      const target = req.workspace.members.find(member => member.userId === req.params.userId);
+      if (target && !canAssignRole(req.workspaceRole, target.role)) {
+        return rejectRoleChange(res, target.role);
+      }
+    }
+
+    await workspaceService.removeMember(req.params.id, req.params.userId);
+    res.json({ message: 'Member removed', userId: req.params.userId });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Failed to remove member');
+  }
+});
+
+// Connect a platform for this workspace with its own credentials
+router.put('/:id/platforms/:platform', loadWorkspace, requirePermission('platforms:manage'), async (req, res) => {
+  try {
+    const { platform } = req.params;
+    const { credentials } = req.body;
+
+    const configured = await platformService.forWorkspace(req.params.id).saveCredentials(platform, credentials);
+    res.json({ message: `${platform} connected`, platform, configured });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Failed to connect platform');
+  }
+});
+
+// Disconnect a platform from this workspace
+router.delete('/:id/platforms/:platform', loadWorkspace, requirePermission('platforms:manage'), async (req, res) => {
+  try {
+    const { platform } = req.params;
+    const removed = await workspaceService.removePlatformCredentials(req.params.id, platform);
+    if (!removed) {
+      return res.status(404).json({ error: `${platform} is not connected to this workspace` });
+    }
+
+    platformService.forWorkspace(req.params.id).reloadCredentials();
+    res.json({ message: `${platform} disconnected`, platform });
+  } catch (error) {
+    handleWorkspaceError(res, error, 'Failed to disconnect platform');
+  }
+});
+
+module.exports = router;
@@ -10,6 +10,39 @@ require('dotenv').config();
 // Import services and routes
 const platformService = require('./services/platformService');
 const messageService = require('./services/messageService');
+const schedulerService = require('./services/schedulerService');
+const webhookQueueService = require('./services/webhookQueueService');
+const deliveryStatusService = require('./services/deliveryStatusService');
+const gmailSyncService = require('./services/gmailSyncService');
+const telegramPollingService = require('./services/telegramPollingService');
+const authService = require('./services/authService');
+const userService = require('./services/userService');
+const workspaceService = require('./services/workspaceService');
+const credentialVault = require('./services/credentialVault');
+const { DEFAULT_DATA_DIR } = require('./services/storage/jsonFileStore');
+const { authenticateToken } = require('./middleware/auth');
+const { resolveWorkspace } = require('./middleware/workspace');
+
+// The app directory is served as static files; local state must live elsewhere
+const STATIC_ROOT = __dirname;
+function assertOutsideStaticRoot(name, dir) {
+  const relative = path.relative(STATIC_ROOT, path.resolve(dir));
+  if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+    throw new Error(`${name} must be outside the app directory, which is served publicly`);
+  }
+}
+
+try {
+  authService.assertSecretsConfigured();
+  credentialVault.assertKeyConfigured();
+  assertOutsideStaticRoot('DATA_DIR', process.env.DATA_DIR || DEFAULT_DATA_DIR);
+  if (process.env.ATTACHMENT_DIR) {
+    assertOutsideStaticRoot('ATTACHMENT_DIR', process.env.ATTACHMENT_DIR);
+  }
+} catch (error) {
+  console.error(`Refusing to start: ${error.message}`);
+  process.exit(1);
+}
 
 const app = express();
 const server = http.createServer(app);
@@ -17,6 +50,9 @@ const io = require('socket.io')(server, {
   cors: { origin: '*' },
 });
 
+// Expose Socket.IO to routes (webhooks emit real-time updates through req.app.get('io'))
+app.set('io', io);
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -40,11 +76,17 @@ app.use('/api/', limiter);
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static frontend
-app.use(express.static(path.join(__dirname)));
+app.use(express.static(STATIC_ROOT));
 
 // Import and use routes
 const authRoutes = require('./routes/auth');
@@ -53,13 +95,36 @@ const platformRoutes = require('./routes/platforms');
 const webhookRoutes = require('./routes/webhooks');
 const telegramRoutes = require('./routes/telegram');
 const aiRoutes = require('./routes/ai');
+const analyticsRoutes = require('./routes/analytics');
+const workflowRoutes = require('./routes/workflows');
+const scheduledMessageRoutes = require('./routes/scheduledMessages');
+const webhookQueueRoutes = require('./routes/webhookQueue');
+const workspaceRoutes = require('./routes/workspaces');
+const roleRoutes = require('./routes/roles');
+const gmailOAuthRoutes = require('./routes/gmailOAuth');
+const whatsappRoutes = require('./routes/whatsapp');
+const attachmentRoutes = require('./routes/attachments');
 
+// Webhooks are authenticated by platform signatures; /api/auth, /api/telegram
+// and /api/attachments guard their own routes (login/register and signed
+// attachment links stay open).
+// Everything else acts on the caller's workspace (X-Workspace-Id or their default).
 app.use('/api/auth', authRoutes);
-app.use('/api/messages', messageRoutes);
-app.use('/api/platforms', platformRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/telegram', telegramRoutes);
-app.use('/api/ai', aiRoutes);
+app.use('/api/whatsapp', authenticateToken, resolveWorkspace, whatsappRoutes);
+app.use('/api/workspaces', authenticateToken, workspaceRoutes);
+app.use('/api/roles', authenticateToken, resolveWorkspace, roleRoutes);
+app.use('/api/messages', authenticateToken, resolveWorkspace, messageRoutes);
+app.use('/api/attachments', attachmentRoutes);
+// Before /api/platforms: the OAuth callback arrives without a bearer token
+app.use('/api/platforms/gmail/oauth', gmailOAuthRoutes);
+app.use('/api/platforms', authenticateToken, resolveWorkspace, platformRoutes);
+app.use('/api/ai', authenticateToken, resolveWorkspace, aiRoutes);
+app.use('/api/analytics', authenticateToken, resolveWorkspace, analyticsRoutes);
+app.use('/api/workflows', authenticateToken, resolveWorkspace, workflowRoutes);
+app.use('/api/scheduled-messages', authenticateToken, resolveWorkspace, scheduledMessageRoutes);
+app.use('/api/webhook-queue', authenticateToken, resolveWorkspace, webhookQueueRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -71,19 +136,40 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Socket.IO connection handling
+// Socket.IO clients authenticate with { auth: { token, workspaceId } } and only
+// ever join rooms of that workspace
+io.use((socket, next) => {
+  try {
+    const { token, workspaceId } = socket.handshake.auth || {};
+    const payload = authService.verifyAccessToken(token);
+    const user = userService.getUser(payload.userId);
+    const selectedWorkspaceId = workspaceId || user?.defaultWorkspaceId;
+
+    if (!workspaceService.getMembership(selectedWorkspaceId, payload.userId)) {
+      return next(new Error('Not a member of this workspace'));
+    }
+
+    socket.data.userId = payload.userId;
+    socket.data.workspaceId = selectedWorkspaceId;
+    next();
+  } catch (error) {
+    next(new Error('Authentication required'));
+  }
+});
+
 io.on('connection', (socket) => {
   console.log(`User connected: ${socket.id}`);
+  const workspaceRoom = platform => `workspace:${socket.data.workspaceId}:platform:${platform}`;
   
   // Join platform-specific rooms
   socket.on('join-platform', (platform) => {
-    socket.join(`platform:${platform}`);
+    socket.join(workspaceRoom(platform));
     console.log(`Socket ${socket.id} joined platform: ${platform}`);
   });
   
   // Handle typing indicators
   socket.on('typing', (data) => {
-    socket.broadcast.to(`platform:${data.platform}`).emit('user-typing', {
+    socket.broadcast.to(workspaceRoom(data.platform)).emit('user-typing', {
       userId: socket.id,
       platform: data.platform,
       conversationId: data.conversationId
@@ -92,7 +178,7 @@ io.on('connection', (socket) => {
   
   // Handle message composition
   socket.on('compose-start', (data) => {
-    socket.broadcast.to(`platform:${data.platform}`).emit('compose-start', {
+    socket.broadcast.to(workspaceRoom(data.platform)).emit('compose-start', {
       userId: socket.id,
       platform: data.platform
     });
@@ -120,6 +206,11 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  schedulerService.stop();
+  webhookQueueService.stop();
+  deliveryStatusService.stop();
+  gmailSyncService.stop();
+  telegramPollingService.stop();
   server.close(() => {
     console.log('Process terminated');
     process.exit(0);
@@ -128,6 +219,11 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  schedulerService.stop();
+  webhookQueueService.stop();
+  deliveryStatusService.stop();
+  gmailSyncService.stop();
+  telegramPollingService.stop();
   server.close(() => {
     console.log('Process terminated');
     process.exit(0);
@@ -135,10 +231,27 @@ process.on('SIGINT', () => {
 });
 
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`🚀 Unified Messaging Dashboard running on http://localhost:${PORT}`);
-  console.log(`📱 Connected platforms: ${Array.from(platformService.platforms.keys()).join(', ')}`);
-  console.log(`🔌 WebSocket server ready for real-time updates`);
-});
 
+// Tests load the app without listening or starting the background workers
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`🚀 Unified Messaging Dashboard running on http://localhost:${PORT}`);
+    console.log(`📱 Connected platforms: ${Array.from(platformService.platforms.keys()).join(', ')}`);
+    console.log(`🔌 WebSocket server ready for real-time updates`);
+
+    messageService.store.connect().catch(error => {
+      console.error('Failed to connect message store:', error.message);
+    });
+    // Move stored credentials onto CREDENTIALS_ENCRYPTION_KEY after a key change
+    workspaceService.rotateCredentialsKey().catch(error => {
+      console.error('Failed to rotate credential encryption key:', error.message);
+    });
+    schedulerService.start();
+    webhookQueueService.start(io);
+    deliveryStatusService.start(io);
+    gmailSyncService.start();
+    telegramPollingService.start();
+  });
+}
 
+module.exports = app;
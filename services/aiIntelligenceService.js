@@ -2,6 +2,7 @@ const natural = require('natural');
 const compromise = require('compromise');
 const OpenAI = require('openai');
 const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -9,6 +10,7 @@ const logger = winston.createLogger({
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactSecrets(),
     winston.format.json()
   ),
   defaultMeta: { service: 'ai-intelligence' },
@@ -20,9 +22,10 @@ const logger = winston.createLogger({
 
 class AIIntelligenceService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    // OpenAI is optional; every call site checks OPENAI_API_KEY before using it
+    this.openai = process.env.OPENAI_API_KEY
+      ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+      : null;
     
     // Initialize NLP classifiers
     this.urgencyClassifier = new natural.BayesClassifier();
@@ -1,4 +1,5 @@
 const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
 const natural = require('natural');
 const compromise = require('compromise');
 const crypto = require('crypto');
@@ -19,6 +20,7 @@ const logger = winston.createLogger({
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactSecrets(),
     winston.format.json()
   ),
   defaultMeta: { service: 'ai-service' },
@@ -1,6 +1,8 @@
 const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
 const moment = require('moment');
 const aiIntelligence = require('./aiIntelligenceService');
+const { DEFAULT_WORKSPACE_ID } = require('./workspaceService');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -8,6 +10,7 @@ const logger = winston.createLogger({
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactSecrets(),
     winston.format.json()
   ),
   defaultMeta: { service: 'analytics-service' },
@@ -17,8 +20,14 @@ const logger = winston.createLogger({
   ]
 });
 
+// One set of aggregates per workspace, created on first use by forWorkspace()
+const workspaceAnalytics = new Map();
+
+// Analytics for a single workspace. The exported instance serves the default
+// workspace; forWorkspace(id) returns any other workspace's.
 class AnalyticsService {
-  constructor() {
+  constructor(workspaceId = DEFAULT_WORKSPACE_ID) {
+    this.workspaceId = workspaceId;
     this.metrics = new Map();
     this.dailyStats = new Map();
     this.platformPerformance = new Map();
@@ -27,6 +36,13 @@ class AnalyticsService {
     this.sentimentHistory = new Map();
   }
 
+  forWorkspace(workspaceId) {
+    if (!workspaceAnalytics.has(workspaceId)) {
+      workspaceAnalytics.set(workspaceId, new AnalyticsService(workspaceId));
+    }
+    return workspaceAnalytics.get(workspaceId);
+  }
+
   // Track message metrics
   trackMessage(message, platform) {
     try {
@@ -122,11 +138,12 @@ class AnalyticsService {
     }
   }
 
-  // Update platform performance metrics
-  updatePlatformPerformance(platform, message) {
+  // Get (or create) the performance entry for a platform
+  getPlatformPerformanceEntry(platform) {
     if (!this.platformPerformance.has(platform)) {
       this.platformPerformance.set(platform, {
         totalMessages: 0,
+        failedDeliveries: 0,
         responseRate: 0,
         averageResponseTime: 0,
         categories: {},
@@ -138,7 +155,12 @@ class AnalyticsService {
       });
     }
     
-    const perf = this.platformPerformance.get(platform);
+    return this.platformPerformance.get(platform);
+  }
+
+  // Update platform performance metrics
+  updatePlatformPerformance(platform, message) {
+    const perf = this.getPlatformPerformanceEntry(platform);
     perf.totalMessages++;
     perf.lastActivity = new Date();
     
@@ -167,10 +189,27 @@ class AnalyticsService {
     }
   }
 
+  // Track a failed outbound delivery (feeds the platform error rate)
+  trackDeliveryError(platform, error) {
+    try {
+      const perf = this.getPlatformPerformanceEntry(platform);
+      perf.failedDeliveries++;
+      perf.lastActivity = new Date();
+      perf.errorRate = Math.round(
+        (perf.failedDeliveries / (perf.totalMessages + perf.failedDeliveries)) * 100
+      );
+      
+      logger.debug(`Delivery error tracked for ${platform}: ${error?.message || 'unknown error'}`);
+    } catch (trackingError) {
+      logger.error('Error tracking delivery error:', trackingError);
+    }
+  }
+
   // Track response times
   trackResponseTime(conversationId, message, platform) {
     if (!this.responseTimeTracker.has(conversationId)) {
       this.responseTimeTracker.set(conversationId, {
+        conversationId,
         messages: [],
         platform,
         firstMessage: message.timestamp,
@@ -248,6 +287,11 @@ class AnalyticsService {
     }
   }
 
+  // Supported dashboard time ranges
+  isValidTimeRange(timeRange) {
+    return ['24h', '7d', '30d', '90d'].includes(timeRange);
+  }
+
   // Get start date based on time range
   getStartDate(timeRange) {
     const now = new Date();
@@ -345,6 +389,7 @@ class AnalyticsService {
       if (perf.lastActivity >= startDate && perf.lastActivity <= endDate) {
         performance[platform] = {
           totalMessages: perf.totalMessages,
+          failedDeliveries: perf.failedDeliveries,
           responseRate: perf.responseRate,
           averageResponseTime: perf.averageResponseTime,
           uptime: perf.uptime,
@@ -707,8 +752,8 @@ class AnalyticsService {
   // Helper methods
   getTotalIncomingMessages(startDate, endDate) {
     let total = 0;
-    for (const [, dailyStats] of this.dailyStats) {
-      const date = moment(dailyStats.date).toDate();
+    for (const [dateKey, dailyStats] of this.dailyStats) {
+      const date = moment(dateKey).toDate();
       if (date >= startDate && date <= endDate) {
         Object.values(dailyStats.platforms).forEach(platform => {
           total += platform.incoming || 0;
@@ -720,8 +765,8 @@ class AnalyticsService {
 
   getTotalOutgoingMessages(startDate, endDate) {
     let total = 0;
-    for (const [, dailyStats] of this.dailyStats) {
-      const date = moment(dailyStats.date).toDate();
+    for (const [dateKey, dailyStats] of this.dailyStats) {
+      const date = moment(dateKey).toDate();
       if (date >= startDate && date <= endDate) {
         Object.values(dailyStats.platforms).forEach(platform => {
           total += platform.outgoing || 0;
@@ -803,4 +848,7 @@ class AnalyticsService {
   }
 }
 
-module.exports = new AnalyticsService();
+const defaultAnalyticsService = new AnalyticsService(DEFAULT_WORKSPACE_ID);
+workspaceAnalytics.set(DEFAULT_WORKSPACE_ID, defaultAnalyticsService);
+
+module.exports = defaultAnalyticsService;
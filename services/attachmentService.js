@@ -0,0 +1,465 @@
+const winston = require('winston');
+const crypto = require('crypto');
+const { redactSecrets } = require('./credentialVault');
+const { JsonFileStore, createBlobStore } = require('./storage');
+const platformService = require('./platformService');
+const authService = require('./authService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'attachments' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/attachments.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES) || 25 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+
+// Platforms whose attachments reference media kept by the platform (file ids, CDN URLs)
+const MEDIA_PLATFORMS = ['telegram', 'whatsapp', 'instagram'];
+
+const MB = 1024 * 1024;
+const MAX_OUTBOUND_FILES = 10;
+
+// What each platform accepts from us, by the kind of send a file becomes. A
+// file takes the first kind listing its type; `mimeTypes: null` takes any type.
+const OUTBOUND_LIMITS = {
+  telegram: {
+    photo: { mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'], maxBytes: 10 * MB },
+    voice: { mimeTypes: ['audio/ogg', 'audio/mpeg', 'audio/mp4'], maxBytes: 50 * MB },
+    document: { mimeTypes: null, maxBytes: 50 * MB }
+  },
+  whatsapp: {
+    image: { mimeTypes: ['image/jpeg', 'image/png'], maxBytes: 5 * MB },
+    video: { mimeTypes: ['video/mp4', 'video/3gpp'], maxBytes: 16 * MB },
+    audio: { mimeTypes: ['audio/aac', 'audio/mp4', 'audio/mpeg', 'audio/amr', 'audio/ogg'], maxBytes: 16 * MB },
+    document: { mimeTypes: null, maxBytes: 100 * MB }
+  },
+  gmail: {
+    document: { mimeTypes: null, maxBytes: 25 * MB }
+  },
+  instagram: {
+    image: { mimeTypes: ['image/jpeg', 'image/png', 'image/gif'], maxBytes: 8 * MB }
+  }
+};
+
+// Gmail refuses messages whose attachments add up to more than this
+const GMAIL_TOTAL_MAX_BYTES = 25 * MB;
+
+// Signed links handed to platforms that fetch media themselves (Instagram)
+const PUBLIC_URL_TTL_MS = 60 * 60 * 1000;
+
+function formatBytes(bytes) {
+  return `${Math.round(bytes / MB)} MB`;
+}
+
+// Media type to assume when neither the webhook nor the download names one
+const DEFAULT_MIME_TYPES = {
+  image: 'image/jpeg',
+  video: 'video/mp4',
+  audio: 'audio/mpeg',
+  voice: 'audio/ogg'
+};
+
+// Raster images the dashboard may render; recognised by their leading bytes
+// rather than the platform's content type
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], offset: 8, tail: [0x57, 0x45, 0x42, 0x50] }
+];
+
+function sniffImageType(buffer) {
+  const match = IMAGE_SIGNATURES.find(signature =>
+    signature.bytes.every((byte, index) => buffer[index] === byte) &&
+    (!signature.tail || signature.tail.every((byte, index) => buffer[signature.offset + index] === byte))
+  );
+  return match ? match.mimeType : null;
+}
+
+// sharp is a native module; without it attachments are still stored, just
+// without thumbnails
+let sharp;
+function loadSharp() {
+  if (sharp === undefined) {
+    try {
+      sharp = require('sharp');
+    } catch (error) {
+      sharp = null;
+      logger.warn(`Image thumbnails disabled: sharp is not available (${error.message.split('\n')[0]})`);
+    }
+  }
+  return sharp;
+}
+
+// Keeps the media of inbound messages. Platform file references expire
+// (Telegram file paths after an hour, WhatsApp media URLs after minutes,
+// Instagram CDN links eventually), so each attachment is downloaded when its
+// message arrives, written to the blob store and served from
+// /api/attachments/:id. A download that fails is retried when the file is
+// first requested. Files uploaded for outgoing messages are stored the same
+// way, after checking them against the receiving platform's limits.
+class AttachmentService {
+  constructor() {
+    // One record per attachment: { id, workspaceId, messageId, platform, source, status, storageKey, ... }
+    this.records = new JsonFileStore('attachments.json');
+    this.blobs = createBlobStore();
+  }
+
+  getAttachment(workspaceId, attachmentId) {
+    const record = this.records.get(attachmentId);
+    return record && record.workspaceId === workspaceId ? record : null;
+  }
+
+  // The message's attachments with stored ones pointing at /api/attachments/:id.
+  // Returns `message.attachments` itself when there is nothing to store; never
+  // throws, a failed download leaves the attachment to be fetched on request.
+  async ingestAttachments(message) {
+    if (!MEDIA_PLATFORMS.includes(message.platform) || !message.attachments?.length) {
+      return message.attachments || [];
+    }
+
+    const attachments = [];
+    for (const attachment of message.attachments) {
+      // Already ours (an edit that kept its media), or nothing to fetch
+      if (attachment.id || !attachment.url) {
+        attachments.push(attachment);
+        continue;
+      }
+
+      try {
+        let record = this.findRecord(message, attachment.url) || await this.createRecord(message, attachment);
+        if (record.status !== 'stored') {
+          record = await this.fetchMedia(record).catch(() => this.records.get(record.id));
+        }
+        attachments.push(this.toMessageAttachment(attachment, record));
+      } catch (error) {
+        logger.error(`Error recording attachment of message ${message.id}:`, error);
+        attachments.push(attachment);
+      }
+    }
+    return attachments;
+  }
+
+  findRecord(message, source) {
+    return this.records.values().find(record =>
+      record.workspaceId === message.workspaceId && record.messageId === message.id && record.source === source
+    ) || null;
+  }
+
+  async createRecord(message, attachment) {
+    return this.records.set({
+      id: `att_${crypto.randomBytes(8).toString('hex')}`,
+      workspaceId: message.workspaceId,
+      messageId: message.id,
+      platform: message.platform,
+      // Platform file id or URL the media is downloaded from
+      source: attachment.url,
+      type: attachment.type,
+      filename: attachment.filename || null,
+      mimeType: attachment.mimeType || null,
+      size: attachment.size || 0,
+      sha256: null,
+      storageKey: null,
+      thumbnailKey: null,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      storedAt: null
+    });
+  }
+
+  // Download the media from its platform and store it (and an image thumbnail)
+  async fetchMedia(record) {
+    try {
+      const platforms = platformService.forWorkspace(record.workspaceId);
+      const downloadMedia = platforms.getPlatform(record.platform)?.methods.downloadMedia;
+      if (!downloadMedia) {
+        throw new Error(`${record.platform} platform not configured`);
+      }
+
+      const media = await downloadMedia(record.source, { maxBytes: ATTACHMENT_MAX_BYTES });
+      if (media.buffer.length > ATTACHMENT_MAX_BYTES) {
+        throw new Error(`Attachment is larger than ${ATTACHMENT_MAX_BYTES} bytes`);
+      }
+
+      const sha256 = crypto.createHash('sha256').update(media.buffer).digest('hex');
+      // WhatsApp publishes the checksum of its media
+      if (media.sha256 && media.sha256 !== sha256) {
+        throw new Error('Attachment checksum mismatch');
+      }
+
+      const mimeType = sniffImageType(media.buffer) || record.mimeType || media.mimeType ||
+        DEFAULT_MIME_TYPES[record.type] || 'application/octet-stream';
+      const storageKey = `${record.workspaceId}/${record.id}`;
+      await this.blobs.put(storageKey, media.buffer);
+
+      const stored = await this.records.update(record.id, {
+        status: 'stored',
+        storageKey,
+        mimeType,
+        filename: record.filename || media.filename || null,
+        size: media.buffer.length,
+        sha256,
+        attempts: record.attempts + 1,
+        lastError: null,
+        storedAt: new Date().toISOString()
+      });
+
+      await this.createThumbnail(stored, media.buffer);
+      logger.info(`Stored ${record.platform} attachment ${record.id} (${mimeType}, ${media.buffer.length} bytes)`);
+      return this.records.get(record.id);
+    } catch (error) {
+      await this.records.update(record.id, {
+        status: 'failed',
+        attempts: record.attempts + 1,
+        lastError: error.message
+      });
+      logger.error(`Error storing ${record.platform} attachment ${record.id}:`, error);
+      throw error;
+    }
+  }
+
+  async createThumbnail(record, buffer) {
+    if (!sniffImageType(buffer) || !loadSharp()) {
+      return null;
+    }
+
+    try {
+      const thumbnail = await sharp(buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+
+      const thumbnailKey = `${record.storageKey}.thumb.jpg`;
+      await this.blobs.put(thumbnailKey, thumbnail);
+      return this.records.update(record.id, { thumbnailKey });
+    } catch (error) {
+      // The original is stored; the dashboard falls back to it
+      logger.warn(`Thumbnail not created for attachment ${record.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  toMessageAttachment(attachment, record) {
+    const isImage = record.type === 'image' || record.mimeType?.startsWith('image/');
+    return {
+      ...attachment,
+      id: record.id,
+      url: `/api/attachments/${record.id}`,
+      thumbnailUrl: isImage ? `/api/attachments/${record.id}/thumbnail` : null,
+      platformFileId: attachment.url,
+      mimeType: record.mimeType,
+      size: record.size || attachment.size || 0
+    };
+  }
+
+  // The attachment's record once its file is stored, fetching it from the
+  // platform first when the download at ingestion failed
+  async getStoredAttachment(workspaceId, attachmentId) {
+    const record = this.getAttachment(workspaceId, attachmentId);
+    if (!record) {
+      throw new Error('Attachment not found');
+    }
+    if (record.status === 'stored' && await this.blobs.exists(record.storageKey)) {
+      return record;
+    }
+
+    try {
+      return await this.fetchMedia(record);
+    } catch (error) {
+      throw new Error('Attachment unavailable');
+    }
+  }
+
+  // Blob key and type of an image's thumbnail; the original when no thumbnail could be made
+  async getThumbnail(workspaceId, attachmentId) {
+    const record = await this.getStoredAttachment(workspaceId, attachmentId);
+    if (!record.mimeType.startsWith('image/')) {
+      throw new Error('Attachment has no thumbnail');
+    }
+
+    if (record.thumbnailKey && await this.blobs.exists(record.thumbnailKey)) {
+      return { record, key: record.thumbnailKey, mimeType: 'image/jpeg' };
+    }
+    return { record, key: record.storageKey, mimeType: record.mimeType };
+  }
+
+  createReadStream(key) {
+    return this.blobs.createReadStream(key);
+  }
+
+  // The send kind of each uploaded file (multer memory files) on `platform`, or
+  // an "Invalid attachment" error naming the first file the platform refuses
+  prepareUploads(platform, files) {
+    const limits = OUTBOUND_LIMITS[platform];
+    if (!limits) {
+      throw new Error(`Invalid attachment: ${platform} messages cannot carry attachments`);
+    }
+    if (files.length > MAX_OUTBOUND_FILES) {
+      throw new Error(`Invalid attachment: at most ${MAX_OUTBOUND_FILES} files per message`);
+    }
+    if (platform === 'instagram' && !process.env.PUBLIC_BASE_URL) {
+      throw new Error('Invalid attachment: Instagram images need PUBLIC_BASE_URL to be set');
+    }
+
+    const uploads = files.map(file => {
+      const claimedType = (file.mimetype || 'application/octet-stream').toLowerCase();
+      const sniffedType = sniffImageType(file.buffer);
+      if (claimedType.startsWith('image/') && !sniffedType && claimedType !== 'image/svg+xml') {
+        throw new Error(`Invalid attachment: ${file.originalname} is not a valid image`);
+      }
+      const mimeType = sniffedType || claimedType;
+
+      const kind = Object.keys(limits).find(name => limits[name].mimeTypes?.includes(mimeType)) ||
+        Object.keys(limits).find(name => !limits[name].mimeTypes);
+      if (!kind) {
+        throw new Error(`Invalid attachment: ${platform} does not accept ${mimeType} (${file.originalname})`);
+      }
+      if (file.size > limits[kind].maxBytes) {
+        throw new Error(`Invalid attachment: ${file.originalname} is over the ${formatBytes(limits[kind].maxBytes)} limit for ${platform} ${kind} files`);
+      }
+
+      return { file, kind, mimeType };
+    });
+
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    if (platform === 'gmail' && totalBytes > GMAIL_TOTAL_MAX_BYTES) {
+      throw new Error(`Invalid attachment: attachments add up to more than the ${formatBytes(GMAIL_TOTAL_MAX_BYTES)} Gmail allows`);
+    }
+
+    return uploads;
+  }
+
+  // Validate and store files uploaded for an outgoing message; returns the
+  // message attachments. Nothing is stored unless every file is acceptable.
+  async storeUploads(workspaceId, platform, files) {
+    const uploads = this.prepareUploads(platform, files);
+    const attachments = [];
+
+    for (const { file, kind, mimeType } of uploads) {
+      const id = `att_${crypto.randomBytes(8).toString('hex')}`;
+      const storageKey = `${workspaceId}/${id}`;
+      await this.blobs.put(storageKey, file.buffer);
+
+      const record = await this.records.set({
+        id,
+        workspaceId,
+        messageId: null,
+        platform,
+        direction: 'outbound',
+        source: 'upload',
+        type: this.getAttachmentType(mimeType),
+        kind,
+        filename: file.originalname,
+        mimeType,
+        size: file.size,
+        sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        storageKey,
+        thumbnailKey: null,
+        status: 'stored',
+        attempts: 0,
+        lastError: null,
+        createdAt: new Date().toISOString(),
+        storedAt: new Date().toISOString()
+      });
+      await this.createThumbnail(record, file.buffer);
+
+      attachments.push({
+        ...this.toMessageAttachment({ type: record.type, filename: record.filename, platform }, record),
+        kind,
+        platformFileId: null
+      });
+    }
+
+    logger.info(`Stored ${attachments.length} upload(s) for a ${platform} message in workspace ${workspaceId}`);
+    return attachments;
+  }
+
+  getAttachmentType(mimeType) {
+    const [category] = mimeType.split('/');
+    return ['image', 'video', 'audio'].includes(category) ? category : 'document';
+  }
+
+  // Contents of the stored files of an outgoing message, in order: [{ attachment, buffer }]
+  async loadOutbound(workspaceId, attachments) {
+    const files = [];
+    for (const attachment of attachments) {
+      const record = this.getAttachment(workspaceId, attachment.id);
+      const buffer = record && await this.blobs.get(record.storageKey);
+      if (!buffer) {
+        throw new Error(`Attachment ${attachment.id} not found`);
+      }
+      files.push({ attachment: { ...attachment, kind: record.kind, mimeType: record.mimeType, filename: record.filename }, buffer });
+    }
+    return files;
+  }
+
+  async assignToMessage(workspaceId, message) {
+    for (const attachment of message.attachments || []) {
+      const record = this.getAttachment(workspaceId, attachment.id);
+      if (record && !record.messageId) {
+        await this.records.update(record.id, { messageId: message.id });
+      }
+    }
+  }
+
+  signPublicUrl(attachmentId, expires) {
+    return crypto.createHmac('sha256', authService.getAttachmentUrlSecret()).update(`${attachmentId}.${expires}`).digest('hex');
+  }
+
+  // Time-limited unauthenticated link for platforms that download the file
+  // from us (Instagram image DMs take a URL, not an upload)
+  createPublicUrl(attachmentId) {
+    const expires = Date.now() + PUBLIC_URL_TTL_MS;
+    const signature = this.signPublicUrl(attachmentId, expires);
+    return `${process.env.PUBLIC_BASE_URL.replace(/\/$/, '')}/api/attachments/${attachmentId}/public?expires=${expires}&signature=${signature}`;
+  }
+
+  // The stored attachment a public link points at, or null when the link is
+  // forged or expired
+  verifyPublicUrl(attachmentId, expires, signature) {
+    if (!expires || !signature || Number(expires) < Date.now()) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.signPublicUrl(attachmentId, expires));
+    const given = Buffer.from(String(signature));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return null;
+    }
+
+    const record = this.records.get(attachmentId);
+    return record?.status === 'stored' ? record : null;
+  }
+
+  async deleteMessageAttachments(workspaceId, messageId) {
+    const records = this.records.values()
+      .filter(record => record.workspaceId === workspaceId && record.messageId === messageId);
+
+    for (const record of records) {
+      for (const key of [record.storageKey, record.thumbnailKey].filter(Boolean)) {
+        await this.blobs.delete(key);
+      }
+      await this.records.delete(record.id);
+    }
+    return records.length;
+  }
+}
+
+module.exports = new AttachmentService();
+module.exports.ATTACHMENT_MAX_BYTES = ATTACHMENT_MAX_BYTES;
+module.exports.OUTBOUND_LIMITS = OUTBOUND_LIMITS;
+module.exports.MAX_OUTBOUND_FILES = MAX_OUTBOUND_FILES;
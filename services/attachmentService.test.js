@@ -0,0 +1,183 @@
+const attachmentService = require('./attachmentService');
+const platformService = require('./platformService');
+
+const WORKSPACE_ID = 'ws_attachments';
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+let messageCount = 0;
+function inboundMessage(platform, attachments) {
+  messageCount++;
+  return { id: `msg_att_${messageCount}`, workspaceId: WORKSPACE_ID, platform, attachments };
+}
+
+describe('AttachmentService inbound media', () => {
+  let downloadMedia;
+
+  beforeEach(() => {
+    downloadMedia = jest.fn();
+    jest.spyOn(platformService.forWorkspace(WORKSPACE_ID), 'getPlatform').mockReturnValue({ methods: { downloadMedia } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('downloads media when the message arrives and serves it from /api/attachments', async () => {
+    downloadMedia.mockResolvedValue({ buffer: PNG, mimeType: 'application/octet-stream' });
+    const message = inboundMessage('telegram', [{ type: 'image', url: 'tg_file_1', filename: 'photo.png' }]);
+
+    const [attachment] = await attachmentService.ingestAttachments(message);
+
+    expect(downloadMedia).toHaveBeenCalledWith('tg_file_1', { maxBytes: attachmentService.ATTACHMENT_MAX_BYTES });
+    expect(attachment).toMatchObject({
+      url: `/api/attachments/${attachment.id}`,
+      thumbnailUrl: `/api/attachments/${attachment.id}/thumbnail`,
+      platformFileId: 'tg_file_1',
+      // Recognised from the bytes, not the platform's content type
+      mimeType: 'image/png',
+      size: PNG.length
+    });
+    const record = await attachmentService.getStoredAttachment(WORKSPACE_ID, attachment.id);
+    expect(await attachmentService.blobs.get(record.storageKey)).toEqual(PNG);
+    expect(attachmentService.getAttachment('ws_other', attachment.id)).toBeNull();
+  });
+
+  test('a failed download keeps the message and is retried when the file is requested', async () => {
+    downloadMedia.mockRejectedValueOnce(new Error('timeout')).mockResolvedValueOnce({ buffer: PNG });
+    const message = inboundMessage('whatsapp', [{ type: 'image', url: 'wa_media_1' }]);
+
+    const [attachment] = await attachmentService.ingestAttachments(message);
+    expect(attachmentService.getAttachment(WORKSPACE_ID, attachment.id)).toMatchObject({ status: 'failed', lastError: 'timeout' });
+
+    const record = await attachmentService.getStoredAttachment(WORKSPACE_ID, attachment.id);
+    expect(record).toMatchObject({ status: 'stored', attempts: 2 });
+  });
+
+  test('media that does not match the checksum the platform published is refused', async () => {
+    downloadMedia.mockResolvedValue({ buffer: PNG, sha256: 'not-the-checksum' });
+    const [attachment] = await attachmentService.ingestAttachments(
+      inboundMessage('whatsapp', [{ type: 'image', url: 'wa_media_2' }])
+    );
+
+    expect(attachmentService.getAttachment(WORKSPACE_ID, attachment.id).lastError).toBe('Attachment checksum mismatch');
+    await expect(attachmentService.getStoredAttachment(WORKSPACE_ID, attachment.id)).rejects.toThrow('Attachment unavailable');
+  });
+
+  test('attachments of platforms without media downloads are left as they are', async () => {
+    const attachments = [{ type: 'document', filename: 'invoice.pdf', attachmentId: 'gmail_part_1' }];
+
+    expect(await attachmentService.ingestAttachments(inboundMessage('gmail', attachments))).toBe(attachments);
+    expect(downloadMedia).not.toHaveBeenCalled();
+  });
+
+  test('signed public links work with neither ATTACHMENT_URL_SECRET nor JWT_SECRET set', async () => {
+    const { JWT_SECRET } = process.env;
+    delete process.env.JWT_SECRET;
+    delete process.env.ATTACHMENT_URL_SECRET;
+    process.env.PUBLIC_BASE_URL = 'https://inbox.example.com';
+    downloadMedia.mockResolvedValue({ buffer: PNG });
+
+    try {
+      const [attachment] = await attachmentService.ingestAttachments(
+        inboundMessage('instagram', [{ type: 'image', url: 'https://cdn.example/signed.png' }])
+      );
+      const url = new URL(attachmentService.createPublicUrl(attachment.id));
+      const expires = url.searchParams.get('expires');
+
+      expect(attachmentService.verifyPublicUrl(attachment.id, expires, url.searchParams.get('signature')).id).toBe(attachment.id);
+      expect(attachmentService.verifyPublicUrl(attachment.id, expires, 'forged')).toBeNull();
+    } finally {
+      process.env.JWT_SECRET = JWT_SECRET;
+      delete process.env.PUBLIC_BASE_URL;
+    }
+  });
+
+  test('deleting a message deletes its stored files', async () => {
+    downloadMedia.mockResolvedValue({ buffer: PNG });
+    const message = inboundMessage('instagram', [{ type: 'image', url: 'https://cdn.example/ig.png' }]);
+    const [attachment] = await attachmentService.ingestAttachments(message);
+    const { storageKey } = attachmentService.getAttachment(WORKSPACE_ID, attachment.id);
+
+    expect(await attachmentService.deleteMessageAttachments(WORKSPACE_ID, message.id)).toBe(1);
+    expect(await attachmentService.blobs.exists(storageKey)).toBe(false);
+    expect(attachmentService.getAttachment(WORKSPACE_ID, attachment.id)).toBeNull();
+  });
+});
+
+describe('AttachmentService.prepareUploads', () => {
+  const MB = 1024 * 1024;
+  const file = (originalname, mimetype, buffer = Buffer.from('%PDF-1.7'), size = buffer.length) =>
+    ({ originalname, mimetype, buffer, size });
+
+  afterEach(() => {
+    delete process.env.PUBLIC_BASE_URL;
+  });
+
+  test('picks the send kind of each file from its type', () => {
+    const uploads = attachmentService.prepareUploads('telegram', [
+      file('photo.png', 'image/png', PNG),
+      file('report.pdf', 'application/pdf'),
+      file('note.ogg', 'audio/ogg')
+    ]);
+
+    expect(uploads.map(({ kind, mimeType }) => [kind, mimeType])).toEqual([
+      ['photo', 'image/png'],
+      ['document', 'application/pdf'],
+      ['voice', 'audio/ogg']
+    ]);
+  });
+
+  test('trusts the bytes of an image over the type the browser claimed', () => {
+    const [upload] = attachmentService.prepareUploads('whatsapp', [file('scan', 'application/octet-stream', PNG)]);
+    expect(upload).toMatchObject({ kind: 'image', mimeType: 'image/png' });
+
+    expect(() => attachmentService.prepareUploads('whatsapp', [file('fake.png', 'image/png', Buffer.from('<html>'))]))
+      .toThrow('Invalid attachment: fake.png is not a valid image');
+  });
+
+  test('enforces the size limit of the kind a file is sent as', () => {
+    expect(() => attachmentService.prepareUploads('whatsapp', [file('big.png', 'image/png', PNG, 6 * MB)]))
+      .toThrow('Invalid attachment: big.png is over the 5 MB limit for whatsapp image files');
+    expect(attachmentService.prepareUploads('whatsapp', [file('big.pdf', 'application/pdf', undefined, 90 * MB)])[0].kind)
+      .toBe('document');
+  });
+
+  test('refuses what a platform cannot carry', () => {
+    expect(() => attachmentService.prepareUploads('twitter', [file('a.pdf', 'application/pdf')]))
+      .toThrow('Invalid attachment: twitter messages cannot carry attachments');
+
+    process.env.PUBLIC_BASE_URL = 'https://inbox.example.com';
+    expect(() => attachmentService.prepareUploads('instagram', [file('a.pdf', 'application/pdf')]))
+      .toThrow('Invalid attachment: instagram does not accept application/pdf (a.pdf)');
+  });
+
+  test('Instagram images need a public URL Instagram can fetch them from', () => {
+    expect(() => attachmentService.prepareUploads('instagram', [file('photo.png', 'image/png', PNG)]))
+      .toThrow('Invalid attachment: Instagram images need PUBLIC_BASE_URL to be set');
+  });
+
+  test('limits the number of files and the size of a whole email', () => {
+    const tooMany = Array.from({ length: attachmentService.MAX_OUTBOUND_FILES + 1 }, (_, i) => file(`${i}.pdf`, 'application/pdf'));
+    expect(() => attachmentService.prepareUploads('telegram', tooMany))
+      .toThrow(`Invalid attachment: at most ${attachmentService.MAX_OUTBOUND_FILES} files per message`);
+
+    expect(() => attachmentService.prepareUploads('gmail', [
+      file('a.pdf', 'application/pdf', undefined, 15 * MB),
+      file('b.pdf', 'application/pdf', undefined, 15 * MB)
+    ])).toThrow('Invalid attachment: attachments add up to more than the 25 MB Gmail allows');
+  });
+
+  test('storeUploads stores nothing unless every file is accepted', async () => {
+    const before = attachmentService.records.values().length;
+
+    await expect(attachmentService.storeUploads(WORKSPACE_ID, 'telegram', [
+      file('ok.pdf', 'application/pdf'),
+      file('fake.png', 'image/png', Buffer.from('<html>'))
+    ])).rejects.toThrow('is not a valid image');
+
+    expect(attachmentService.records.values()).toHaveLength(before);
+  });
+});
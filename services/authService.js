@@ -0,0 +1,219 @@
+const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { JsonFileStore } = require('./storage');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'auth-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/auth-service.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Development-only fallbacks; production refuses to start with them (see assertSecretsConfigured)
+const DEFAULT_JWT_SECRET = 'your-secret-key';
+const DEFAULT_REFRESH_TOKEN_SECRET = 'your-refresh-secret-key';
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '30d';
+
+class AuthService {
+  constructor() {
+    // Refresh-token sessions (one per signed-in device) and per-user "signed out
+    // everywhere" cutoffs. Both persist so revocations survive restarts.
+    this.sessions = new JsonFileStore('auth-sessions.json');
+    this.revocations = new JsonFileStore('auth-revocations.json');
+  }
+
+  getJwtSecret() {
+    return process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+  }
+
+  getRefreshTokenSecret() {
+    return process.env.REFRESH_TOKEN_SECRET || DEFAULT_REFRESH_TOKEN_SECRET;
+  }
+
+  // Key for signed attachment links; without ATTACHMENT_URL_SECRET it is derived
+  // from the JWT secret, so links and access tokens never share a key
+  getAttachmentUrlSecret() {
+    return process.env.ATTACHMENT_URL_SECRET ||
+      crypto.createHmac('sha256', this.getJwtSecret()).update('attachment-urls').digest('hex');
+  }
+
+  // Throw when production would sign tokens with a public fallback secret
+  assertSecretsConfigured() {
+    if (process.env.NODE_ENV !== 'production') {
+      return;
+    }
+    if (this.getJwtSecret() === DEFAULT_JWT_SECRET) {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+    if (this.getRefreshTokenSecret() === DEFAULT_REFRESH_TOKEN_SECRET) {
+      throw new Error('REFRESH_TOKEN_SECRET must be set in production');
+    }
+  }
+
+  // Start a session for a freshly authenticated user
+  async createSession(user, { userAgent, ip } = {}) {
+    const session = {
+      id: `sess_${crypto.randomBytes(12).toString('hex')}`,
+      userId: user.id,
+      email: user.email,
+      refreshTokenId: crypto.randomBytes(16).toString('hex'),
+      userAgent: userAgent || null,
+      ip: ip || null,
+      createdAt: new Date().toISOString(),
+      lastRefreshedAt: null,
+      expiresAt: null,
+      revokedAt: null,
+      revokedReason: null
+    };
+
+    const tokens = this.issueTokens(session);
+    session.expiresAt = tokens.refreshExpiresAt;
+
+    await this.pruneExpiredSessions();
+    await this.sessions.set(session);
+
+    logger.info(`Session created: ${session.id} for user ${user.id}`);
+    return this.toTokenResponse(tokens);
+  }
+
+  // Exchange a refresh token for a new access/refresh pair. Each refresh token is
+  // single-use: presenting one that was already rotated revokes the whole session,
+  // since either the client or an attacker holds a stolen copy.
+  async refreshSession(refreshToken) {
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, this.getRefreshTokenSecret());
+    } catch (error) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const session = this.sessions.get(payload.sid);
+    if (!session || new Date(session.expiresAt) <= new Date()) {
+      throw new Error('Invalid refresh token');
+    }
+    if (session.revokedAt) {
+      throw new Error('Session revoked');
+    }
+
+    if (payload.jti !== session.refreshTokenId) {
+      await this.revokeSession(session.id, 'refresh_token_reuse');
+      logger.warn(`Refresh token reuse detected for session ${session.id} (user ${session.userId})`);
+      throw new Error('Refresh token reuse detected');
+    }
+
+    // Each refresh extends the session by another REFRESH_TOKEN_EXPIRES_IN
+    const rotated = { ...session, refreshTokenId: crypto.randomBytes(16).toString('hex') };
+    const tokens = this.issueTokens(rotated);
+
+    await this.sessions.update(session.id, {
+      refreshTokenId: rotated.refreshTokenId,
+      lastRefreshedAt: new Date().toISOString(),
+      expiresAt: tokens.refreshExpiresAt
+    });
+
+    return this.toTokenResponse(tokens);
+  }
+
+  issueTokens(session) {
+    const token = jwt.sign(
+      { userId: session.userId, email: session.email, sid: session.id },
+      this.getJwtSecret(),
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+
+    const refreshToken = jwt.sign(
+      { sid: session.id, jti: session.refreshTokenId },
+      this.getRefreshTokenSecret(),
+      { expiresIn: REFRESH_TOKEN_EXPIRES_IN }
+    );
+
+    return {
+      token,
+      refreshToken,
+      refreshExpiresAt: new Date(jwt.decode(refreshToken).exp * 1000).toISOString()
+    };
+  }
+
+  toTokenResponse({ token, refreshToken }) {
+    return { token, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRES_IN };
+  }
+
+  // Verify an access token signature and check it against the revocation list
+  verifyAccessToken(token) {
+    const payload = jwt.verify(token, this.getJwtSecret());
+
+    if (payload.sid) {
+      const session = this.sessions.get(payload.sid);
+      if (!session || session.revokedAt) {
+        throw new Error('Token revoked');
+      }
+      return payload;
+    }
+
+    // Tokens issued before sessions existed can only be revoked by the per-user cutoff
+    const cutoff = this.revocations.get(payload.userId);
+    if (cutoff && payload.iat * 1000 < new Date(cutoff.revokedBefore).getTime()) {
+      throw new Error('Token revoked');
+    }
+
+    return payload;
+  }
+
+  async revokeSession(sessionId, reason = 'logout') {
+    const session = await this.sessions.update(sessionId, {
+      revokedAt: new Date().toISOString(),
+      revokedReason: reason
+    });
+
+    if (session) {
+      logger.info(`Session revoked: ${sessionId} (${reason})`);
+    }
+    return !!session;
+  }
+
+  // Sign the user out everywhere: revoke every session, and reject session-less
+  // access tokens issued up to now
+  async revokeAllSessions(userId) {
+    const active = this.sessions.values().filter(session => session.userId === userId && !session.revokedAt);
+    for (const session of active) {
+      await this.revokeSession(session.id, 'logout_all');
+    }
+
+    // JWT iat has one-second resolution; round up so tokens from this second are covered
+    const revokedBefore = new Date(Math.ceil((Date.now() + 1) / 1000) * 1000);
+    await this.revocations.set({ id: userId, revokedBefore: revokedBefore.toISOString() });
+
+    logger.info(`All sessions revoked for user ${userId} (${active.length} active)`);
+    return active.length;
+  }
+
+  getActiveSessions(userId) {
+    const now = new Date();
+    return this.sessions.values()
+      .filter(session => session.userId === userId && !session.revokedAt && new Date(session.expiresAt) > now)
+      .map(({ refreshTokenId, ...session }) => session);
+  }
+
+  async pruneExpiredSessions() {
+    const now = new Date();
+    const expired = this.sessions.values().filter(session => new Date(session.expiresAt) <= now);
+    for (const session of expired) {
+      await this.sessions.delete(session.id);
+    }
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,67 @@
+const jwt = require('jsonwebtoken');
+const authService = require('./authService');
+
+let userCount = 0;
+function newUser() {
+  userCount++;
+  return { id: `user_refresh_${userCount}`, email: `refresh${userCount}@example.com` };
+}
+
+describe('AuthService sessions', () => {
+  test('rotates the refresh token on every refresh', async () => {
+    const first = await authService.createSession(newUser());
+
+    const second = await authService.refreshSession(first.refreshToken);
+
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(jwt.decode(second.refreshToken).sid).toBe(jwt.decode(first.refreshToken).sid);
+    expect(authService.verifyAccessToken(second.token).userId).toBe(`user_refresh_${userCount}`);
+    await expect(authService.refreshSession(second.refreshToken)).resolves.toHaveProperty('token');
+  });
+
+  test('reusing a rotated refresh token revokes the whole session', async () => {
+    const first = await authService.createSession(newUser());
+    const second = await authService.refreshSession(first.refreshToken);
+
+    await expect(authService.refreshSession(first.refreshToken)).rejects.toThrow('Refresh token reuse detected');
+
+    const session = authService.sessions.get(jwt.decode(first.refreshToken).sid);
+    expect(session).toMatchObject({ revokedReason: 'refresh_token_reuse' });
+    await expect(authService.refreshSession(second.refreshToken)).rejects.toThrow('Session revoked');
+    expect(() => authService.verifyAccessToken(second.token)).toThrow('Token revoked');
+  });
+
+  test('rejects refresh tokens that were not issued here', async () => {
+    const forged = jwt.sign({ sid: 'sess_forged', jti: 'x' }, 'not-the-secret');
+    const unknownSession = jwt.sign({ sid: 'sess_unknown', jti: 'x' }, authService.getRefreshTokenSecret());
+
+    await expect(authService.refreshSession(forged)).rejects.toThrow('Invalid refresh token');
+    await expect(authService.refreshSession(unknownSession)).rejects.toThrow('Invalid refresh token');
+  });
+
+  test('logout revokes one session and leaves the others', async () => {
+    const user = newUser();
+    const laptop = await authService.createSession(user, { userAgent: 'laptop' });
+    const phone = await authService.createSession(user, { userAgent: 'phone' });
+
+    await authService.revokeSession(jwt.decode(laptop.token).sid);
+
+    expect(() => authService.verifyAccessToken(laptop.token)).toThrow('Token revoked');
+    expect(authService.verifyAccessToken(phone.token).userId).toBe(user.id);
+    const sessions = authService.getActiveSessions(user.id);
+    expect(sessions.map(session => session.userAgent)).toEqual(['phone']);
+    expect(sessions[0].refreshTokenId).toBeUndefined();
+  });
+
+  test('signing out everywhere also rejects session-less access tokens', async () => {
+    const user = newUser();
+    const session = await authService.createSession(user);
+    const legacy = jwt.sign({ userId: user.id, email: user.email }, authService.getJwtSecret());
+
+    expect(await authService.revokeAllSessions(user.id)).toBe(1);
+
+    expect(() => authService.verifyAccessToken(session.token)).toThrow('Token revoked');
+    expect(() => authService.verifyAccessToken(legacy)).toThrow('Token revoked');
+    await expect(authService.refreshSession(session.refreshToken)).rejects.toThrow('Session revoked');
+  });
+});
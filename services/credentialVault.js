@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const winston = require('winston');
+
+// Development-only fallback; production refuses to start with it (see assertKeyConfigured)
+const DEFAULT_ENCRYPTION_KEY = 'development-only-credentials-key';
+
+const ALGORITHM = 'aes-256-gcm';
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are always secret, wherever they appear
+const SECRET_FIELD_PATTERN = /token|secret|password|authcode|apikey|authorization|credentials/i;
+
+// Shortest string worth scrubbing by value; shorter ones would mangle ordinary log text
+const MIN_SECRET_LENGTH = 8;
+
+// Secret values seen at runtime (env and decrypted credentials), scrubbed from log text
+const knownSecrets = new Set();
+
+function scrubString(text) {
+  let scrubbed = text;
+  for (const secret of knownSecrets) {
+    if (scrubbed.includes(secret)) {
+      scrubbed = scrubbed.split(secret).join(REDACTED);
+    }
+  }
+  return scrubbed;
+}
+
+function redactFields(source, target, seen) {
+  for (const [key, field] of Object.entries(source)) {
+    target[key] = SECRET_FIELD_PATTERN.test(key) && field ? REDACTED : redact(field, seen);
+  }
+  return target;
+}
+
+// Copy of `value` with secret fields masked and known secret values scrubbed.
+// Class instances other than errors and dates (sockets, HTTP requests) are
+// reduced to their class name rather than walked.
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return scrubString(value);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date || seen.has(value)) {
+    return value;
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+  if (value instanceof Error) {
+    const error = new Error(scrubString(value.message));
+    error.name = value.name;
+    error.stack = value.stack && scrubString(value.stack);
+    return redactFields(value, error, seen);
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return `[${value.constructor?.name || 'Object'}]`;
+  }
+  return redactFields(value, {}, seen);
+}
+
+// Winston format that redacts every log entry in place. Symbol-keyed internals
+// (level, splat) are left alone; everything serialized is scrubbed.
+const redactSecrets = winston.format(info => {
+  for (const key of Object.keys(info)) {
+    if (key === 'level') {
+      continue;
+    }
+    info[key] = SECRET_FIELD_PATTERN.test(key) && info[key] ? REDACTED : redact(info[key]);
+  }
+  return info;
+});
+
+// Encrypts platform credentials at rest with AES-256-GCM.
+// CREDENTIALS_ENCRYPTION_KEY encrypts everything new. To rotate, set the new key
+// and list the old one in CREDENTIALS_ENCRYPTION_PREVIOUS_KEYS (comma separated):
+// stored credentials stay readable and are re-encrypted with the new key on startup.
+class CredentialVault {
+  constructor() {
+    // Env-configured tokens and secrets are scrubbed from logs like stored ones
+    this.registerSecrets(process.env);
+  }
+
+  getCurrentKey() {
+    return this.deriveKey(process.env.CREDENTIALS_ENCRYPTION_KEY || DEFAULT_ENCRYPTION_KEY);
+  }
+
+  // Every key that may still decrypt stored credentials, by key id
+  getKeys() {
+    const previous = (process.env.CREDENTIALS_ENCRYPTION_PREVIOUS_KEYS || '')
+      .split(',')
+      .map(secret => secret.trim())
+      .filter(Boolean)
+      .map(secret => this.deriveKey(secret));
+
+    const keys = new Map();
+    for (const key of [this.getCurrentKey(), ...previous]) {
+      keys.set(key.id, key);
+    }
+    return keys;
+  }
+
+  deriveKey(secret) {
+    return {
+      id: crypto.createHash('sha256').update(`key-id:${secret}`).digest('hex').slice(0, 12),
+      material: crypto.createHash('sha256').update(secret).digest()
+    };
+  }
+
+  // Throw when production would encrypt credentials with the public fallback key
+  assertKeyConfigured() {
+    if (process.env.NODE_ENV === 'production' && !process.env.CREDENTIALS_ENCRYPTION_KEY) {
+      throw new Error('CREDENTIALS_ENCRYPTION_KEY must be set in production');
+    }
+  }
+
+  isEncrypted(value) {
+    return !!value && value.encrypted === true && typeof value.data === 'string';
+  }
+
+  // Whether `value` is already encrypted with the current key
+  isCurrent(value) {
+    return this.isEncrypted(value) && value.keyId === this.getCurrentKey().id;
+  }
+
+  encrypt(credentials) {
+    this.registerSecrets(credentials);
+
+    const key = this.getCurrentKey();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key.material, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+
+    return {
+      encrypted: true,
+      keyId: key.id,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(envelope) {
+    // Plaintext stored before encryption existed; re-encrypted by the next rotation
+    if (!this.isEncrypted(envelope)) {
+      this.registerSecrets(envelope);
+      return envelope;
+    }
+
+    const key = this.getKeys().get(envelope.keyId);
+    if (!key) {
+      throw new Error(`No encryption key configured for key id ${envelope.keyId}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key.material, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+
+    const credentials = JSON.parse(plaintext);
+    this.registerSecrets(credentials);
+    return credentials;
+  }
+
+  // Re-encrypt with the current key when stored under an old key or in plaintext;
+  // returns null when `value` is already current
+  reencrypt(value) {
+    if (this.isCurrent(value)) {
+      return null;
+    }
+    return this.encrypt(this.decrypt(value));
+  }
+
+  // Remember the secret fields of a credentials object so log text never carries them
+  registerSecrets(credentials) {
+    for (const [key, value] of Object.entries(credentials || {})) {
+      if (SECRET_FIELD_PATTERN.test(key) && typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+        knownSecrets.add(value);
+      }
+    }
+  }
+}
+
+module.exports = new CredentialVault();
+module.exports.redact = redact;
+module.exports.redactSecrets = redactSecrets;
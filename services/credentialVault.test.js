@@ -0,0 +1,113 @@
+const credentialVault = require('./credentialVault');
+const workspaceService = require('./workspaceService');
+
+const { redact } = credentialVault;
+
+const CREDENTIALS = { botToken: '123456:telegram-bot-token', webhookSecret: 'telegram-webhook-secret' };
+
+describe('CredentialVault', () => {
+  afterEach(() => {
+    delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+    delete process.env.CREDENTIALS_ENCRYPTION_PREVIOUS_KEYS;
+  });
+
+  test('encrypts credentials at rest and decrypts them back', () => {
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'key-one';
+
+    const envelope = credentialVault.encrypt(CREDENTIALS);
+
+    expect(envelope).toMatchObject({ encrypted: true, keyId: credentialVault.getCurrentKey().id });
+    expect(JSON.stringify(envelope)).not.toContain('telegram-bot-token');
+    expect(credentialVault.decrypt(envelope)).toEqual(CREDENTIALS);
+  });
+
+  test('rejects tampered ciphertext', () => {
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'key-one';
+    const envelope = credentialVault.encrypt(CREDENTIALS);
+    const data = Buffer.from(envelope.data, 'base64');
+    data[0] ^= 1;
+
+    expect(() => credentialVault.decrypt({ ...envelope, data: data.toString('base64') })).toThrow();
+  });
+
+  test('reads credentials under a previous key only while that key is configured', () => {
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'key-one';
+    const envelope = credentialVault.encrypt(CREDENTIALS);
+
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'key-two';
+    expect(() => credentialVault.decrypt(envelope)).toThrow(`No encryption key configured for key id ${envelope.keyId}`);
+
+    process.env.CREDENTIALS_ENCRYPTION_PREVIOUS_KEYS = 'key-zero, key-one';
+    expect(credentialVault.decrypt(envelope)).toEqual(CREDENTIALS);
+  });
+
+  test('re-encrypts old-key and plaintext credentials with the current key', () => {
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'key-one';
+    const old = credentialVault.encrypt(CREDENTIALS);
+
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'key-two';
+    process.env.CREDENTIALS_ENCRYPTION_PREVIOUS_KEYS = 'key-one';
+    const rotated = credentialVault.reencrypt(old);
+    const fromPlaintext = credentialVault.reencrypt(CREDENTIALS);
+
+    expect(credentialVault.isCurrent(rotated)).toBe(true);
+    expect(credentialVault.isCurrent(fromPlaintext)).toBe(true);
+    expect(credentialVault.reencrypt(rotated)).toBeNull();
+
+    delete process.env.CREDENTIALS_ENCRYPTION_PREVIOUS_KEYS;
+    expect(credentialVault.decrypt(rotated)).toEqual(CREDENTIALS);
+  });
+
+  test('redacts secret fields and known secret values', () => {
+    credentialVault.encrypt(CREDENTIALS);
+
+    expect(redact({ user: 'alice', apiKey: 'abc', nested: { accessToken: 'xyz' } }))
+      .toEqual({ user: 'alice', apiKey: '[REDACTED]', nested: { accessToken: '[REDACTED]' } });
+    expect(redact('calling https://api.telegram.org/bot123456:telegram-bot-token/getMe'))
+      .toBe('calling https://api.telegram.org/bot[REDACTED]/getMe');
+  });
+});
+
+describe('WorkspaceService.rotateCredentialsKey', () => {
+  afterEach(() => {
+    delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+    delete process.env.CREDENTIALS_ENCRYPTION_PREVIOUS_KEYS;
+  });
+
+  test('moves every stored credential set onto the new key, once', async () => {
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'key-one';
+    await workspaceService.createWorkspace({ id: 'ws_rotate', name: 'Rotate' });
+    await workspaceService.setPlatformCredentials('ws_rotate', 'telegram', CREDENTIALS);
+    await workspaceService.store.update('ws_rotate', {
+      platforms: { ...workspaceService.getWorkspace('ws_rotate').platforms, whatsapp: { accessToken: 'legacy-plaintext-token' } }
+    });
+
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'key-two';
+    process.env.CREDENTIALS_ENCRYPTION_PREVIOUS_KEYS = 'key-one';
+
+    expect(await workspaceService.rotateCredentialsKey()).toEqual({ reencrypted: 2, failed: 0 });
+    expect(await workspaceService.rotateCredentialsKey()).toEqual({ reencrypted: 0, failed: 0 });
+
+    delete process.env.CREDENTIALS_ENCRYPTION_PREVIOUS_KEYS;
+    const stored = workspaceService.getWorkspace('ws_rotate').platforms;
+    expect(Object.values(stored).every(envelope => credentialVault.isCurrent(envelope))).toBe(true);
+    expect(workspaceService.getPlatformCredentials('ws_rotate')).toEqual({
+      telegram: CREDENTIALS,
+      whatsapp: { accessToken: 'legacy-plaintext-token' }
+    });
+  });
+
+  test('counts credentials it cannot decrypt and leaves them as they are', async () => {
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'lost-key';
+    await workspaceService.createWorkspace({ id: 'ws_lost_key', name: 'Lost key' });
+    await workspaceService.setPlatformCredentials('ws_lost_key', 'telegram', CREDENTIALS);
+    const before = workspaceService.getWorkspace('ws_lost_key').platforms.telegram;
+
+    process.env.CREDENTIALS_ENCRYPTION_KEY = 'key-two';
+    const result = await workspaceService.rotateCredentialsKey();
+
+    expect(result.failed).toBe(1);
+    expect(workspaceService.getWorkspace('ws_lost_key').platforms.telegram).toEqual(before);
+    expect(workspaceService.getPlatformCredentials('ws_lost_key')).toEqual({});
+  });
+});
@@ -0,0 +1,212 @@
+const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
+const { JsonFileStore } = require('./storage');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'delivery-status' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/delivery-status.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+const DELIVERY_STATUSES = ['queued', 'sent', 'delivered', 'read', 'failed'];
+
+// Delivery only moves forward; callbacks can arrive out of order (read before delivered)
+const PROGRESS = { queued: 0, sent: 1, delivered: 2, read: 3 };
+
+// Callbacks for messages whose platform id is not recorded yet are held this long
+const PENDING_TTL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// `{ code, title, message }` from a platform API error (Graph API shape first)
+function toDeliveryError(error) {
+  const apiError = error.response?.data?.error;
+  return {
+    code: apiError?.code ?? error.code ?? null,
+    title: apiError?.type || apiError?.title || null,
+    message: apiError?.message || error.message
+  };
+}
+
+// Tracks outbound messages through queued → sent → delivered → read, or failed.
+// MessageService records queued/sent/failed around the send; platform status
+// callbacks (WhatsApp statuses) move it further. Every change is stored on the
+// message (deliveryStatus, deliveryHistory, deliveryError) and pushed to the
+// workspace's clients as 'message:status'.
+class DeliveryStatusService {
+  constructor() {
+    // Status callbacks that arrived before the send returned the platform id
+    this.pending = new JsonFileStore('pending-delivery-statuses.json');
+    this.io = null;
+    this.timer = null;
+  }
+
+  canTransition(from, to) {
+    if (!DELIVERY_STATUSES.includes(to) || from === to) {
+      return false;
+    }
+    if (!from) {
+      return true;
+    }
+    if (from === 'failed' || from === 'read') {
+      return false;
+    }
+    return to === 'failed' || PROGRESS[to] > PROGRESS[from];
+  }
+
+  // Move `message` to `status`; returns the updated message, or null when the
+  // change would go backwards (a late or repeated callback)
+  async transition(message, status, { at = new Date(), error = null, changes = {} } = {}) {
+    if (!this.canTransition(message.deliveryStatus, status)) {
+      return null;
+    }
+
+    // Required lazily: MessageService sends through this service
+    const messageService = require('./messageService');
+    const entry = { status, at };
+    if (error) {
+      entry.error = error;
+    }
+
+    const updated = await messageService.store.updateMessage(message.id, {
+      ...changes,
+      deliveryStatus: status,
+      deliveryHistory: [...(message.deliveryHistory || []), entry],
+      deliveryError: status === 'failed' ? error : null
+    });
+
+    this.emit(updated);
+    logger.info(`Message ${message.id} (${message.platform}) ${message.deliveryStatus || 'new'} -> ${status}`);
+    return updated;
+  }
+
+  // The platform accepted the message; `changes` carries what the send returned
+  async markSent(message, platformMessageId, changes = {}) {
+    const sent = await this.transition(message, 'sent', { changes: { ...changes, platformMessageId } });
+    if (!sent) {
+      return message;
+    }
+    return (await this.applyPending(sent)) || sent;
+  }
+
+  async markFailed(message, error) {
+    return this.transition(message, 'failed', { error: toDeliveryError(error) });
+  }
+
+  // Apply a platform status callback: { platform, platformMessageId, status, timestamp, error }
+  async applyStatus(workspaceId, update) {
+    if (!DELIVERY_STATUSES.includes(update.status)) {
+      return null;
+    }
+
+    const messageService = require('./messageService');
+    const message = await messageService.findPlatformMessage({
+      workspaceId,
+      platform: update.platform,
+      platformMessageId: update.platformMessageId
+    });
+
+    if (!message) {
+      await this.holdStatus(workspaceId, update);
+      return null;
+    }
+
+    return this.transition(message, update.status, { at: update.timestamp || new Date(), error: update.error });
+  }
+
+  pendingKey(workspaceId, platform, platformMessageId) {
+    return `${workspaceId}:${platform}:${platformMessageId}`;
+  }
+
+  async holdStatus(workspaceId, update) {
+    const id = this.pendingKey(workspaceId, update.platform, update.platformMessageId);
+    const existing = this.pending.get(id);
+
+    await this.pending.set({
+      id,
+      updates: [...(existing?.updates || []), update],
+      receivedAt: existing?.receivedAt || new Date().toISOString()
+    });
+    logger.info(`Held ${update.platform} ${update.status} status for unknown message ${update.platformMessageId}`);
+  }
+
+  // Apply callbacks held for a message that now has its platform id
+  async applyPending(message) {
+    const id = this.pendingKey(message.workspaceId, message.platform, message.platformMessageId);
+    const held = this.pending.get(id);
+    if (!held) {
+      return null;
+    }
+    await this.pending.delete(id);
+
+    let current = message;
+    for (const update of held.updates) {
+      current = (await this.transition(current, update.status, {
+        at: new Date(update.timestamp || held.receivedAt),
+        error: update.error
+      })) || current;
+    }
+    return current;
+  }
+
+  // Statuses held for messages that never got their platform id (sent elsewhere)
+  async pruneExpired() {
+    const now = Date.now();
+    const expired = this.pending.values().filter(held => now - new Date(held.receivedAt).getTime() > PENDING_TTL_MS);
+    for (const held of expired) {
+      this.pending.load().delete(held.id);
+    }
+    if (expired.length > 0) {
+      await this.pending.save();
+      logger.info(`Dropped ${expired.length} held delivery status(es) for unknown messages`);
+    }
+  }
+
+  emit(message) {
+    if (!this.io || !message) {
+      return;
+    }
+
+    this.io.to(`workspace:${message.workspaceId}:platform:${message.platform}`).emit('message:status', {
+      messageId: message.id,
+      conversationId: message.conversationId,
+      platform: message.platform,
+      platformMessageId: message.platformMessageId,
+      deliveryStatus: message.deliveryStatus,
+      deliveryError: message.deliveryError,
+      at: message.deliveryHistory?.[message.deliveryHistory.length - 1]?.at
+    });
+  }
+
+  // `io` is used to push status changes to connected clients
+  start(io) {
+    this.io = io || this.io;
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.pruneExpired().catch(error => logger.error('Error pruning held delivery statuses:', error));
+    }, PRUNE_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new DeliveryStatusService();
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
@@ -0,0 +1,138 @@
+const deliveryStatusService = require('./deliveryStatusService');
+const webhookQueueService = require('./webhookQueueService');
+const messageService = require('./messageService');
+
+const WORKSPACE_ID = 'ws_delivery';
+const HOUR = 60 * 60 * 1000;
+
+let sendCount = 0;
+function queuedMessage() {
+  sendCount++;
+  return messageService.createMessage({
+    workspaceId: WORKSPACE_ID,
+    platform: 'whatsapp',
+    sender: 'me',
+    senderId: 'me',
+    recipientId: '15550001',
+    text: `outbound ${sendCount}`,
+    isIncoming: false,
+    deliveryStatus: 'queued'
+  });
+}
+
+// A WhatsApp status callback as Meta delivers it to the webhook
+function statusPayload(wamid, status, timestamp, errors) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      changes: [{
+        field: 'messages',
+        value: {
+          metadata: { phone_number_id: 'phone_1' },
+          statuses: [{ id: wamid, status, timestamp: String(timestamp), recipient_id: '15550001', ...(errors && { errors }) }]
+        }
+      }]
+    }]
+  };
+}
+
+async function deliverStatus(...args) {
+  await webhookQueueService.enqueue(WORKSPACE_ID, 'whatsapp', statusPayload(...args));
+  await webhookQueueService.processQueue();
+}
+
+const reload = message => messageService.findWorkspaceMessage(WORKSPACE_ID, message.id);
+
+describe('DeliveryStatusService', () => {
+  afterEach(() => {
+    deliveryStatusService.io = null;
+  });
+
+  test('delivery only moves forward', () => {
+    expect(deliveryStatusService.canTransition('queued', 'sent')).toBe(true);
+    expect(deliveryStatusService.canTransition('sent', 'read')).toBe(true);
+    expect(deliveryStatusService.canTransition('read', 'delivered')).toBe(false);
+    expect(deliveryStatusService.canTransition('delivered', 'delivered')).toBe(false);
+    expect(deliveryStatusService.canTransition('delivered', 'failed')).toBe(true);
+    expect(deliveryStatusService.canTransition('failed', 'sent')).toBe(false);
+    expect(deliveryStatusService.canTransition('sent', 'bounced')).toBe(false);
+  });
+
+  test('WhatsApp status callbacks advance a sent message and are pushed to the workspace', async () => {
+    const emit = jest.fn();
+    deliveryStatusService.io = { to: jest.fn(() => ({ emit })) };
+    const message = await deliveryStatusService.markSent(await queuedMessage(), 'wamid.delivery.1');
+
+    await deliverStatus('wamid.delivery.1', 'read', 1700000060);
+    // Arrives late: read already implies delivered
+    await deliverStatus('wamid.delivery.1', 'delivered', 1700000030);
+
+    const stored = await reload(message);
+    expect(stored.deliveryStatus).toBe('read');
+    expect(stored.deliveryHistory.map(entry => entry.status)).toEqual(['queued', 'sent', 'read']);
+    expect(new Date(stored.deliveryHistory[2].at).getTime()).toBe(1700000060 * 1000);
+    expect(deliveryStatusService.io.to).toHaveBeenCalledWith(`workspace:${WORKSPACE_ID}:platform:whatsapp`);
+    expect(emit).toHaveBeenLastCalledWith('message:status', expect.objectContaining({
+      messageId: message.id,
+      platformMessageId: 'wamid.delivery.1',
+      deliveryStatus: 'read'
+    }));
+  });
+
+  test('a callback that beats the send response is held and applied once the id is known', async () => {
+    await deliverStatus('wamid.delivery.2', 'delivered', 1700000030);
+    expect(deliveryStatusService.pending.values()).toHaveLength(1);
+
+    const sent = await deliveryStatusService.markSent(await queuedMessage(), 'wamid.delivery.2');
+
+    expect(sent.deliveryStatus).toBe('delivered');
+    expect(sent.deliveryHistory.map(entry => entry.status)).toEqual(['queued', 'sent', 'delivered']);
+    expect(deliveryStatusService.pending.values()).toHaveLength(0);
+  });
+
+  test('a failed callback records the platform error', async () => {
+    const message = await deliveryStatusService.markSent(await queuedMessage(), 'wamid.delivery.3');
+
+    await deliverStatus('wamid.delivery.3', 'failed', 1700000030, [{
+      code: 131047,
+      title: 'Re-engagement message',
+      error_data: { details: 'More than 24 hours have passed since the recipient last replied.' }
+    }]);
+
+    expect(await reload(message)).toMatchObject({
+      deliveryStatus: 'failed',
+      deliveryError: {
+        code: 131047,
+        title: 'Re-engagement message',
+        message: 'More than 24 hours have passed since the recipient last replied.'
+      }
+    });
+  });
+
+  test('a rejected send keeps the Graph API error', async () => {
+    const error = new Error('Request failed with status code 400');
+    error.response = { data: { error: { code: 100, type: 'OAuthException', message: 'Invalid parameter' } } };
+
+    const failed = await deliveryStatusService.markFailed(await queuedMessage(), error);
+
+    expect(failed.deliveryError).toEqual({ code: 100, title: 'OAuthException', message: 'Invalid parameter' });
+    expect(await deliveryStatusService.markSent(failed, 'wamid.too.late')).toBe(failed);
+  });
+
+  test('held callbacks for messages that never get their id expire', async () => {
+    await deliveryStatusService.applyStatus(WORKSPACE_ID, {
+      platform: 'whatsapp', platformMessageId: 'wamid.elsewhere', status: 'delivered', timestamp: new Date()
+    });
+
+    await deliveryStatusService.pruneExpired();
+    expect(deliveryStatusService.pending.get(`${WORKSPACE_ID}:whatsapp:wamid.elsewhere`)).not.toBeNull();
+
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 25 * HOUR);
+    try {
+      await deliveryStatusService.pruneExpired();
+    } finally {
+      now.mockRestore();
+    }
+    expect(deliveryStatusService.pending.get(`${WORKSPACE_ID}:whatsapp:wamid.elsewhere`)).toBeNull();
+  });
+});
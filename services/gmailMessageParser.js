@@ -0,0 +1,230 @@
+const { sanitizeHtml } = require('./htmlSanitizer');
+
+// Turn Gmail API message resources (users.messages.get, format=full) into
+// unified message objects ready for MessageService.ingestMessage.
+
+function getHeader(headers, name) {
+  const header = (headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : null;
+}
+
+// "Jane Doe <jane@example.com>" -> { name: 'Jane Doe', address: 'jane@example.com' }
+function parseAddress(value) {
+  if (!value) {
+    return { name: null, address: null };
+  }
+
+  const match = value.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+  if (match) {
+    return { name: match[1] || null, address: match[2].trim() };
+  }
+  return { name: null, address: value.trim() };
+}
+
+// "text/html; charset=ISO-8859-1" -> 'iso-8859-1'
+function getCharset(part) {
+  const match = (getHeader(part.headers, 'Content-Type') || '').match(/charset="?([^";\s]+)"?/i);
+  return match ? match[1].toLowerCase() : 'utf-8';
+}
+
+function decodeBase64Url(data) {
+  return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Gmail hands back a part's bytes in the charset it was sent in
+function decodeText(data, charset) {
+  const bytes = decodeBase64Url(data);
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch (error) {
+    return bytes.toString('utf8');
+  }
+}
+
+// 'inline' or 'attachment', from the part's Content-Disposition
+function getDisposition(part) {
+  const value = getHeader(part.headers, 'Content-Disposition');
+  return value ? value.split(';')[0].trim().toLowerCase() : null;
+}
+
+// "<logo@mail>" -> "logo@mail"
+function getContentId(part) {
+  const value = getHeader(part.headers, 'Content-ID');
+  return value ? value.trim().replace(/^<|>$/g, '') : null;
+}
+
+// Images the HTML body references through cid: URLs
+function isInlineImage(part) {
+  return !!part.mimeType?.startsWith('image/') && !!getContentId(part) && getDisposition(part) !== 'attachment';
+}
+
+// The inline image parts of a payload, so a caller can fetch bodies Gmail
+// only returns by attachmentId before calling toUnifiedMessage
+function findInlineImageParts(payload) {
+  const parts = [];
+  walkParts(payload, part => {
+    if (isInlineImage(part)) {
+      parts.push(part);
+    }
+  });
+  return parts;
+}
+
+// Visit every MIME part depth-first, the message payload itself included
+function walkParts(part, visit) {
+  if (!part) {
+    return;
+  }
+  visit(part);
+  for (const child of part.parts || []) {
+    walkParts(child, visit);
+  }
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Split a message payload into its text body, HTML body, attachments and the
+// inline images (by Content-ID) the HTML body shows
+function parseGmailPayload(payload) {
+  const textParts = [];
+  const htmlParts = [];
+  const attachments = [];
+  const inlineImages = [];
+
+  walkParts(payload, part => {
+    const body = part.body || {};
+    if (part.mimeType?.startsWith('multipart/')) {
+      return;
+    }
+
+    if (isInlineImage(part)) {
+      inlineImages.push({
+        contentId: getContentId(part),
+        filename: part.filename || null,
+        mimeType: part.mimeType,
+        size: body.size || 0,
+        attachmentId: body.attachmentId || null,
+        data: body.data || null
+      });
+      return;
+    }
+
+    if (part.filename || body.attachmentId || getDisposition(part) === 'attachment') {
+      attachments.push({
+        filename: part.filename || null,
+        mimeType: part.mimeType,
+        size: body.size || 0,
+        attachmentId: body.attachmentId || null
+      });
+      return;
+    }
+
+    if (!body.data) {
+      return;
+    }
+    if (part.mimeType === 'text/plain') {
+      textParts.push(decodeText(body.data, getCharset(part)));
+    } else if (part.mimeType === 'text/html') {
+      htmlParts.push(decodeText(body.data, getCharset(part)));
+    }
+  });
+
+  return {
+    text: textParts.join('\n').trim(),
+    html: htmlParts.join('\n').trim(),
+    attachments,
+    inlineImages
+  };
+}
+
+// data: URL for an inline image whose bytes came with the message
+function toDataUrl(image) {
+  return `data:${image.mimeType};base64,${decodeBase64Url(image.data).toString('base64')}`;
+}
+
+// "a@x b@x" -> ['a@x', 'b@x'] for the References header
+function parseMessageIds(value) {
+  return value ? value.match(/<[^>]+>/g) || [] : [];
+}
+
+function toAttachment(attachment, extra = {}) {
+  return {
+    type: attachment.mimeType?.startsWith('image/') ? 'image' : 'document',
+    url: attachment.attachmentId,
+    filename: attachment.filename,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    platform: 'gmail',
+    ...extra
+  };
+}
+
+function toUnifiedMessage(gmailMessage) {
+  const headers = gmailMessage.payload?.headers || [];
+  const from = parseAddress(getHeader(headers, 'From'));
+  const to = parseAddress(getHeader(headers, 'To'));
+  const replyTo = parseAddress(getHeader(headers, 'Reply-To'));
+  const { text, html, attachments, inlineImages } = parseGmailPayload(gmailMessage.payload);
+
+  // Inline images without their bytes keep their alt text only
+  const inlineSources = new Map(
+    inlineImages.filter(image => image.data).map(image => [image.contentId, toDataUrl(image)])
+  );
+  const safeHtml = html ? sanitizeHtml(html, { resolveContentId: contentId => inlineSources.get(contentId) }) : '';
+
+  return {
+    platform: 'gmail',
+    sender: from.name || from.address || 'Unknown',
+    senderId: from.address || 'Unknown',
+    recipient: to.name || to.address || 'Unknown',
+    recipientId: to.address || 'Unknown',
+    text: text || (html && htmlToText(html)) || gmailMessage.snippet || '',
+    html: safeHtml || null,
+    subject: getHeader(headers, 'Subject') || '',
+    timestamp: new Date(parseInt(gmailMessage.internalDate)),
+    type: 'email',
+    platformMessageId: gmailMessage.id,
+    threadId: gmailMessage.threadId,
+    isIncoming: true,
+    attachments: [
+      ...attachments.map(attachment => toAttachment(attachment)),
+      ...inlineImages.map(image => toAttachment(image, { inline: true, contentId: image.contentId }))
+    ],
+    metadata: {
+      messageType: 'email',
+      threadId: gmailMessage.threadId,
+      historyId: gmailMessage.historyId,
+      labelIds: gmailMessage.labelIds || [],
+      // Threading headers, needed to reply in the same Gmail thread
+      messageIdHeader: getHeader(headers, 'Message-ID'),
+      inReplyTo: getHeader(headers, 'In-Reply-To'),
+      references: parseMessageIds(getHeader(headers, 'References')),
+      replyTo: replyTo.address,
+      cc: getHeader(headers, 'Cc'),
+      snippet: gmailMessage.snippet || ''
+    }
+  };
+}
+
+module.exports = {
+  getHeader,
+  parseAddress,
+  parseGmailPayload,
+  findInlineImageParts,
+  htmlToText,
+  toUnifiedMessage
+};
@@ -0,0 +1,139 @@
+const { toUnifiedMessage, parseAddress, htmlToText } = require('./gmailMessageParser');
+const messageService = require('./messageService');
+const pluginService = require('./pluginService');
+
+const base64url = value => Buffer.from(value).toString('base64url');
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+function part(mimeType, body, headers = [], extra = {}) {
+  return { mimeType, headers, body, filename: '', ...extra };
+}
+
+// multipart/mixed: alternative text/html bodies, an inline logo the HTML
+// shows by Content-ID, and a PDF attachment
+const GMAIL_MESSAGE = {
+  id: '18c3aa0000000001',
+  threadId: '18c3aa0000000000',
+  historyId: '5120',
+  internalDate: '1760860800000',
+  labelIds: ['INBOX', 'UNREAD'],
+  snippet: 'Invoice attached',
+  payload: part('multipart/mixed', { size: 0 }, [
+    { name: 'From', value: '"Billing, Acme" <billing@acme.example>' },
+    { name: 'To', value: 'support@example.com' },
+    { name: 'Reply-To', value: 'Accounts <accounts@acme.example>' },
+    { name: 'Subject', value: 'Invoice 2026-10' },
+    { name: 'Message-ID', value: '<inv-2026-10@acme.example>' },
+    { name: 'In-Reply-To', value: '<q-1@example.com>' },
+    { name: 'References', value: '<q-0@example.com> <q-1@example.com>' }
+  ], {
+    parts: [
+      part('multipart/related', { size: 0 }, [], {
+        parts: [
+          part('multipart/alternative', { size: 0 }, [], {
+            parts: [
+              part('text/plain', { size: 30, data: Buffer.from('Total: 42 \xe9cus\r\n', 'latin1').toString('base64url') },
+                [{ name: 'Content-Type', value: 'text/plain; charset="ISO-8859-1"' }]),
+              part('text/html', {
+                size: 120,
+                data: base64url('<p onclick="steal()">Total: <b>42</b></p><img src="cid:logo@acme"><script>alert(1)</script>')
+              }, [{ name: 'Content-Type', value: 'text/html; charset=UTF-8' }])
+            ]
+          }),
+          part('image/png', { size: 68, data: Buffer.from(PNG, 'base64').toString('base64url') }, [
+            { name: 'Content-ID', value: '<logo@acme>' },
+            { name: 'Content-Disposition', value: 'inline; filename="logo.png"' }
+          ], { filename: 'logo.png' })
+        ]
+      }),
+      part('application/pdf', { size: 48213, attachmentId: 'ANGjdJ_pdf' }, [
+        { name: 'Content-Disposition', value: 'attachment; filename="invoice.pdf"' }
+      ], { filename: 'invoice.pdf' })
+    ]
+  })
+};
+
+describe('gmailMessageParser', () => {
+  test('parses addresses with and without display names', () => {
+    expect(parseAddress('"Billing, Acme" <billing@acme.example>')).toEqual({ name: 'Billing, Acme', address: 'billing@acme.example' });
+    expect(parseAddress(' support@example.com ')).toEqual({ name: null, address: 'support@example.com' });
+    expect(parseAddress(null)).toEqual({ name: null, address: null });
+  });
+
+  test('turns a multipart message into a unified message', () => {
+    const message = toUnifiedMessage(GMAIL_MESSAGE);
+
+    expect(message).toMatchObject({
+      platform: 'gmail',
+      sender: 'Billing, Acme',
+      senderId: 'billing@acme.example',
+      recipientId: 'support@example.com',
+      subject: 'Invoice 2026-10',
+      // Decoded from the part's own charset
+      text: 'Total: 42 écus',
+      platformMessageId: '18c3aa0000000001',
+      threadId: '18c3aa0000000000',
+      timestamp: new Date(1760860800000)
+    });
+    expect(message.metadata).toMatchObject({
+      messageIdHeader: '<inv-2026-10@acme.example>',
+      inReplyTo: '<q-1@example.com>',
+      references: ['<q-0@example.com>', '<q-1@example.com>'],
+      replyTo: 'accounts@acme.example'
+    });
+  });
+
+  test('sanitizes the HTML body and embeds inline images', () => {
+    const { html, attachments } = toUnifiedMessage(GMAIL_MESSAGE);
+
+    expect(html).toBe(`<p>Total: <b>42</b></p><img src="data:image/png;base64,${PNG}">`);
+    expect(attachments).toEqual([
+      expect.objectContaining({ type: 'document', url: 'ANGjdJ_pdf', filename: 'invoice.pdf', size: 48213 }),
+      expect.objectContaining({ type: 'image', filename: 'logo.png', inline: true, contentId: 'logo@acme' })
+    ]);
+  });
+
+  test('falls back to the HTML as text when there is no text part', () => {
+    expect(htmlToText('<p>Hello&nbsp;there</p><style>p{}</style><div>A &amp; B</div>')).toBe('Hello there\nA & B');
+  });
+});
+
+describe('Gmail replies', () => {
+  beforeEach(() => {
+    jest.spyOn(pluginService, 'handleMessageEvent').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('go to the Reply-To address, in the same thread, with the references chain', async () => {
+    const original = await messageService.createMessage({
+      ...toUnifiedMessage(GMAIL_MESSAGE),
+      workspaceId: 'ws_gmail_reply'
+    });
+
+    const reply = await messageService.resolveGmailReply('ws_gmail_reply', {
+      replyToMessageId: original.id,
+      text: 'Thanks, paid.'
+    });
+
+    expect(reply).toMatchObject({
+      recipientId: 'accounts@acme.example',
+      subject: 'Re: Invoice 2026-10',
+      conversationId: original.conversationId,
+      options: {
+        threadId: '18c3aa0000000000',
+        inReplyTo: '<inv-2026-10@acme.example>',
+        references: ['<q-0@example.com>', '<q-1@example.com>', '<inv-2026-10@acme.example>']
+      }
+    });
+  });
+
+  test('only answer Gmail messages of the same workspace', async () => {
+    const original = await messageService.createMessage({ ...toUnifiedMessage(GMAIL_MESSAGE), workspaceId: 'ws_gmail_reply' });
+
+    await expect(messageService.resolveGmailReply('ws_gmail_other', { replyToMessageId: original.id }))
+      .rejects.toThrow('Message not found');
+  });
+});
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
+const platformService = require('./platformService');
+const userService = require('./userService');
+const gmailSyncService = require('./gmailSyncService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'gmail-oauth' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/gmail-oauth.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// How long a user has to finish the Google consent screen
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Runs the Gmail OAuth authorization-code flow with PKCE. Each flow gets a
+// single-use `state` that ties the callback to the workspace and user who
+// started it; the PKCE verifier never leaves the server.
+class GmailOAuthService {
+  constructor() {
+    // state -> { workspaceId, userId, codeVerifier, expiresAt }
+    this.pending = new Map();
+  }
+
+  start({ workspaceId, userId }) {
+    this.pruneExpired();
+
+    const state = base64Url(crypto.randomBytes(24));
+    const codeVerifier = base64Url(crypto.randomBytes(48));
+    const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const authUrl = platformService.forWorkspace(workspaceId).getGmailAuthUrl({ state, codeChallenge });
+    const expiresAt = Date.now() + STATE_TTL_MS;
+    this.pending.set(state, { workspaceId, userId, codeVerifier, expiresAt });
+
+    logger.info(`Gmail OAuth started for workspace ${workspaceId} by user ${userId}`);
+    return { state, authUrl, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // Consume `state` (whether or not the exchange succeeds) and store the grant
+  async complete({ state, code }) {
+    const pending = this.pending.get(state);
+    this.pending.delete(state);
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      throw new Error('Invalid or expired OAuth state');
+    }
+    if (!code) {
+      throw new Error('Authorization code is required');
+    }
+
+    const platforms = platformService.forWorkspace(pending.workspaceId);
+    const tokens = await platforms.authenticateGmail(code, pending.codeVerifier);
+    await userService.recordPlatformConnection(pending.userId, 'gmail', pending.workspaceId);
+
+    logger.info(`Gmail connected for workspace ${pending.workspaceId}`);
+
+    // Start push sync right away when Pub/Sub is set up; it can be retried later
+    if (process.env.GMAIL_PUBSUB_TOPIC) {
+      gmailSyncService.startWatch(pending.workspaceId).catch(error => {
+        logger.error(`Gmail watch not started for workspace ${pending.workspaceId}:`, error);
+      });
+    }
+
+    return { workspaceId: pending.workspaceId, scope: tokens.scope, hasRefreshToken: !!tokens.refresh_token };
+  }
+
+  // Drop a flow the user abandoned or denied on the consent screen
+  cancel(state) {
+    return this.pending.delete(state);
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    for (const [state, pending] of this.pending) {
+      if (pending.expiresAt < now) {
+        this.pending.delete(state);
+      }
+    }
+  }
+}
+
+module.exports = new GmailOAuthService();
+module.exports.STATE_TTL_MS = STATE_TTL_MS;
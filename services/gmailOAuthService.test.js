@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const gmailOAuthService = require('./gmailOAuthService');
+const platformService = require('./platformService');
+const userService = require('./userService');
+
+const WORKSPACE_ID = 'ws_gmail_oauth';
+
+describe('GmailOAuthService', () => {
+  let platforms;
+
+  beforeEach(() => {
+    platforms = platformService.forWorkspace(WORKSPACE_ID);
+    jest.spyOn(platforms, 'getGmailAuthUrl').mockImplementation(({ state }) => `https://accounts.example/auth?state=${state}`);
+    jest.spyOn(platforms, 'authenticateGmail').mockResolvedValue({ scope: 'gmail.modify', refresh_token: 'rt' });
+    jest.spyOn(userService, 'recordPlatformConnection').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('exchanges the code with the PKCE verifier whose challenge went to Google', async () => {
+    const { state, authUrl } = gmailOAuthService.start({ workspaceId: WORKSPACE_ID, userId: 'user_1' });
+    const { codeChallenge } = platforms.getGmailAuthUrl.mock.calls[0][0];
+
+    expect(authUrl).toContain(state);
+    await expect(gmailOAuthService.complete({ state, code: 'auth_code' }))
+      .resolves.toEqual({ workspaceId: WORKSPACE_ID, scope: 'gmail.modify', hasRefreshToken: true });
+
+    const [code, codeVerifier] = platforms.authenticateGmail.mock.calls[0];
+    expect(code).toBe('auth_code');
+    expect(crypto.createHash('sha256').update(codeVerifier).digest('base64url')).toBe(codeChallenge);
+    expect(userService.recordPlatformConnection).toHaveBeenCalledWith('user_1', 'gmail', WORKSPACE_ID);
+  });
+
+  test('a state is used once, even when the exchange fails', async () => {
+    const { state } = gmailOAuthService.start({ workspaceId: WORKSPACE_ID, userId: 'user_1' });
+
+    await expect(gmailOAuthService.complete({ state })).rejects.toThrow('Authorization code is required');
+    await expect(gmailOAuthService.complete({ state, code: 'auth_code' })).rejects.toThrow('Invalid or expired OAuth state');
+    expect(platforms.authenticateGmail).not.toHaveBeenCalled();
+  });
+
+  test('a state expires when the consent screen is left too long', async () => {
+    const { state } = gmailOAuthService.start({ workspaceId: WORKSPACE_ID, userId: 'user_1' });
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + gmailOAuthService.STATE_TTL_MS + 1);
+    await expect(gmailOAuthService.complete({ state, code: 'auth_code' })).rejects.toThrow('Invalid or expired OAuth state');
+  });
+});
@@ -0,0 +1,252 @@
+const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
+const { JsonFileStore } = require('./storage');
+const platformService = require('./platformService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'gmail-sync' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/gmail-sync.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+const RENEW_INTERVAL_MS = parseInt(process.env.GMAIL_WATCH_RENEW_INTERVAL_MS) || 60 * 60 * 1000;
+// Watches last 7 days; renew once less than this is left
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+// Messages fetched when the stored historyId is too old for history.list
+const RESYNC_MAX_MESSAGES = 50;
+
+// Keeps each workspace's Gmail inbox in sync through push notifications.
+// users.watch makes Gmail publish { emailAddress, historyId } to Cloud Pub/Sub on
+// every mailbox change; each notification is turned into the messages added
+// since the last stored historyId (history.list), hydrated with users.messages.get.
+class GmailSyncService {
+  constructor() {
+    // One record per workspace: { id: workspaceId, emailAddress, historyId, watchExpiration, ... }
+    this.state = new JsonFileStore('gmail-sync.json');
+    this.timer = null;
+  }
+
+  getSyncState(workspaceId) {
+    return this.state.get(workspaceId);
+  }
+
+  // The workspace watching `emailAddress`; one Pub/Sub subscription serves every workspace
+  findByEmailAddress(emailAddress) {
+    const normalized = (emailAddress || '').toLowerCase();
+    return this.state.values().find(state => state.emailAddress?.toLowerCase() === normalized) || null;
+  }
+
+  // Ask Gmail to publish inbox changes to GMAIL_PUBSUB_TOPIC. Also used to renew.
+  async startWatch(workspaceId) {
+    const topicName = process.env.GMAIL_PUBSUB_TOPIC;
+    if (!topicName) {
+      throw new Error('GMAIL_PUBSUB_TOPIC is not configured');
+    }
+
+    const platforms = platformService.forWorkspace(workspaceId);
+    try {
+      const gmail = platforms.getGmailClient();
+      const { data: profile } = await gmail.users.getProfile({ userId: 'me' });
+      const { data: watch } = await gmail.users.watch({
+        userId: 'me',
+        requestBody: { topicName, labelIds: ['INBOX'], labelFilterBehavior: 'include' }
+      });
+
+      const existing = this.getSyncState(workspaceId);
+      const state = {
+        id: workspaceId,
+        workspaceId,
+        emailAddress: profile.emailAddress,
+        // Keep syncing from where we were; a first watch starts from now
+        historyId: existing?.emailAddress === profile.emailAddress ? existing.historyId : String(watch.historyId),
+        watchExpiration: new Date(parseInt(watch.expiration)).toISOString(),
+        watchStartedAt: new Date().toISOString(),
+        lastSyncAt: existing?.lastSyncAt || null,
+        lastError: null
+      };
+      await this.state.set(state);
+
+      logger.info(`Gmail watch active for workspace ${workspaceId} until ${state.watchExpiration}`);
+      return state;
+    } catch (error) {
+      await platforms.handleGmailGrantError(error);
+      logger.error(`Failed to start Gmail watch for workspace ${workspaceId}:`, error);
+      throw error;
+    }
+  }
+
+  async stopWatch(workspaceId) {
+    const state = this.getSyncState(workspaceId);
+    if (!state) {
+      return false;
+    }
+
+    try {
+      await platformService.forWorkspace(workspaceId).getGmailClient().users.stop({ userId: 'me' });
+    } catch (error) {
+      // The grant may already be gone; forget the watch regardless
+      logger.warn(`Gmail users.stop failed for workspace ${workspaceId}: ${error.message}`);
+    }
+
+    await this.state.delete(workspaceId);
+    logger.info(`Gmail watch stopped for workspace ${workspaceId}`);
+    return true;
+  }
+
+  // Unified messages for everything added to the inbox since the last sync.
+  // Advances the stored historyId, so callers must keep what is returned.
+  async syncFromNotification(workspaceId, notification) {
+    const state = this.getSyncState(workspaceId);
+    if (!state) {
+      logger.warn(`Gmail notification for workspace ${workspaceId} without an active watch ignored`);
+      return [];
+    }
+    if (notification.emailAddress.toLowerCase() !== state.emailAddress.toLowerCase()) {
+      logger.warn(`Gmail notification for ${notification.emailAddress} does not match workspace ${workspaceId}`);
+      return [];
+    }
+    if (BigInt(notification.historyId) <= BigInt(state.historyId)) {
+      return [];
+    }
+
+    const platforms = platformService.forWorkspace(workspaceId);
+    try {
+      const gmail = platforms.getGmailClient();
+      const { messageIds, historyId } = await this.listAddedMessages(gmail, state.historyId);
+      const messages = await this.hydrateMessages(platforms, messageIds);
+
+      await this.state.update(workspaceId, {
+        historyId: historyId || notification.historyId,
+        lastSyncAt: new Date().toISOString(),
+        lastError: null
+      });
+
+      logger.info(`Gmail sync for workspace ${workspaceId}: ${messages.length} new message(s)`);
+      return messages;
+    } catch (error) {
+      await platforms.handleGmailGrantError(error);
+      await this.state.update(workspaceId, { lastError: error.message });
+      throw error;
+    }
+  }
+
+  // Ids of inbox messages added after `startHistoryId`, oldest first, plus the
+  // mailbox's current historyId. Falls back to a recent-inbox resync when Gmail
+  // no longer has history that old (404).
+  async listAddedMessages(gmail, startHistoryId) {
+    const messageIds = [];
+    let pageToken;
+    let historyId;
+
+    try {
+      do {
+        const { data } = await gmail.users.history.list({
+          userId: 'me',
+          startHistoryId,
+          labelId: 'INBOX',
+          historyTypes: ['messageAdded'],
+          pageToken
+        });
+
+        for (const record of data.history || []) {
+          for (const { message } of record.messagesAdded || []) {
+            if (!messageIds.includes(message.id)) {
+              messageIds.push(message.id);
+            }
+          }
+        }
+        historyId = data.historyId;
+        pageToken = data.nextPageToken;
+      } while (pageToken);
+    } catch (error) {
+      if (error.code !== 404 && error.response?.status !== 404) {
+        throw error;
+      }
+      logger.warn(`Gmail history ${startHistoryId} expired, resyncing recent inbox messages`);
+      return this.listRecentMessages(gmail);
+    }
+
+    return { messageIds, historyId };
+  }
+
+  async listRecentMessages(gmail) {
+    const { data: profile } = await gmail.users.getProfile({ userId: 'me' });
+    const { data } = await gmail.users.messages.list({
+      userId: 'me',
+      labelIds: ['INBOX'],
+      maxResults: RESYNC_MAX_MESSAGES
+    });
+
+    return {
+      messageIds: (data.messages || []).map(message => message.id).reverse(),
+      historyId: String(profile.historyId)
+    };
+  }
+
+  // Full messages (headers, bodies, attachment references) in unified form.
+  // A message deleted before we got to it is skipped.
+  async hydrateMessages(platforms, messageIds) {
+    const messages = [];
+    for (const id of messageIds) {
+      try {
+        messages.push(await platforms.getGmailMessage(id));
+      } catch (error) {
+        if (error.code === 404 || error.response?.status === 404) {
+          continue;
+        }
+        throw error;
+      }
+    }
+    return messages;
+  }
+
+  // Renew every watch that expires within RENEW_BEFORE_MS
+  async renewWatches() {
+    const threshold = Date.now() + RENEW_BEFORE_MS;
+    const expiring = this.state.values().filter(state => new Date(state.watchExpiration).getTime() <= threshold);
+
+    for (const state of expiring) {
+      try {
+        await this.startWatch(state.workspaceId);
+      } catch (error) {
+        await this.state.update(state.workspaceId, { lastError: error.message });
+      }
+    }
+    return expiring.length;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.renewWatches().catch(error => logger.error('Error renewing Gmail watches:', error));
+    }, RENEW_INTERVAL_MS);
+    this.timer.unref();
+    logger.info(`Gmail watch renewal started (${this.state.values().length} watched mailbox(es))`);
+
+    setImmediate(() => {
+      this.renewWatches().catch(error => logger.error('Error renewing Gmail watches:', error));
+    });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new GmailSyncService();
@@ -0,0 +1,141 @@
+const gmailSyncService = require('./gmailSyncService');
+const platformService = require('./platformService');
+const workspaceService = require('./workspaceService');
+const { startGmailReplay } = require('../test/gmailReplay');
+
+const HOUR = 60 * 60 * 1000;
+
+async function connectGmail(workspaceId) {
+  await workspaceService.createWorkspace({ id: workspaceId, name: workspaceId });
+  await platformService.forWorkspace(workspaceId).saveCredentials('gmail', {
+    clientId: 'client-id.apps.googleusercontent.com',
+    clientSecret: 'client-secret',
+    // Fresh enough that googleapis never tries to refresh it
+    tokens: { access_token: 'ya29.recorded', refresh_token: 'refresh-token', expiry_date: Date.now() + HOUR }
+  });
+}
+
+function watchState(workspaceId, overrides = {}) {
+  return {
+    id: workspaceId,
+    workspaceId,
+    emailAddress: 'support@example.com',
+    historyId: '4200',
+    watchExpiration: new Date(Date.now() + 5 * 24 * HOUR).toISOString(),
+    lastSyncAt: null,
+    lastError: null,
+    ...overrides
+  };
+}
+
+describe('GmailSyncService against recorded Gmail API responses', () => {
+  let replay;
+
+  afterEach(async () => {
+    delete process.env.GMAIL_API_BASE_URL;
+    delete process.env.GMAIL_PUBSUB_TOPIC;
+    if (replay) {
+      await replay.close();
+      replay = null;
+    }
+  });
+
+  async function replayFixture(name) {
+    replay = await startGmailReplay(name);
+    process.env.GMAIL_API_BASE_URL = replay.url;
+    return replay;
+  }
+
+  test('history.list: pages through added messages once each and advances the historyId', async () => {
+    await connectGmail('ws_gmail_sync');
+    await gmailSyncService.state.set(watchState('ws_gmail_sync'));
+    await replayFixture('history-sync');
+
+    const messages = await gmailSyncService.syncFromNotification('ws_gmail_sync', {
+      emailAddress: 'Support@Example.com',
+      historyId: '4213'
+    });
+
+    expect(replay.unused()).toEqual([]);
+    // The message deleted in between is skipped; the repeated messagesAdded is fetched once
+    expect(messages.map(message => message.platformMessageId)).toEqual(['18c1f0a1b2c3d4e5', '18c1f0c9e8d7f6a5']);
+    expect(messages[0]).toMatchObject({
+      platform: 'gmail',
+      senderId: 'dana@example.org',
+      subject: 'Order #1042',
+      text: 'Hi, my order #1042 has not arrived yet. Can you check?'
+    });
+    expect(messages[1].metadata).toMatchObject({ inReplyTo: '<CAF1042@mail.example.org>', threadId: '18c1f0a1b2c3d4e5' });
+    expect(messages[1].html).toContain('<b>thanks!</b>');
+
+    expect(gmailSyncService.getSyncState('ws_gmail_sync')).toMatchObject({ historyId: '4213', lastError: null });
+    expect(gmailSyncService.getSyncState('ws_gmail_sync').lastSyncAt).not.toBeNull();
+  });
+
+  test('history.list: notifications at or before the stored historyId are not fetched', async () => {
+    await connectGmail('ws_gmail_stale');
+    await gmailSyncService.state.set(watchState('ws_gmail_stale', { historyId: '4213' }));
+    await replayFixture('history-sync');
+
+    const messages = await gmailSyncService.syncFromNotification('ws_gmail_stale', {
+      emailAddress: 'support@example.com',
+      historyId: '4213'
+    });
+
+    expect(messages).toEqual([]);
+    expect(replay.requests).toEqual([]);
+  });
+
+  test('history.list: an expired startHistoryId falls back to the recent inbox', async () => {
+    await connectGmail('ws_gmail_expired');
+    await gmailSyncService.state.set(watchState('ws_gmail_expired', { historyId: '12' }));
+    await replayFixture('history-expired');
+
+    const messages = await gmailSyncService.syncFromNotification('ws_gmail_expired', {
+      emailAddress: 'support@example.com',
+      historyId: '9120'
+    });
+
+    expect(replay.unused()).toEqual([]);
+    expect(messages.map(message => message.subject)).toEqual(['Opening hours']);
+    expect(gmailSyncService.getSyncState('ws_gmail_expired').historyId).toBe('9120');
+  });
+
+  test('watch renewal: renews watches close to expiry and keeps their sync position', async () => {
+    process.env.GMAIL_PUBSUB_TOPIC = 'projects/unified-inbox/topics/gmail';
+    await connectGmail('ws_gmail_renew');
+    await gmailSyncService.state.set(watchState('ws_gmail_renew', {
+      watchExpiration: new Date(Date.now() + HOUR).toISOString()
+    }));
+    await replayFixture('watch-renewal');
+
+    const renewed = await gmailSyncService.renewWatches();
+
+    expect(renewed).toBe(1);
+    expect(replay.unused()).toEqual([]);
+    expect(replay.requests.find(req => req.path.endsWith('/watch')).body).toEqual({
+      topicName: 'projects/unified-inbox/topics/gmail',
+      labelIds: ['INBOX'],
+      labelFilterBehavior: 'include'
+    });
+    expect(gmailSyncService.getSyncState('ws_gmail_renew')).toMatchObject({
+      historyId: '4200',
+      watchExpiration: '2030-01-01T00:00:00.000Z',
+      lastError: null
+    });
+
+    // Watches with days left are not touched
+    expect(await gmailSyncService.renewWatches()).toBe(0);
+  });
+
+  test('watch renewal: a failed renewal is recorded on the watch', async () => {
+    process.env.GMAIL_PUBSUB_TOPIC = 'projects/unified-inbox/topics/gmail';
+    await gmailSyncService.state.set(watchState('ws_gmail_unconfigured', {
+      watchExpiration: new Date(Date.now() - HOUR).toISOString()
+    }));
+
+    await gmailSyncService.renewWatches();
+
+    expect(gmailSyncService.getSyncState('ws_gmail_unconfigured').lastError).toBe('Gmail platform not configured');
+  });
+});
@@ -0,0 +1,205 @@
+const { Parser } = require('htmlparser2');
+
+// Allowlist HTML sanitizer for email bodies shown in the conversation view.
+// Anything not listed here is removed: unknown tags are unwrapped (their text
+// kept), attributes and URLs outside the allowlist are dropped.
+
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'center', 'cite', 'code', 'col', 'colgroup',
+  'dd', 'del', 'div', 'dl', 'dt', 'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i',
+  'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'small', 'span', 'strike',
+  'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+
+// Removed together with everything inside them. <head> itself is only
+// unwrapped: its <title> and <style> go, and an unclosed one keeps the body.
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'title', 'iframe', 'frame', 'frameset', 'object', 'embed',
+  'applet', 'noscript', 'template', 'svg', 'math', 'textarea', 'select', 'option'
+]);
+
+const VOID_TAGS = new Set(['br', 'col', 'hr', 'img']);
+
+const GLOBAL_ATTRIBUTES = ['title', 'dir', 'lang', 'align', 'valign', 'style'];
+
+const TAG_ATTRIBUTES = {
+  a: ['href', 'name'],
+  img: ['src', 'alt', 'width', 'height', 'border'],
+  font: ['color', 'face', 'size'],
+  table: ['width', 'border', 'cellpadding', 'cellspacing', 'bgcolor'],
+  td: ['width', 'height', 'colspan', 'rowspan', 'bgcolor', 'nowrap'],
+  th: ['width', 'height', 'colspan', 'rowspan', 'bgcolor', 'nowrap'],
+  tr: ['bgcolor'],
+  col: ['span', 'width'],
+  colgroup: ['span', 'width'],
+  ol: ['start', 'type'],
+  ul: ['type'],
+  blockquote: ['cite'],
+  q: ['cite']
+};
+
+const LINK_SCHEMES = ['http', 'https', 'mailto'];
+const IMAGE_SCHEMES = ['http', 'https'];
+
+// Only base64 raster images may be inlined; SVG can carry script
+const DATA_IMAGE_PATTERN = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+// Inline style properties kept: typography, spacing and borders. No
+// positioning, and no property that takes an image.
+const STYLE_PROPERTIES = new Set([
+  'color', 'background-color', 'font-family', 'font-size', 'font-style', 'font-weight',
+  'line-height', 'letter-spacing', 'text-align', 'text-decoration', 'text-indent', 'text-transform',
+  'vertical-align', 'white-space', 'direction', 'display', 'list-style-type',
+  'width', 'height', 'max-width', 'min-width', 'max-height', 'min-height',
+  'margin', 'margin-top', 'margin-right', 'margin-bottom', 'margin-left',
+  'padding', 'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
+  'border', 'border-top', 'border-right', 'border-bottom', 'border-left',
+  'border-color', 'border-style', 'border-width', 'border-radius', 'border-collapse', 'border-spacing'
+]);
+
+// The only CSS functions a style value may call; url(), expression() and the
+// rest never get through
+const STYLE_FUNCTIONS = new Set(['rgb', 'rgba', 'hsl', 'hsla']);
+
+// Characters no kept declaration needs. Backslashes would let escapes spell
+// out anything ("u\72l(", "@\69mport"), so they are refused outright.
+const UNSAFE_STYLE_CHARACTERS = /[\\@<>{}]|\/\*/;
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return escapeText(value).replace(/"/g, '&quot;');
+}
+
+// Scheme of an absolute URL, ignoring the whitespace and control characters
+// browsers skip (" java\tscript:"); null for relative URLs
+function getScheme(url) {
+  const match = url.replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function sanitizeUrl(url, schemes) {
+  const scheme = getScheme(url);
+  return scheme && schemes.includes(scheme) ? url.trim() : null;
+}
+
+function hasBalancedQuotes(value) {
+  return ['"', "'"].every(quote => value.split(quote).length % 2 === 1);
+}
+
+function isSafeStyleValue(value) {
+  if (UNSAFE_STYLE_CHARACTERS.test(value) || !hasBalancedQuotes(value)) {
+    return false;
+  }
+  const functions = value.match(/[a-z0-9_-]*\s*\(/gi) || [];
+  return functions.every(call => STYLE_FUNCTIONS.has(call.replace(/[\s(]/g, '').toLowerCase()));
+}
+
+// The declarations of `style` whose property is in STYLE_PROPERTIES and whose
+// value passes isSafeStyleValue; null when none are left
+function sanitizeStyle(style) {
+  const declarations = [];
+
+  for (const declaration of style.split(';')) {
+    const separator = declaration.indexOf(':');
+    if (separator === -1) {
+      continue;
+    }
+    const property = declaration.slice(0, separator).trim().toLowerCase();
+    const value = declaration.slice(separator + 1).trim();
+    if (STYLE_PROPERTIES.has(property) && value && isSafeStyleValue(value)) {
+      declarations.push(`${property}: ${value}`);
+    }
+  }
+
+  return declarations.length ? declarations.join('; ') : null;
+}
+
+function sanitizeImageSource(src, options) {
+  const value = src.trim();
+  if (/^cid:/i.test(value)) {
+    const resolved = options.resolveContentId ? options.resolveContentId(value.slice(4)) : null;
+    return resolved && DATA_IMAGE_PATTERN.test(resolved) ? resolved : null;
+  }
+  if (DATA_IMAGE_PATTERN.test(value)) {
+    return value;
+  }
+  return sanitizeUrl(value, IMAGE_SCHEMES);
+}
+
+function sanitizeAttributes(tag, attributes, options) {
+  const allowed = [...GLOBAL_ATTRIBUTES, ...(TAG_ATTRIBUTES[tag] || [])];
+  const result = [];
+
+  for (const [name, rawValue] of Object.entries(attributes)) {
+    if (!allowed.includes(name)) {
+      continue;
+    }
+
+    let value = rawValue;
+    if (name === 'href' || name === 'cite') {
+      value = sanitizeUrl(rawValue, LINK_SCHEMES);
+    } else if (name === 'src') {
+      value = sanitizeImageSource(rawValue, options);
+    } else if (name === 'style') {
+      value = sanitizeStyle(rawValue);
+    }
+
+    if (value !== null) {
+      result.push(`${name}="${escapeAttribute(value)}"`);
+    }
+  }
+
+  // Links leave the conversation view without handing it to the opened page
+  if (tag === 'a' && result.some(attribute => attribute.startsWith('href='))) {
+    result.push('target="_blank"', 'rel="noopener noreferrer"');
+  }
+  return result;
+}
+
+// Sanitized HTML fragment for `html`. `options.resolveContentId(contentId)`
+// maps cid: image references to data: URLs; unresolved ones lose their src.
+function sanitizeHtml(html, options = {}) {
+  const output = [];
+  let droppedDepth = 0;
+
+  const parser = new Parser({
+    onopentag(name, attributes) {
+      if (droppedDepth > 0 || DROPPED_TAGS.has(name)) {
+        droppedDepth += DROPPED_TAGS.has(name) ? 1 : 0;
+        return;
+      }
+      if (!ALLOWED_TAGS.has(name)) {
+        return;
+      }
+
+      const attributeList = sanitizeAttributes(name, attributes, options);
+      output.push(`<${name}${attributeList.length ? ' ' + attributeList.join(' ') : ''}>`);
+    },
+    ontext(text) {
+      if (droppedDepth === 0) {
+        output.push(escapeText(text));
+      }
+    },
+    onclosetag(name) {
+      if (DROPPED_TAGS.has(name)) {
+        droppedDepth = Math.max(0, droppedDepth - 1);
+        return;
+      }
+      if (droppedDepth === 0 && ALLOWED_TAGS.has(name) && !VOID_TAGS.has(name)) {
+        output.push(`</${name}>`);
+      }
+    }
+  }, { decodeEntities: true, lowerCaseTags: true, lowerCaseAttributeNames: true });
+
+  parser.write(html || '');
+  parser.end();
+
+  return output.join('').trim();
+}
+
+module.exports = {
+  sanitizeHtml
+};
@@ -0,0 +1,51 @@
+const { sanitizeHtml } = require('./htmlSanitizer');
+
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+describe('sanitizeHtml', () => {
+  test('drops script content and unwraps unknown tags', () => {
+    expect(sanitizeHtml('<div onclick="x()">Hi <custom>there</custom><script>alert(1)</script></div>'))
+      .toBe('<div>Hi there</div>');
+    expect(sanitizeHtml('<head><title>Receipt</title><style>p{}</style></head><p>Body</p>')).toBe('<p>Body</p>');
+  });
+
+  test('keeps only allowed URL schemes', () => {
+    expect(sanitizeHtml('<a href=" java\tscript:alert(1)">x</a>')).toBe('<a>x</a>');
+    expect(sanitizeHtml('<a href="https://example.com/?a=1&amp;b=2">x</a>'))
+      .toBe('<a href="https://example.com/?a=1&amp;b=2" target="_blank" rel="noopener noreferrer">x</a>');
+    expect(sanitizeHtml('<img src="data:image/svg+xml;base64,PHN2Zz4=" alt="logo">')).toBe('<img alt="logo">');
+  });
+
+  test('resolves cid: images only to raster data URLs', () => {
+    const resolveContentId = contentId => ({ logo: PIXEL, vector: 'data:image/svg+xml;base64,PHN2Zz4=' })[contentId];
+
+    expect(sanitizeHtml('<img src="cid:logo">', { resolveContentId })).toBe(`<img src="${PIXEL}">`);
+    expect(sanitizeHtml('<img src="cid:vector">', { resolveContentId })).toBe('<img>');
+  });
+
+  describe('inline styles', () => {
+    test('keep allowlisted declarations', () => {
+      expect(sanitizeHtml('<p style="Color: rgb(0, 0, 0); font-family: \'Helvetica Neue\', Arial; padding: 4px !important">x</p>'))
+        .toBe('<p style="color: rgb(0, 0, 0); font-family: \'Helvetica Neue\', Arial; padding: 4px !important">x</p>');
+    });
+
+    test('drop declarations outside the property allowlist', () => {
+      expect(sanitizeHtml('<div style="position: fixed; top: 0; color: red; behavior: url(x.htc)">x</div>'))
+        .toBe('<div style="color: red">x</div>');
+      expect(sanitizeHtml('<div style="background: red; -moz-binding: x">x</div>')).toBe('<div>x</div>');
+    });
+
+    test.each([
+      ['url()', 'background-color: url(https://tracker.example/p.gif)'],
+      ['escaped url()', 'background-color: u\\72l(https://tracker.example/p.gif)'],
+      ['escaped url() in entities', 'color: u&#92;72l(https://tracker.example/p.gif)'],
+      ['escaped @import', 'color: red; @\\69mport "https://tracker.example/x.css"'],
+      ['escaped property name', 'b\\61ckground-color: red'],
+      ['expression()', 'width: expression(alert(1))'],
+      ['comment-split url()', 'color: ur/**/l(https://tracker.example/p.gif)'],
+      ['unbalanced quote', 'font-family: "Arial']
+    ])('refuse %s', (_, style) => {
+      expect(sanitizeHtml(`<span style="${style}">x</span>`)).toMatch(/^<span( style="color: red")?>x<\/span>$/);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
+const { JsonFileStore } = require('./storage');
+const platformService = require('./platformService');
+const messageService = require('./messageService');
+const deliveryStatusService = require('./deliveryStatusService');
+const { normalizeWebhook, extractInstagramReactions, extractInstagramReads } = require('./webhookNormalizer');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'instagram-ingestion' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/instagram-ingestion.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Profile picture URLs expire, so profiles are looked up again after a day;
+// a failed lookup is retried after an hour
+const PROFILE_TTL_MS = 24 * 60 * 60 * 1000;
+const FAILED_PROFILE_TTL_MS = 60 * 60 * 1000;
+
+// Instagram messaging webhooks. Messages are normalized by webhookNormalizer
+// and stored by the webhook queue like every other platform's; this applies
+// the events that act on stored messages (read receipts, reactions) and names
+// the people behind the Instagram-scoped ids a webhook carries, through a
+// cached Graph API profile lookup.
+class InstagramIngestionService {
+  constructor() {
+    this.profiles = new JsonFileStore('instagram-profiles.json');
+  }
+
+  // Applies the payload's reads and reactions; resolves with the messages to
+  // store and the stored messages that changed
+  async processWebhook(workspaceId, payload) {
+    for (const update of extractInstagramReads(payload)) {
+      await deliveryStatusService.applyStatus(workspaceId, update);
+    }
+
+    const updated = [];
+    for (const reaction of extractInstagramReactions(payload)) {
+      const message = await this.applyReaction(workspaceId, reaction);
+      if (message) {
+        updated.push(message);
+      }
+    }
+
+    const messages = [];
+    for (const message of normalizeWebhook('instagram', payload)) {
+      messages.push(await this.withProfile(workspaceId, message));
+    }
+    return { messages, updated };
+  }
+
+  // Reactions are kept on the message as metadata.reactions: { [senderId]: emoji }
+  async applyReaction(workspaceId, reaction) {
+    const message = await messageService.findPlatformMessage({
+      workspaceId,
+      platform: 'instagram',
+      platformMessageId: reaction.platformMessageId
+    });
+    if (!message) {
+      logger.info(`Instagram reaction to unknown message ${reaction.platformMessageId} ignored`);
+      return null;
+    }
+
+    const reactions = { ...message.metadata?.reactions };
+    if (reaction.action === 'unreact') {
+      delete reactions[reaction.senderId];
+    } else {
+      reactions[reaction.senderId] = reaction.emoji;
+    }
+
+    return messageService.store.updateMessage(message.id, {
+      metadata: { ...message.metadata, reactions }
+    });
+  }
+
+  // Name the customer side of a normalized message: the sender of an incoming
+  // one, the recipient of an echo. Without a profile the ids stay.
+  async withProfile(workspaceId, message) {
+    const customerId = message.isIncoming ? message.senderId : message.recipientId;
+    const profile = await this.getProfile(workspaceId, customerId);
+    if (!profile) {
+      return message;
+    }
+
+    const displayName = profile.username || profile.name || customerId;
+    return {
+      ...message,
+      ...(message.isIncoming ? { sender: displayName } : { recipient: displayName }),
+      metadata: {
+        ...message.metadata,
+        customerName: profile.name,
+        customerUsername: profile.username,
+        customerAvatar: profile.profilePic
+      }
+    };
+  }
+
+  // Cached { id, name, username, profilePic }, or null when Instagram will not say
+  async getProfile(workspaceId, igsid) {
+    const key = `${workspaceId}:${igsid}`;
+    const cached = this.profiles.get(key);
+    const ttl = cached?.profile ? PROFILE_TTL_MS : FAILED_PROFILE_TTL_MS;
+    if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < ttl) {
+      return cached.profile;
+    }
+
+    let profile = null;
+    try {
+      const instagram = platformService.forWorkspace(workspaceId).getPlatform('instagram');
+      if (!instagram?.methods.getProfile) {
+        throw new Error('Instagram platform not configured');
+      }
+      profile = await instagram.methods.getProfile(igsid);
+    } catch (error) {
+      // Not worth failing the webhook over: the message is stored under the id
+      logger.warn(`Instagram profile lookup failed for ${igsid} in workspace ${workspaceId}: ${error.message}`);
+      if (cached?.profile) {
+        return cached.profile;
+      }
+    }
+
+    await this.profiles.set({ id: key, profile, fetchedAt: new Date().toISOString() });
+    return profile;
+  }
+}
+
+module.exports = new InstagramIngestionService();
@@ -0,0 +1,159 @@
+const instagramIngestionService = require('./instagramIngestionService');
+const deliveryStatusService = require('./deliveryStatusService');
+const messageService = require('./messageService');
+const platformService = require('./platformService');
+const pluginService = require('./pluginService');
+const { normalizeWebhook } = require('./webhookNormalizer');
+
+const WORKSPACE_ID = 'ws_instagram';
+const ACCOUNT_ID = '17841400000000001';
+const CUSTOMER_ID = '6502000000000001';
+
+// Messenger Platform payload carrying the given messaging events
+function payload(...messaging) {
+  return { object: 'instagram', entry: [{ id: ACCOUNT_ID, time: 1700000000000, messaging }] };
+}
+
+function event(fields, { from = CUSTOMER_ID, to = ACCOUNT_ID } = {}) {
+  return { sender: { id: from }, recipient: { id: to }, timestamp: 1700000000000, ...fields };
+}
+
+describe('Instagram webhook normalizer', () => {
+  test('turns DMs, echoes, story replies and postbacks into unified messages', () => {
+    const messages = normalizeWebhook('instagram', payload(
+      event({ message: { mid: 'mid.text', text: 'Do you ship to Canada?' } }),
+      event({ message: { mid: 'mid.echo', text: 'We do!', is_echo: true } }, { from: ACCOUNT_ID, to: CUSTOMER_ID }),
+      event({
+        message: {
+          mid: 'mid.story',
+          text: '😍',
+          reply_to: { story: { id: 'story_1', url: 'https://lookaside.example/story_1' } }
+        }
+      }),
+      event({ postback: { mid: 'mid.postback', title: 'Track my order', payload: 'TRACK_ORDER' } }),
+      event({ message: { mid: 'mid.deleted', is_deleted: true } })
+    ));
+
+    expect(messages.map(message => [message.platformMessageId, message.isIncoming, message.metadata.messageType])).toEqual([
+      ['mid.text', true, 'text'],
+      ['mid.echo', false, 'text'],
+      ['mid.story', true, 'story_reply'],
+      ['mid.postback', true, 'postback']
+    ]);
+    expect(messages[0]).toMatchObject({ senderId: CUSTOMER_ID, recipientId: ACCOUNT_ID, text: 'Do you ship to Canada?' });
+    expect(messages[2].metadata.storyReply).toEqual({ id: 'story_1', url: 'https://lookaside.example/story_1' });
+    expect(messages[3]).toMatchObject({ text: 'Track my order', metadata: { postbackPayload: 'TRACK_ORDER' } });
+  });
+
+  test('maps attachments and story mentions', () => {
+    const [message] = normalizeWebhook('instagram', payload(event({
+      message: {
+        mid: 'mid.media',
+        attachments: [
+          { type: 'image', payload: { url: 'https://cdn.example/photo.jpg' } },
+          { type: 'story_mention', payload: { url: 'https://cdn.example/story.mp4' } },
+          { type: 'fallback', payload: { url: 'https://example.com' } }
+        ]
+      }
+    })));
+
+    expect(message.attachments.map(attachment => [attachment.type, attachment.url])).toEqual([
+      ['image', 'https://cdn.example/photo.jpg'],
+      ['story', 'https://cdn.example/story.mp4']
+    ]);
+    expect(message.metadata).toMatchObject({ messageType: 'story_mention', hasMedia: true });
+  });
+
+  test('ignores payloads of other objects', () => {
+    expect(normalizeWebhook('instagram', { object: 'page', entry: [] })).toEqual([]);
+  });
+});
+
+describe('InstagramIngestionService', () => {
+  let getProfile;
+
+  beforeEach(() => {
+    jest.spyOn(pluginService, 'handleMessageEvent').mockResolvedValue();
+    getProfile = jest.fn();
+    jest.spyOn(platformService.forWorkspace(WORKSPACE_ID), 'getPlatform').mockReturnValue({ methods: { getProfile } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('names the customer from their profile, looked up once and cached', async () => {
+    getProfile.mockResolvedValue({
+      id: CUSTOMER_ID, name: 'Dana Reyes', username: 'dana.reyes', profilePic: 'https://cdn.example/dana.jpg'
+    });
+
+    const { messages } = await instagramIngestionService.processWebhook(WORKSPACE_ID, payload(
+      event({ message: { mid: 'mid.named.1', text: 'Hi' } }),
+      event({ message: { mid: 'mid.named.2', text: 'Thanks', is_echo: true } }, { from: ACCOUNT_ID, to: CUSTOMER_ID })
+    ));
+
+    expect(getProfile).toHaveBeenCalledTimes(1);
+    expect(messages[0]).toMatchObject({
+      sender: 'dana.reyes',
+      metadata: { customerName: 'Dana Reyes', customerAvatar: 'https://cdn.example/dana.jpg' }
+    });
+    // The echo names the customer as its recipient
+    expect(messages[1]).toMatchObject({ recipient: 'dana.reyes', senderId: ACCOUNT_ID });
+  });
+
+  test('a failed profile lookup keeps the ids and is not retried within the hour', async () => {
+    getProfile.mockRejectedValue(new Error('(#100) Unsupported get request'));
+    const unknown = '6502000000000999';
+
+    const { messages } = await instagramIngestionService.processWebhook(
+      WORKSPACE_ID,
+      payload(event({ message: { mid: 'mid.unnamed', text: 'Hello?' } }, { from: unknown }))
+    );
+    await instagramIngestionService.getProfile(WORKSPACE_ID, unknown);
+
+    expect(messages[0].sender).toBe(unknown);
+    expect(getProfile).toHaveBeenCalledTimes(1);
+  });
+
+  test('reactions are kept per person on the message they react to', async () => {
+    const stored = await messageService.createMessage({
+      workspaceId: WORKSPACE_ID,
+      platform: 'instagram',
+      sender: 'me',
+      senderId: ACCOUNT_ID,
+      recipientId: CUSTOMER_ID,
+      platformMessageId: 'mid.reacted',
+      text: 'Your order shipped',
+      isIncoming: false
+    });
+
+    const reacted = await instagramIngestionService.processWebhook(WORKSPACE_ID, payload(
+      event({ reaction: { mid: 'mid.reacted', action: 'react', reaction: 'love', emoji: '❤️' } })
+    ));
+    expect(reacted.messages).toEqual([]);
+    expect(reacted.updated[0].metadata.reactions).toEqual({ [CUSTOMER_ID]: '❤️' });
+
+    await instagramIngestionService.processWebhook(WORKSPACE_ID, payload(
+      event({ reaction: { mid: 'mid.reacted', action: 'unreact' } })
+    ));
+    expect((await messageService.findWorkspaceMessage(WORKSPACE_ID, stored.id)).metadata.reactions).toEqual({});
+  });
+
+  test('read receipts mark the sent message read', async () => {
+    const queued = await messageService.createMessage({
+      workspaceId: WORKSPACE_ID,
+      platform: 'instagram',
+      sender: 'me',
+      senderId: ACCOUNT_ID,
+      recipientId: CUSTOMER_ID,
+      text: 'See you soon',
+      isIncoming: false,
+      deliveryStatus: 'queued'
+    });
+    await deliveryStatusService.markSent(queued, 'mid.seen');
+
+    await instagramIngestionService.processWebhook(WORKSPACE_ID, payload(event({ read: { mid: 'mid.seen' } })));
+
+    expect((await messageService.findWorkspaceMessage(WORKSPACE_ID, queued.id)).deliveryStatus).toBe('read');
+  });
+});
@@ -0,0 +1,102 @@
+const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
+const { JsonFileStore } = require('./storage');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'message-dedup' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/message-dedup.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+const RETENTION_MS = (parseFloat(process.env.DEDUP_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Index of inbound (workspace, platform, platformMessageId) triples already ingested.
+// Platforms redeliver webhooks they consider unacknowledged, so each triple is
+// remembered for DEDUP_RETENTION_HOURS and later deliveries are dropped.
+class MessageDedupService {
+  constructor() {
+    this.store = new JsonFileStore('seen-message-ids.json');
+    this.retentionMs = RETENTION_MS;
+    this.lastPrunedAt = 0;
+  }
+
+  // Telegram message ids are only unique within a chat; two workspaces
+  // connected to the same account each keep their own copy
+  getKey(messageData) {
+    if (!messageData.platform || !messageData.platformMessageId) {
+      return null;
+    }
+
+    const scope = messageData.platform === 'telegram' ? `${messageData.recipientId}:` : '';
+    return `${messageData.workspaceId}:${messageData.platform}:${scope}${messageData.platformMessageId}`;
+  }
+
+  // Claim this delivery. Returns the earlier dedup entry ({ messageId, seenAt })
+  // when the pair was already seen within the retention window, otherwise null.
+  async claim(messageData) {
+    const key = this.getKey(messageData);
+    if (!key) {
+      return null;
+    }
+
+    await this.pruneIfDue();
+
+    const seen = this.store.get(key);
+    if (seen && !this.isExpired(seen)) {
+      logger.info(`Duplicate ${messageData.platform} delivery ignored: ${messageData.platformMessageId}`);
+      return seen;
+    }
+
+    await this.store.set({ id: key, messageId: null, seenAt: new Date().toISOString() });
+    return null;
+  }
+
+  // Link a claimed delivery to the message it was stored as
+  async recordMessageId(messageData, messageId) {
+    const key = this.getKey(messageData);
+    if (key) {
+      await this.store.update(key, { messageId });
+    }
+  }
+
+  // Forget a claim whose message could not be stored, so a redelivery is processed
+  async release(messageData) {
+    const key = this.getKey(messageData);
+    if (key) {
+      await this.store.delete(key);
+    }
+  }
+
+  isExpired(entry) {
+    return Date.now() - new Date(entry.seenAt).getTime() > this.retentionMs;
+  }
+
+  async pruneIfDue() {
+    if (Date.now() - this.lastPrunedAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPrunedAt = Date.now();
+
+    const expired = this.store.values().filter(entry => this.isExpired(entry));
+    for (const entry of expired) {
+      this.store.load().delete(entry.id);
+    }
+    if (expired.length > 0) {
+      await this.store.save();
+      logger.info(`Pruned ${expired.length} expired dedup entries`);
+    }
+  }
+}
+
+module.exports = new MessageDedupService();
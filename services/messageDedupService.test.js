@@ -0,0 +1,94 @@
+const messageDedupService = require('./messageDedupService');
+const messageService = require('./messageService');
+
+function delivery(overrides = {}) {
+  return {
+    workspaceId: 'ws_dedup',
+    platform: 'whatsapp',
+    sender: '15550001',
+    senderId: '15550001',
+    recipientId: 'phone_1',
+    text: 'hello',
+    platformMessageId: `wamid.${Math.random().toString(36).slice(2)}`,
+    ...overrides
+  };
+}
+
+describe('MessageDedupService', () => {
+  test('claims a delivery once per workspace and platform', async () => {
+    const first = delivery();
+
+    expect(await messageDedupService.claim(first)).toBeNull();
+    expect(await messageDedupService.claim(first)).toMatchObject({ messageId: null });
+
+    expect(await messageDedupService.claim({ ...first, workspaceId: 'ws_other' })).toBeNull();
+    expect(await messageDedupService.claim({ ...first, platform: 'instagram' })).toBeNull();
+  });
+
+  test('scopes Telegram ids to their chat', async () => {
+    const first = delivery({ platform: 'telegram', recipientId: 'chat_1', platformMessageId: '7' });
+
+    expect(await messageDedupService.claim(first)).toBeNull();
+    expect(await messageDedupService.claim({ ...first, recipientId: 'chat_2' })).toBeNull();
+    expect(await messageDedupService.claim(first)).not.toBeNull();
+  });
+
+  test('ignores messages without a platform id', async () => {
+    const anonymous = delivery({ platformMessageId: undefined });
+
+    expect(await messageDedupService.claim(anonymous)).toBeNull();
+    expect(await messageDedupService.claim(anonymous)).toBeNull();
+  });
+
+  test('forgets deliveries after the retention window', async () => {
+    const first = delivery();
+    await messageDedupService.claim(first);
+
+    const later = Date.now() + messageDedupService.retentionMs + 1000;
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(later);
+    try {
+      expect(await messageDedupService.claim(first)).toBeNull();
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('a released claim is processed again', async () => {
+    const first = delivery();
+    await messageDedupService.claim(first);
+    await messageDedupService.release(first);
+
+    expect(await messageDedupService.claim(first)).toBeNull();
+  });
+});
+
+describe('MessageService.ingestMessage deduplication', () => {
+  test('a redelivered webhook returns the stored message instead of a second copy', async () => {
+    const first = delivery();
+
+    const stored = await messageService.ingestMessage(first);
+    expect(stored.duplicate).toBe(false);
+
+    const redelivered = await messageService.ingestMessage({ ...first });
+    expect(redelivered.duplicate).toBe(true);
+    expect(redelivered.message.id).toBe(stored.message.id);
+
+    const { messages } = await messageService.store.findMessages({
+      workspaceId: 'ws_dedup',
+      platformMessageId: first.platformMessageId
+    });
+    expect(messages).toHaveLength(1);
+  });
+
+  test('a delivery that failed to store can be delivered again', async () => {
+    const first = delivery();
+    const createMessage = jest.spyOn(messageService, 'createMessage').mockRejectedValueOnce(new Error('disk full'));
+
+    try {
+      await expect(messageService.ingestMessage(first)).rejects.toThrow('disk full');
+      expect((await messageService.ingestMessage(first)).duplicate).toBe(false);
+    } finally {
+      createMessage.mockRestore();
+    }
+  });
+});
@@ -1,6 +1,14 @@
 const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
 const platformService = require('./platformService');
 const aiService = require('./aiService');
+const analyticsService = require('./analyticsService');
+const pluginService = require('./pluginService');
+const messageDedupService = require('./messageDedupService');
+const deliveryStatusService = require('./deliveryStatusService');
+const whatsappTemplateService = require('./whatsappTemplateService');
+const attachmentService = require('./attachmentService');
+const { createStorageAdapter } = require('./storage');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -8,6 +16,7 @@ const logger = winston.createLogger({
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactSecrets(),
     winston.format.json()
   ),
   defaultMeta: { service: 'message-service' },
@@ -17,18 +26,29 @@ const logger = winston.createLogger({
   ]
 });
 
+// Allowed message statuses (matches the messages collection schema in mongo-init.js)
+const MESSAGE_STATUSES = ['unread', 'read', 'archived', 'deleted'];
+
+// WhatsApp accepts free-form messages only this long after the customer's last message
+const WHATSAPP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Longest text that fits in a file caption; longer text is sent on its own
+const CAPTION_LIMITS = { telegram: 1024, whatsapp: 1024 };
+
 class MessageService {
-  constructor() {
-    this.messages = new Map(); // In-memory storage (replace with database in production)
-    this.conversations = new Map();
-    this.messageCounter = 0;
-    this.conversationCounter = 0;
+  constructor(store = createStorageAdapter()) {
+    // Storage adapter (in-memory by default, MongoDB when MESSAGE_STORE=mongo)
+    this.store = store;
   }
 
-  // Create a new message
+  // Create a new message in messageData.workspaceId
   async createMessage(messageData) {
     try {
-      const messageId = `msg_${++this.messageCounter}`;
+      if (!messageData.workspaceId) {
+        throw new Error('Workspace is required');
+      }
+
+      const messageId = await this.store.nextId('msg');
       const timestamp = new Date();
       
       // Normalize platform-specific data
@@ -46,12 +66,15 @@ class MessageService {
       
       const message = {
         id: messageId,
+        workspaceId: normalizedMessage.workspaceId,
         platform: normalizedMessage.platform,
         sender: normalizedMessage.sender,
         senderId: normalizedMessage.senderId,
         recipient: normalizedMessage.recipient,
         recipientId: normalizedMessage.recipientId,
         text: normalizedMessage.text,
+        // Sanitized HTML body (email); rendered in a sandboxed frame by the dashboard
+        html: normalizedMessage.html || null,
         subject: normalizedMessage.subject,
         timestamp,
         status: 'unread',
@@ -60,6 +83,9 @@ class MessageService {
         metadata: normalizedMessage.metadata || {},
         threadId: normalizedMessage.threadId,
         conversationId: normalizedMessage.conversationId,
+        // Outbound only: queued → sent → delivered → read, or failed (DeliveryStatusService)
+        deliveryStatus: normalizedMessage.deliveryStatus || null,
+        deliveryHistory: normalizedMessage.deliveryStatus ? [{ status: normalizedMessage.deliveryStatus, at: timestamp }] : [],
         platformMessageId: normalizedMessage.platformMessageId,
         isIncoming: normalizedMessage.isIncoming || false,
         priority: aiAnalysis?.priority || 'normal',
@@ -72,11 +98,17 @@ class MessageService {
         aiInsights: aiAnalysis?.aiInsights || {}
       };
 
+      // Update conversation (assigns conversationId for new conversations)
+      await this.updateConversation(message);
+      
       // Store message
-      this.messages.set(messageId, message);
+      await this.store.insertMessage(message);
       
-      // Update conversation
-      await this.updateConversation(message);
+      // Feed analytics (daily stats, platform performance, response times, sentiment)
+      analyticsService.forWorkspace(message.workspaceId).trackMessage(this.toAnalyticsRecord(message), message.platform);
+      
+      // Fire workflow triggers (message_received, urgent_message, ...)
+      this.emitMessageEvents(message);
       
       logger.info(`Message created: ${messageId} from ${messageData.platform}`);
       
@@ -87,6 +119,159 @@ class MessageService {
     }
   }
 
+  // Store an inbound platform message exactly once. Redeliveries of the same
+  // (workspace, platform, platformMessageId) return the original message with duplicate: true.
+  // An edit (metadata.isEdited) updates the stored original and returns it with edited: true.
+  async ingestMessage(messageData) {
+    if (messageData.metadata?.isEdited) {
+      const edited = await this.applyEdit(messageData);
+      if (edited) {
+        return { message: await this.storeAttachments(edited), duplicate: false, edited: true };
+      }
+      // Original never stored (e.g. sent before the bot joined): keep the edit as a new message
+    }
+
+    // Echoes of messages sent from here (Instagram reports every message the
+    // account sends) are already stored under the id the send returned
+    if (messageData.isIncoming === false && messageData.platformMessageId) {
+      const sent = await this.findPlatformMessage(messageData);
+      if (sent) {
+        return { message: sent, duplicate: true };
+      }
+    }
+
+    const seen = await messageDedupService.claim(messageData);
+    if (seen) {
+      const original = seen.messageId ? await this.store.findMessageById(seen.messageId) : null;
+      return { message: original, duplicate: true };
+    }
+
+    let message;
+    try {
+      message = await this.createMessage(messageData);
+      await messageDedupService.recordMessageId(messageData, message.id);
+    } catch (error) {
+      await messageDedupService.release(messageData);
+      throw error;
+    }
+
+    return { message: await this.storeAttachments(message), duplicate: false };
+  }
+
+  // Download inbound media into the attachment store while the platform's file
+  // references are still valid; the message then links to /api/attachments/:id
+  async storeAttachments(message) {
+    const attachments = await attachmentService.ingestAttachments(message);
+    if (attachments === message.attachments) {
+      return message;
+    }
+    return this.store.updateMessage(message.id, { attachments });
+  }
+
+  // The stored inbound message a platform message id refers to. Telegram ids are
+  // only unique within a chat, so the chat (recipientId) narrows the lookup.
+  async findPlatformMessage({ workspaceId, platform, platformMessageId, recipientId }) {
+    const { messages } = await this.store.findMessages(
+      { workspaceId, platform, platformMessageId, recipientId: platform === 'telegram' ? recipientId : undefined },
+      { sort: -1, limit: 1 }
+    );
+    return messages[0] || null;
+  }
+
+  // Replace the content of the stored original with the edited version
+  async applyEdit(messageData) {
+    const original = await this.findPlatformMessage(messageData);
+    if (!original) {
+      return null;
+    }
+
+    const message = await this.store.updateMessage(original.id, {
+      text: messageData.text || '',
+      attachments: messageData.attachments || [],
+      metadata: { ...original.metadata, ...messageData.metadata, isEdited: true },
+      editedAt: messageData.metadata?.editedAt || new Date()
+    });
+
+    logger.info(`Message edited: ${original.id} (${messageData.platform})`);
+    return message;
+  }
+
+  // Map a stored message onto the fields AnalyticsService aggregates
+  toAnalyticsRecord(message) {
+    return {
+      id: message.id,
+      conversationId: message.conversationId,
+      timestamp: message.timestamp,
+      isIncoming: message.isIncoming,
+      sender: message.sender,
+      category: message.aiCategory,
+      urgency: message.aiCategory === 'urgent' ? 'urgent' : message.priority,
+      sentiment: message.aiSentiment
+    };
+  }
+
+  // Emit the workflow events a newly stored message qualifies for.
+  // Only inbound messages trigger workflows so auto-replies cannot loop on themselves.
+  emitMessageEvents(message) {
+    if (!message.isIncoming) {
+      return;
+    }
+
+    this.emitWorkflowEvent('message_received', message);
+
+    if (message.aiCategory === 'urgent' || message.priority === 'high') {
+      this.emitWorkflowEvent('urgent_message', message);
+    }
+
+    if (message.aiKeywords.length > 0) {
+      this.emitWorkflowEvent('keyword_detected', message);
+    }
+
+    if (message.aiSentiment && message.aiSentiment !== 'neutral') {
+      this.emitWorkflowEvent('sentiment_detected', message);
+    }
+  }
+
+  // Hand an event to PluginService without blocking the caller (webhooks ack first)
+  emitWorkflowEvent(eventType, message) {
+    const eventData = this.toWorkflowEvent(message);
+    setImmediate(() => {
+      pluginService.handleMessageEvent(eventType, eventData).catch(error => {
+        logger.error(`Error dispatching workflow event ${eventType}:`, error);
+      });
+    });
+  }
+
+  // Map a message onto the payload workflow actions and templates read
+  toWorkflowEvent(message) {
+    return {
+      workspaceId: message.workspaceId,
+      messageId: message.id,
+      conversationId: message.conversationId,
+      platform: message.platform,
+      sender: message.sender,
+      senderId: message.senderId,
+      recipient: message.recipient,
+      recipientId: message.recipientId,
+      subject: message.subject,
+      message: message.text,
+      timestamp: message.timestamp,
+      category: message.aiCategory,
+      urgency: message.aiCategory === 'urgent' ? 'urgent' : message.priority,
+      sentiment: message.aiSentiment,
+      keywords: message.aiKeywords,
+      aiAnalysis: {
+        category: message.aiCategory,
+        confidence: message.aiConfidence,
+        priority: message.priority,
+        sentiment: message.aiSentiment,
+        keywords: message.aiKeywords,
+        suggestedReplies: message.aiSuggestedReplies,
+        insights: message.aiInsights
+      }
+    };
+  }
+
   // Normalize message data from different platforms
   normalizeMessageData(messageData) {
     const normalized = { ...messageData };
@@ -124,69 +309,42 @@ class MessageService {
     return normalized;
   }
 
-  // Get messages with filtering and pagination
-  async getMessages(filters = {}, pagination = {}) {
-    try {
-      let filteredMessages = Array.from(this.messages.values());
-      
-      // Apply filters
-      if (filters.platform && filters.platform !== 'all') {
-        filteredMessages = filteredMessages.filter(msg => msg.platform === filters.platform);
-      }
-      
-      if (filters.status) {
-        filteredMessages = filteredMessages.filter(msg => msg.status === filters.status);
-      }
-      
-      if (filters.search) {
-        const searchTerm = filters.search.toLowerCase();
-        filteredMessages = filteredMessages.filter(msg => 
-          msg.text?.toLowerCase().includes(searchTerm) ||
-          msg.subject?.toLowerCase().includes(searchTerm) ||
-          msg.sender?.toLowerCase().includes(searchTerm)
-        );
-      }
-      
-      if (filters.conversationId) {
-        filteredMessages = filteredMessages.filter(msg => msg.conversationId === filters.conversationId);
-      }
-      
-      if (filters.dateFrom) {
-        const dateFrom = new Date(filters.dateFrom);
-        filteredMessages = filteredMessages.filter(msg => msg.timestamp >= dateFrom);
-      }
-      
-      if (filters.dateTo) {
-        const dateTo = new Date(filters.dateTo);
-        filteredMessages = filteredMessages.filter(msg => msg.timestamp <= dateTo);
-      }
+  // Look up a message, treating one from another workspace as missing
+  async findWorkspaceMessage(workspaceId, messageId) {
+    const message = await this.store.findMessageById(messageId);
+    return message && message.workspaceId === workspaceId ? message : null;
+  }
 
-      if (filters.type) {
-        filteredMessages = filteredMessages.filter(msg => msg.type === filters.type);
-      }
+  async findWorkspaceConversation(workspaceId, conversationId) {
+    const conversation = await this.store.findConversationById(conversationId);
+    return conversation && conversation.workspaceId === workspaceId ? conversation : null;
+  }
 
-      if (filters.isIncoming !== undefined) {
-        filteredMessages = filteredMessages.filter(msg => msg.isIncoming === filters.isIncoming);
-      }
-      
-      // Sort by timestamp (newest first)
-      filteredMessages.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-      
+  // Get messages with filtering and pagination
+  async getMessages(workspaceId, filters = {}, pagination = {}) {
+    try {
       // Apply pagination
       const page = pagination.page || 1;
       const limit = pagination.limit || 20;
       const startIndex = (page - 1) * limit;
       const endIndex = startIndex + limit;
-      const paginatedMessages = filteredMessages.slice(startIndex, endIndex);
+      
+      // Filter and sort (newest first by default) in the store
+      const { messages: paginatedMessages, total } = await this.store.findMessages({ ...filters, workspaceId }, {
+        sortBy: pagination.sortBy || 'timestamp',
+        sort: pagination.sortOrder === 'asc' ? 1 : -1,
+        skip: startIndex,
+        limit
+      });
       
       return {
         messages: paginatedMessages,
         pagination: {
           page,
           limit,
-          total: filteredMessages.length,
-          totalPages: Math.ceil(filteredMessages.length / limit),
-          hasNext: endIndex < filteredMessages.length,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: endIndex < total,
           hasPrev: page > 1
         }
       };
@@ -197,19 +355,17 @@ class MessageService {
   }
 
   // Get messages by conversation
-  async getConversationMessages(conversationId, limit = 50) {
+  async getConversationMessages(workspaceId, conversationId, limit = 50) {
     try {
-      const conversation = this.conversations.get(conversationId);
+      const conversation = await this.findWorkspaceConversation(workspaceId, conversationId);
       if (!conversation) {
         throw new Error('Conversation not found');
       }
 
-      const messages = Array.from(this.messages.values())
-        .filter(msg => msg.conversationId === conversationId)
-        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
-        .slice(-limit);
+      // Latest `limit` messages, returned oldest first
+      const { messages } = await this.store.findMessages({ workspaceId, conversationId }, { sort: -1, limit });
 
-      return messages;
+      return messages.reverse();
     } catch (error) {
       logger.error('Error getting conversation messages:', error);
       throw error;
@@ -227,7 +383,10 @@ class MessageService {
         message.conversationId = conversationId;
       }
       
-      const conversation = this.conversations.get(conversationId);
+      const conversation = await this.store.findConversationById(conversationId);
+      if (conversation && conversation.workspaceId !== message.workspaceId) {
+        throw new Error('Conversation not found');
+      }
       if (conversation) {
         // Update conversation with latest message info
         conversation.lastMessage = message.text;
@@ -243,7 +402,7 @@ class MessageService {
           conversation.participants.push(message.recipientId);
         }
         
-        this.conversations.set(conversationId, conversation);
+        await this.store.updateConversation(conversationId, conversation);
       }
       
       return conversationId;
@@ -256,10 +415,11 @@ class MessageService {
   // Create a new conversation
   async createConversation(message) {
     try {
-      const conversationId = `conv_${++this.conversationCounter}`;
+      const conversationId = await this.store.nextId('conv');
       
       const conversation = {
         id: conversationId,
+        workspaceId: message.workspaceId,
         title: message.subject || message.sender || 'New Conversation',
         participants: [message.senderId, message.recipientId].filter(Boolean),
         platforms: new Set([message.platform]),
@@ -274,9 +434,14 @@ class MessageService {
         }
       };
       
-      this.conversations.set(conversationId, conversation);
+      await this.store.insertConversation(conversation);
       logger.info(`New conversation created: ${conversationId}`);
       
+      // Conversations we open with an outbound send do not trigger workflows either
+      if (message.isIncoming) {
+        this.emitWorkflowEvent('conversation_started', { ...message, conversationId });
+      }
+
       return conversationId;
     } catch (error) {
       logger.error('Error creating conversation:', error);
@@ -285,43 +450,28 @@ class MessageService {
   }
 
   // Get all conversations
-  async getConversations(filters = {}, pagination = {}) {
+  async getConversations(workspaceId, filters = {}, pagination = {}) {
     try {
-      let filteredConversations = Array.from(this.conversations.values());
-      
-      // Apply filters
-      if (filters.platform && filters.platform !== 'all') {
-        filteredConversations = filteredConversations.filter(conv => 
-          conv.platforms.has(filters.platform)
-        );
-      }
-      
-      if (filters.search) {
-        const searchTerm = filters.search.toLowerCase();
-        filteredConversations = filteredConversations.filter(conv => 
-          conv.title.toLowerCase().includes(searchTerm) ||
-          conv.lastMessage.toLowerCase().includes(searchTerm)
-        );
-      }
-      
-      // Sort by last message time (newest first)
-      filteredConversations.sort((a, b) => new Date(b.lastMessageTime) - new Date(a.lastMessageTime));
-      
       // Apply pagination
       const page = pagination.page || 1;
       const limit = pagination.limit || 20;
       const startIndex = (page - 1) * limit;
       const endIndex = startIndex + limit;
-      const paginatedConversations = filteredConversations.slice(startIndex, endIndex);
+      
+      // Filter and sort by last message time (newest first) in the store
+      const { conversations: paginatedConversations, total } = await this.store.findConversations({ ...filters, workspaceId }, {
+        skip: startIndex,
+        limit
+      });
       
       return {
         conversations: paginatedConversations,
         pagination: {
           page,
           limit,
-          total: filteredConversations.length,
-          totalPages: Math.ceil(filteredConversations.length / limit),
-          hasNext: endIndex < filteredConversations.length,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNext: endIndex < total,
           hasPrev: page > 1
         }
       };
@@ -331,99 +481,343 @@ class MessageService {
     }
   }
 
-  // Send message to a specific platform
-  async sendMessage(platform, messageData) {
+  // Send message to a specific platform using the workspace's connection.
+  // With recordFailure false a rejected send stores nothing, so a caller that
+  // retries (SchedulerService) leaves one message behind rather than one per attempt.
+  async sendMessage(workspaceId, platform, messageData, { recordFailure = true } = {}) {
     try {
-      const platformInstance = platformService.getPlatform(platform);
+      const platformInstance = platformService.forWorkspace(workspaceId).getPlatform(platform);
       if (!platformInstance || !platformInstance.instance) {
         throw new Error(`Platform ${platform} not configured`);
       }
 
+      // Email replies go out in the Gmail thread of the message they answer
+      if (platform === 'gmail') {
+        messageData = await this.resolveGmailReply(workspaceId, messageData);
+      }
+      if (platform === 'whatsapp') {
+        messageData = await this.resolveWhatsAppMessage(workspaceId, messageData);
+      }
+
+      // Uploaded files (see AttachmentService.storeUploads) go out with the message
+      const files = messageData.attachments?.length > 0
+        ? await attachmentService.loadOutbound(workspaceId, messageData.attachments)
+        : [];
+
+      const storeOutgoing = async () => {
+        const message = await this.createMessage({
+          ...messageData,
+          workspaceId,
+          platform,
+          senderId: messageData.senderId || 'me',
+          isIncoming: false,
+          deliveryStatus: 'queued'
+        });
+        await attachmentService.assignToMessage(workspaceId, message);
+        return message;
+      };
+
+      // Stored before sending, so delivery is tracked from 'queued' and a
+      // rejected send stays visible as 'failed'
+      let outgoingMessage = recordFailure ? await storeOutgoing() : null;
+
       let result;
-      const timestamp = new Date();
+      try {
+        result = await this.dispatchMessage(platformInstance, platform, messageData, files);
+      } catch (error) {
+        if (outgoingMessage) {
+          await deliveryStatusService.markFailed(outgoingMessage, error);
+        }
+        throw error;
+      }
+      outgoingMessage = outgoingMessage || await storeOutgoing();
+
+      const sentMessage = await deliveryStatusService.markSent(
+        outgoingMessage,
+        this.getPlatformMessageId(platform, result),
+        this.getSendResultChanges(platform, result, outgoingMessage)
+      );
+
+      logger.info(`Message sent via ${platform}: ${sentMessage.id}`);
       
-      // Platform-specific message sending
+      return {
+        success: true,
+        message: sentMessage,
+        platformResult: result
+      };
+    } catch (error) {
+      logger.error(`Error sending message via ${platform}:`, error);
+      analyticsService.forWorkspace(workspaceId).trackDeliveryError(platform, error);
+      throw error;
+    }
+  }
+
+  // Hand the message to the platform; resolves with the platform's response.
+  // `files` are the loaded attachments: [{ attachment, buffer }]
+  async dispatchMessage(platformInstance, platform, messageData, files = []) {
+    let result;
+
+    // Gmail attaches files to the email itself; elsewhere each file is a message
+    if (files.length > 0 && platform !== 'gmail') {
+      return this.dispatchAttachments(platformInstance, platform, messageData, files);
+    }
+
+    // Platform-specific message sending
+    switch (platform) {
+      case 'telegram':
+        result = await platformInstance.methods.sendMessage(
+          messageData.recipientId,
+          messageData.text,
+          messageData.options
+        );
+        break;
+        
+      case 'gmail':
+        result = await platformInstance.methods.sendEmail(
+          messageData.recipient,
+          messageData.subject,
+          messageData.text,
+          files.length > 0
+            ? {
+              ...messageData.options,
+              attachments: files.map(({ attachment, buffer }) => ({
+                filename: attachment.filename,
+                content: buffer,
+                contentType: attachment.mimeType
+              }))
+            }
+            : messageData.options
+        );
+        break;
+        
+      case 'whatsapp':
+        if (messageData.template) {
+          result = await platformInstance.methods.sendTemplate(messageData.recipientId, messageData.template);
+          break;
+        }
+        result = await platformInstance.methods.sendMessage(
+          messageData.recipientId,
+          messageData.text,
+          messageData.options
+        );
+        break;
+        
+      case 'instagram':
+        result = await platformInstance.methods.sendDirectMessage(
+          messageData.recipientId,
+          messageData.text,
+          messageData.options
+        );
+        break;
+        
+      case 'twitter':
+        result = await platformInstance.methods.sendDirectMessage(
+          messageData.recipientId,
+          messageData.text,
+          messageData.options
+        );
+        break;
+        
+      default:
+        throw new Error(`Unsupported platform: ${platform}`);
+    }
+
+    return result;
+  }
+
+  // One platform message per file. The text becomes the first file's caption
+  // when the platform has captions and it fits; otherwise it is sent first.
+  // Resolves with the first platform response, every response in `parts`.
+  async dispatchAttachments(platformInstance, platform, messageData, files) {
+    const { methods } = platformInstance;
+    const text = messageData.text || '';
+    const captionLimit = CAPTION_LIMITS[platform];
+    const useCaption = Boolean(text) && text.length <= captionLimit && files[0].attachment.kind !== 'audio';
+    const parts = [];
+
+    if (text && !useCaption) {
+      parts.push(await this.dispatchMessage(platformInstance, platform, { ...messageData, attachments: [] }));
+    }
+
+    for (const [index, { attachment, buffer }] of files.entries()) {
+      const caption = index === 0 && useCaption ? text : undefined;
+
       switch (platform) {
         case 'telegram':
-          result = await platformInstance.methods.sendMessage(
-            messageData.recipientId,
-            messageData.text,
-            messageData.options
-          );
+          parts.push(await methods.sendFile(messageData.recipientId, attachment, buffer, caption ? { caption } : {}));
           break;
-          
-        case 'gmail':
-          result = await platformInstance.methods.sendEmail(
-            messageData.recipient,
-            messageData.subject,
-            messageData.text,
-            messageData.options
-          );
-          break;
-          
-        case 'whatsapp':
-          result = await platformInstance.methods.sendMessage(
-            messageData.recipientId,
-            messageData.text,
-            messageData.options
-          );
+
+        case 'whatsapp': {
+          const mediaId = await methods.uploadMedia(buffer, attachment);
+          parts.push(await methods.sendMedia(messageData.recipientId, attachment.kind, mediaId, {
+            caption,
+            filename: attachment.filename
+          }));
           break;
-          
+        }
+
         case 'instagram':
-          result = await platformInstance.methods.sendDirectMessage(
-            messageData.recipientId,
-            messageData.text,
-            messageData.options
-          );
+          parts.push(await methods.sendImage(messageData.recipientId, attachmentService.createPublicUrl(attachment.id)));
           break;
-          
-        case 'twitter':
-          result = await platformInstance.methods.sendDirectMessage(
-            messageData.recipientId,
-            messageData.text,
-            messageData.options
-          );
-          break;
-          
+
         default:
-          throw new Error(`Unsupported platform: ${platform}`);
+          throw new Error(`Attachments are not supported on ${platform}`);
       }
+    }
 
-      // Create outgoing message record
-      const outgoingMessage = await this.createMessage({
-        ...messageData,
-        platform,
-        timestamp,
-        isIncoming: false,
-        status: 'sent',
-        platformMessageId: result.id || result.message_id || result.messageId
-      });
+    return { ...parts[0], parts };
+  }
 
-      logger.info(`Message sent via ${platform}: ${outgoingMessage.id}`);
-      
+  // The id the platform gave the sent message (WhatsApp: the wamid)
+  getPlatformMessageId(platform, result) {
+    if (platform === 'whatsapp') {
+      return result.messages?.[0]?.id;
+    }
+    return result.id || result.message_id || result.messageId;
+  }
+
+  // Fields of the stored message that only the send result provides
+  getSendResultChanges(platform, result, message) {
+    // Sent as several platform messages (text and files): keep every id
+    if (result.parts) {
       return {
-        success: true,
-        message: outgoingMessage,
-        platformResult: result
+        metadata: {
+          ...message.metadata,
+          platformMessageIds: result.parts.map(part => this.getPlatformMessageId(platform, part))
+        }
       };
-    } catch (error) {
-      logger.error(`Error sending message via ${platform}:`, error);
-      throw error;
     }
+    if (platform !== 'gmail') {
+      return {};
+    }
+    return {
+      threadId: result.threadId,
+      metadata: {
+        ...message.metadata,
+        messageType: 'email',
+        threadId: result.threadId,
+        messageIdHeader: result.messageIdHeader
+      }
+    };
+  }
+
+  // Fill in the threading of a Gmail reply: same Gmail thread, In-Reply-To and
+  // References pointing at the answered message, "Re:" subject and the original
+  // correspondent as recipient. Messages that answer nothing pass through.
+  async resolveGmailReply(workspaceId, messageData) {
+    const original = await this.findGmailReplyTarget(workspaceId, messageData);
+    if (!original) {
+      return messageData;
+    }
+
+    const metadata = original.metadata || {};
+    const correspondent = original.isIncoming ? metadata.replyTo || original.senderId : original.recipientId;
+    const references = [...(metadata.references || []), metadata.messageIdHeader].filter(Boolean);
+    const subject = messageData.subject || original.subject || '';
+
+    return {
+      ...messageData,
+      recipient: messageData.recipient || correspondent,
+      recipientId: messageData.recipientId || correspondent,
+      subject: /^re:/i.test(subject) ? subject : `Re: ${subject}`,
+      conversationId: messageData.conversationId || original.conversationId,
+      metadata: {
+        ...messageData.metadata,
+        inReplyTo: metadata.messageIdHeader || null,
+        references
+      },
+      options: {
+        ...messageData.options,
+        threadId: original.threadId,
+        inReplyTo: metadata.messageIdHeader || undefined,
+        references: references.length ? references : undefined
+      }
+    };
+  }
+
+  // Template sends become the Cloud API template (and its text for the stored
+  // message); free text is refused once the customer service window is closed
+  async resolveWhatsAppMessage(workspaceId, messageData) {
+    if (!messageData.template) {
+      const window = await this.getWhatsAppWindow(workspaceId, messageData);
+      if (!window.open) {
+        throw new Error('WhatsApp customer service window closed');
+      }
+      return messageData;
+    }
+
+    const template = whatsappTemplateService.findTemplate(workspaceId, messageData.template);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+    const built = whatsappTemplateService.buildTemplateMessage(template, messageData.template.parameters);
+
+    return {
+      ...messageData,
+      text: built.text,
+      template: built.template,
+      metadata: {
+        ...messageData.metadata,
+        messageType: 'template',
+        template: { id: template.id, name: template.name, language: template.language }
+      }
+    };
+  }
+
+  // The 24-hour customer service window of a WhatsApp conversation (or, without
+  // one, of the customer `recipientId`), opened by the customer's last message
+  async getWhatsAppWindow(workspaceId, { conversationId, recipientId } = {}) {
+    const filters = { workspaceId, platform: 'whatsapp', isIncoming: true };
+    if (conversationId) {
+      filters.conversationId = conversationId;
+    } else if (recipientId) {
+      filters.senderId = recipientId;
+    } else {
+      return { open: false, lastInboundAt: null, expiresAt: null };
+    }
+
+    const { messages } = await this.store.findMessages(filters, { sort: -1, limit: 1 });
+    if (!messages[0]) {
+      return { open: false, lastInboundAt: null, expiresAt: null };
+    }
+
+    const lastInboundAt = new Date(messages[0].timestamp);
+    const expiresAt = new Date(lastInboundAt.getTime() + WHATSAPP_WINDOW_MS);
+    return { open: expiresAt > new Date(), lastInboundAt, expiresAt };
+  }
+
+  // The stored email a reply answers: `replyToMessageId` when given, otherwise
+  // the latest email in the conversation
+  async findGmailReplyTarget(workspaceId, messageData) {
+    if (messageData.replyToMessageId) {
+      const original = await this.findWorkspaceMessage(workspaceId, messageData.replyToMessageId);
+      if (!original || original.platform !== 'gmail') {
+        throw new Error('Message not found');
+      }
+      return original;
+    }
+
+    if (!messageData.conversationId) {
+      return null;
+    }
+    const { messages } = await this.store.findMessages(
+      { workspaceId, conversationId: messageData.conversationId, platform: 'gmail' },
+      { sort: -1, limit: 1 }
+    );
+    return messages[0] || null;
   }
 
   // Mark message as read
-  async markMessageAsRead(messageId) {
+  async markMessageAsRead(workspaceId, messageId) {
     try {
-      const message = this.messages.get(messageId);
-      if (!message) {
+      if (!(await this.findWorkspaceMessage(workspaceId, messageId))) {
         throw new Error('Message not found');
       }
-      
-      message.status = 'read';
-      message.readAt = new Date();
-      
-      this.messages.set(messageId, message);
+
+      const message = await this.store.updateMessage(messageId, {
+        status: 'read',
+        readAt: new Date()
+      });
       
       logger.info(`Message marked as read: ${messageId}`);
       return message;
@@ -433,24 +827,44 @@ class MessageService {
     }
   }
 
+  // Update message status (unread, read, archived, deleted)
+  async updateMessageStatus(workspaceId, messageId, status) {
+    try {
+      if (!MESSAGE_STATUSES.includes(status)) {
+        throw new Error(`Invalid message status: ${status}`);
+      }
+      if (!(await this.findWorkspaceMessage(workspaceId, messageId))) {
+        throw new Error('Message not found');
+      }
+
+      const changes = { status };
+      if (status === 'read') {
+        changes.readAt = new Date();
+      }
+
+      const message = await this.store.updateMessage(messageId, changes);
+
+      logger.info(`Message ${messageId} status updated to ${status}`);
+      return message;
+    } catch (error) {
+      logger.error('Error updating message status:', error);
+      throw error;
+    }
+  }
+
   // Mark conversation as read
-  async markConversationAsRead(conversationId) {
+  async markConversationAsRead(workspaceId, conversationId) {
     try {
-      const conversation = this.conversations.get(conversationId);
+      const conversation = await this.findWorkspaceConversation(workspaceId, conversationId);
       if (!conversation) {
         throw new Error('Conversation not found');
       }
 
       // Mark all unread messages in conversation as read
-      let updatedCount = 0;
-      for (const [messageId, message] of this.messages) {
-        if (message.conversationId === conversationId && message.status === 'unread') {
-          message.status = 'read';
-          message.readAt = new Date();
-          this.messages.set(messageId, message);
-          updatedCount++;
-        }
-      }
+      const updatedCount = await this.store.updateMessages(
+        { workspaceId, conversationId, status: 'unread' },
+        { status: 'read', readAt: new Date() }
+      );
 
       logger.info(`Marked ${updatedCount} messages as read in conversation: ${conversationId}`);
       return { updatedCount };
@@ -461,21 +875,23 @@ class MessageService {
   }
 
   // Delete message
-  async deleteMessage(messageId) {
+  async deleteMessage(workspaceId, messageId) {
     try {
-      const message = this.messages.get(messageId);
+      const message = await this.findWorkspaceMessage(workspaceId, messageId);
       if (!message) {
         throw new Error('Message not found');
       }
       
-      this.messages.delete(messageId);
+      await this.store.deleteMessage(messageId);
+      await attachmentService.deleteMessageAttachments(workspaceId, messageId);
       
       // Update conversation message count
       if (message.conversationId) {
-        const conversation = this.conversations.get(message.conversationId);
+        const conversation = await this.store.findConversationById(message.conversationId);
         if (conversation) {
-          conversation.messageCount = Math.max(0, conversation.messageCount - 1);
-          this.conversations.set(message.conversationId, conversation);
+          await this.store.updateConversation(message.conversationId, {
+            messageCount: Math.max(0, conversation.messageCount - 1)
+          });
         }
       }
       
@@ -488,14 +904,14 @@ class MessageService {
   }
 
   // Get message statistics
-  async getMessageStats() {
+  async getMessageStats(workspaceId) {
     try {
-      const messages = Array.from(this.messages.values());
-      const conversations = Array.from(this.conversations.values());
+      const { messages } = await this.store.findMessages({ workspaceId });
+      const { total: totalConversations } = await this.store.findConversations({ workspaceId }, { limit: 1 });
       
       const stats = {
         totalMessages: messages.length,
-        totalConversations: conversations.length,
+        totalConversations,
         unreadMessages: messages.filter(msg => msg.status === 'unread').length,
         platforms: {},
         messageTypes: {},
@@ -539,7 +955,7 @@ class MessageService {
   }
 
   // Search messages and conversations
-  async search(query, filters = {}) {
+  async search(workspaceId, query, filters = {}) {
     try {
       const searchTerm = query.toLowerCase();
       const results = {
@@ -549,30 +965,21 @@ class MessageService {
       };
       
       // Search in messages
-      for (const message of this.messages.values()) {
-        if (
-          message.text?.toLowerCase().includes(searchTerm) ||
-          message.subject?.toLowerCase().includes(searchTerm) ||
-          message.sender?.toLowerCase().includes(searchTerm) ||
-          message.recipient?.toLowerCase().includes(searchTerm)
-        ) {
-          if (!filters.platform || filters.platform === 'all' || message.platform === filters.platform) {
-            results.messages.push(message);
-          }
-        }
-      }
+      const { messages } = await this.store.findMessages({
+        workspaceId,
+        platform: filters.platform,
+        search: searchTerm,
+        searchFields: ['text', 'subject', 'sender', 'recipient']
+      });
+      results.messages = messages;
       
       // Search in conversations
-      for (const conversation of this.conversations.values()) {
-        if (
-          conversation.title?.toLowerCase().includes(searchTerm) ||
-          conversation.lastMessage?.toLowerCase().includes(searchTerm)
-        ) {
-          if (!filters.platform || filters.platform === 'all' || conversation.platforms.has(filters.platform)) {
-            results.conversations.push(conversation);
-          }
-        }
-      }
+      const { conversations } = await this.store.findConversations({
+        workspaceId,
+        platform: filters.platform,
+        search: searchTerm
+      });
+      results.conversations = conversations;
       
       results.totalResults = results.messages.length + results.conversations.length;
       
@@ -588,9 +995,9 @@ class MessageService {
   }
 
   // Get message by ID
-  async getMessageById(messageId) {
+  async getMessageById(workspaceId, messageId) {
     try {
-      const message = this.messages.get(messageId);
+      const message = await this.findWorkspaceMessage(workspaceId, messageId);
       if (!message) {
         throw new Error('Message not found');
       }
@@ -602,9 +1009,9 @@ class MessageService {
   }
 
   // Get conversation by ID
-  async getConversationById(conversationId) {
+  async getConversationById(workspaceId, conversationId) {
     try {
-      const conversation = this.conversations.get(conversationId);
+      const conversation = await this.findWorkspaceConversation(workspaceId, conversationId);
       if (!conversation) {
         throw new Error('Conversation not found');
       }
@@ -616,9 +1023,9 @@ class MessageService {
   }
 
   // Get AI insights for dashboard
-  async getAIInsights(timeRange = '24h') {
+  async getAIInsights(workspaceId, timeRange = '24h') {
     try {
-      const messages = Array.from(this.messages.values());
+      const { messages } = await this.store.findMessages({ workspaceId });
       return aiService.getAIInsights(messages, timeRange);
     } catch (error) {
       logger.error('Error getting AI insights:', error);
@@ -627,9 +1034,9 @@ class MessageService {
   }
 
   // Get suggested replies for a message
-  async getSuggestedReplies(messageId) {
+  async getSuggestedReplies(workspaceId, messageId) {
     try {
-      const message = await this.getMessageById(messageId);
+      const message = await this.getMessageById(workspaceId, messageId);
       if (!message.aiSuggestedReplies || message.aiSuggestedReplies.length === 0) {
         // Regenerate suggestions if none exist
         const aiAnalysis = await aiService.categorizeMessage(message.text, message.platform);
@@ -643,12 +1050,10 @@ class MessageService {
   }
 
   // Generate conversation summary
-  async generateConversationSummary(conversationId) {
+  async generateConversationSummary(workspaceId, conversationId) {
     try {
-      const conversation = await this.getConversationById(conversationId);
-      const messages = Array.from(this.messages.values())
-        .filter(msg => msg.conversationId === conversationId)
-        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      await this.getConversationById(workspaceId, conversationId);
+      const { messages } = await this.store.findMessages({ workspaceId, conversationId }, { sort: 1 });
       
       return await aiService.generateConversationSummary(messages);
     } catch (error) {
@@ -658,12 +1063,9 @@ class MessageService {
   }
 
   // Get messages by AI category
-  async getMessagesByCategory(category, limit = 50) {
+  async getMessagesByCategory(workspaceId, category, limit = 50) {
     try {
-      const messages = Array.from(this.messages.values())
-        .filter(msg => msg.aiCategory === category)
-        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-        .slice(0, limit);
+      const { messages } = await this.store.findMessages({ workspaceId, aiCategory: category }, { sort: -1, limit });
       
       return messages;
     } catch (error) {
@@ -673,9 +1075,9 @@ class MessageService {
   }
 
   // Get urgent messages
-  async getUrgentMessages(limit = 20) {
+  async getUrgentMessages(workspaceId, limit = 20) {
     try {
-      return await this.getMessagesByCategory('urgent', limit);
+      return await this.getMessagesByCategory(workspaceId, 'urgent', limit);
     } catch (error) {
       logger.error('Error getting urgent messages:', error);
       throw error;
@@ -0,0 +1,75 @@
+const messageService = require('./messageService');
+const pluginService = require('./pluginService');
+
+// Workflow events are dispatched on the next turn of the event loop
+const flushEvents = () => new Promise(resolve => setImmediate(resolve));
+
+describe('MessageService workflow events', () => {
+  let handleMessageEvent;
+
+  beforeEach(() => {
+    handleMessageEvent = jest.spyOn(pluginService, 'handleMessageEvent').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    handleMessageEvent.mockRestore();
+  });
+
+  const eventTypes = () => handleMessageEvent.mock.calls.map(([eventType]) => eventType);
+
+  test('an inbound message that opens a conversation fires conversation_started and message_received', async () => {
+    const message = await messageService.createMessage({
+      workspaceId: 'ws_events',
+      platform: 'telegram',
+      sender: 'alice',
+      senderId: 'u1',
+      recipientId: 'bot',
+      text: 'hello'
+    });
+    await flushEvents();
+
+    expect(eventTypes()).toEqual(['conversation_started', 'message_received']);
+    expect(handleMessageEvent.mock.calls[0][1]).toMatchObject({
+      workspaceId: 'ws_events',
+      conversationId: message.conversationId,
+      message: 'hello'
+    });
+  });
+
+  test('an outbound message fires nothing, even when it opens a conversation', async () => {
+    await messageService.createMessage({
+      workspaceId: 'ws_events',
+      platform: 'telegram',
+      sender: 'me',
+      senderId: 'bot',
+      recipientId: 'u2',
+      text: 'hi there',
+      isIncoming: false
+    });
+    await flushEvents();
+
+    expect(handleMessageEvent).not.toHaveBeenCalled();
+  });
+
+  test('a reply in an existing conversation does not start it again', async () => {
+    const first = await messageService.createMessage({
+      workspaceId: 'ws_events',
+      platform: 'telegram',
+      senderId: 'u3',
+      text: 'first'
+    });
+    await flushEvents();
+    handleMessageEvent.mockClear();
+
+    await messageService.createMessage({
+      workspaceId: 'ws_events',
+      platform: 'telegram',
+      senderId: 'u3',
+      text: 'second',
+      conversationId: first.conversationId
+    });
+    await flushEvents();
+
+    expect(eventTypes()).toEqual(['message_received']);
+  });
+});
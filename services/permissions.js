@@ -0,0 +1,59 @@
+// Workspace roles and what each may do. A member holds exactly one role per
+// workspace; routes check permissions (never role names) via requirePermission.
+
+// Ordered from most to least privileged
+const ROLES = ['owner', 'admin', 'supervisor', 'agent', 'read-only'];
+
+const PERMISSIONS = {
+  'messages:read': ['owner', 'admin', 'supervisor', 'agent', 'read-only'],
+  'messages:send': ['owner', 'admin', 'supervisor', 'agent'],
+  'messages:update': ['owner', 'admin', 'supervisor', 'agent'],
+  'messages:delete': ['owner', 'admin', 'supervisor'],
+  'analytics:read': ['owner', 'admin', 'supervisor', 'agent', 'read-only'],
+  'platforms:read': ['owner', 'admin', 'supervisor', 'agent', 'read-only'],
+  'platforms:manage': ['owner', 'admin'],
+  'workflows:read': ['owner', 'admin', 'supervisor', 'agent', 'read-only'],
+  'workflows:manage': ['owner', 'admin', 'supervisor'],
+  'scheduled:read': ['owner', 'admin', 'supervisor', 'agent', 'read-only'],
+  'scheduled:manage': ['owner', 'admin', 'supervisor', 'agent'],
+  'webhooks:read': ['owner', 'admin', 'supervisor'],
+  'webhooks:manage': ['owner', 'admin'],
+  'workspace:manage': ['owner', 'admin'],
+  'members:read': ['owner', 'admin', 'supervisor', 'agent', 'read-only'],
+  'members:manage': ['owner', 'admin']
+};
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function hasPermission(role, permission) {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return allowed.includes(role);
+}
+
+function getPermissions(role) {
+  return Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+}
+
+// Whether `actorRole` may give `targetRole` to someone, or change the role of a
+// member who currently holds it. Nobody hands out or takes away ownership, and
+// only the owner manages admins.
+function canAssignRole(actorRole, targetRole) {
+  if (targetRole === 'owner' || !hasPermission(actorRole, 'members:manage')) {
+    return false;
+  }
+  return actorRole === 'owner' || ROLES.indexOf(targetRole) > ROLES.indexOf(actorRole);
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  isValidRole,
+  hasPermission,
+  getPermissions,
+  canAssignRole
+};
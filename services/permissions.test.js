@@ -0,0 +1,59 @@
+const { ROLES, PERMISSIONS, hasPermission, getPermissions, canAssignRole } = require('./permissions');
+
+// The matrix as the README documents it, role by role
+const EXPECTED = {
+  owner: Object.keys(PERMISSIONS),
+  admin: Object.keys(PERMISSIONS),
+  supervisor: [
+    'messages:read', 'messages:send', 'messages:update', 'messages:delete',
+    'analytics:read', 'platforms:read', 'workflows:read', 'workflows:manage',
+    'scheduled:read', 'scheduled:manage', 'webhooks:read', 'members:read'
+  ],
+  agent: [
+    'messages:read', 'messages:send', 'messages:update',
+    'analytics:read', 'platforms:read', 'workflows:read',
+    'scheduled:read', 'scheduled:manage', 'members:read'
+  ],
+  'read-only': [
+    'messages:read', 'analytics:read', 'platforms:read', 'workflows:read', 'scheduled:read', 'members:read'
+  ]
+};
+
+describe('permission matrix', () => {
+  test.each(ROLES)('%s holds exactly its permissions', role => {
+    expect(getPermissions(role).sort()).toEqual([...EXPECTED[role]].sort());
+  });
+
+  test('every permission only names known roles', () => {
+    for (const roles of Object.values(PERMISSIONS)) {
+      expect(roles.every(role => ROLES.includes(role))).toBe(true);
+    }
+  });
+
+  test('unknown permissions are an error, not a silent deny', () => {
+    expect(() => hasPermission('owner', 'platforms:sync')).toThrow('Unknown permission: platforms:sync');
+  });
+
+  test('unknown roles hold nothing', () => {
+    expect(getPermissions('superuser')).toEqual([]);
+    expect(hasPermission('superuser', 'messages:read')).toBe(false);
+  });
+});
+
+describe('canAssignRole', () => {
+  test('nobody hands out ownership', () => {
+    expect(ROLES.some(role => canAssignRole(role, 'owner'))).toBe(false);
+  });
+
+  test('the owner manages admins; admins only manage the roles below them', () => {
+    expect(canAssignRole('owner', 'admin')).toBe(true);
+    expect(canAssignRole('admin', 'admin')).toBe(false);
+    expect(canAssignRole('admin', 'supervisor')).toBe(true);
+    expect(canAssignRole('admin', 'read-only')).toBe(true);
+  });
+
+  test('roles without members:manage assign nothing', () => {
+    expect(canAssignRole('supervisor', 'agent')).toBe(false);
+    expect(canAssignRole('agent', 'read-only')).toBe(false);
+  });
+});
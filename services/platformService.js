@@ -1,7 +1,14 @@
 const TelegramBot = require('node-telegram-bot-api');
 const { google } = require('googleapis');
 const axios = require('axios');
+const crypto = require('crypto');
 const winston = require('winston');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { redactSecrets } = require('./credentialVault');
+const workspaceService = require('./workspaceService');
+const { toUnifiedMessage, findInlineImageParts } = require('./gmailMessageParser');
+
+const { DEFAULT_WORKSPACE_ID } = workspaceService;
 
 // Configure logger
 const logger = winston.createLogger({
@@ -9,6 +16,7 @@ const logger = winston.createLogger({
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactSecrets(),
     winston.format.json()
   ),
   defaultMeta: { service: 'platform-service' },
@@ -18,24 +26,131 @@ const logger = winston.createLogger({
   ]
 });
 
+// Credentials configured through env vars; they belong to the default workspace
+function credentialsFromEnv() {
+  return {
+    telegram: process.env.TELEGRAM_BOT_TOKEN && {
+      botToken: process.env.TELEGRAM_BOT_TOKEN
+    },
+    gmail: process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET && {
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      redirectUri: process.env.GOOGLE_REDIRECT_URI
+    },
+    whatsapp: process.env.WHATSAPP_ACCESS_TOKEN && {
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      appSecret: process.env.WHATSAPP_APP_SECRET
+    },
+    instagram: process.env.INSTAGRAM_ACCESS_TOKEN && {
+      accessToken: process.env.INSTAGRAM_ACCESS_TOKEN,
+      appId: process.env.INSTAGRAM_APP_ID,
+      appSecret: process.env.INSTAGRAM_APP_SECRET
+    },
+    twitter: process.env.TWITTER_BEARER_TOKEN && {
+      bearerToken: process.env.TWITTER_BEARER_TOKEN,
+      apiKey: process.env.TWITTER_API_KEY,
+      apiSecret: process.env.TWITTER_API_SECRET,
+      accessToken: process.env.TWITTER_ACCESS_TOKEN,
+      accessTokenSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
+      webhookEnv: process.env.TWITTER_WEBHOOK_ENV
+    }
+  };
+}
+
+// Gmail access requested during OAuth consent: read, label and send mail
+const GMAIL_SCOPES = ['https://www.googleapis.com/auth/gmail.modify'];
+
+// Inline images up to this size are embedded in the stored HTML body
+const GMAIL_INLINE_IMAGE_MAX_BYTES = 512 * 1024;
+
+// Fields a workspace must supply to connect each platform
+const REQUIRED_CREDENTIALS = {
+  telegram: ['botToken'],
+  gmail: ['clientId', 'clientSecret'],
+  whatsapp: ['accessToken', 'phoneNumberId'],
+  instagram: ['accessToken'],
+  twitter: ['bearerToken']
+};
+
+// One connection set per workspace, built lazily by forWorkspace()
+const workspacePlatforms = new Map();
+
+// Platform connections for a single workspace. The exported instance serves
+// the default workspace; forWorkspace(id) returns any other workspace's.
 class PlatformService {
-  constructor() {
+  constructor(workspaceId = DEFAULT_WORKSPACE_ID) {
+    this.workspaceId = workspaceId;
     this.platforms = new Map();
     this.webhooks = new Map();
     this.initializePlatforms();
   }
 
+  forWorkspace(workspaceId) {
+    if (!workspacePlatforms.has(workspaceId)) {
+      workspacePlatforms.set(workspaceId, new PlatformService(workspaceId));
+    }
+    return workspacePlatforms.get(workspaceId);
+  }
+
+  // Credentials stored on the workspace; the default workspace falls back to env.
+  // Every workspace may sign in to Gmail through the app's own OAuth client.
+  getCredentials() {
+    const stored = workspaceService.getPlatformCredentials(this.workspaceId);
+    const fromEnv = this.workspaceId === DEFAULT_WORKSPACE_ID
+      ? credentialsFromEnv()
+      : { gmail: credentialsFromEnv().gmail };
+
+    // Stored fields (such as Gmail OAuth tokens) layer over the env-configured ones
+    const credentials = { ...fromEnv };
+    for (const [platform, platformCredentials] of Object.entries(stored)) {
+      credentials[platform] = { ...fromEnv[platform], ...platformCredentials };
+    }
+    return credentials;
+  }
+
+  // Throw unless `credentials` carries every field `platform` needs to connect
+  validateCredentials(platform, credentials) {
+    const required = REQUIRED_CREDENTIALS[platform];
+    if (!required) {
+      throw new Error(`Unsupported platform: ${platform}`);
+    }
+
+    const missing = required.filter(field => !credentials?.[field]);
+    if (missing.length > 0) {
+      throw new Error(`Missing ${platform} credentials: ${missing.join(', ')}`);
+    }
+  }
+
+  // Validate and store `credentials` for `platform` on this workspace, then reconnect
+  async saveCredentials(platform, credentials) {
+    this.validateCredentials(platform, credentials);
+    await workspaceService.setPlatformCredentials(this.workspaceId, platform, credentials);
+    this.reloadCredentials();
+    return !!this.isPlatformConfigured(platform);
+  }
+
+  // Rebuild connections after the workspace's credentials changed
+  reloadCredentials() {
+    this.platforms.clear();
+    this.initializePlatforms();
+    logger.info(`Platform connections reloaded for workspace ${this.workspaceId}`);
+  }
+
   initializePlatforms() {
+    const credentials = this.getCredentials();
+
     // Initialize Telegram
-    if (process.env.TELEGRAM_BOT_TOKEN) {
+    if (credentials.telegram?.botToken) {
       try {
-        const telegramBot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { 
-          polling: false,
-          webHook: {
-            port: process.env.PORT || 3000,
-            host: process.env.HOST || 'localhost'
-          }
-        });
+        // Updates arrive through the Express webhook routes or TelegramPollingService,
+        // so the bot must not open its own webhook server or poller
+        const botOptions = { polling: false };
+        // Override to point Bot API calls at a stand-in server
+        if (process.env.TELEGRAM_API_BASE_URL) {
+          botOptions.baseApiUrl = process.env.TELEGRAM_API_BASE_URL.replace(/\/$/, '');
+        }
+        const telegramBot = new TelegramBot(credentials.telegram.botToken, botOptions);
         
         this.platforms.set('telegram', {
           instance: telegramBot,
@@ -48,24 +163,37 @@ class PlatformService {
           },
           methods: {
             sendMessage: this.sendTelegramMessage.bind(this),
+            sendFile: this.sendTelegramFile.bind(this),
+            downloadMedia: this.downloadTelegramFile.bind(this),
             getUpdates: this.getTelegramUpdates.bind(this),
-            setWebhook: this.setTelegramWebhook.bind(this)
+            setWebhook: this.setTelegramWebhook.bind(this),
+            deleteWebhook: this.deleteTelegramWebhook.bind(this)
           }
         });
-        logger.info('Telegram platform initialized successfully');
+        logger.info(`Telegram platform initialized for workspace ${this.workspaceId}`);
       } catch (error) {
         logger.error('Failed to initialize Telegram platform:', error);
       }
     }
 
     // Initialize Gmail
-    if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
+    if (credentials.gmail?.clientId && credentials.gmail?.clientSecret) {
       const oauth2Client = new google.auth.OAuth2(
-        process.env.GOOGLE_CLIENT_ID,
-        process.env.GOOGLE_CLIENT_SECRET,
-        process.env.GOOGLE_REDIRECT_URI
+        credentials.gmail.clientId,
+        credentials.gmail.clientSecret,
+        credentials.gmail.redirectUri || process.env.GOOGLE_REDIRECT_URI
       );
-      
+      if (credentials.gmail.tokens) {
+        oauth2Client.setCredentials(credentials.gmail.tokens);
+      }
+
+      // googleapis refreshes expired access tokens on its own; keep what it receives
+      oauth2Client.on('tokens', tokens => {
+        this.saveGmailTokens(tokens).catch(error => {
+          logger.error(`Failed to persist refreshed Gmail tokens for workspace ${this.workspaceId}:`, error);
+        });
+      });
+
       this.platforms.set('gmail', {
         instance: oauth2Client,
         config: {
@@ -73,7 +201,7 @@ class PlatformService {
           icon: '📧',
           color: '#EA4335',
           features: ['send', 'receive', 'attachments', 'threading'],
-          status: 'configured'
+          status: this.getGmailGrantState(credentials.gmail)
         },
         methods: {
           sendEmail: this.sendGmailMessage.bind(this),
@@ -81,40 +209,44 @@ class PlatformService {
           authenticate: this.authenticateGmail.bind(this)
         }
       });
-      logger.info('Gmail platform initialized successfully');
+      logger.info(`Gmail platform initialized for workspace ${this.workspaceId}`);
     }
 
     // Initialize WhatsApp (Business API)
-    if (process.env.WHATSAPP_ACCESS_TOKEN) {
+    if (credentials.whatsapp?.accessToken) {
       this.platforms.set('whatsapp', {
         instance: {
-          accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
-          phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+          accessToken: credentials.whatsapp.accessToken,
+          phoneNumberId: credentials.whatsapp.phoneNumberId,
           apiVersion: 'v18.0'
         },
         config: {
           name: 'WhatsApp',
           icon: '💬',
           color: '#25D366',
-          features: ['send', 'receive', 'attachments', 'business'],
+          features: ['send', 'receive', 'attachments', 'business', 'templates'],
           status: 'connected'
         },
         methods: {
           sendMessage: this.sendWhatsAppMessage.bind(this),
+          sendTemplate: this.sendWhatsAppTemplate.bind(this),
+          uploadMedia: this.uploadWhatsAppMedia.bind(this),
+          sendMedia: this.sendWhatsAppMedia.bind(this),
+          downloadMedia: this.downloadWhatsAppMedia.bind(this),
           getMessages: this.getWhatsAppMessages.bind(this),
           setWebhook: this.setWhatsAppWebhook.bind(this)
         }
       });
-      logger.info('WhatsApp platform initialized successfully');
+      logger.info(`WhatsApp platform initialized for workspace ${this.workspaceId}`);
     }
 
     // Initialize Instagram Graph API
-    if (process.env.INSTAGRAM_ACCESS_TOKEN) {
+    if (credentials.instagram?.accessToken) {
       this.platforms.set('instagram', {
         instance: {
-          accessToken: process.env.INSTAGRAM_ACCESS_TOKEN,
-          appId: process.env.INSTAGRAM_APP_ID,
-          appSecret: process.env.INSTAGRAM_APP_SECRET,
+          accessToken: credentials.instagram.accessToken,
+          appId: credentials.instagram.appId,
+          appSecret: credentials.instagram.appSecret,
           apiVersion: 'v18.0'
         },
         config: {
@@ -126,22 +258,27 @@ class PlatformService {
         },
         methods: {
           sendDirectMessage: this.sendInstagramMessage.bind(this),
+          sendImage: this.sendInstagramImage.bind(this),
+          downloadMedia: this.downloadInstagramMedia.bind(this),
+          getProfile: this.getInstagramProfile.bind(this),
           getDirectMessages: this.getInstagramMessages.bind(this),
           setWebhook: this.setInstagramWebhook.bind(this)
         }
       });
-      logger.info('Instagram platform initialized successfully');
+      logger.info(`Instagram platform initialized for workspace ${this.workspaceId}`);
     }
 
     // Initialize Twitter/X API v2
-    if (process.env.TWITTER_BEARER_TOKEN) {
+    if (credentials.twitter?.bearerToken) {
       this.platforms.set('twitter', {
         instance: {
-          bearerToken: process.env.TWITTER_BEARER_TOKEN,
-          apiKey: process.env.TWITTER_API_KEY,
-          apiSecret: process.env.TWITTER_API_SECRET,
-          accessToken: process.env.TWITTER_ACCESS_TOKEN,
-          accessTokenSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
+          bearerToken: credentials.twitter.bearerToken,
+          apiKey: credentials.twitter.apiKey,
+          apiSecret: credentials.twitter.apiSecret,
+          accessToken: credentials.twitter.accessToken,
+          accessTokenSecret: credentials.twitter.accessTokenSecret,
+          // Account Activity environment (dev label) the workspace's webhooks live in
+          webhookEnv: credentials.twitter.webhookEnv,
           apiVersion: 'v2'
         },
         config: {
@@ -154,10 +291,12 @@ class PlatformService {
         methods: {
           sendDirectMessage: this.sendTwitterMessage.bind(this),
           getDirectMessages: this.getTwitterMessages.bind(this),
-          setWebhook: this.setTwitterWebhook.bind(this)
+          setWebhook: this.setTwitterWebhook.bind(this),
+          listWebhooks: this.listTwitterWebhooks.bind(this),
+          deleteWebhook: this.deleteTwitterWebhook.bind(this)
         }
       });
-      logger.info('Twitter/X platform initialized successfully');
+      logger.info(`Twitter/X platform initialized for workspace ${this.workspaceId}`);
     }
 
     // Set default status for unconfigured platforms
@@ -229,14 +368,36 @@ class PlatformService {
     }
   }
 
-  async getTelegramUpdates(offset = 0, limit = 100) {
+  // `attachment.kind` (photo, voice or document, see AttachmentService) picks the Bot API method
+  async sendTelegramFile(chatId, attachment, buffer, options = {}) {
     try {
       const platform = this.platforms.get('telegram');
       if (!platform || !platform.instance) {
         throw new Error('Telegram platform not configured');
       }
 
-      const updates = await platform.instance.getUpdates({ offset, limit });
+      const method = { photo: 'sendPhoto', voice: 'sendVoice', document: 'sendDocument' }[attachment.kind] || 'sendDocument';
+      const result = await platform.instance[method](chatId, buffer, options, {
+        filename: attachment.filename,
+        contentType: attachment.mimeType
+      });
+      logger.info(`Telegram ${attachment.kind} sent to ${chatId}`);
+      return result;
+    } catch (error) {
+      logger.error('Error sending Telegram file:', error);
+      throw error;
+    }
+  }
+
+  // `timeout` (seconds) > 0 long-polls: Telegram holds the request until an update arrives
+  async getTelegramUpdates(offset = 0, limit = 100, timeout = 0) {
+    try {
+      const platform = this.platforms.get('telegram');
+      if (!platform || !platform.instance) {
+        throw new Error('Telegram platform not configured');
+      }
+
+      const updates = await platform.instance.getUpdates({ offset, limit, timeout });
       return updates;
     } catch (error) {
       logger.error('Error getting Telegram updates:', error);
@@ -251,7 +412,7 @@ class PlatformService {
         throw new Error('Telegram platform not configured');
       }
 
-      const result = await platform.instance.setWebhook(url, { secret_token: secret });
+      const result = await platform.instance.setWebHook(url, { secret_token: secret });
       logger.info('Telegram webhook set successfully');
       return result;
     } catch (error) {
@@ -260,72 +421,182 @@ class PlatformService {
     }
   }
 
-  // Gmail Methods
-  async sendGmailMessage(to, subject, body, options = {}) {
+  // Telegram refuses getUpdates while a webhook is set
+  async deleteTelegramWebhook() {
     try {
-      const platform = this.platforms.get('gmail');
+      const platform = this.platforms.get('telegram');
       if (!platform || !platform.instance) {
-        throw new Error('Gmail platform not configured');
+        throw new Error('Telegram platform not configured');
+      }
+
+      const result = await platform.instance.deleteWebHook();
+      logger.info(`Telegram webhook deleted for workspace ${this.workspaceId}`);
+      return result;
+    } catch (error) {
+      logger.error('Error deleting Telegram webhook:', error);
+      throw error;
+    }
+  }
+
+  // Bot API serves files up to 20 MB through getFile; the file_path link is
+  // valid for an hour, the file_id indefinitely
+  async downloadTelegramFile(fileId, { maxBytes } = {}) {
+    try {
+      const platform = this.platforms.get('telegram');
+      if (!platform || !platform.instance) {
+        throw new Error('Telegram platform not configured');
       }
 
-      const gmail = google.gmail({ version: 'v1', auth: platform.instance });
-      
-      const message = {
+      const file = await platform.instance.getFile(fileId);
+      const fileUrl = `${platform.instance.options.baseApiUrl}/file/bot${platform.instance.token}/${file.file_path}`;
+      const response = await axios.get(fileUrl, { responseType: 'arraybuffer', maxContentLength: maxBytes, timeout: 30000 });
+
+      return {
+        buffer: Buffer.from(response.data),
+        mimeType: response.headers['content-type'] || null,
+        filename: file.file_path.split('/').pop()
+      };
+    } catch (error) {
+      logger.error(`Error downloading Telegram file ${fileId}:`, error);
+      throw error;
+    }
+  }
+
+  // Gmail Methods
+  // Send an RFC 2822 message. A reply passes options.threadId together with
+  // options.inReplyTo / options.references (Message-IDs) so Gmail threads it.
+  async sendGmailMessage(to, subject, body, options = {}) {
+    try {
+      const gmail = this.getGmailClient();
+
+      const mail = new MailComposer({
         to,
+        cc: options.cc,
+        bcc: options.bcc,
         subject,
         text: body,
-        ...options
-      };
+        html: options.html,
+        inReplyTo: options.inReplyTo,
+        references: options.references,
+        // [{ filename, content (Buffer), contentType }]
+        attachments: options.attachments
+      }).compile();
+      // Gmail delivers to Bcc recipients from the raw headers and strips them itself
+      mail.keepBcc = true;
+      const raw = (await mail.build()).toString('base64url');
 
-      const encodedMessage = Buffer.from(JSON.stringify(message)).toString('base64');
       const result = await gmail.users.messages.send({
         userId: 'me',
         requestBody: {
-          raw: encodedMessage
+          raw,
+          threadId: options.threadId
         }
       });
 
       logger.info(`Gmail message sent to ${to}`);
-      return result;
+      return { ...result.data, messageIdHeader: mail.messageId() };
     } catch (error) {
       logger.error('Error sending Gmail message:', error);
+      await this.handleGmailGrantError(error);
       throw error;
     }
   }
 
+  // Matching messages, fully parsed (bodies, attachments, threading headers)
   async getGmailMessages(query = '', maxResults = 10) {
     try {
-      const platform = this.platforms.get('gmail');
-      if (!platform || !platform.instance) {
-        throw new Error('Gmail platform not configured');
-      }
+      const gmail = this.getGmailClient();
 
-      const gmail = google.gmail({ version: 'v1', auth: platform.instance });
-      
       const result = await gmail.users.messages.list({
         userId: 'me',
         q: query,
         maxResults
       });
 
-      return result.data;
+      const messages = [];
+      for (const { id } of result.data.messages || []) {
+        messages.push(await this.getGmailMessage(id));
+      }
+
+      return {
+        messages,
+        nextPageToken: result.data.nextPageToken,
+        resultSizeEstimate: result.data.resultSizeEstimate
+      };
     } catch (error) {
       logger.error('Error getting Gmail messages:', error);
+      await this.handleGmailGrantError(error);
       throw error;
     }
   }
 
-  async authenticateGmail(code) {
+  // One message in unified form. Inline images Gmail only returns by
+  // attachmentId are fetched so the HTML body can show them.
+  async getGmailMessage(id) {
+    const gmail = this.getGmailClient();
+    const { data } = await gmail.users.messages.get({ userId: 'me', id, format: 'full' });
+
+    for (const part of findInlineImageParts(data.payload)) {
+      const body = part.body || {};
+      if (!body.data && body.attachmentId && body.size <= GMAIL_INLINE_IMAGE_MAX_BYTES) {
+        const { data: attachment } = await gmail.users.messages.attachments.get({
+          userId: 'me',
+          messageId: id,
+          id: body.attachmentId
+        });
+        part.body = { ...body, data: attachment.data };
+      }
+    }
+
+    return toUnifiedMessage(data);
+  }
+
+  // Gmail API client authorized with the workspace's grant
+  getGmailClient() {
+    const platform = this.platforms.get('gmail');
+    if (!platform || !platform.instance) {
+      throw new Error('Gmail platform not configured');
+    }
+
+    const options = { version: 'v1', auth: platform.instance };
+    // Override to point Gmail calls at a stand-in API (e.g. one replaying recorded fixtures)
+    if (process.env.GMAIL_API_BASE_URL) {
+      options.rootUrl = process.env.GMAIL_API_BASE_URL.replace(/\/?$/, '/');
+    }
+    return google.gmail(options);
+  }
+
+  // Consent screen URL for the OAuth flow; `codeChallenge` is the S256 PKCE challenge
+  getGmailAuthUrl({ state, codeChallenge }) {
+    const platform = this.platforms.get('gmail');
+    if (!platform || !platform.instance) {
+      throw new Error('Gmail platform not configured');
+    }
+
+    return platform.instance.generateAuthUrl({
+      access_type: 'offline',
+      prompt: 'consent',
+      scope: GMAIL_SCOPES,
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+  }
+
+  // Exchange the OAuth callback code for tokens and keep them (encrypted) on the workspace
+  async authenticateGmail(code, codeVerifier) {
     try {
       const platform = this.platforms.get('gmail');
       if (!platform || !platform.instance) {
         throw new Error('Gmail platform not configured');
       }
 
-      const { tokens } = await platform.instance.getToken(code);
+      const { tokens } = await platform.instance.getToken({ code, codeVerifier });
       platform.instance.setCredentials(tokens);
-      
-      logger.info('Gmail authentication successful');
+      await this.saveGmailTokens(tokens);
+      platform.config.status = 'connected';
+
+      logger.info(`Gmail authentication successful for workspace ${this.workspaceId}`);
       return tokens;
     } catch (error) {
       logger.error('Error authenticating Gmail:', error);
@@ -333,6 +604,87 @@ class PlatformService {
     }
   }
 
+  // Merge new tokens over the stored ones; refreshes usually omit the refresh token
+  async saveGmailTokens(tokens) {
+    const stored = workspaceService.getPlatformCredentials(this.workspaceId).gmail || {};
+    await workspaceService.setPlatformCredentials(this.workspaceId, 'gmail', {
+      ...stored,
+      tokens: { ...stored.tokens, ...tokens },
+      grantStatus: 'active'
+    });
+  }
+
+  // 'connected' once the workspace has a grant, 'configured' before consent,
+  // 'reauthorization_required' after Google rejected the grant
+  getGmailGrantState(credentials) {
+    if (credentials.grantStatus === 'revoked') {
+      return 'reauthorization_required';
+    }
+    return credentials.tokens ? 'connected' : 'configured';
+  }
+
+  isGmailGrantError(error) {
+    return (error.response?.data?.error || error.message) === 'invalid_grant';
+  }
+
+  // Google answers invalid_grant once the user revoked access or the refresh
+  // token expired; remember it so the status says so and the user reconnects
+  async handleGmailGrantError(error) {
+    if (!this.isGmailGrantError(error)) {
+      return false;
+    }
+
+    const platform = this.platforms.get('gmail');
+    if (platform?.instance) {
+      platform.instance.setCredentials({});
+      platform.config.status = 'reauthorization_required';
+    }
+
+    const stored = workspaceService.getPlatformCredentials(this.workspaceId).gmail || {};
+    await workspaceService.setPlatformCredentials(this.workspaceId, 'gmail', {
+      ...stored,
+      tokens: null,
+      grantStatus: 'revoked',
+      revokedAt: new Date().toISOString()
+    });
+
+    logger.warn(`Gmail grant for workspace ${this.workspaceId} is no longer valid`);
+    return true;
+  }
+
+  // Check the Gmail grant, refreshing the access token when it has expired
+  async getGmailGrantStatus(platform) {
+    if (platform.config.status === 'reauthorization_required') {
+      return { status: 'revoked', message: 'Gmail access was revoked or has expired; reconnect Gmail' };
+    }
+
+    const { credentials } = platform.instance;
+    if (!credentials?.access_token && !credentials?.refresh_token) {
+      return { status: 'configured', message: 'Gmail API configured but not authenticated' };
+    }
+
+    // Without a refresh token an expired access token cannot be renewed
+    if (!credentials.refresh_token && credentials.expiry_date && credentials.expiry_date <= Date.now()) {
+      return { status: 'expired', message: 'Gmail access token expired and no refresh token was granted; reconnect Gmail' };
+    }
+
+    try {
+      await platform.instance.getAccessToken();
+      return {
+        status: 'authenticated',
+        message: 'Gmail API authenticated',
+        expiresAt: platform.instance.credentials.expiry_date
+          ? new Date(platform.instance.credentials.expiry_date).toISOString()
+          : null
+      };
+    } catch (error) {
+      if (await this.handleGmailGrantError(error)) {
+        return { status: 'revoked', message: 'Gmail access was revoked or has expired; reconnect Gmail' };
+      }
+      throw error;
+    }
+  }
+
   // WhatsApp Methods
   async sendWhatsAppMessage(to, text, options = {}) {
     try {
@@ -359,7 +711,8 @@ class PlatformService {
         }
       });
 
-      logger.info(`WhatsApp message sent to ${to}`);
+      // The wamid identifies the message in later status callbacks
+      logger.info(`WhatsApp message ${response.data.messages?.[0]?.id} sent to ${to}`);
       return response.data;
     } catch (error) {
       logger.error('Error sending WhatsApp message:', error);
@@ -367,6 +720,127 @@ class PlatformService {
     }
   }
 
+  // `template` is the Cloud API template object: { name, language: { code }, components }
+  async sendWhatsAppTemplate(to, template) {
+    try {
+      const platform = this.platforms.get('whatsapp');
+      if (!platform || !platform.instance) {
+        throw new Error('WhatsApp platform not configured');
+      }
+
+      const { accessToken, phoneNumberId, apiVersion } = platform.instance;
+      const url = `https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`;
+
+      const response = await axios.post(url, {
+        messaging_product: 'whatsapp',
+        to,
+        type: 'template',
+        template
+      }, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      logger.info(`WhatsApp template ${template.name} sent to ${to} as ${response.data.messages?.[0]?.id}`);
+      return response.data;
+    } catch (error) {
+      logger.error('Error sending WhatsApp template:', error);
+      throw error;
+    }
+  }
+
+  // Upload a file to the Cloud API; the returned media id is valid for 30 days
+  async uploadWhatsAppMedia(buffer, { mimeType, filename }) {
+    try {
+      const platform = this.platforms.get('whatsapp');
+      if (!platform || !platform.instance) {
+        throw new Error('WhatsApp platform not configured');
+      }
+
+      const { accessToken, phoneNumberId, apiVersion } = platform.instance;
+      const form = new FormData();
+      form.append('messaging_product', 'whatsapp');
+      form.append('type', mimeType);
+      form.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+      const response = await axios.post(`https://graph.facebook.com/${apiVersion}/${phoneNumberId}/media`, form, {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+      });
+      return response.data.id;
+    } catch (error) {
+      logger.error('Error uploading WhatsApp media:', error);
+      throw error;
+    }
+  }
+
+  // `kind` is the Cloud API message type: image, video, audio or document
+  async sendWhatsAppMedia(to, kind, mediaId, { caption, filename } = {}) {
+    try {
+      const platform = this.platforms.get('whatsapp');
+      if (!platform || !platform.instance) {
+        throw new Error('WhatsApp platform not configured');
+      }
+
+      const { accessToken, phoneNumberId, apiVersion } = platform.instance;
+      const media = { id: mediaId };
+      // Audio messages have no caption; documents show their file name
+      if (caption && kind !== 'audio') {
+        media.caption = caption;
+      }
+      if (kind === 'document' && filename) {
+        media.filename = filename;
+      }
+
+      const response = await axios.post(`https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`, {
+        messaging_product: 'whatsapp',
+        to,
+        type: kind,
+        [kind]: media
+      }, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      logger.info(`WhatsApp ${kind} ${response.data.messages?.[0]?.id} sent to ${to}`);
+      return response.data;
+    } catch (error) {
+      logger.error('Error sending WhatsApp media:', error);
+      throw error;
+    }
+  }
+
+  // Media ids resolve to a short-lived URL that needs the access token as well
+  async downloadWhatsAppMedia(mediaId, { maxBytes } = {}) {
+    try {
+      const platform = this.platforms.get('whatsapp');
+      if (!platform || !platform.instance) {
+        throw new Error('WhatsApp platform not configured');
+      }
+
+      const { accessToken, apiVersion } = platform.instance;
+      const headers = { 'Authorization': `Bearer ${accessToken}` };
+
+      const { data: media } = await axios.get(`https://graph.facebook.com/${apiVersion}/${mediaId}`, { headers, timeout: 30000 });
+      if (maxBytes && media.file_size > maxBytes) {
+        throw new Error(`Media ${mediaId} is larger than ${maxBytes} bytes`);
+      }
+
+      const response = await axios.get(media.url, { headers, responseType: 'arraybuffer', maxContentLength: maxBytes, timeout: 30000 });
+      return {
+        buffer: Buffer.from(response.data),
+        mimeType: media.mime_type || response.headers['content-type'] || null,
+        sha256: media.sha256 || null
+      };
+    } catch (error) {
+      logger.error(`Error downloading WhatsApp media ${mediaId}:`, error);
+      throw error;
+    }
+  }
+
   async getWhatsAppMessages(phoneNumberId, limit = 10) {
     try {
       const platform = this.platforms.get('whatsapp');
@@ -432,6 +906,7 @@ class PlatformService {
 
       const messageData = {
         recipient_type: 'instagram',
+        recipient: { id: recipientId },
         message: {
           text
         },
@@ -453,6 +928,80 @@ class PlatformService {
     }
   }
 
+  // Instagram fetches the image from `imageUrl` itself, so it must be publicly reachable
+  async sendInstagramImage(recipientId, imageUrl) {
+    try {
+      const platform = this.platforms.get('instagram');
+      if (!platform || !platform.instance) {
+        throw new Error('Instagram platform not configured');
+      }
+
+      const { accessToken, appId, apiVersion } = platform.instance;
+      const response = await axios.post(`https://graph.facebook.com/${apiVersion}/${appId}/messages`, {
+        recipient_type: 'instagram',
+        recipient: { id: recipientId },
+        message: {
+          attachment: { type: 'image', payload: { url: imageUrl } }
+        }
+      }, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      logger.info(`Instagram image sent to ${recipientId}`);
+      return response.data;
+    } catch (error) {
+      logger.error('Error sending Instagram image:', error);
+      throw error;
+    }
+  }
+
+  // Instagram attachments are CDN URLs that expire after a while
+  async downloadInstagramMedia(url, { maxBytes } = {}) {
+    try {
+      const platform = this.platforms.get('instagram');
+      if (!platform || !platform.instance) {
+        throw new Error('Instagram platform not configured');
+      }
+
+      const response = await axios.get(url, { responseType: 'arraybuffer', maxContentLength: maxBytes, timeout: 30000 });
+      return {
+        buffer: Buffer.from(response.data),
+        mimeType: response.headers['content-type'] || null
+      };
+    } catch (error) {
+      logger.error('Error downloading Instagram media:', error);
+      throw error;
+    }
+  }
+
+  // Name, username and avatar of an Instagram-scoped user id (IGSID); only
+  // available for users who have messaged the account
+  async getInstagramProfile(igsid) {
+    try {
+      const platform = this.platforms.get('instagram');
+      if (!platform || !platform.instance) {
+        throw new Error('Instagram platform not configured');
+      }
+
+      const { accessToken, apiVersion } = platform.instance;
+      const response = await axios.get(`https://graph.facebook.com/${apiVersion}/${igsid}`, {
+        params: { fields: 'name,username,profile_pic' },
+        headers: {
+          'Authorization': `Bearer ${accessToken}`
+        }
+      });
+
+      const { name, username, profile_pic: profilePic } = response.data;
+      return { id: igsid, name: name || null, username: username || null, profilePic: profilePic || null };
+    } catch (error) {
+      logger.error('Error getting Instagram profile:', error);
+      throw error;
+    }
+  }
+
   async getInstagramMessages(limit = 10) {
     try {
       const platform = this.platforms.get('instagram');
@@ -492,7 +1041,8 @@ class PlatformService {
         callback_url: url,
         verify_token: verifyToken,
         object: 'instagram',
-        fields: ['messages', 'messaging_postbacks']
+        // `messages` includes the echoes of messages the account sends
+        fields: ['messages', 'messaging_postbacks', 'message_reactions', 'messaging_seen']
       }, {
         headers: {
           'Content-Type': 'application/json'
@@ -568,25 +1118,87 @@ class PlatformService {
     }
   }
 
-  async setTwitterWebhook(url, env) {
-    try {
-      const platform = this.platforms.get('twitter');
-      if (!platform || !platform.instance) {
-        throw new Error('Twitter/X platform not configured');
-      }
+  // Twitter/X Account Activity API (webhooks and subscriptions).
+  // These endpoints are only served under /1.1; TWITTER_API_BASE_URL lets them
+  // be pointed at a local mock of the X API.
+  getTwitterAccountActivityConfig() {
+    const platform = this.platforms.get('twitter');
+    if (!platform || !platform.instance) {
+      throw new Error('Twitter/X platform not configured');
+    }
 
-      const { bearerToken, apiVersion } = platform.instance;
-      const webhookUrl = `https://api.twitter.com/${apiVersion}/account_activity/all/${env}/webhooks.json`;
+    return {
+      credentials: platform.instance,
+      baseUrl: (process.env.TWITTER_API_BASE_URL || 'https://api.twitter.com').replace(/\/$/, ''),
+      env: platform.instance.webhookEnv || process.env.TWITTER_WEBHOOK_ENV || 'production'
+    };
+  }
 
-      const response = await axios.post(webhookUrl, {
-        url,
-        env
-      }, {
-        headers: {
-          'Authorization': `Bearer ${bearerToken}`,
-          'Content-Type': 'application/json'
-        }
-      });
+  // Call the Account Activity API. `auth: 'user'` signs with OAuth 1.0a user
+  // context (required to register webhooks and subscribe the account);
+  // `auth: 'app'` uses the bearer token.
+  async twitterAccountActivityRequest(method, path, { auth = 'user', params = {} } = {}) {
+    const { credentials, baseUrl } = this.getTwitterAccountActivityConfig();
+    const url = `${baseUrl}/1.1/account_activity/${path}`;
+
+    const authorization = auth === 'app'
+      ? `Bearer ${credentials.bearerToken}`
+      : this.buildTwitterOAuthHeader(method, url, params, credentials);
+
+    const response = await axios({
+      method,
+      url,
+      params,
+      headers: { 'Authorization': authorization }
+    });
+
+    return response;
+  }
+
+  buildTwitterOAuthHeader(method, url, params, credentials) {
+    const encode = value => encodeURIComponent(value)
+      .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    const oauthParams = {
+      oauth_consumer_key: credentials.apiKey,
+      oauth_nonce: crypto.randomBytes(16).toString('hex'),
+      oauth_signature_method: 'HMAC-SHA1',
+      oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+      oauth_token: credentials.accessToken,
+      oauth_version: '1.0'
+    };
+
+    const parameterString = Object.entries({ ...params, ...oauthParams })
+      .map(([key, value]) => [encode(key), encode(String(value))])
+      .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+
+    const baseString = [method.toUpperCase(), encode(url), encode(parameterString)].join('&');
+    const signingKey = `${encode(credentials.apiSecret)}&${encode(credentials.accessTokenSecret)}`;
+    oauthParams.oauth_signature = crypto.createHmac('sha1', signingKey).update(baseString).digest('base64');
+
+    return 'OAuth ' + Object.entries(oauthParams)
+      .map(([key, value]) => `${encode(key)}="${encode(value)}"`)
+      .join(', ');
+  }
+
+  // Answer an X Challenge-Response Check: HMAC-SHA256 of crc_token keyed with the consumer secret
+  verifyTwitterWebhook(crcToken) {
+    const { credentials } = this.getTwitterAccountActivityConfig();
+    const hash = crypto.createHmac('sha256', credentials.apiSecret).update(crcToken).digest('base64');
+    return { response_token: `sha256=${hash}` };
+  }
+
+  // Register a webhook URL for the environment; X sends a CRC to it before accepting
+  async setTwitterWebhook(url, env) {
+    try {
+      const { env: defaultEnv } = this.getTwitterAccountActivityConfig();
+      const response = await this.twitterAccountActivityRequest(
+        'POST',
+        `all/${env || defaultEnv}/webhooks.json`,
+        { params: { url } }
+      );
 
       logger.info('Twitter/X webhook set successfully');
       return response.data;
@@ -596,12 +1208,149 @@ class PlatformService {
     }
   }
 
+  async listTwitterWebhooks() {
+    try {
+      const { env } = this.getTwitterAccountActivityConfig();
+      const response = await this.twitterAccountActivityRequest('GET', `all/${env}/webhooks.json`, { auth: 'app' });
+      return response.data;
+    } catch (error) {
+      logger.error('Error listing Twitter/X webhooks:', error);
+      throw error;
+    }
+  }
+
+  // Ask X to re-run the CRC against a registered webhook (re-enables it if it was marked invalid)
+  async triggerTwitterWebhookCrc(webhookId) {
+    try {
+      const { env } = this.getTwitterAccountActivityConfig();
+      await this.twitterAccountActivityRequest('PUT', `all/${env}/webhooks/${webhookId}.json`);
+
+      logger.info(`Twitter/X CRC triggered for webhook ${webhookId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error triggering CRC for Twitter/X webhook ${webhookId}:`, error);
+      throw error;
+    }
+  }
+
+  async deleteTwitterWebhook(webhookId) {
+    try {
+      const { env } = this.getTwitterAccountActivityConfig();
+      await this.twitterAccountActivityRequest('DELETE', `all/${env}/webhooks/${webhookId}.json`);
+
+      logger.info(`Twitter/X webhook deleted: ${webhookId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting Twitter/X webhook ${webhookId}:`, error);
+      throw error;
+    }
+  }
+
+  // Replace whatever webhook is registered for the environment with `url`.
+  // The old webhooks are deleted only once X has accepted the new one (which
+  // needs a passing CRC), so a failed registration leaves delivery untouched.
+  // A webhook already registered for `url` is re-validated and kept.
+  async reregisterTwitterWebhook(url) {
+    const existing = (await this.listTwitterWebhooks()) || [];
+
+    const current = existing.find(webhook => webhook.url === url);
+    const webhook = current || await this.setTwitterWebhook(url);
+    if (current) {
+      await this.triggerTwitterWebhookCrc(current.id);
+    }
+
+    for (const old of existing.filter(candidate => candidate.id !== webhook.id)) {
+      await this.deleteTwitterWebhook(old.id);
+    }
+    return webhook;
+  }
+
+  // Subscribe the authenticating account so its DM events are delivered to the webhook
+  async subscribeTwitterAccount() {
+    try {
+      const { env } = this.getTwitterAccountActivityConfig();
+      await this.twitterAccountActivityRequest('POST', `all/${env}/subscriptions.json`);
+
+      logger.info('Twitter/X account subscribed to account activity');
+      return true;
+    } catch (error) {
+      logger.error('Error subscribing Twitter/X account:', error);
+      throw error;
+    }
+  }
+
+  // X answers 204 when the authenticating account is subscribed and 404 when it is not
+  async isTwitterAccountSubscribed() {
+    try {
+      const { env } = this.getTwitterAccountActivityConfig();
+      await this.twitterAccountActivityRequest('GET', `all/${env}/subscriptions.json`);
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return false;
+      }
+      logger.error('Error checking Twitter/X subscription:', error);
+      throw error;
+    }
+  }
+
+  async listTwitterSubscriptions() {
+    try {
+      const { env } = this.getTwitterAccountActivityConfig();
+      const response = await this.twitterAccountActivityRequest(
+        'GET',
+        `all/${env}/subscriptions/list.json`,
+        { auth: 'app' }
+      );
+      return response.data?.subscriptions || [];
+    } catch (error) {
+      logger.error('Error listing Twitter/X subscriptions:', error);
+      throw error;
+    }
+  }
+
+  async unsubscribeTwitterAccount(userId) {
+    try {
+      const { env } = this.getTwitterAccountActivityConfig();
+      await this.twitterAccountActivityRequest(
+        'DELETE',
+        `all/${env}/subscriptions/${userId}.json`,
+        { auth: 'app' }
+      );
+
+      logger.info(`Twitter/X subscription removed for user ${userId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error removing Twitter/X subscription for ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Registered webhooks plus whether the account is actually subscribed to them
+  async getTwitterWebhookStatus() {
+    const { env } = this.getTwitterAccountActivityConfig();
+    const [webhooks, subscribed] = await Promise.all([
+      this.listTwitterWebhooks(),
+      this.isTwitterAccountSubscribed()
+    ]);
+
+    return {
+      environment: env,
+      webhooks: webhooks || [],
+      subscribed,
+      active: subscribed && (webhooks || []).some(webhook => webhook.valid)
+    };
+  }
+
   // Platform Status Methods
   async getPlatformStatus(platformName) {
     const platform = this.platforms.get(platformName);
     if (!platform) {
       return { status: 'not_found', message: 'Platform not found' };
     }
+    if (!platform.instance) {
+      return { status: 'not_configured', message: `${platform.config.name} is not configured` };
+    }
 
     try {
       // Test platform connectivity
@@ -617,12 +1366,8 @@ class PlatformService {
           }
           break;
         case 'gmail':
-          if (platform.instance && platform.instance.credentials) {
-            status = 'authenticated';
-            message = 'Gmail API authenticated';
-          } else {
-            status = 'configured';
-            message = 'Gmail API configured but not authenticated';
+          if (platform.instance) {
+            return await this.getGmailGrantStatus(platform);
           }
           break;
         case 'whatsapp':
@@ -671,7 +1416,7 @@ class PlatformService {
         case 'instagram':
           return await this.setInstagramWebhook(url, secret);
         case 'twitter':
-          return await this.setTwitterWebhook(url, 'development');
+          return await this.setTwitterWebhook(url);
         default:
           throw new Error(`Unsupported platform: ${platform}`);
       }
@@ -700,4 +1445,7 @@ class PlatformService {
   }
 }
 
-module.exports = new PlatformService();
+const defaultPlatformService = new PlatformService(DEFAULT_WORKSPACE_ID);
+workspacePlatforms.set(DEFAULT_WORKSPACE_ID, defaultPlatformService);
+
+module.exports = defaultPlatformService;
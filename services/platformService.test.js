@@ -0,0 +1,156 @@
+jest.mock('axios');
+
+const crypto = require('crypto');
+const axios = require('axios');
+const platformService = require('./platformService');
+const workspaceService = require('./workspaceService');
+
+const TWITTER_CREDENTIALS = {
+  bearerToken: 'bearer',
+  apiKey: 'consumer-key',
+  apiSecret: 'consumer-secret',
+  accessToken: 'access-token',
+  accessTokenSecret: 'access-secret'
+};
+
+// Stand-in for the X Account Activity API: keeps registered webhooks per
+// environment and answers the calls PlatformService makes through axios.
+// Set `rejectRegistrations` to fail the CRC X runs on a new webhook URL.
+function mockXApi() {
+  const api = { webhooks: {}, rejectRegistrations: false };
+  const { webhooks } = api;
+  let nextId = 1;
+
+  axios.mockImplementation(async ({ method, url, params }) => {
+    const [, env, resource, id] = url.match(/\/1\.1\/account_activity\/all\/([^/]+)\/(webhooks|subscriptions)(?:\/([^/.]+))?\.json$/);
+    const registered = webhooks[env] || (webhooks[env] = []);
+
+    if (resource === 'webhooks' && method === 'POST') {
+      if (api.rejectRegistrations) {
+        throw Object.assign(new Error('Request failed with status code 400'), {
+          response: { status: 400, data: { errors: [{ code: 214, message: 'Webhook URL does not meet the requirements.' }] } }
+        });
+      }
+      const webhook = { id: String(nextId++), url: params.url, valid: true };
+      registered.push(webhook);
+      return { status: 200, data: webhook };
+    }
+    if (resource === 'webhooks' && method === 'GET') {
+      return { status: 200, data: registered };
+    }
+    if (resource === 'webhooks' && method === 'PUT') {
+      return { status: 204, data: '' };
+    }
+    if (resource === 'webhooks' && method === 'DELETE') {
+      webhooks[env] = registered.filter(webhook => webhook.id !== id);
+      return { status: 204, data: '' };
+    }
+    throw new Error(`Unexpected X API call: ${method} ${url}`);
+  });
+
+  return api;
+}
+
+const calls = () => axios.mock.calls.map(([{ method, url }]) => `${method} ${url.replace(/^.*\/account_activity\//, '')}`);
+
+describe('PlatformService X Account Activity webhooks', () => {
+  let twitter;
+
+  beforeAll(async () => {
+    await workspaceService.createWorkspace({ id: 'ws_x', name: 'X workspace' });
+    await workspaceService.setPlatformCredentials('ws_x', 'twitter', { ...TWITTER_CREDENTIALS, webhookEnv: 'inbox' });
+    await workspaceService.createWorkspace({ id: 'ws_x_env', name: 'X env workspace' });
+    await workspaceService.setPlatformCredentials('ws_x_env', 'twitter', TWITTER_CREDENTIALS);
+    twitter = platformService.forWorkspace('ws_x');
+  });
+
+  beforeEach(() => {
+    axios.mockReset();
+  });
+
+  afterEach(() => {
+    delete process.env.TWITTER_WEBHOOK_ENV;
+  });
+
+  test('registerWebhook uses the workspace environment', async () => {
+    const { webhooks } = mockXApi();
+
+    const webhook = await twitter.registerWebhook('twitter', 'https://inbox.example.com/api/webhooks/twitter/ws_x');
+
+    expect(webhook.url).toBe('https://inbox.example.com/api/webhooks/twitter/ws_x');
+    expect(webhooks.inbox).toHaveLength(1);
+    expect(calls()).toEqual(['POST all/inbox/webhooks.json']);
+  });
+
+  test('falls back to TWITTER_WEBHOOK_ENV, then production', async () => {
+    mockXApi();
+    const envWorkspace = platformService.forWorkspace('ws_x_env');
+
+    await envWorkspace.registerWebhook('twitter', 'https://inbox.example.com/a');
+    process.env.TWITTER_WEBHOOK_ENV = 'staging';
+    await envWorkspace.registerWebhook('twitter', 'https://inbox.example.com/b');
+
+    expect(calls()).toEqual(['POST all/production/webhooks.json', 'POST all/staging/webhooks.json']);
+  });
+
+  test('signs registration with OAuth 1.0a user context and listing with the bearer token', async () => {
+    mockXApi();
+
+    await twitter.setTwitterWebhook('https://inbox.example.com/hook');
+    await twitter.listTwitterWebhooks();
+
+    const [[register], [list]] = axios.mock.calls;
+    expect(register.headers.Authorization).toMatch(/^OAuth .*oauth_consumer_key="consumer-key".*oauth_signature="[^"]+"/);
+    expect(list.headers.Authorization).toBe('Bearer bearer');
+  });
+
+  test('reregistering registers the new URL before deleting the old one', async () => {
+    const { webhooks } = mockXApi();
+    const old = await twitter.setTwitterWebhook('https://old.example.com/hook');
+    axios.mockClear();
+
+    const webhook = await twitter.reregisterTwitterWebhook('https://new.example.com/hook');
+
+    expect(webhook.url).toBe('https://new.example.com/hook');
+    expect(calls()).toEqual([
+      'GET all/inbox/webhooks.json',
+      'POST all/inbox/webhooks.json',
+      `DELETE all/inbox/webhooks/${old.id}.json`
+    ]);
+    expect(webhooks.inbox.map(registered => registered.url)).toEqual(['https://new.example.com/hook']);
+  });
+
+  test('keeps the old webhook when the new URL is rejected', async () => {
+    const api = mockXApi();
+    await twitter.setTwitterWebhook('https://old.example.com/hook');
+    api.rejectRegistrations = true;
+    axios.mockClear();
+
+    await expect(twitter.reregisterTwitterWebhook('https://broken.example.com/hook')).rejects.toThrow('status code 400');
+
+    expect(calls()).toEqual(['GET all/inbox/webhooks.json', 'POST all/inbox/webhooks.json']);
+    expect(api.webhooks.inbox.map(registered => registered.url)).toEqual(['https://old.example.com/hook']);
+  });
+
+  test('re-validates a webhook already registered for the URL instead of replacing it', async () => {
+    mockXApi();
+    const current = await twitter.setTwitterWebhook('https://inbox.example.com/hook');
+    const stale = await twitter.setTwitterWebhook('https://stale.example.com/hook');
+    axios.mockClear();
+
+    const webhook = await twitter.reregisterTwitterWebhook('https://inbox.example.com/hook');
+
+    expect(webhook.id).toBe(current.id);
+    expect(calls()).toEqual([
+      'GET all/inbox/webhooks.json',
+      `PUT all/inbox/webhooks/${current.id}.json`,
+      `DELETE all/inbox/webhooks/${stale.id}.json`
+    ]);
+  });
+
+  test('answers the CRC with the consumer secret', () => {
+    const expected = crypto.createHmac('sha256', 'consumer-secret').update('challenge').digest('base64');
+
+    expect(twitter.verifyTwitterWebhook('challenge')).toEqual({ response_token: `sha256=${expected}` });
+  });
+});
@@ -1,7 +1,9 @@
 const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
 const cron = require('node-cron');
 const axios = require('axios');
 const crypto = require('crypto');
+const schedulerService = require('./schedulerService');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -9,6 +11,7 @@ const logger = winston.createLogger({
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactSecrets(),
     winston.format.json()
   ),
   defaultMeta: { service: 'plugin-service' },
@@ -143,13 +146,18 @@ class PluginService {
     }
   }
 
-  // Create a workflow using plugins
+  // Create a workflow using plugins, owned by workflowConfig.workspaceId
   async createWorkflow(workflowConfig) {
     try {
+      if (!workflowConfig.workspaceId) {
+        throw new Error('Workspace is required');
+      }
+
       const workflowId = `workflow_${crypto.randomBytes(8).toString('hex')}`;
       
       const workflow = {
         id: workflowId,
+        workspaceId: workflowConfig.workspaceId,
         name: workflowConfig.name,
         description: workflowConfig.description,
         enabled: workflowConfig.enabled || false,
@@ -185,34 +193,93 @@ class PluginService {
 
   // Validate workflow configuration
   validateWorkflowConfig(workflow) {
+    const errors = this.getWorkflowConfigErrors(workflow);
+    errors.forEach(error => logger.error(error));
+    return errors.length === 0;
+  }
+
+  // Collect everything wrong with a workflow definition (empty when valid)
+  getWorkflowConfigErrors(workflow) {
     try {
       const plugin = this.pluginRegistry.get(workflow.pluginId);
       if (!plugin) {
-        logger.error(`Plugin not found: ${workflow.pluginId}`);
-        return false;
+        return [`Plugin not found: ${workflow.pluginId}`];
       }
       
+      // Validate config against the plugin's configSchema
+      const errors = this.validatePluginConfig(workflow.pluginId, workflow.config);
+      
       // Validate triggers
-      for (const trigger of workflow.triggers) {
+      for (const trigger of workflow.triggers || []) {
         if (!plugin.triggers.includes(trigger)) {
-          logger.error(`Invalid trigger for plugin ${workflow.pluginId}: ${trigger}`);
-          return false;
+          errors.push(`Invalid trigger for plugin ${workflow.pluginId}: ${trigger}`);
         }
       }
       
       // Validate actions
-      for (const action of workflow.actions) {
+      for (const action of workflow.actions || []) {
         if (!plugin.actions.includes(action)) {
-          logger.error(`Invalid action for plugin ${workflow.pluginId}: ${action}`);
-          return false;
+          errors.push(`Invalid action for plugin ${workflow.pluginId}: ${action}`);
         }
       }
       
-      return true;
+      return errors;
     } catch (error) {
       logger.error('Error validating workflow config:', error);
-      return false;
+      return [error.message];
+    }
+  }
+
+  // Validate a workflow config against a plugin's configSchema; returns a list of errors
+  validatePluginConfig(pluginId, config) {
+    const plugin = this.pluginRegistry.get(pluginId);
+    if (!plugin) {
+      return [`Plugin not found: ${pluginId}`];
+    }
+    
+    if (config === undefined || config === null) {
+      return [];
+    }
+    
+    return this.validateSchemaValue(config, { type: 'object', properties: plugin.configSchema }, 'config');
+  }
+
+  // Check a value against a (minimal) JSON-schema style definition
+  validateSchemaValue(value, schema, path) {
+    const errors = [];
+    
+    if (value === undefined || value === null || !schema) {
+      return errors;
+    }
+    
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (schema.type && schema.type !== actualType) {
+      errors.push(`${path} must be of type ${schema.type}`);
+      return errors;
     }
+    
+    if (schema.format === 'uri') {
+      try {
+        new URL(value);
+      } catch (error) {
+        errors.push(`${path} must be a valid URI`);
+      }
+    }
+    
+    if (schema.type === 'array' && schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...this.validateSchemaValue(item, schema.items, `${path}[${index}]`));
+      });
+    }
+    
+    // Keys outside `properties` are allowed; actions read extra settings from config
+    if (schema.type === 'object' && schema.properties) {
+      for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        errors.push(...this.validateSchemaValue(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+    
+    return errors;
   }
 
   // Set up workflow triggers
@@ -224,13 +291,11 @@ class PluginService {
             await this.setupTimeBasedTrigger(workflow);
             break;
           case 'message_received':
-            // This will be handled by the message service
-            break;
+          case 'urgent_message':
           case 'keyword_detected':
-            // This will be handled by the AI intelligence service
-            break;
+          case 'conversation_started':
           case 'sentiment_detected':
-            // This will be handled by the AI intelligence service
+            // Emitted by MessageService via handleMessageEvent
             break;
           default:
             logger.warn(`Unknown trigger type: ${trigger}`);
@@ -289,9 +354,12 @@ class PluginService {
       
       let success = true;
       
+      // Actions (follow-ups, sends) act on behalf of the workflow's workspace
+      const scopedTriggerData = { ...triggerData, workspaceId: workflow.workspaceId };
+      
       for (const action of workflow.actions) {
         try {
-          await this.executeAction(workflow, action, triggerData);
+          await this.executeAction(workflow, action, scopedTriggerData);
         } catch (error) {
           logger.error(`Error executing action ${action} in workflow ${workflowId}:`, error);
           success = false;
@@ -536,9 +604,19 @@ class PluginService {
         throw new Error('Delay and message required for followup');
       }
       
-      // Schedule followup logic would go here
+      // Default to following up with the sender on the platform the message came from
       const followupTime = new Date(Date.now() + delay * 1000);
-      logger.info(`Followup scheduled for ${followupTime}: ${message.substring(0, 50)}...`);
+      const scheduledMessage = await schedulerService.scheduleMessage({
+        workspaceId: triggerData.workspaceId,
+        platform: platform || triggerData.platform,
+        recipient: recipient || triggerData.senderId,
+        text: this.processTemplate(message, triggerData),
+        conversationId: triggerData.conversationId,
+        sendAt: followupTime,
+        source: 'workflow'
+      });
+      
+      logger.info(`Followup ${scheduledMessage.id} scheduled for ${followupTime}: ${message.substring(0, 50)}...`);
       
       return true;
     } catch (error) {
@@ -649,6 +727,49 @@ class PluginService {
     }
   }
 
+  // Update an existing workflow's definition
+  async updateWorkflow(workflowId, updates) {
+    try {
+      const workflow = this.activeWorkflows.get(workflowId);
+      if (!workflow) {
+        throw new Error(`Workflow not found: ${workflowId}`);
+      }
+      
+      const updated = { ...workflow };
+      for (const field of ['name', 'description', 'config', 'triggers', 'actions']) {
+        if (updates[field] !== undefined) {
+          updated[field] = updates[field];
+        }
+      }
+      
+      if (!this.validateWorkflowConfig(updated)) {
+        throw new Error('Invalid workflow configuration');
+      }
+      
+      // Replace any scheduled task built from the old trigger config
+      const scheduledTask = this.scheduledTasks.get(workflowId);
+      if (scheduledTask) {
+        scheduledTask.stop();
+        this.scheduledTasks.delete(workflowId);
+      }
+      
+      Object.assign(workflow, updated);
+      await this.setupWorkflowTriggers(workflow);
+      
+      logger.info(`Workflow updated: ${workflowId} - ${workflow.name}`);
+      return workflow;
+    } catch (error) {
+      logger.error(`Error updating workflow ${workflowId}:`, error);
+      throw error;
+    }
+  }
+
+  // Get a workflow by ID; workflows of other workspaces are not found
+  getWorkflow(workspaceId, workflowId) {
+    const workflow = this.activeWorkflows.get(workflowId);
+    return workflow && workflow.workspaceId === workspaceId ? workflow : null;
+  }
+
   // Enable/disable workflow
   async toggleWorkflow(workflowId, enabled) {
     try {
@@ -703,9 +824,9 @@ class PluginService {
   }
 
   // Get workflow statistics
-  getWorkflowStats(workflowId) {
+  getWorkflowStats(workspaceId, workflowId) {
     try {
-      const workflow = this.activeWorkflows.get(workflowId);
+      const workflow = this.getWorkflow(workspaceId, workflowId);
       if (!workflow) {
         return null;
       }
@@ -729,21 +850,23 @@ class PluginService {
     }
   }
 
-  // Get all workflows
-  getAllWorkflows() {
+  // Get all workflows of a workspace
+  getAllWorkflows(workspaceId) {
     try {
-      return Array.from(this.activeWorkflows.values()).map(workflow => ({
-        id: workflow.id,
-        name: workflow.name,
-        description: workflow.description,
-        enabled: workflow.enabled,
-        pluginId: workflow.pluginId,
-        createdAt: workflow.createdAt,
-        lastExecuted: workflow.lastExecuted,
-        executionCount: workflow.executionCount,
-        successCount: workflow.successCount,
-        errorCount: workflow.errorCount
-      }));
+      return Array.from(this.activeWorkflows.values())
+        .filter(workflow => workflow.workspaceId === workspaceId)
+        .map(workflow => ({
+          id: workflow.id,
+          name: workflow.name,
+          description: workflow.description,
+          enabled: workflow.enabled,
+          pluginId: workflow.pluginId,
+          createdAt: workflow.createdAt,
+          lastExecuted: workflow.lastExecuted,
+          executionCount: workflow.executionCount,
+          successCount: workflow.successCount,
+          errorCount: workflow.errorCount
+        }));
     } catch (error) {
       logger.error('Error getting all workflows:', error);
       return [];
@@ -769,13 +892,31 @@ class PluginService {
     }
   }
 
+  // Apply a workflow's trigger settings (platforms, keywords) to an event
+  matchesTriggerConfig(workflow, eventType, messageData) {
+    const triggerConfig = workflow.config?.triggers || {};
+    
+    if (triggerConfig.platforms?.length > 0 && !triggerConfig.platforms.includes(messageData.platform)) {
+      return false;
+    }
+    
+    if (eventType === 'keyword_detected' && triggerConfig.keywords?.length > 0) {
+      const text = (messageData.message || '').toLowerCase();
+      return triggerConfig.keywords.some(keyword => text.includes(keyword.toLowerCase()));
+    }
+    
+    return true;
+  }
+
   // Handle message events (called by message service)
   async handleMessageEvent(eventType, messageData) {
     try {
       const relevantWorkflows = Array.from(this.activeWorkflows.values())
         .filter(workflow => 
           workflow.enabled && 
-          workflow.triggers.includes(eventType)
+          workflow.workspaceId === messageData.workspaceId &&
+          workflow.triggers.includes(eventType) &&
+          this.matchesTriggerConfig(workflow, eventType, messageData)
         );
       
       for (const workflow of relevantWorkflows) {
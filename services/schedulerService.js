@@ -0,0 +1,247 @@
+const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
+const crypto = require('crypto');
+const { JsonFileStore } = require('./storage');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'scheduler-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/scheduler-service.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 5000;
+const MAX_ATTEMPTS = parseInt(process.env.SCHEDULER_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = 60 * 1000;
+
+class SchedulerService {
+  constructor() {
+    // Scheduled sends persist to data/scheduled-messages.json so they survive restarts
+    this.store = new JsonFileStore('scheduled-messages.json');
+    this.timer = null;
+    this.processing = false;
+  }
+
+  // Queue a message to be sent through MessageService at `sendAt`, on behalf of messageData.workspaceId
+  async scheduleMessage(messageData) {
+    try {
+      const { workspaceId, platform, recipient, recipientId, text, subject, conversationId, sendAt, source } = messageData;
+
+      if (!workspaceId) {
+        throw new Error('Workspace is required');
+      }
+      if (!platform || !(recipient || recipientId) || !text) {
+        throw new Error('Platform, recipient and text are required');
+      }
+
+      const sendTime = this.parseSendTime(sendAt);
+
+      const scheduledMessage = {
+        id: `sched_${crypto.randomBytes(8).toString('hex')}`,
+        workspaceId,
+        platform,
+        recipient: recipient || recipientId,
+        recipientId: recipientId || recipient,
+        text,
+        subject,
+        conversationId,
+        source: source || 'user',
+        sendAt: sendTime.toISOString(),
+        status: 'pending',
+        attempts: 0,
+        lastError: null,
+        messageId: null,
+        createdAt: new Date().toISOString(),
+        sentAt: null
+      };
+
+      await this.store.set(scheduledMessage);
+
+      logger.info(`Message scheduled: ${scheduledMessage.id} via ${platform} at ${scheduledMessage.sendAt}`);
+      return scheduledMessage;
+    } catch (error) {
+      logger.error('Error scheduling message:', error);
+      throw error;
+    }
+  }
+
+  // Cancel a pending scheduled message
+  async cancelScheduledMessage(scheduledId) {
+    try {
+      const scheduledMessage = this.store.get(scheduledId);
+      if (!scheduledMessage) {
+        throw new Error('Scheduled message not found');
+      }
+      if (scheduledMessage.status !== 'pending') {
+        throw new Error(`Cannot cancel a ${scheduledMessage.status} message`);
+      }
+
+      const cancelled = await this.store.update(scheduledId, {
+        status: 'cancelled',
+        cancelledAt: new Date().toISOString()
+      });
+
+      logger.info(`Scheduled message cancelled: ${scheduledId}`);
+      return cancelled;
+    } catch (error) {
+      logger.error(`Error cancelling scheduled message ${scheduledId}:`, error);
+      throw error;
+    }
+  }
+
+  // Move a pending (or failed) scheduled message to a new send time
+  async rescheduleMessage(scheduledId, sendAt) {
+    try {
+      const scheduledMessage = this.store.get(scheduledId);
+      if (!scheduledMessage) {
+        throw new Error('Scheduled message not found');
+      }
+      if (!['pending', 'failed'].includes(scheduledMessage.status)) {
+        throw new Error(`Cannot reschedule a ${scheduledMessage.status} message`);
+      }
+
+      const sendTime = this.parseSendTime(sendAt);
+
+      const rescheduled = await this.store.update(scheduledId, {
+        sendAt: sendTime.toISOString(),
+        status: 'pending',
+        attempts: 0,
+        lastError: null
+      });
+
+      logger.info(`Scheduled message ${scheduledId} moved to ${rescheduled.sendAt}`);
+      return rescheduled;
+    } catch (error) {
+      logger.error(`Error rescheduling message ${scheduledId}:`, error);
+      throw error;
+    }
+  }
+
+  // Get a scheduled message; those of other workspaces are not found
+  getScheduledMessage(workspaceId, scheduledId) {
+    const scheduledMessage = this.store.get(scheduledId);
+    return scheduledMessage && scheduledMessage.workspaceId === workspaceId ? scheduledMessage : null;
+  }
+
+  // List scheduled messages, soonest first. Without a workspaceId filter every
+  // workspace's messages are listed (used by the delivery worker).
+  getScheduledMessages(filters = {}) {
+    return this.store.values()
+      .filter(msg => !filters.workspaceId || msg.workspaceId === filters.workspaceId)
+      .filter(msg => !filters.status || msg.status === filters.status)
+      .filter(msg => !filters.platform || msg.platform === filters.platform)
+      .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+  }
+
+  parseSendTime(sendAt) {
+    const sendTime = new Date(sendAt);
+    if (!sendAt || isNaN(sendTime.getTime())) {
+      throw new Error('Invalid sendAt time');
+    }
+    if (sendTime.getTime() <= Date.now()) {
+      throw new Error('sendAt must be in the future');
+    }
+    return sendTime;
+  }
+
+  // Start the delivery worker
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    // A send interrupted by a restart is retried rather than silently dropped
+    const interrupted = this.store.values().filter(msg => msg.status === 'sending');
+    for (const scheduledMessage of interrupted) {
+      scheduledMessage.status = 'pending';
+    }
+    if (interrupted.length > 0) {
+      this.store.save().catch(error => logger.error('Error persisting scheduled messages:', error));
+    }
+
+    this.timer = setInterval(() => this.processDueMessages(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    logger.info(`Scheduler started (polling every ${POLL_INTERVAL_MS}ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Deliver every pending message whose send time has passed
+  async processDueMessages() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    try {
+      const now = Date.now();
+      const due = this.getScheduledMessages({ status: 'pending' })
+        .filter(msg => new Date(msg.sendAt).getTime() <= now);
+
+      for (const scheduledMessage of due) {
+        await this.deliver(scheduledMessage);
+      }
+    } catch (error) {
+      logger.error('Error processing scheduled messages:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async deliver(scheduledMessage) {
+    // Required lazily: messageService -> pluginService -> schedulerService would otherwise cycle
+    const messageService = require('./messageService');
+
+    await this.store.update(scheduledMessage.id, { status: 'sending' });
+    const attempts = scheduledMessage.attempts + 1;
+    const exhausted = attempts >= MAX_ATTEMPTS;
+
+    try {
+      // Only the last attempt stores a failed message; earlier ones are retried
+      const result = await messageService.sendMessage(scheduledMessage.workspaceId, scheduledMessage.platform, {
+        recipient: scheduledMessage.recipient,
+        recipientId: scheduledMessage.recipientId,
+        text: scheduledMessage.text,
+        subject: scheduledMessage.subject,
+        conversationId: scheduledMessage.conversationId
+      }, { recordFailure: exhausted });
+
+      await this.store.update(scheduledMessage.id, {
+        status: 'sent',
+        sentAt: new Date().toISOString(),
+        messageId: result.message.id,
+        attempts
+      });
+
+      logger.info(`Scheduled message delivered: ${scheduledMessage.id}`);
+    } catch (error) {
+
+      await this.store.update(scheduledMessage.id, {
+        status: exhausted ? 'failed' : 'pending',
+        attempts,
+        lastError: error.message,
+        sendAt: exhausted
+          ? scheduledMessage.sendAt
+          : new Date(Date.now() + RETRY_DELAY_MS * attempts).toISOString()
+      });
+
+      logger.error(`Scheduled message ${scheduledMessage.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, error.message);
+    }
+  }
+}
+
+module.exports = new SchedulerService();
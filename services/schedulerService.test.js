@@ -0,0 +1,134 @@
+const schedulerService = require('./schedulerService');
+const messageService = require('./messageService');
+const platformService = require('./platformService');
+const pluginService = require('./pluginService');
+
+const MINUTE = 60 * 1000;
+
+function schedule(overrides = {}) {
+  return schedulerService.scheduleMessage({
+    workspaceId: 'ws_sched',
+    platform: 'telegram',
+    recipientId: 'chat1',
+    text: 'following up',
+    sendAt: new Date(Date.now() + MINUTE).toISOString(),
+    ...overrides
+  });
+}
+
+// Run the delivery worker as if `ms` had passed
+async function processAfter(ms) {
+  const now = Date.now() + ms;
+  const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+  try {
+    await schedulerService.processDueMessages();
+  } finally {
+    spy.mockRestore();
+  }
+}
+
+describe('SchedulerService', () => {
+  let sendMessage;
+
+  beforeEach(() => {
+    sendMessage = jest.spyOn(messageService, 'sendMessage');
+  });
+
+  afterEach(async () => {
+    sendMessage.mockRestore();
+    // Later tests only see what they schedule themselves
+    for (const scheduled of schedulerService.getScheduledMessages({ status: 'pending' })) {
+      await schedulerService.cancelScheduledMessage(scheduled.id);
+    }
+  });
+
+  test('validates what it schedules', async () => {
+    await expect(schedule({ workspaceId: undefined })).rejects.toThrow('Workspace is required');
+    await expect(schedule({ text: '' })).rejects.toThrow('Platform, recipient and text are required');
+    await expect(schedule({ sendAt: 'tomorrow-ish' })).rejects.toThrow('Invalid sendAt time');
+    await expect(schedule({ sendAt: new Date(Date.now() - MINUTE).toISOString() }))
+      .rejects.toThrow('sendAt must be in the future');
+  });
+
+  test('sends a message once it is due, through MessageService', async () => {
+    sendMessage.mockResolvedValue({ message: { id: 'msg_sent' } });
+    const scheduled = await schedule();
+
+    await schedulerService.processDueMessages();
+    expect(sendMessage).not.toHaveBeenCalled();
+
+    await processAfter(2 * MINUTE);
+    expect(sendMessage).toHaveBeenCalledWith('ws_sched', 'telegram', expect.objectContaining({
+      recipientId: 'chat1',
+      text: 'following up'
+    }), { recordFailure: false });
+    expect(schedulerService.getScheduledMessage('ws_sched', scheduled.id)).toMatchObject({
+      status: 'sent',
+      messageId: 'msg_sent',
+      attempts: 1
+    });
+  });
+
+  test('retries a failed send with backoff and gives up after the last attempt', async () => {
+    sendMessage.mockRejectedValue(new Error('Telegram is down'));
+    const scheduled = await schedule();
+    const firstSendAt = new Date(scheduled.sendAt).getTime();
+
+    await processAfter(2 * MINUTE);
+    const retried = schedulerService.getScheduledMessage('ws_sched', scheduled.id);
+    expect(retried).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Telegram is down' });
+    expect(new Date(retried.sendAt).getTime()).toBeGreaterThan(firstSendAt + MINUTE);
+
+    await processAfter(10 * MINUTE);
+    await processAfter(20 * MINUTE);
+
+    expect(sendMessage).toHaveBeenCalledTimes(3);
+    expect(sendMessage.mock.calls.map(call => call[3])).toEqual([
+      { recordFailure: false },
+      { recordFailure: false },
+      { recordFailure: true }
+    ]);
+    expect(schedulerService.getScheduledMessage('ws_sched', scheduled.id)).toMatchObject({
+      status: 'failed',
+      attempts: 3
+    });
+  });
+
+  test('a message that fails every attempt leaves one failed copy in the conversation', async () => {
+    jest.spyOn(pluginService, 'handleMessageEvent').mockResolvedValue();
+    const platformSend = jest.fn().mockRejectedValue(new Error('Telegram is down'));
+    const getPlatform = jest.spyOn(platformService.forWorkspace('ws_sched_retry'), 'getPlatform')
+      .mockReturnValue({ instance: {}, methods: { sendMessage: platformSend } });
+
+    try {
+      await schedule({ workspaceId: 'ws_sched_retry', text: 'retried send' });
+      await processAfter(2 * MINUTE);
+      await processAfter(10 * MINUTE);
+      await processAfter(20 * MINUTE);
+    } finally {
+      getPlatform.mockRestore();
+      pluginService.handleMessageEvent.mockRestore();
+    }
+
+    expect(platformSend).toHaveBeenCalledTimes(3);
+    const { messages } = await messageService.getMessages('ws_sched_retry', {}, { page: 1, limit: 20 });
+    expect(messages.map(message => [message.text, message.deliveryStatus])).toEqual([['retried send', 'failed']]);
+  });
+
+  test('cancels and reschedules only while the message is still pending', async () => {
+    const scheduled = await schedule();
+    const later = new Date(Date.now() + 30 * MINUTE).toISOString();
+
+    expect((await schedulerService.rescheduleMessage(scheduled.id, later)).sendAt).toBe(later);
+    expect((await schedulerService.cancelScheduledMessage(scheduled.id)).status).toBe('cancelled');
+    await expect(schedulerService.cancelScheduledMessage(scheduled.id)).rejects.toThrow('Cannot cancel a cancelled message');
+    await expect(schedulerService.rescheduleMessage(scheduled.id, later)).rejects.toThrow('Cannot reschedule a cancelled message');
+  });
+
+  test('keeps scheduled messages inside their workspace', async () => {
+    const scheduled = await schedule();
+
+    expect(schedulerService.getScheduledMessage('ws_other', scheduled.id)).toBeNull();
+    expect(schedulerService.getScheduledMessages({ workspaceId: 'ws_other' })).toEqual([]);
+  });
+});
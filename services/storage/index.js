@@ -0,0 +1,36 @@
+const MemoryAdapter = require('./memoryAdapter');
+const MongoAdapter = require('./mongoAdapter');
+const JsonFileStore = require('./jsonFileStore');
+const LocalBlobStore = require('./localBlobStore');
+
+// Pick the message storage adapter from MESSAGE_STORE ('memory' or 'mongo').
+function createStorageAdapter(driver = process.env.MESSAGE_STORE || 'memory') {
+  switch (driver) {
+    case 'mongo':
+    case 'mongodb':
+      return new MongoAdapter({ uri: process.env.MONGODB_URI });
+    case 'memory':
+      return new MemoryAdapter();
+    default:
+      throw new Error(`Unsupported message store: ${driver}`);
+  }
+}
+
+// Pick the attachment blob store from ATTACHMENT_STORE ('local').
+function createBlobStore(driver = process.env.ATTACHMENT_STORE || 'local') {
+  switch (driver) {
+    case 'local':
+      return new LocalBlobStore();
+    default:
+      throw new Error(`Unsupported attachment store: ${driver}`);
+  }
+}
+
+module.exports = {
+  createStorageAdapter,
+  createBlobStore,
+  MemoryAdapter,
+  MongoAdapter,
+  JsonFileStore,
+  LocalBlobStore
+};
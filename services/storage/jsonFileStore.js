@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Outside the app directory, which server.js serves as static files
+const DEFAULT_DATA_DIR = path.join(os.homedir(), '.unified-inbox');
+
+// Keyed record store persisted to a single JSON file under DATA_DIR.
+// Used for small local queues that must survive restarts regardless of which
+// message storage adapter is configured. Writes are serialized and atomic
+// (temp file + rename), so a crash never leaves a half-written file behind.
+class JsonFileStore {
+  constructor(fileName, { dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR } = {}) {
+    this.filePath = path.join(dataDir, fileName);
+    this.records = null;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  load() {
+    if (this.records) {
+      return this.records;
+    }
+
+    this.records = new Map();
+    if (fs.existsSync(this.filePath)) {
+      const contents = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const record of contents) {
+        this.records.set(record.id, record);
+      }
+    }
+    return this.records;
+  }
+
+  get(id) {
+    return this.load().get(id) || null;
+  }
+
+  values() {
+    return Array.from(this.load().values());
+  }
+
+  async set(record) {
+    this.load().set(record.id, record);
+    await this.save();
+    return record;
+  }
+
+  // Like set, but refuses to replace a record that already has this id
+  async create(record) {
+    if (this.load().has(record.id)) {
+      throw new Error(`Record ${record.id} already exists`);
+    }
+    return this.set(record);
+  }
+
+  async update(id, changes) {
+    const record = this.get(id);
+    if (!record) {
+      return null;
+    }
+
+    Object.assign(record, changes);
+    await this.save();
+    return record;
+  }
+
+  async delete(id) {
+    const deleted = this.load().delete(id);
+    if (deleted) {
+      await this.save();
+    }
+    return deleted;
+  }
+
+  async save() {
+    const snapshot = JSON.stringify(this.values(), null, 2);
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(() => this.writeFile(snapshot));
+    return this.pendingWrite;
+  }
+
+  async writeFile(contents) {
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, contents);
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = JsonFileStore;
+module.exports.DEFAULT_DATA_DIR = DEFAULT_DATA_DIR;
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_DATA_DIR } = require('./jsonFileStore');
+
+// Keys are relative paths of [A-Za-z0-9._-] segments: no traversal out of the root
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*(\/[A-Za-z0-9_-][A-Za-z0-9._-]*)*$/;
+
+// Binary objects (attachment files, thumbnails) on local disk under
+// ATTACHMENT_DIR (default DATA_DIR/attachments). Blob stores share this
+// interface: put(key, buffer), get(key), createReadStream(key), exists(key),
+// delete(key). Writes go through a temp file and a rename, like JsonFileStore.
+class LocalBlobStore {
+  constructor({ root = process.env.ATTACHMENT_DIR || path.join(process.env.DATA_DIR || DEFAULT_DATA_DIR, 'attachments') } = {}) {
+    this.root = root;
+  }
+
+  resolve(key) {
+    if (!KEY_PATTERN.test(key || '')) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return path.join(this.root, key);
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, filePath);
+    return { key, size: buffer.length };
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalBlobStore;
@@ -0,0 +1,208 @@
+// In-memory storage adapter for MessageService.
+// Keeps messages and conversations in process Maps; everything is lost on restart.
+class MemoryAdapter {
+  constructor() {
+    this.messages = new Map();
+    this.conversations = new Map();
+    this.counters = new Map();
+  }
+
+  async connect() {
+    return this;
+  }
+
+  async disconnect() {
+    return true;
+  }
+
+  // Generate the next sequential id for a collection (e.g. msg_1, conv_1)
+  async nextId(prefix) {
+    const value = (this.counters.get(prefix) || 0) + 1;
+    this.counters.set(prefix, value);
+    return `${prefix}_${value}`;
+  }
+
+  // Messages
+  async insertMessage(message) {
+    this.messages.set(message.id, message);
+    return message;
+  }
+
+  async findMessageById(messageId) {
+    return this.messages.get(messageId) || null;
+  }
+
+  async updateMessage(messageId, changes) {
+    const message = this.messages.get(messageId);
+    if (!message) {
+      return null;
+    }
+
+    Object.assign(message, changes);
+    return message;
+  }
+
+  async updateMessages(filters, changes) {
+    let updatedCount = 0;
+    for (const message of this.messages.values()) {
+      if (matchesMessageFilters(message, filters)) {
+        Object.assign(message, changes);
+        updatedCount++;
+      }
+    }
+    return updatedCount;
+  }
+
+  async deleteMessage(messageId) {
+    return this.messages.delete(messageId);
+  }
+
+  // Find messages matching filters, ordered by `sortBy` (1 ascending, -1 descending)
+  async findMessages(filters = {}, { sortBy = 'timestamp', sort = -1, skip = 0, limit } = {}) {
+    const matched = Array.from(this.messages.values())
+      .filter(message => matchesMessageFilters(message, filters))
+      .sort((a, b) => sort * compareField(a[sortBy], b[sortBy]));
+
+    const end = limit ? skip + limit : undefined;
+    return {
+      messages: matched.slice(skip, end),
+      total: matched.length
+    };
+  }
+
+  // Conversations
+  async insertConversation(conversation) {
+    this.conversations.set(conversation.id, conversation);
+    return conversation;
+  }
+
+  async findConversationById(conversationId) {
+    return this.conversations.get(conversationId) || null;
+  }
+
+  async updateConversation(conversationId, changes) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    Object.assign(conversation, changes);
+    return conversation;
+  }
+
+  async findConversations(filters = {}, { skip = 0, limit } = {}) {
+    const matched = Array.from(this.conversations.values())
+      .filter(conversation => matchesConversationFilters(conversation, filters))
+      .sort((a, b) => new Date(b.lastMessageTime) - new Date(a.lastMessageTime));
+
+    const end = limit ? skip + limit : undefined;
+    return {
+      conversations: matched.slice(skip, end),
+      total: matched.length
+    };
+  }
+}
+
+function compareField(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a) - new Date(b);
+  }
+  if (a === b) {
+    return 0;
+  }
+  if (a === undefined || a === null) {
+    return -1;
+  }
+  if (b === undefined || b === null) {
+    return 1;
+  }
+  return a > b ? 1 : -1;
+}
+
+function matchesMessageFilters(msg, filters) {
+  if (filters.workspaceId && msg.workspaceId !== filters.workspaceId) {
+    return false;
+  }
+
+  if (filters.ids && !filters.ids.includes(msg.id)) {
+    return false;
+  }
+
+  if (filters.platform && filters.platform !== 'all' && msg.platform !== filters.platform) {
+    return false;
+  }
+
+  if (filters.status && msg.status !== filters.status) {
+    return false;
+  }
+
+  if (filters.search) {
+    const searchTerm = filters.search.toLowerCase();
+    const fields = filters.searchFields || ['text', 'subject', 'sender'];
+    if (!fields.some(field => msg[field]?.toLowerCase().includes(searchTerm))) {
+      return false;
+    }
+  }
+
+  if (filters.conversationId && msg.conversationId !== filters.conversationId) {
+    return false;
+  }
+
+  if (filters.platformMessageId && msg.platformMessageId !== filters.platformMessageId) {
+    return false;
+  }
+
+  if (filters.recipientId && msg.recipientId !== filters.recipientId) {
+    return false;
+  }
+
+  if (filters.senderId && msg.senderId !== filters.senderId) {
+    return false;
+  }
+
+  if (filters.dateFrom && new Date(msg.timestamp) < new Date(filters.dateFrom)) {
+    return false;
+  }
+
+  if (filters.dateTo && new Date(msg.timestamp) > new Date(filters.dateTo)) {
+    return false;
+  }
+
+  if (filters.type && msg.type !== filters.type) {
+    return false;
+  }
+
+  if (filters.isIncoming !== undefined && msg.isIncoming !== filters.isIncoming) {
+    return false;
+  }
+
+  if (filters.aiCategory && msg.aiCategory !== filters.aiCategory) {
+    return false;
+  }
+
+  return true;
+}
+
+function matchesConversationFilters(conv, filters) {
+  if (filters.workspaceId && conv.workspaceId !== filters.workspaceId) {
+    return false;
+  }
+
+  if (filters.platform && filters.platform !== 'all' && !conv.platforms.has(filters.platform)) {
+    return false;
+  }
+
+  if (filters.search) {
+    const searchTerm = filters.search.toLowerCase();
+    if (
+      !conv.title?.toLowerCase().includes(searchTerm) &&
+      !conv.lastMessage?.toLowerCase().includes(searchTerm)
+    ) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,324 @@
+const mongoose = require('mongoose');
+const winston = require('winston');
+const { redactSecrets } = require('../credentialVault');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'message-store' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/message-store.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Collection validators and indexes mirror mongo-init.js so a database that was
+// not provisioned through docker-compose ends up with the same schema.
+const MESSAGE_VALIDATOR = {
+  $jsonSchema: {
+    bsonType: 'object',
+    required: ['workspaceId', 'platform', 'senderId', 'text', 'timestamp'],
+    properties: {
+      platform: { enum: ['gmail', 'telegram', 'whatsapp', 'instagram', 'twitter'] },
+      status: { enum: ['unread', 'read', 'archived', 'deleted'] }
+    }
+  }
+};
+
+const MESSAGE_INDEXES = [
+  { key: { id: 1 }, unique: true },
+  { key: { workspaceId: 1, timestamp: -1 } },
+  { key: { platform: 1, timestamp: -1 } },
+  { key: { senderId: 1 } },
+  { key: { conversationId: 1 } },
+  { key: { status: 1 } }
+];
+
+const CONVERSATION_INDEXES = [
+  { key: { id: 1 }, unique: true },
+  { key: { workspaceId: 1, lastMessageTime: -1 } },
+  { key: { lastMessageTime: -1 } },
+  { key: { platforms: 1 } }
+];
+
+const HIDDEN_FIELDS = { projection: { _id: 0 } };
+
+// MongoDB storage adapter for MessageService.
+// Pass `db` to run against an already-open database handle (or an in-process
+// stand-in exposing the same collection API); otherwise `uri` is connected lazily.
+class MongoAdapter {
+  constructor({ uri, db } = {}) {
+    this.uri = uri;
+    this.db = db || null;
+    this.connection = null;
+    this.ready = null;
+  }
+
+  async connect() {
+    if (!this.ready) {
+      this.ready = this.initialize().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+    return this;
+  }
+
+  async initialize() {
+    if (!this.db) {
+      if (!this.uri) {
+        throw new Error('MongoDB URI not configured');
+      }
+      this.connection = await mongoose.createConnection(this.uri).asPromise();
+      this.db = this.connection.db;
+      logger.info('Connected to MongoDB message store');
+    }
+
+    await this.ensureCollection('messages', { validator: MESSAGE_VALIDATOR });
+    await this.ensureCollection('conversations');
+    await this.db.collection('messages').createIndexes(MESSAGE_INDEXES);
+    await this.db.collection('conversations').createIndexes(CONVERSATION_INDEXES);
+  }
+
+  async ensureCollection(name, options = {}) {
+    const existing = await this.db.listCollections({ name }, { nameOnly: true }).toArray();
+    if (existing.length === 0) {
+      await this.db.createCollection(name, options);
+    }
+  }
+
+  async disconnect() {
+    if (this.connection) {
+      await this.connection.close();
+      this.connection = null;
+      this.db = null;
+    }
+    this.ready = null;
+    return true;
+  }
+
+  async collection(name) {
+    await this.connect();
+    return this.db.collection(name);
+  }
+
+  // Generate the next sequential id for a collection (e.g. msg_1, conv_1)
+  // in one atomic step, so concurrent writers never share an id
+  async nextId(prefix) {
+    const counters = await this.collection('counters');
+    const counter = await counters.findOneAndUpdate(
+      { _id: prefix },
+      { $inc: { value: 1 } },
+      // The 5.x driver mongoose bundles wraps the document in a result object by default
+      { upsert: true, returnDocument: 'after', includeResultMetadata: false }
+    );
+    return `${prefix}_${counter.value}`;
+  }
+
+  // Messages
+  async insertMessage(message) {
+    const messages = await this.collection('messages');
+    await messages.insertOne({ ...message });
+    return message;
+  }
+
+  async findMessageById(messageId) {
+    const messages = await this.collection('messages');
+    return messages.findOne({ id: messageId }, HIDDEN_FIELDS);
+  }
+
+  async updateMessage(messageId, changes) {
+    const messages = await this.collection('messages');
+    const result = await messages.updateOne({ id: messageId }, { $set: changes });
+    if (result.matchedCount === 0) {
+      return null;
+    }
+    return messages.findOne({ id: messageId }, HIDDEN_FIELDS);
+  }
+
+  async updateMessages(filters, changes) {
+    const messages = await this.collection('messages');
+    const result = await messages.updateMany(buildMessageQuery(filters), { $set: changes });
+    return result.modifiedCount;
+  }
+
+  async deleteMessage(messageId) {
+    const messages = await this.collection('messages');
+    const result = await messages.deleteOne({ id: messageId });
+    return result.deletedCount > 0;
+  }
+
+  // Find messages matching filters, ordered by `sortBy` (1 ascending, -1 descending)
+  async findMessages(filters = {}, { sortBy = 'timestamp', sort = -1, skip = 0, limit } = {}) {
+    const messages = await this.collection('messages');
+    const query = buildMessageQuery(filters);
+
+    let cursor = messages.find(query, HIDDEN_FIELDS).sort({ [sortBy]: sort }).skip(skip);
+    if (limit) {
+      cursor = cursor.limit(limit);
+    }
+
+    const [results, total] = await Promise.all([
+      cursor.toArray(),
+      messages.countDocuments(query)
+    ]);
+
+    return { messages: results, total };
+  }
+
+  // Conversations
+  async insertConversation(conversation) {
+    const conversations = await this.collection('conversations');
+    await conversations.insertOne(serializeConversation(conversation));
+    return conversation;
+  }
+
+  async findConversationById(conversationId) {
+    const conversations = await this.collection('conversations');
+    const doc = await conversations.findOne({ id: conversationId }, HIDDEN_FIELDS);
+    return deserializeConversation(doc);
+  }
+
+  async updateConversation(conversationId, changes) {
+    const conversations = await this.collection('conversations');
+    const result = await conversations.updateOne(
+      { id: conversationId },
+      { $set: serializeConversation(changes) }
+    );
+    if (result.matchedCount === 0) {
+      return null;
+    }
+    return this.findConversationById(conversationId);
+  }
+
+  async findConversations(filters = {}, { skip = 0, limit } = {}) {
+    const conversations = await this.collection('conversations');
+    const query = buildConversationQuery(filters);
+
+    let cursor = conversations.find(query, HIDDEN_FIELDS).sort({ lastMessageTime: -1 }).skip(skip);
+    if (limit) {
+      cursor = cursor.limit(limit);
+    }
+
+    const [results, total] = await Promise.all([
+      cursor.toArray(),
+      conversations.countDocuments(query)
+    ]);
+
+    return { conversations: results.map(deserializeConversation), total };
+  }
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildMessageQuery(filters = {}) {
+  const query = {};
+
+  if (filters.workspaceId) {
+    query.workspaceId = filters.workspaceId;
+  }
+
+  if (filters.ids) {
+    query.id = { $in: filters.ids };
+  }
+
+  if (filters.platform && filters.platform !== 'all') {
+    query.platform = filters.platform;
+  }
+
+  if (filters.status) {
+    query.status = filters.status;
+  }
+
+  if (filters.search) {
+    const pattern = new RegExp(escapeRegex(filters.search), 'i');
+    const fields = filters.searchFields || ['text', 'subject', 'sender'];
+    query.$or = fields.map(field => ({ [field]: pattern }));
+  }
+
+  if (filters.conversationId) {
+    query.conversationId = filters.conversationId;
+  }
+
+  if (filters.platformMessageId) {
+    query.platformMessageId = filters.platformMessageId;
+  }
+
+  if (filters.recipientId) {
+    query.recipientId = filters.recipientId;
+  }
+
+  if (filters.senderId) {
+    query.senderId = filters.senderId;
+  }
+
+  if (filters.dateFrom || filters.dateTo) {
+    query.timestamp = {};
+    if (filters.dateFrom) {
+      query.timestamp.$gte = new Date(filters.dateFrom);
+    }
+    if (filters.dateTo) {
+      query.timestamp.$lte = new Date(filters.dateTo);
+    }
+  }
+
+  if (filters.type) {
+    query.type = filters.type;
+  }
+
+  if (filters.isIncoming !== undefined) {
+    query.isIncoming = filters.isIncoming;
+  }
+
+  if (filters.aiCategory) {
+    query.aiCategory = filters.aiCategory;
+  }
+
+  return query;
+}
+
+function buildConversationQuery(filters = {}) {
+  const query = {};
+
+  if (filters.workspaceId) {
+    query.workspaceId = filters.workspaceId;
+  }
+
+  if (filters.platform && filters.platform !== 'all') {
+    query.platforms = filters.platform;
+  }
+
+  if (filters.search) {
+    const pattern = new RegExp(escapeRegex(filters.search), 'i');
+    query.$or = [{ title: pattern }, { lastMessage: pattern }];
+  }
+
+  return query;
+}
+
+// Conversations track platforms as a Set in memory; BSON has no Set type.
+function serializeConversation(conversation) {
+  const doc = { ...conversation };
+  if (doc.platforms instanceof Set) {
+    doc.platforms = Array.from(doc.platforms);
+  }
+  return doc;
+}
+
+function deserializeConversation(doc) {
+  if (!doc) {
+    return null;
+  }
+  return { ...doc, platforms: new Set(doc.platforms || []) };
+}
+
+module.exports = MongoAdapter;
@@ -0,0 +1,157 @@
+const { MemoryAdapter, MongoAdapter } = require('./index');
+const { FakeDb } = require('../../test/fakeMongo');
+
+function message(id, overrides = {}) {
+  return {
+    id,
+    workspaceId: 'ws1',
+    platform: 'telegram',
+    senderId: 'u1',
+    sender: 'alice',
+    recipientId: 'chat1',
+    text: `message ${id}`,
+    status: 'unread',
+    isIncoming: true,
+    conversationId: 'conv_1',
+    timestamp: new Date('2024-01-01T00:00:00Z'),
+    ...overrides
+  };
+}
+
+// Both adapters must behave the same behind MessageService
+describe.each([
+  ['MemoryAdapter', () => new MemoryAdapter()],
+  ['MongoAdapter', () => new MongoAdapter({ db: new FakeDb() })]
+])('%s', (name, createAdapter) => {
+  let store;
+
+  beforeEach(async () => {
+    store = createAdapter();
+    await store.connect();
+  });
+
+  afterEach(async () => {
+    await store.disconnect();
+  });
+
+  test('nextId counts per prefix', async () => {
+    expect(await store.nextId('msg')).toBe('msg_1');
+    expect(await store.nextId('msg')).toBe('msg_2');
+    expect(await store.nextId('conv')).toBe('conv_1');
+  });
+
+  test('nextId hands out distinct ids to concurrent callers', async () => {
+    const ids = await Promise.all(Array.from({ length: 20 }, () => store.nextId('msg')));
+    expect(new Set(ids).size).toBe(20);
+  });
+
+  test('inserts and finds a message by id', async () => {
+    await store.insertMessage(message('msg_1'));
+
+    const found = await store.findMessageById('msg_1');
+    expect(found).toMatchObject({ id: 'msg_1', text: 'message msg_1' });
+    expect(found._id).toBeUndefined();
+    expect(await store.findMessageById('msg_missing')).toBeNull();
+  });
+
+  test('filters messages', async () => {
+    await store.insertMessage(message('msg_1'));
+    await store.insertMessage(message('msg_2', { platform: 'gmail', subject: 'Invoice due', isIncoming: false }));
+    await store.insertMessage(message('msg_3', { workspaceId: 'ws2' }));
+    await store.insertMessage(message('msg_4', { status: 'read', timestamp: new Date('2024-02-01T00:00:00Z') }));
+
+    const ids = async filters => (await store.findMessages(filters)).messages.map(m => m.id).sort();
+
+    expect(await ids({ workspaceId: 'ws1' })).toEqual(['msg_1', 'msg_2', 'msg_4']);
+    expect(await ids({ workspaceId: 'ws1', platform: 'gmail' })).toEqual(['msg_2']);
+    expect(await ids({ workspaceId: 'ws1', platform: 'all' })).toEqual(['msg_1', 'msg_2', 'msg_4']);
+    expect(await ids({ workspaceId: 'ws1', status: 'read' })).toEqual(['msg_4']);
+    expect(await ids({ workspaceId: 'ws1', search: 'INVOICE' })).toEqual(['msg_2']);
+    expect(await ids({ workspaceId: 'ws1', isIncoming: false })).toEqual(['msg_2']);
+    expect(await ids({ workspaceId: 'ws1', dateFrom: '2024-01-15' })).toEqual(['msg_4']);
+    expect(await ids({ workspaceId: 'ws1', dateTo: '2024-01-15' })).toEqual(['msg_1', 'msg_2']);
+    expect(await ids({ ids: ['msg_1', 'msg_3'] })).toEqual(['msg_1', 'msg_3']);
+  });
+
+  test('sorts and paginates messages', async () => {
+    for (let i = 1; i <= 5; i++) {
+      await store.insertMessage(message(`msg_${i}`, { timestamp: new Date(Date.UTC(2024, 0, i)) }));
+    }
+
+    const firstPage = await store.findMessages({ workspaceId: 'ws1' }, { skip: 0, limit: 2 });
+    expect(firstPage.total).toBe(5);
+    expect(firstPage.messages.map(m => m.id)).toEqual(['msg_5', 'msg_4']);
+
+    const lastPage = await store.findMessages({ workspaceId: 'ws1' }, { skip: 4, limit: 2 });
+    expect(lastPage.messages.map(m => m.id)).toEqual(['msg_1']);
+
+    const ascending = await store.findMessages({ workspaceId: 'ws1' }, { sort: 1, limit: 1 });
+    expect(ascending.messages[0].id).toBe('msg_1');
+  });
+
+  test('updates and deletes messages', async () => {
+    await store.insertMessage(message('msg_1'));
+    await store.insertMessage(message('msg_2'));
+
+    const updated = await store.updateMessage('msg_1', { status: 'read' });
+    expect(updated).toMatchObject({ id: 'msg_1', status: 'read' });
+    expect(await store.updateMessage('msg_missing', { status: 'read' })).toBeNull();
+
+    expect(await store.updateMessages({ workspaceId: 'ws1', status: 'unread' }, { status: 'archived' })).toBe(1);
+    expect((await store.findMessageById('msg_2')).status).toBe('archived');
+
+    expect(await store.deleteMessage('msg_1')).toBe(true);
+    expect(await store.deleteMessage('msg_1')).toBe(false);
+    expect(await store.findMessageById('msg_1')).toBeNull();
+  });
+
+  test('stores conversations with their platforms as a Set', async () => {
+    await store.insertConversation({
+      id: 'conv_1',
+      workspaceId: 'ws1',
+      title: 'Alice',
+      lastMessage: 'hello',
+      lastMessageTime: new Date('2024-01-01T00:00:00Z'),
+      platforms: new Set(['telegram'])
+    });
+    await store.insertConversation({
+      id: 'conv_2',
+      workspaceId: 'ws1',
+      title: 'Bob',
+      lastMessage: 'invoice',
+      lastMessageTime: new Date('2024-01-02T00:00:00Z'),
+      platforms: new Set(['gmail'])
+    });
+
+    const conversation = await store.findConversationById('conv_1');
+    expect(conversation.platforms).toBeInstanceOf(Set);
+    expect(conversation.platforms.has('telegram')).toBe(true);
+
+    const updated = await store.updateConversation('conv_1', { platforms: new Set(['telegram', 'gmail']) });
+    expect(Array.from(updated.platforms).sort()).toEqual(['gmail', 'telegram']);
+    expect(await store.updateConversation('conv_missing', { title: 'x' })).toBeNull();
+
+    const all = await store.findConversations({ workspaceId: 'ws1' });
+    expect(all.conversations.map(c => c.id)).toEqual(['conv_2', 'conv_1']);
+    const gmail = await store.findConversations({ workspaceId: 'ws1', platform: 'gmail' });
+    expect(gmail.total).toBe(2);
+    const search = await store.findConversations({ workspaceId: 'ws1', search: 'invoice' });
+    expect(search.conversations.map(c => c.id)).toEqual(['conv_2']);
+  });
+});
+
+describe('MongoAdapter', () => {
+  test('creates collections and indexes; every message must name its workspace', async () => {
+    const db = new FakeDb();
+
+    const store = new MongoAdapter({ db });
+    await store.connect();
+
+    expect(db.collection('messages').indexes.some(index => index.unique && index.key.id === 1)).toBe(true);
+    expect(db.collection('messages').options.validator.$jsonSchema.required).toContain('workspaceId');
+  });
+
+  test('requires a URI or a database handle', async () => {
+    await expect(new MongoAdapter().connect()).rejects.toThrow('MongoDB URI not configured');
+  });
+});
@@ -0,0 +1,99 @@
+const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
+const platformService = require('./platformService');
+const messageService = require('./messageService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'telegram-ingestion' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/telegram-ingestion.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Inline keyboard actions: callback_data "<action>" or "<action>:<stored message id>".
+// Each changes the target message's status in the message store.
+const CALLBACK_ACTIONS = {
+  mark_read: { status: 'read', confirmation: '✅ Marked as read' },
+  archive: { status: 'archived', confirmation: '🗄 Archived' }
+};
+
+// Telegram updates that are not messages. Messages (new, edited, channel posts)
+// are normalized by webhookNormalizer and stored by the webhook queue like every
+// other platform's; this handles what the user does with the bot's buttons.
+class TelegramIngestionService {
+  isCallbackQuery(update) {
+    return !!update?.callback_query;
+  }
+
+  // The stored message a button acts on: the id carried in callback_data, else the
+  // message the bot's button message replied to, else the button message itself
+  async findCallbackTarget(workspaceId, callbackQuery, messageId) {
+    if (messageId) {
+      return messageService.findWorkspaceMessage(workspaceId, messageId);
+    }
+
+    const buttonMessage = callbackQuery.message;
+    if (!buttonMessage) {
+      return null;
+    }
+    const source = buttonMessage.reply_to_message || buttonMessage;
+    return messageService.findPlatformMessage({
+      workspaceId,
+      platform: 'telegram',
+      platformMessageId: source.message_id.toString(),
+      recipientId: buttonMessage.chat.id.toString()
+    });
+  }
+
+  async handleCallbackQuery(workspaceId, callbackQuery) {
+    const bot = platformService.forWorkspace(workspaceId).getPlatform('telegram')?.instance;
+    if (!bot) {
+      throw new Error('Telegram platform not configured');
+    }
+
+    const [actionName, messageId] = (callbackQuery.data || '').split(':');
+    const action = CALLBACK_ACTIONS[actionName];
+    if (!action) {
+      // Still answer, or the user's client keeps showing a spinner
+      await bot.answerCallbackQuery(callbackQuery.id);
+      logger.warn(`Unknown Telegram callback action "${actionName}" in workspace ${workspaceId}`);
+      return null;
+    }
+
+    const target = await this.findCallbackTarget(workspaceId, callbackQuery, messageId);
+    if (!target) {
+      await bot.answerCallbackQuery(callbackQuery.id, { text: 'Message not found' });
+      return null;
+    }
+
+    const message = await messageService.updateMessageStatus(workspaceId, target.id, action.status);
+
+    // The store is updated; a failed confirmation must not make the queue retry
+    try {
+      await bot.answerCallbackQuery(callbackQuery.id, { text: action.confirmation });
+      if (callbackQuery.message) {
+        await bot.editMessageText(action.confirmation, {
+          chat_id: callbackQuery.message.chat.id,
+          message_id: callbackQuery.message.message_id
+        });
+      }
+    } catch (error) {
+      logger.warn(`Telegram callback confirmation failed in workspace ${workspaceId}: ${error.message}`);
+    }
+
+    logger.info(`Telegram ${actionName} applied to message ${target.id} in workspace ${workspaceId}`);
+    return message;
+  }
+}
+
+module.exports = new TelegramIngestionService();
+module.exports.CALLBACK_ACTIONS = CALLBACK_ACTIONS;
@@ -0,0 +1,138 @@
+const telegramIngestionService = require('./telegramIngestionService');
+const webhookQueueService = require('./webhookQueueService');
+const messageService = require('./messageService');
+const platformService = require('./platformService');
+const pluginService = require('./pluginService');
+
+const WORKSPACE_ID = 'ws_telegram_ingest';
+const CHAT = { id: 42, type: 'private', username: 'alice' };
+
+let updateId = 100;
+function nextUpdate(fields) {
+  updateId++;
+  return { update_id: updateId, ...fields };
+}
+
+// Queue a Telegram update the way the webhook and poller do, and run the worker
+async function deliver(update) {
+  await webhookQueueService.enqueue(WORKSPACE_ID, 'telegram', update);
+  await webhookQueueService.processQueue();
+}
+
+async function storedMessage(messageId, chatId = CHAT.id) {
+  return messageService.findPlatformMessage({
+    workspaceId: WORKSPACE_ID,
+    platform: 'telegram',
+    platformMessageId: String(messageId),
+    recipientId: String(chatId)
+  });
+}
+
+describe('Telegram ingestion through the webhook queue', () => {
+  let bot;
+
+  beforeEach(() => {
+    jest.spyOn(pluginService, 'handleMessageEvent').mockResolvedValue();
+    bot = { answerCallbackQuery: jest.fn().mockResolvedValue(true), editMessageText: jest.fn().mockResolvedValue(true) };
+    jest.spyOn(platformService.forWorkspace(WORKSPACE_ID), 'getPlatform').mockReturnValue({ instance: bot });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('an edited message updates the stored original', async () => {
+    await deliver(nextUpdate({
+      message: { message_id: 7, from: { id: 42, username: 'alice' }, chat: CHAT, date: 1700000000, text: 'helo' }
+    }));
+    const original = await storedMessage(7);
+
+    await deliver(nextUpdate({
+      edited_message: {
+        message_id: 7, from: { id: 42, username: 'alice' }, chat: CHAT, date: 1700000000, edit_date: 1700000060, text: 'hello'
+      }
+    }));
+
+    const edited = await storedMessage(7);
+    expect(edited.id).toBe(original.id);
+    expect(edited).toMatchObject({ text: 'hello', metadata: expect.objectContaining({ isEdited: true }) });
+  });
+
+  test('message ids are per chat: an edit in another chat does not touch this one', async () => {
+    await deliver(nextUpdate({
+      message: { message_id: 8, from: { id: 42 }, chat: CHAT, date: 1700000000, text: 'mine' }
+    }));
+
+    await deliver(nextUpdate({
+      edited_message: { message_id: 8, from: { id: 43 }, chat: { id: 43, type: 'private' }, date: 1700000000, text: 'theirs' }
+    }));
+
+    expect((await storedMessage(8)).text).toBe('mine');
+    expect((await storedMessage(8, 43)).text).toBe('theirs');
+  });
+
+  test('channel posts are stored with the channel as sender', async () => {
+    const channel = { id: -1001, type: 'channel', title: 'Announcements' };
+    await deliver(nextUpdate({ channel_post: { message_id: 9, chat: channel, date: 1700000000, text: 'News' } }));
+
+    expect(await storedMessage(9, channel.id)).toMatchObject({
+      sender: 'Announcements',
+      senderId: '-1001',
+      metadata: expect.objectContaining({ isChannelPost: true })
+    });
+  });
+
+  test('a callback button changes the status of the message it names and confirms', async () => {
+    await deliver(nextUpdate({
+      message: { message_id: 10, from: { id: 42 }, chat: CHAT, date: 1700000000, text: 'archive me' }
+    }));
+    const target = await storedMessage(10);
+
+    await deliver(nextUpdate({
+      callback_query: {
+        id: 'cb_1',
+        data: `archive:${target.id}`,
+        message: { message_id: 11, chat: CHAT, date: 1700000001, text: 'New message from alice' }
+      }
+    }));
+
+    expect((await messageService.findWorkspaceMessage(WORKSPACE_ID, target.id)).status).toBe('archived');
+    expect(bot.answerCallbackQuery).toHaveBeenCalledWith('cb_1', { text: '🗄 Archived' });
+    expect(bot.editMessageText).toHaveBeenCalledWith('🗄 Archived', { chat_id: 42, message_id: 11 });
+  });
+
+  test('a callback without an id acts on the message the button message replied to', async () => {
+    await deliver(nextUpdate({
+      message: { message_id: 12, from: { id: 42 }, chat: CHAT, date: 1700000000, text: 'read me' }
+    }));
+
+    await telegramIngestionService.handleCallbackQuery(WORKSPACE_ID, {
+      id: 'cb_2',
+      data: 'mark_read',
+      message: { message_id: 13, chat: CHAT, reply_to_message: { message_id: 12 } }
+    });
+
+    expect((await storedMessage(12)).status).toBe('read');
+  });
+
+  test('unknown actions and missing messages are still answered', async () => {
+    expect(await telegramIngestionService.handleCallbackQuery(WORKSPACE_ID, { id: 'cb_3', data: 'launch' })).toBeNull();
+    expect(bot.answerCallbackQuery).toHaveBeenCalledWith('cb_3');
+
+    expect(await telegramIngestionService.handleCallbackQuery(WORKSPACE_ID, { id: 'cb_4', data: 'archive:msg_missing' }))
+      .toBeNull();
+    expect(bot.answerCallbackQuery).toHaveBeenCalledWith('cb_4', { text: 'Message not found' });
+  });
+
+  test('a failed confirmation does not undo the status change', async () => {
+    await deliver(nextUpdate({
+      message: { message_id: 14, from: { id: 42 }, chat: CHAT, date: 1700000000, text: 'read me too' }
+    }));
+    const target = await storedMessage(14);
+    bot.answerCallbackQuery.mockRejectedValue(new Error('query is too old'));
+
+    const message = await telegramIngestionService.handleCallbackQuery(WORKSPACE_ID, { id: 'cb_5', data: `mark_read:${target.id}` });
+
+    expect(message.status).toBe('read');
+  });
+});
@@ -0,0 +1,177 @@
+const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
+const { JsonFileStore } = require('./storage');
+const platformService = require('./platformService');
+const webhookQueueService = require('./webhookQueueService');
+const { DEFAULT_WORKSPACE_ID } = require('./workspaceService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'telegram-polling' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/telegram-polling.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Seconds Telegram holds each getUpdates request open waiting for updates
+const POLL_TIMEOUT_S = parseInt(process.env.TELEGRAM_POLL_TIMEOUT) || 30;
+const POLL_LIMIT = 100;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+function isConflict(error) {
+  return error.response?.statusCode === 409 || error.response?.body?.error_code === 409;
+}
+
+// Receives Telegram updates by long-polling getUpdates instead of a webhook, so a
+// bot works in development without a public HTTPS URL. Updates are queued in the
+// webhook queue as if Telegram had delivered them to /api/webhooks/telegram; the
+// offset only moves past an update once it is queued.
+class TelegramPollingService {
+  constructor() {
+    // One record per polling workspace: { id: workspaceId, offset, startedAt, ... }
+    this.state = new JsonFileStore('telegram-polling.json');
+    // workspaceId -> running poll loop
+    this.pollers = new Map();
+  }
+
+  getPollingState(workspaceId) {
+    return this.state.get(workspaceId) || null;
+  }
+
+  isPolling(workspaceId) {
+    return this.pollers.has(workspaceId);
+  }
+
+  // Switch a workspace's bot from webhook delivery to polling
+  async startPolling(workspaceId) {
+    const platforms = platformService.forWorkspace(workspaceId);
+    if (!platforms.isPlatformConfigured('telegram')) {
+      throw new Error('Telegram platform not configured');
+    }
+    if (this.isPolling(workspaceId)) {
+      return this.getPollingState(workspaceId);
+    }
+
+    // getUpdates answers 409 Conflict while a webhook is set
+    await platforms.deleteTelegramWebhook();
+
+    const existing = this.getPollingState(workspaceId);
+    await this.state.set({
+      id: workspaceId,
+      workspaceId,
+      offset: existing?.offset || 0,
+      startedAt: new Date().toISOString(),
+      lastPollAt: existing?.lastPollAt || null,
+      lastError: null
+    });
+
+    this.runPoller(workspaceId);
+    logger.info(`Telegram polling started for workspace ${workspaceId}`);
+    return this.getPollingState(workspaceId);
+  }
+
+  // Stop polling, e.g. before switching the workspace back to a webhook. A
+  // request still in flight is abandoned; its updates are redelivered.
+  async stopPolling(workspaceId) {
+    const poller = this.pollers.get(workspaceId);
+    if (poller) {
+      poller.active = false;
+      this.pollers.delete(workspaceId);
+    }
+
+    const hadState = !!this.getPollingState(workspaceId);
+    await this.state.delete(workspaceId);
+    if (poller || hadState) {
+      logger.info(`Telegram polling stopped for workspace ${workspaceId}`);
+    }
+    return !!poller || hadState;
+  }
+
+  runPoller(workspaceId) {
+    const poller = { active: true };
+    this.pollers.set(workspaceId, poller);
+
+    const loop = async () => {
+      let failures = 0;
+      while (poller.active) {
+        try {
+          await this.pollOnce(workspaceId, poller);
+          failures = 0;
+        } catch (error) {
+          if (!poller.active) {
+            break;
+          }
+          if (isConflict(error)) {
+            // Someone set a webhook (or another process polls this bot): let them have it
+            logger.warn(`Telegram polling for workspace ${workspaceId} stopped: ${error.message}`);
+            await this.stopPolling(workspaceId);
+            break;
+          }
+
+          failures++;
+          await this.state.update(workspaceId, { lastError: error.message });
+          const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, failures - 1), MAX_RETRY_DELAY_MS);
+          logger.error(`Telegram polling error for workspace ${workspaceId}, retrying in ${delay}ms:`, error);
+          await new Promise(resolve => setTimeout(resolve, delay).unref());
+        }
+      }
+    };
+
+    loop().catch(error => logger.error(`Telegram poller for workspace ${workspaceId} crashed:`, error));
+  }
+
+  // One getUpdates round trip: queue every update, then move the offset past them
+  async pollOnce(workspaceId, poller) {
+    const state = this.getPollingState(workspaceId);
+    const updates = await platformService.forWorkspace(workspaceId)
+      .getTelegramUpdates(state.offset, POLL_LIMIT, POLL_TIMEOUT_S);
+
+    // Stopped while the request was open: leave the updates for whoever takes over
+    if (!poller.active) {
+      return;
+    }
+
+    for (const update of updates) {
+      await webhookQueueService.enqueue(workspaceId, 'telegram', update);
+    }
+
+    // One state write per batch. If queueing fails part way the offset stays put
+    // and Telegram redelivers the whole batch; message dedup drops the repeats.
+    const offset = updates.length ? updates[updates.length - 1].update_id + 1 : state.offset;
+    await this.state.update(workspaceId, { offset, lastPollAt: new Date().toISOString(), lastError: null });
+    return updates.length;
+  }
+
+  // Resume polling for every workspace that was polling before a restart.
+  // TELEGRAM_UPDATE_MODE=polling also puts the env-configured bot on polling.
+  start() {
+    const workspaceIds = this.state.values().map(state => state.workspaceId);
+    if (process.env.TELEGRAM_UPDATE_MODE === 'polling' && !workspaceIds.includes(DEFAULT_WORKSPACE_ID)) {
+      workspaceIds.push(DEFAULT_WORKSPACE_ID);
+    }
+
+    for (const workspaceId of workspaceIds) {
+      this.startPolling(workspaceId).catch(error => {
+        logger.error(`Telegram polling not started for workspace ${workspaceId}:`, error);
+      });
+    }
+  }
+
+  stop() {
+    for (const poller of this.pollers.values()) {
+      poller.active = false;
+    }
+    this.pollers.clear();
+  }
+}
+
+module.exports = new TelegramPollingService();
@@ -0,0 +1,66 @@
+const telegramPollingService = require('./telegramPollingService');
+const platformService = require('./platformService');
+const webhookQueueService = require('./webhookQueueService');
+
+const WORKSPACE_ID = 'ws_polling';
+
+function update(updateId) {
+  return {
+    update_id: updateId,
+    message: { message_id: updateId, chat: { id: 42, type: 'private' }, date: 1700000000, text: `update ${updateId}` }
+  };
+}
+
+describe('TelegramPollingService.pollOnce', () => {
+  let getUpdates;
+  let enqueue;
+
+  beforeEach(async () => {
+    await telegramPollingService.state.set({ id: WORKSPACE_ID, workspaceId: WORKSPACE_ID, offset: 10, lastPollAt: null });
+    getUpdates = jest.spyOn(platformService.forWorkspace(WORKSPACE_ID), 'getTelegramUpdates');
+    enqueue = jest.spyOn(webhookQueueService, 'enqueue').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('queues the batch, then writes the offset past it once', async () => {
+    getUpdates.mockResolvedValue([update(10), update(11), update(12)]);
+    const stateUpdate = jest.spyOn(telegramPollingService.state, 'update');
+
+    expect(await telegramPollingService.pollOnce(WORKSPACE_ID, { active: true })).toBe(3);
+
+    expect(getUpdates).toHaveBeenCalledWith(10, 100, expect.any(Number));
+    expect(enqueue.mock.calls.map(([, , payload]) => payload.update_id)).toEqual([10, 11, 12]);
+    expect(stateUpdate).toHaveBeenCalledTimes(1);
+    expect(telegramPollingService.getPollingState(WORKSPACE_ID)).toMatchObject({ offset: 13, lastError: null });
+    expect(telegramPollingService.getPollingState(WORKSPACE_ID).lastPollAt).not.toBeNull();
+  });
+
+  test('an empty batch keeps the offset', async () => {
+    getUpdates.mockResolvedValue([]);
+
+    expect(await telegramPollingService.pollOnce(WORKSPACE_ID, { active: true })).toBe(0);
+
+    expect(telegramPollingService.getPollingState(WORKSPACE_ID).offset).toBe(10);
+  });
+
+  test('a batch that fails to queue is fetched again', async () => {
+    getUpdates.mockResolvedValue([update(10), update(11)]);
+    enqueue.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(telegramPollingService.pollOnce(WORKSPACE_ID, { active: true })).rejects.toThrow('disk full');
+
+    expect(telegramPollingService.getPollingState(WORKSPACE_ID).offset).toBe(10);
+  });
+
+  test('updates received after polling stopped are left for whoever takes over', async () => {
+    getUpdates.mockResolvedValue([update(10)]);
+
+    await telegramPollingService.pollOnce(WORKSPACE_ID, { active: false });
+
+    expect(enqueue).not.toHaveBeenCalled();
+    expect(telegramPollingService.getPollingState(WORKSPACE_ID)).toMatchObject({ offset: 10, lastPollAt: null });
+  });
+});
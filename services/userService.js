@@ -0,0 +1,106 @@
+const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { JsonFileStore } = require('./storage');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'user-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/user-service.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+class UserService {
+  constructor() {
+    // Accounts persist so workspace memberships keep pointing at real users across restarts
+    this.store = new JsonFileStore('users.json');
+  }
+
+  async createUser({ email, password, name }) {
+    if (!email || !password) {
+      throw new Error('Email and password are required');
+    }
+    if (this.findByEmail(email)) {
+      throw new Error('User already exists');
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+    // Hashing yields; a concurrent registration may have taken the email meanwhile
+    if (this.findByEmail(email)) {
+      throw new Error('User already exists');
+    }
+
+    const user = {
+      id: `user_${crypto.randomBytes(12).toString('hex')}`,
+      email,
+      password: passwordHash,
+      name,
+      platforms: {},
+      defaultWorkspaceId: null,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.store.create(user);
+    logger.info(`User created: ${user.id}`);
+    return user;
+  }
+
+  // Returns the user when the password matches, otherwise null
+  async authenticate(email, password) {
+    const user = this.findByEmail(email);
+    if (!user || !(await bcrypt.compare(password || '', user.password))) {
+      return null;
+    }
+    return user;
+  }
+
+  getUser(userId) {
+    return this.store.get(userId);
+  }
+
+  findByEmail(email) {
+    const normalized = (email || '').toLowerCase();
+    return this.store.values().find(user => user.email.toLowerCase() === normalized) || null;
+  }
+
+  async setDefaultWorkspace(userId, workspaceId) {
+    return this.store.update(userId, { defaultWorkspaceId: workspaceId });
+  }
+
+  // Note which workspace the user connected `platform` for; credentials themselves
+  // live encrypted on the workspace
+  async recordPlatformConnection(userId, platform, workspaceId) {
+    const user = this.getUser(userId);
+    if (!user) {
+      return null;
+    }
+
+    return this.store.update(userId, {
+      platforms: { ...user.platforms, [platform]: { workspaceId, connectedAt: new Date().toISOString() } }
+    });
+  }
+
+  // Strip the password hash before a user leaves the service
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      platforms: user.platforms,
+      defaultWorkspaceId: user.defaultWorkspaceId,
+      createdAt: user.createdAt
+    };
+  }
+}
+
+module.exports = new UserService();
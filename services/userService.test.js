@@ -0,0 +1,39 @@
+const userService = require('./userService');
+
+describe('UserService.createUser', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('registrations in the same millisecond get their own ids', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1760860800000);
+
+    const [first, second] = await Promise.all([
+      userService.createUser({ email: 'first@example.com', password: 'pw-first' }),
+      userService.createUser({ email: 'second@example.com', password: 'pw-second' })
+    ]);
+
+    expect(first.id).not.toBe(second.id);
+    expect(userService.getUser(first.id).email).toBe('first@example.com');
+    expect(userService.getUser(second.id).email).toBe('second@example.com');
+  });
+
+  test('concurrent registrations of one email create one account', async () => {
+    const results = await Promise.allSettled([
+      userService.createUser({ email: 'twice@example.com', password: 'pw-one' }),
+      userService.createUser({ email: 'Twice@example.com', password: 'pw-two' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toBe('User already exists');
+    expect(userService.store.values().filter(user => user.email.toLowerCase() === 'twice@example.com')).toHaveLength(1);
+  });
+
+  test('never replaces an existing record', async () => {
+    const user = await userService.createUser({ email: 'kept@example.com', password: 'pw-kept' });
+
+    await expect(userService.store.create({ ...user, email: 'replaced@example.com' }))
+      .rejects.toThrow(`Record ${user.id} already exists`);
+    expect(userService.getUser(user.id).email).toBe('kept@example.com');
+  });
+});
@@ -0,0 +1,431 @@
+// Convert raw platform webhook payloads into unified message objects.
+// Each normalizer returns an array (possibly empty) of messages ready for
+// MessageService.createMessage, in the order they appear in the payload.
+
+// Telegram media fields and the attachment type each becomes
+const TELEGRAM_MEDIA_TYPES = {
+  photo: 'image',
+  video: 'video',
+  animation: 'video',
+  video_note: 'video',
+  document: 'document',
+  audio: 'audio',
+  voice: 'voice',
+  sticker: 'image'
+};
+
+function telegramAttachments(msg) {
+  const attachments = [];
+
+  for (const [field, type] of Object.entries(TELEGRAM_MEDIA_TYPES)) {
+    // Photos come in several sizes; keep the largest
+    const media = field === 'photo' ? msg.photo?.[msg.photo.length - 1] : msg[field];
+    if (!media) {
+      continue;
+    }
+
+    attachments.push({
+      type,
+      url: media.file_id,
+      filename: media.file_name || null,
+      mimeType: media.mime_type || null,
+      size: media.file_size || 0,
+      duration: media.duration,
+      mediaType: field,
+      platform: 'telegram'
+    });
+  }
+
+  // A document sent as an animation also carries the document field
+  return msg.animation ? attachments.filter(attachment => attachment.mediaType !== 'document') : attachments;
+}
+
+// WhatsApp message types that carry media, and the attachment type each becomes
+const WHATSAPP_MEDIA_TYPES = {
+  image: 'image',
+  video: 'video',
+  document: 'document',
+  audio: 'audio',
+  sticker: 'image'
+};
+
+function whatsappAttachments(message) {
+  const attachments = [];
+
+  for (const [field, type] of Object.entries(WHATSAPP_MEDIA_TYPES)) {
+    const media = message[field];
+    if (!media?.id) {
+      continue;
+    }
+
+    attachments.push({
+      // Voice notes are audio messages recorded in the app
+      type: field === 'audio' && media.voice ? 'voice' : type,
+      url: media.id,
+      filename: media.filename || null,
+      mimeType: media.mime_type || null,
+      mediaType: field,
+      platform: 'whatsapp'
+    });
+  }
+
+  return attachments;
+}
+
+// Messages and channel posts, new or edited. Channel posts have no `from`;
+// the channel (sender_chat) is the sender.
+function normalizeTelegram(payload) {
+  const { message, edited_message, channel_post, edited_channel_post } = payload;
+
+  if (!message && !edited_message && !channel_post && !edited_channel_post) {
+    return [];
+  }
+
+  const msg = message || edited_message || channel_post || edited_channel_post;
+  const isEdited = !!edited_message || !!edited_channel_post;
+  const isChannelPost = !!channel_post || !!edited_channel_post;
+  const from = msg.from;
+  const senderChat = msg.sender_chat || (isChannelPost ? msg.chat : null);
+  const attachments = telegramAttachments(msg);
+
+  // Create unified message format
+  const unifiedMessage = {
+    platform: 'telegram',
+    sender: from
+      ? from.username || from.first_name || 'Unknown'
+      : senderChat?.title || senderChat?.username || 'Unknown',
+    senderId: (from || senderChat).id.toString(),
+    recipient: msg.chat.username || msg.chat.title || 'Unknown',
+    recipientId: msg.chat.id.toString(),
+    text: msg.text || msg.caption || '',
+    timestamp: new Date(msg.date * 1000),
+    type: 'message',
+    platformMessageId: msg.message_id.toString(),
+    attachments,
+    metadata: {
+      chatType: msg.chat.type,
+      isEdited,
+      editedAt: isEdited && msg.edit_date ? new Date(msg.edit_date * 1000) : undefined,
+      isChannelPost,
+      replyToMessageId: msg.reply_to_message?.message_id?.toString(),
+      hasMedia: attachments.length > 0
+    }
+  };
+
+  return [unifiedMessage];
+}
+
+function normalizeWhatsApp(payload) {
+  const { object, entry } = payload;
+  const messages = [];
+
+  if (object !== 'whatsapp_business_account') {
+    return messages;
+  }
+
+  for (const entryItem of entry || []) {
+    for (const change of entryItem.changes || []) {
+      if (!change.value?.messages) {
+        continue;
+      }
+
+      for (const message of change.value.messages) {
+        // Create unified message format
+        const unifiedMessage = {
+          platform: 'whatsapp',
+          sender: message.from,
+          senderId: message.from,
+          recipient: change.value.metadata.phone_number_id,
+          recipientId: change.value.metadata.phone_number_id,
+          text: message.text?.body || '',
+          timestamp: new Date(parseInt(message.timestamp) * 1000),
+          type: 'message',
+          platformMessageId: message.id,
+          metadata: {
+            messageType: message.type,
+            phoneNumberId: change.value.metadata.phone_number_id
+          }
+        };
+
+        // Media arrives as ids resolved through the Graph API media endpoint
+        const attachments = whatsappAttachments(message);
+        if (attachments.length > 0) {
+          unifiedMessage.attachments = attachments;
+          unifiedMessage.text = unifiedMessage.text || message[message.type]?.caption || '';
+        }
+
+        messages.push(unifiedMessage);
+      }
+    }
+  }
+
+  return messages;
+}
+
+// Delivery status callbacks in a WhatsApp payload (change.value.statuses), as
+// { platform, platformMessageId, status, timestamp, recipientId, error }
+function extractWhatsAppStatuses(payload) {
+  const statuses = [];
+  if (payload?.object !== 'whatsapp_business_account') {
+    return statuses;
+  }
+
+  for (const entryItem of payload.entry || []) {
+    for (const change of entryItem.changes || []) {
+      for (const status of change.value?.statuses || []) {
+        const error = status.errors?.[0];
+        statuses.push({
+          platform: 'whatsapp',
+          platformMessageId: status.id,
+          status: status.status,
+          timestamp: new Date(parseInt(status.timestamp) * 1000),
+          recipientId: status.recipient_id,
+          error: error
+            ? { code: error.code, title: error.title || null, message: error.error_data?.details || error.message || error.title }
+            : null
+        });
+      }
+    }
+  }
+
+  return statuses;
+}
+
+// Instagram attachment types and the attachment type each becomes. A shared
+// post arrives as its preview image; a story mention as the story's media.
+const INSTAGRAM_MEDIA_TYPES = {
+  image: 'image',
+  animated_image: 'image',
+  video: 'video',
+  audio: 'audio',
+  file: 'document',
+  share: 'image',
+  ig_reel: 'video',
+  reel: 'video',
+  story_mention: 'story'
+};
+
+function instagramAttachments(message) {
+  return (message.attachments || [])
+    .filter(attachment => INSTAGRAM_MEDIA_TYPES[attachment.type] && attachment.payload?.url)
+    .map(attachment => ({
+      type: INSTAGRAM_MEDIA_TYPES[attachment.type],
+      // CDN URLs; downloaded by AttachmentService before they expire
+      url: attachment.payload.url,
+      filename: attachment.payload.title || null,
+      mediaType: attachment.type,
+      platform: 'instagram'
+    }));
+}
+
+// What kind of DM an Instagram message event is
+function instagramMessageType(message) {
+  if (message.reply_to?.story) {
+    return 'story_reply';
+  }
+  if (message.attachments?.some(attachment => attachment.type === 'story_mention')) {
+    return 'story_mention';
+  }
+  if (message.is_unsupported) {
+    return 'unsupported';
+  }
+  return message.attachments?.length > 0 ? 'media' : 'text';
+}
+
+// Messenger Platform shape: entry[].messaging[] events with sender, recipient
+// and one of message, postback, reaction or read. Messages (including echoes
+// of the ones the account sends, stored as outgoing) and postbacks become
+// unified messages; reactions and reads act on stored messages, see
+// extractInstagramReactions and extractInstagramReads. Senders are
+// Instagram-scoped ids; InstagramIngestionService resolves their profiles.
+function normalizeInstagram(payload) {
+  const { object, entry } = payload;
+  const messages = [];
+
+  if (object !== 'instagram') {
+    return messages;
+  }
+
+  for (const entryItem of entry || []) {
+    for (const event of entryItem.messaging || []) {
+      const { sender, recipient, message, postback } = event;
+      // Unsent messages are not removed from the inbox
+      if (!(message || postback) || message?.is_deleted) {
+        continue;
+      }
+
+      const unifiedMessage = {
+        platform: 'instagram',
+        sender: sender.id,
+        senderId: sender.id,
+        recipient: recipient.id,
+        recipientId: recipient.id,
+        text: '',
+        timestamp: new Date(event.timestamp),
+        type: 'message',
+        platformMessageId: (message || postback).mid,
+        isIncoming: !message?.is_echo,
+        attachments: [],
+        metadata: {
+          instagramAccountId: entryItem.id,
+          isEcho: !!message?.is_echo
+        }
+      };
+
+      if (postback) {
+        // A tap on a button the account sent: its title reads as the reply
+        unifiedMessage.text = postback.title || '';
+        unifiedMessage.metadata.messageType = 'postback';
+        unifiedMessage.metadata.postbackPayload = postback.payload;
+      } else {
+        unifiedMessage.text = message.text || '';
+        unifiedMessage.attachments = instagramAttachments(message);
+        Object.assign(unifiedMessage.metadata, {
+          messageType: instagramMessageType(message),
+          replyToMessageId: message.reply_to?.mid,
+          storyReply: message.reply_to?.story
+            ? { id: message.reply_to.story.id, url: message.reply_to.story.url }
+            : undefined,
+          quickReplyPayload: message.quick_reply?.payload,
+          hasMedia: unifiedMessage.attachments.length > 0
+        });
+      }
+
+      messages.push(unifiedMessage);
+    }
+  }
+
+  return messages;
+}
+
+// Reactions in an Instagram payload, as { platformMessageId, senderId,
+// action: 'react' | 'unreact', emoji, timestamp }
+function extractInstagramReactions(payload) {
+  const reactions = [];
+  if (payload?.object !== 'instagram') {
+    return reactions;
+  }
+
+  for (const entryItem of payload.entry || []) {
+    for (const event of entryItem.messaging || []) {
+      if (!event.reaction?.mid) {
+        continue;
+      }
+      reactions.push({
+        platformMessageId: event.reaction.mid,
+        senderId: event.sender.id,
+        action: event.reaction.action,
+        // `reaction` names it ("love"); `emoji` is the character
+        emoji: event.reaction.emoji || event.reaction.reaction || null,
+        timestamp: new Date(event.timestamp)
+      });
+    }
+  }
+
+  return reactions;
+}
+
+// Read receipts in an Instagram payload as delivery statuses, in the shape of
+// extractWhatsAppStatuses: the customer has seen the message `read.mid`
+function extractInstagramReads(payload) {
+  const statuses = [];
+  if (payload?.object !== 'instagram') {
+    return statuses;
+  }
+
+  for (const entryItem of payload.entry || []) {
+    for (const event of entryItem.messaging || []) {
+      if (!event.read?.mid) {
+        continue;
+      }
+      statuses.push({
+        platform: 'instagram',
+        platformMessageId: event.read.mid,
+        status: 'read',
+        timestamp: new Date(event.timestamp),
+        recipientId: event.sender.id,
+        error: null
+      });
+    }
+  }
+
+  return statuses;
+}
+
+function normalizeTwitter(payload) {
+  const { direct_message_events, users } = payload;
+  const messages = [];
+
+  if (!direct_message_events || !users) {
+    return messages;
+  }
+
+  for (const dmEvent of direct_message_events) {
+    if (dmEvent.type !== 'message_create') {
+      continue;
+    }
+
+    const message = dmEvent.message_create;
+    const sender = users.find(u => u.id === message.sender_id);
+    const recipient = users.find(u => u.id === message.target.recipient_id);
+
+    // Create unified message format
+    messages.push({
+      platform: 'twitter',
+      sender: sender?.username || 'Unknown',
+      senderId: sender?.id || 'Unknown',
+      recipient: recipient?.username || 'Unknown',
+      recipientId: recipient?.id || 'Unknown',
+      text: message.message_data?.text || '',
+      timestamp: new Date(parseInt(dmEvent.created_timestamp)),
+      type: 'message',
+      platformMessageId: dmEvent.id,
+      metadata: {
+        messageType: 'direct_message',
+        senderId: message.sender_id,
+        recipientId: message.target.recipient_id
+      }
+    });
+  }
+
+  return messages;
+}
+
+// Gmail push (Cloud Pub/Sub) only says that a mailbox changed:
+// { emailAddress, historyId }. GmailSyncService fetches the messages themselves.
+function decodeGmailNotification(payload) {
+  const data = payload?.message?.data;
+  if (!data) {
+    return null;
+  }
+
+  const notification = JSON.parse(Buffer.from(data, 'base64').toString());
+  if (!notification.emailAddress || !notification.historyId) {
+    return null;
+  }
+  return { emailAddress: notification.emailAddress, historyId: String(notification.historyId) };
+}
+
+const normalizers = {
+  telegram: normalizeTelegram,
+  whatsapp: normalizeWhatsApp,
+  instagram: normalizeInstagram,
+  twitter: normalizeTwitter
+};
+
+function normalizeWebhook(platform, payload) {
+  const normalize = normalizers[platform];
+  if (!normalize) {
+    throw new Error(`Unsupported webhook platform: ${platform}`);
+  }
+  return normalize(payload || {});
+}
+
+module.exports = {
+  normalizeWebhook,
+  decodeGmailNotification,
+  extractWhatsAppStatuses,
+  extractInstagramReactions,
+  extractInstagramReads,
+  supportedPlatforms: Object.keys(normalizers)
+};
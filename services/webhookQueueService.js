@@ -0,0 +1,306 @@
+const winston = require('winston');
+const { redactSecrets } = require('./credentialVault');
+const crypto = require('crypto');
+const { JsonFileStore } = require('./storage');
+const { normalizeWebhook, decodeGmailNotification, extractWhatsAppStatuses } = require('./webhookNormalizer');
+const deliveryStatusService = require('./deliveryStatusService');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'webhook-queue' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/webhook-queue.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_QUEUE_POLL_INTERVAL_MS) || 1000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 2000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+
+class WebhookQueueService {
+  constructor() {
+    // Raw payloads are written to disk before the platform is acknowledged
+    this.queue = new JsonFileStore('webhook-queue.json');
+    this.deadLetters = new JsonFileStore('webhook-dead-letters.json');
+    this.io = null;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  // Persist a raw webhook payload for asynchronous processing into `workspaceId`
+  async enqueue(workspaceId, platform, payload) {
+    if (!workspaceId) {
+      throw new Error('Workspace is required');
+    }
+
+    const event = {
+      id: `whk_${crypto.randomBytes(8).toString('hex')}`,
+      workspaceId,
+      platform,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      // Messages already stored from this payload; a retry resumes after them
+      processedCount: 0,
+      errors: [],
+      receivedAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString()
+    };
+
+    await this.queue.set(event);
+    logger.info(`Webhook queued: ${event.id} (${platform}, workspace ${workspaceId})`);
+
+    if (this.timer) {
+      setImmediate(() => this.processQueue());
+    }
+
+    return event;
+  }
+
+  // Start the worker; `io` is used to push new messages to connected clients
+  start(io) {
+    this.io = io || this.io;
+    if (this.timer) {
+      return;
+    }
+
+    // An event interrupted by a restart goes back to the queue
+    const interrupted = this.queue.values().filter(event => event.status === 'processing');
+    for (const event of interrupted) {
+      event.status = 'pending';
+    }
+    if (interrupted.length > 0) {
+      this.queue.save().catch(error => logger.error('Error persisting webhook queue:', error));
+    }
+
+    this.timer = setInterval(() => this.processQueue(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    logger.info(`Webhook queue worker started (${this.queue.values().length} pending)`);
+
+    setImmediate(() => this.processQueue());
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Process every queued event that is due, oldest first
+  async processQueue() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    try {
+      const now = Date.now();
+      const due = this.queue.values()
+        .filter(event => event.status === 'pending' && new Date(event.nextAttemptAt).getTime() <= now)
+        .sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt));
+
+      for (const event of due) {
+        await this.processEvent(event);
+      }
+    } catch (error) {
+      logger.error('Error processing webhook queue:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async processEvent(event) {
+    // Required lazily so the queue can be loaded without pulling in the AI services
+    const messageService = require('./messageService');
+
+    await this.queue.update(event.id, { status: 'processing' });
+    const workspaceId = event.workspaceId;
+
+    try {
+      const messages = (await this.resolveMessages(event, workspaceId))
+        .map(message => ({ ...message, workspaceId }));
+      let processedCount = event.processedCount;
+
+      for (const unifiedMessage of messages.slice(processedCount)) {
+        const { message: savedMessage, duplicate, edited } = await messageService.ingestMessage(unifiedMessage);
+        processedCount++;
+        await this.queue.update(event.id, { processedCount });
+
+        if (duplicate) {
+          continue;
+        }
+
+        // Emit real-time update
+        if (this.io) {
+          this.io.to(`workspace:${workspaceId}:platform:${event.platform}`)
+            .emit(edited ? 'message:updated' : 'message:new', savedMessage);
+        }
+
+        logger.info(`${event.platform} message ${edited ? 'edited' : 'processed'}: ${savedMessage.id}`);
+      }
+
+      await this.queue.delete(event.id);
+    } catch (error) {
+      await this.handleFailure(event, error);
+    }
+  }
+
+  // Unified messages carried by an event. Gmail push only announces a mailbox
+  // change, so its messages are fetched once and kept on the event: the sync
+  // cursor has moved past them, and a retry must not depend on it. A Telegram
+  // button press carries no message; it acts on a stored one. WhatsApp status
+  // callbacks and Instagram read receipts update the delivery state of sent
+  // messages (a retry re-applies them harmlessly: delivery only moves forward),
+  // as Instagram reactions update the message they react to.
+  async resolveMessages(event, workspaceId) {
+    if (event.platform === 'whatsapp') {
+      for (const update of extractWhatsAppStatuses(event.payload)) {
+        await deliveryStatusService.applyStatus(workspaceId, update);
+      }
+    }
+
+    if (event.platform === 'telegram' && event.payload?.callback_query) {
+      // Required lazily like MessageService, which it uses
+      const telegramIngestionService = require('./telegramIngestionService');
+      await telegramIngestionService.handleCallbackQuery(workspaceId, event.payload.callback_query);
+      return [];
+    }
+
+    if (event.platform === 'instagram') {
+      // Required lazily like MessageService, which it uses
+      const instagramIngestionService = require('./instagramIngestionService');
+      const { messages, updated } = await instagramIngestionService.processWebhook(workspaceId, event.payload);
+      if (this.io) {
+        for (const message of updated) {
+          this.io.to(`workspace:${workspaceId}:platform:instagram`).emit('message:updated', message);
+        }
+      }
+      return messages;
+    }
+
+    if (event.platform !== 'gmail') {
+      return normalizeWebhook(event.platform, event.payload);
+    }
+
+    if (event.fetchedMessages) {
+      return event.fetchedMessages;
+    }
+
+    // Required lazily: the sync engine pulls in PlatformService
+    const gmailSyncService = require('./gmailSyncService');
+    const notification = decodeGmailNotification(event.payload);
+    const fetchedMessages = notification
+      ? await gmailSyncService.syncFromNotification(workspaceId, notification)
+      : [];
+    await this.queue.update(event.id, { fetchedMessages });
+    return fetchedMessages;
+  }
+
+  async handleFailure(event, error) {
+    const attempts = event.attempts + 1;
+    const errors = [...event.errors, { attempt: attempts, error: error.message, at: new Date().toISOString() }];
+
+    if (attempts >= MAX_ATTEMPTS) {
+      await this.deadLetters.set({
+        ...event,
+        status: 'dead',
+        attempts,
+        errors,
+        deadLetteredAt: new Date().toISOString()
+      });
+      await this.queue.delete(event.id);
+
+      logger.error(`Webhook ${event.id} moved to dead-letter store after ${attempts} attempts:`, error.message);
+      return;
+    }
+
+    // Exponential backoff: base, 2x base, 4x base, ... capped
+    const delay = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+    await this.queue.update(event.id, {
+      status: 'pending',
+      attempts,
+      errors,
+      nextAttemptAt: new Date(Date.now() + delay).toISOString()
+    });
+
+    logger.warn(`Webhook ${event.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}), retrying in ${delay}ms:`, error.message);
+  }
+
+  getQueueStats(workspaceId) {
+    const queued = this.queue.values().filter(event => event.workspaceId === workspaceId);
+    return {
+      pending: queued.filter(event => event.status === 'pending').length,
+      processing: queued.filter(event => event.status === 'processing').length,
+      retrying: queued.filter(event => event.attempts > 0).length,
+      deadLetters: this.getDeadLetters(workspaceId).length,
+      maxAttempts: MAX_ATTEMPTS
+    };
+  }
+
+  // List a workspace's dead-lettered events, most recent first
+  getDeadLetters(workspaceId, filters = {}) {
+    return this.deadLetters.values()
+      .filter(event => event.workspaceId === workspaceId)
+      .filter(event => !filters.platform || event.platform === filters.platform)
+      .sort((a, b) => new Date(b.deadLetteredAt) - new Date(a.deadLetteredAt));
+  }
+
+  getDeadLetter(workspaceId, eventId) {
+    const event = this.deadLetters.get(eventId);
+    return event && event.workspaceId === workspaceId ? event : null;
+  }
+
+  // Put a dead-lettered event back on the queue with a fresh retry budget
+  async replayDeadLetter(eventId) {
+    try {
+      const event = this.deadLetters.get(eventId);
+      if (!event) {
+        throw new Error('Dead letter not found');
+      }
+
+      const { deadLetteredAt, ...rest } = event;
+      const replayed = {
+        ...rest,
+        status: 'pending',
+        attempts: 0,
+        replayedAt: new Date().toISOString(),
+        nextAttemptAt: new Date().toISOString()
+      };
+
+      await this.queue.set(replayed);
+      await this.deadLetters.delete(eventId);
+
+      logger.info(`Dead letter replayed: ${eventId}`);
+
+      if (this.timer) {
+        setImmediate(() => this.processQueue());
+      }
+
+      return replayed;
+    } catch (error) {
+      logger.error(`Error replaying dead letter ${eventId}:`, error);
+      throw error;
+    }
+  }
+
+  async deleteDeadLetter(eventId) {
+    const deleted = await this.deadLetters.delete(eventId);
+    if (!deleted) {
+      throw new Error('Dead letter not found');
+    }
+    logger.info(`Dead letter discarded: ${eventId}`);
+    return true;
+  }
+}
+
+module.exports = new WebhookQueueService();
@@ -0,0 +1,141 @@
+const webhookQueueService = require('./webhookQueueService');
+const messageService = require('./messageService');
+
+function telegramUpdate(messageId, text = 'hello') {
+  return {
+    update_id: messageId,
+    message: {
+      message_id: messageId,
+      from: { id: 42, username: 'alice' },
+      chat: { id: 42, type: 'private', username: 'alice' },
+      date: 1700000000,
+      text
+    }
+  };
+}
+
+function whatsappPayload(...ids) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      changes: [{
+        value: {
+          metadata: { phone_number_id: 'phone_1' },
+          messages: ids.map(id => ({ id, from: '15550001', timestamp: '1700000000', type: 'text', text: { body: id } }))
+        }
+      }]
+    }]
+  };
+}
+
+// Run the worker as if `ms` had passed, so backed-off events are due
+async function processAfter(ms) {
+  const spy = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + ms);
+  try {
+    await webhookQueueService.processQueue();
+  } finally {
+    spy.mockRestore();
+  }
+}
+
+const HOUR = 60 * 60 * 1000;
+
+describe('WebhookQueueService', () => {
+  let ingestMessage;
+
+  beforeEach(() => {
+    ingestMessage = jest.spyOn(messageService, 'ingestMessage');
+  });
+
+  afterEach(async () => {
+    ingestMessage.mockRestore();
+    webhookQueueService.io = null;
+    for (const event of webhookQueueService.queue.values()) {
+      await webhookQueueService.queue.delete(event.id);
+    }
+  });
+
+  test('stores queued messages into the event workspace and emits them', async () => {
+    ingestMessage.mockImplementation(async message => ({ message: { id: 'msg_1', ...message } }));
+    const emit = jest.fn();
+    webhookQueueService.io = { to: jest.fn(() => ({ emit })) };
+
+    const event = await webhookQueueService.enqueue('ws_queue', 'telegram', telegramUpdate(1));
+    expect(webhookQueueService.queue.get(event.id).status).toBe('pending');
+
+    await webhookQueueService.processQueue();
+
+    expect(ingestMessage).toHaveBeenCalledWith(expect.objectContaining({ workspaceId: 'ws_queue', platformMessageId: '1' }));
+    expect(webhookQueueService.io.to).toHaveBeenCalledWith('workspace:ws_queue:platform:telegram');
+    expect(emit).toHaveBeenCalledWith('message:new', expect.objectContaining({ id: 'msg_1' }));
+    expect(webhookQueueService.queue.get(event.id)).toBeNull();
+  });
+
+  test('every event belongs to a workspace', async () => {
+    await expect(webhookQueueService.enqueue(undefined, 'telegram', telegramUpdate(2))).rejects.toThrow('Workspace is required');
+    expect(webhookQueueService.queue.values()).toEqual([]);
+  });
+
+  test('retries with exponential backoff', async () => {
+    ingestMessage.mockRejectedValue(new Error('database unavailable'));
+    const event = await webhookQueueService.enqueue('ws_queue', 'telegram', telegramUpdate(2));
+
+    const before = Date.now();
+    await webhookQueueService.processQueue();
+    const first = webhookQueueService.queue.get(event.id);
+    expect(first).toMatchObject({ status: 'pending', attempts: 1 });
+    expect(first.errors).toEqual([expect.objectContaining({ attempt: 1, error: 'database unavailable' })]);
+    const firstDelay = new Date(first.nextAttemptAt).getTime() - before;
+
+    // Not due yet: nothing is retried
+    await webhookQueueService.processQueue();
+    expect(ingestMessage).toHaveBeenCalledTimes(1);
+
+    await processAfter(HOUR);
+    const second = webhookQueueService.queue.get(event.id);
+    expect(second.attempts).toBe(2);
+    expect(new Date(second.nextAttemptAt).getTime() - (before + HOUR)).toBeGreaterThanOrEqual(2 * firstDelay - 50);
+  });
+
+  test('moves an event to the dead-letter store after the last attempt and replays it', async () => {
+    ingestMessage.mockRejectedValue(new Error('database unavailable'));
+    const event = await webhookQueueService.enqueue('ws_queue', 'telegram', telegramUpdate(3));
+
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      await processAfter(attempt * HOUR);
+    }
+
+    expect(webhookQueueService.queue.get(event.id)).toBeNull();
+    const deadLetter = webhookQueueService.getDeadLetter('ws_queue', event.id);
+    expect(deadLetter).toMatchObject({ status: 'dead', attempts: 5, platform: 'telegram' });
+    expect(deadLetter.errors).toHaveLength(5);
+    expect(webhookQueueService.getDeadLetter('ws_other', event.id)).toBeNull();
+    expect(webhookQueueService.getQueueStats('ws_queue').deadLetters).toBe(1);
+
+    ingestMessage.mockImplementation(async message => ({ message: { id: 'msg_3', ...message } }));
+    const replayed = await webhookQueueService.replayDeadLetter(event.id);
+    expect(replayed).toMatchObject({ status: 'pending', attempts: 0 });
+    expect(webhookQueueService.getDeadLetter('ws_queue', event.id)).toBeNull();
+
+    await webhookQueueService.processQueue();
+    expect(webhookQueueService.queue.get(event.id)).toBeNull();
+    await expect(webhookQueueService.replayDeadLetter(event.id)).rejects.toThrow('Dead letter not found');
+  });
+
+  test('a retry resumes after the messages already stored', async () => {
+    ingestMessage
+      .mockImplementationOnce(async message => ({ message: { id: 'msg_a', ...message } }))
+      .mockRejectedValueOnce(new Error('database unavailable'))
+      .mockImplementation(async message => ({ message: { id: 'msg_b', ...message } }));
+
+    const event = await webhookQueueService.enqueue('ws_queue', 'whatsapp', whatsappPayload('wamid.a', 'wamid.b'));
+
+    await webhookQueueService.processQueue();
+    expect(webhookQueueService.queue.get(event.id)).toMatchObject({ attempts: 1, processedCount: 1 });
+
+    await processAfter(HOUR);
+    expect(ingestMessage.mock.calls.map(([message]) => message.platformMessageId))
+      .toEqual(['wamid.a', 'wamid.b', 'wamid.b']);
+    expect(webhookQueueService.queue.get(event.id)).toBeNull();
+  });
+});
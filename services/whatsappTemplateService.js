@@ -0,0 +1,208 @@
+const winston = require('winston');
+const crypto = require('crypto');
+const { redactSecrets } = require('./credentialVault');
+const { JsonFileStore } = require('./storage');
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'whatsapp-templates' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/whatsapp-templates.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+const TEMPLATE_CATEGORIES = ['MARKETING', 'UTILITY', 'AUTHENTICATION'];
+
+// Components whose text may carry {{n}} placeholders
+const PARAMETER_COMPONENTS = ['header', 'body'];
+
+// WhatsApp template names: lowercase letters, digits and underscores
+const NAME_PATTERN = /^[a-z0-9_]{1,512}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(_[A-Za-z]{2,4})?$/;
+
+// Highest {{n}} placeholder in a component's text
+function countPlaceholders(text) {
+  const indexes = (text || '').match(/\{\{\s*(\d+)\s*\}\}/g) || [];
+  return indexes.reduce((max, placeholder) => Math.max(max, parseInt(placeholder.replace(/\D/g, ''))), 0);
+}
+
+function fillPlaceholders(text, values) {
+  return text.replace(/\{\{\s*(\d+)\s*\}\}/g, (placeholder, index) => values[index - 1] ?? placeholder);
+}
+
+// Registry of the message templates a workspace has approved in WhatsApp
+// Manager. WhatsApp only delivers free-form messages within 24 hours of the
+// customer's last message; outside that window a business must open the
+// conversation with one of these. Each template lists its parameter slots in
+// placeholder order: { name, component: 'header' | 'body' } fills {{1}}, {{2}}, ...
+// of that component.
+class WhatsAppTemplateService {
+  constructor() {
+    this.store = new JsonFileStore('whatsapp-templates.json');
+  }
+
+  listTemplates(workspaceId) {
+    return this.store.values()
+      .filter(template => template.workspaceId === workspaceId)
+      .sort((a, b) => a.name.localeCompare(b.name) || a.language.localeCompare(b.language));
+  }
+
+  getTemplate(workspaceId, templateId) {
+    const template = this.store.get(templateId);
+    return template && template.workspaceId === workspaceId ? template : null;
+  }
+
+  // By id, or by name (and language, when the name exists in several)
+  findTemplate(workspaceId, { id, name, language } = {}) {
+    if (id) {
+      return this.getTemplate(workspaceId, id);
+    }
+    return this.listTemplates(workspaceId)
+      .find(template => template.name === name && (!language || template.language === language)) || null;
+  }
+
+  async createTemplate(workspaceId, data) {
+    const template = this.validateTemplate({
+      id: `tpl_${crypto.randomBytes(8).toString('hex')}`,
+      workspaceId,
+      name: data.name,
+      language: data.language,
+      category: data.category || 'UTILITY',
+      header: data.header || null,
+      body: data.body || null,
+      footer: data.footer || null,
+      parameters: data.parameters || [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    await this.store.set(template);
+    logger.info(`WhatsApp template ${template.name} (${template.language}) registered for workspace ${workspaceId}`);
+    return template;
+  }
+
+  async updateTemplate(workspaceId, templateId, changes) {
+    const existing = this.getTemplate(workspaceId, templateId);
+    if (!existing) {
+      throw new Error('Template not found');
+    }
+
+    const updated = { ...existing, updatedAt: new Date().toISOString() };
+    for (const field of ['name', 'language', 'category', 'header', 'body', 'footer', 'parameters']) {
+      if (changes[field] !== undefined) {
+        updated[field] = changes[field];
+      }
+    }
+
+    const template = this.validateTemplate(updated);
+    await this.store.set(template);
+    return template;
+  }
+
+  async deleteTemplate(workspaceId, templateId) {
+    if (!this.getTemplate(workspaceId, templateId)) {
+      throw new Error('Template not found');
+    }
+    await this.store.delete(templateId);
+    logger.info(`WhatsApp template ${templateId} removed from workspace ${workspaceId}`);
+  }
+
+  validateTemplate(template) {
+    if (!NAME_PATTERN.test(template.name || '')) {
+      throw new Error('Invalid template: name must be lowercase letters, digits and underscores');
+    }
+    if (!LANGUAGE_PATTERN.test(template.language || '')) {
+      throw new Error('Invalid template: language must be a locale code such as en_US');
+    }
+    if (!TEMPLATE_CATEGORIES.includes(template.category)) {
+      throw new Error(`Invalid template: category must be one of ${TEMPLATE_CATEGORIES.join(', ')}`);
+    }
+    if (!Array.isArray(template.parameters)) {
+      throw new Error('Invalid template: parameters must be an array');
+    }
+
+    const parameters = template.parameters.map(parameter => ({
+      name: parameter.name,
+      component: parameter.component || 'body',
+      example: parameter.example || null
+    }));
+    for (const parameter of parameters) {
+      if (!parameter.name || !PARAMETER_COMPONENTS.includes(parameter.component)) {
+        throw new Error('Invalid template: each parameter needs a name and a header or body component');
+      }
+    }
+    if (new Set(parameters.map(parameter => parameter.name)).size !== parameters.length) {
+      throw new Error('Invalid template: parameter names must be unique');
+    }
+
+    // The slots must match the placeholders of the text they fill
+    for (const component of PARAMETER_COMPONENTS) {
+      const slots = parameters.filter(parameter => parameter.component === component).length;
+      const placeholders = countPlaceholders(template[component]);
+      if (template[component] && slots !== placeholders) {
+        throw new Error(`Invalid template: ${component} has ${placeholders} placeholder(s) but ${slots} parameter(s)`);
+      }
+    }
+
+    const duplicate = this.store.values().find(other =>
+      other.id !== template.id &&
+      other.workspaceId === template.workspaceId &&
+      other.name === template.name &&
+      other.language === template.language
+    );
+    if (duplicate) {
+      throw new Error(`Invalid template: ${template.name} (${template.language}) is already registered`);
+    }
+
+    return { ...template, parameters };
+  }
+
+  // Cloud API `template` object and a text rendering of the message for the
+  // conversation view. `values` maps parameter names to text (or lists them in
+  // slot order).
+  buildTemplateMessage(template, values = {}) {
+    const components = [];
+    const text = [];
+
+    for (const component of PARAMETER_COMPONENTS) {
+      const slots = template.parameters.filter(parameter => parameter.component === component);
+      const filled = slots.map(slot => {
+        const value = Array.isArray(values) ? values[template.parameters.indexOf(slot)] : values[slot.name];
+        if (value === undefined || value === null || value === '') {
+          throw new Error(`Missing template parameter: ${slot.name}`);
+        }
+        return String(value);
+      });
+
+      if (filled.length > 0) {
+        components.push({ type: component, parameters: filled.map(value => ({ type: 'text', text: value })) });
+      }
+      if (template[component]) {
+        text.push(fillPlaceholders(template[component], filled));
+      }
+    }
+    if (template.footer) {
+      text.push(template.footer);
+    }
+
+    return {
+      template: {
+        name: template.name,
+        language: { code: template.language },
+        ...(components.length > 0 ? { components } : {})
+      },
+      text: text.join('\n\n') || `[Template: ${template.name}]`
+    };
+  }
+}
+
+module.exports = new WhatsAppTemplateService();
+module.exports.TEMPLATE_CATEGORIES = TEMPLATE_CATEGORIES;
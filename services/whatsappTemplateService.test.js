@@ -0,0 +1,111 @@
+const whatsappTemplateService = require('./whatsappTemplateService');
+const messageService = require('./messageService');
+const pluginService = require('./pluginService');
+
+const WORKSPACE_ID = 'ws_whatsapp_window';
+const HOUR = 60 * 60 * 1000;
+
+const ORDER_UPDATE = {
+  name: 'order_update',
+  language: 'en_US',
+  category: 'UTILITY',
+  header: 'Order {{1}}',
+  body: 'Hi {{1}}, your order ships on {{2}}.',
+  footer: 'Reply STOP to opt out',
+  parameters: [
+    { name: 'order', component: 'header' },
+    { name: 'customer', example: 'Dana' },
+    { name: 'date', example: 'Monday' }
+  ]
+};
+
+// A customer message received `hoursAgo` hours ago
+async function inbound(senderId, hoursAgo) {
+  const message = await messageService.createMessage({
+    workspaceId: WORKSPACE_ID,
+    platform: 'whatsapp',
+    sender: senderId,
+    senderId,
+    recipientId: 'phone_1',
+    text: 'hello',
+    isIncoming: true
+  });
+  return messageService.store.updateMessage(message.id, { timestamp: new Date(Date.now() - hoursAgo * HOUR) });
+}
+
+describe('WhatsApp customer service window', () => {
+  beforeEach(() => {
+    jest.spyOn(pluginService, 'handleMessageEvent').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('is open for 24 hours after the customer\'s last message', async () => {
+    const message = await inbound('15550101', 23);
+
+    const window = await messageService.getWhatsAppWindow(WORKSPACE_ID, { recipientId: '15550101' });
+
+    expect(window.open).toBe(true);
+    expect(window.expiresAt.getTime() - window.lastInboundAt.getTime()).toBe(24 * HOUR);
+    expect(await messageService.getWhatsAppWindow(WORKSPACE_ID, { conversationId: message.conversationId }))
+      .toMatchObject({ open: true });
+  });
+
+  test('is closed after 24 hours, or before the customer ever wrote', async () => {
+    await inbound('15550102', 25);
+
+    expect((await messageService.getWhatsAppWindow(WORKSPACE_ID, { recipientId: '15550102' })).open).toBe(false);
+    expect(await messageService.getWhatsAppWindow(WORKSPACE_ID, { recipientId: '15550199' }))
+      .toEqual({ open: false, lastInboundAt: null, expiresAt: null });
+  });
+
+  test('free text is refused once the window is closed; a template is sent instead', async () => {
+    await inbound('15550103', 30);
+    const template = await whatsappTemplateService.createTemplate(WORKSPACE_ID, ORDER_UPDATE);
+
+    await expect(messageService.resolveWhatsAppMessage(WORKSPACE_ID, { recipientId: '15550103', text: 'Any news?' }))
+      .rejects.toThrow('WhatsApp customer service window closed');
+
+    const resolved = await messageService.resolveWhatsAppMessage(WORKSPACE_ID, {
+      recipientId: '15550103',
+      template: { id: template.id, parameters: { order: '#1042', customer: 'Dana', date: 'Monday' } }
+    });
+
+    expect(resolved.template).toEqual({
+      name: 'order_update',
+      language: { code: 'en_US' },
+      components: [
+        { type: 'header', parameters: [{ type: 'text', text: '#1042' }] },
+        { type: 'body', parameters: [{ type: 'text', text: 'Dana' }, { type: 'text', text: 'Monday' }] }
+      ]
+    });
+    expect(resolved.text).toBe('Order #1042\n\nHi Dana, your order ships on Monday.\n\nReply STOP to opt out');
+    expect(resolved.metadata).toMatchObject({ messageType: 'template', template: { name: 'order_update' } });
+  });
+});
+
+describe('WhatsAppTemplateService', () => {
+  test('templates are only found in the workspace that registered them', async () => {
+    const template = await whatsappTemplateService.createTemplate('ws_templates_a', { ...ORDER_UPDATE, name: 'scoped' });
+
+    expect(whatsappTemplateService.findTemplate('ws_templates_a', { name: 'scoped', language: 'en_US' }).id).toBe(template.id);
+    expect(whatsappTemplateService.getTemplate('ws_templates_b', template.id)).toBeNull();
+  });
+
+  test('placeholders must match the parameter slots', async () => {
+    await expect(whatsappTemplateService.createTemplate('ws_templates_a', {
+      ...ORDER_UPDATE,
+      name: 'mismatched',
+      parameters: [{ name: 'order', component: 'header' }, { name: 'customer' }]
+    })).rejects.toThrow('Invalid template: body has 2 placeholder(s) but 1 parameter(s)');
+  });
+
+  test('every parameter needs a value', () => {
+    expect(() => whatsappTemplateService.buildTemplateMessage(
+      whatsappTemplateService.validateTemplate({ ...ORDER_UPDATE, name: 'unsaved' }),
+      { order: '#1', customer: 'Dana' }
+    )).toThrow('Missing template parameter: date');
+  });
+});
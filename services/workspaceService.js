@@ -0,0 +1,292 @@
+const winston = require('winston');
+const crypto = require('crypto');
+const { JsonFileStore } = require('./storage');
+const credentialVault = require('./credentialVault');
+const { ROLES } = require('./permissions');
+
+const { redactSecrets } = credentialVault;
+
+// Configure logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'workspace-service' },
+  transports: [
+    new winston.transports.File({ filename: 'logs/workspace-service.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Owns the platform connections configured through env vars. Only the user
+// named by DEFAULT_WORKSPACE_OWNER_EMAIL can claim it (see claimDefaultWorkspace).
+const DEFAULT_WORKSPACE_ID = 'default';
+
+class WorkspaceService {
+  constructor() {
+    // Workspace records: { id, name, ownerId, members: [{ userId, role, joinedAt }], platforms, ... }
+    // `platforms` maps a platform name to the credentials PlatformService connects with.
+    this.store = new JsonFileStore('workspaces.json');
+  }
+
+  async createWorkspace({ name, ownerId, id }) {
+    if (!name) {
+      throw new Error('Workspace name is required');
+    }
+
+    const now = new Date().toISOString();
+    const workspace = {
+      id: id || `ws_${crypto.randomBytes(8).toString('hex')}`,
+      name,
+      ownerId,
+      members: ownerId ? [{ userId: ownerId, role: 'owner', joinedAt: now }] : [],
+      platforms: {},
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.set(workspace);
+    logger.info(`Workspace created: ${workspace.id} (owner ${ownerId})`);
+    return workspace;
+  }
+
+  // Give a newly registered user a workspace of their own. The designated owner
+  // of the default workspace lands there instead while it is unclaimed.
+  async provisionForUser(user) {
+    const defaultWorkspace = await this.claimDefaultWorkspace(user);
+    if (defaultWorkspace) {
+      return defaultWorkspace;
+    }
+
+    return this.createWorkspace({ name: `${user.name || user.email}'s workspace`, ownerId: user.id });
+  }
+
+  // The default workspace holds the env-configured platform credentials, so it
+  // is never handed to whoever signs up first: it goes to the user whose email
+  // is DEFAULT_WORKSPACE_OWNER_EMAIL, once. Returns it when `user` claimed it, otherwise null.
+  async claimDefaultWorkspace(user) {
+    const ownerEmail = (process.env.DEFAULT_WORKSPACE_OWNER_EMAIL || '').trim().toLowerCase();
+    if (!ownerEmail || (user.email || '').toLowerCase() !== ownerEmail) {
+      return null;
+    }
+
+    const defaultWorkspace = this.getWorkspace(DEFAULT_WORKSPACE_ID);
+    if (defaultWorkspace?.ownerId) {
+      return null;
+    }
+
+    const workspace = defaultWorkspace
+      ? await this.store.update(DEFAULT_WORKSPACE_ID, {
+        ownerId: user.id,
+        members: [{ userId: user.id, role: 'owner', joinedAt: new Date().toISOString() }],
+        updatedAt: new Date().toISOString()
+      })
+      : await this.createWorkspace({ id: DEFAULT_WORKSPACE_ID, name: 'Default workspace', ownerId: user.id });
+
+    logger.info(`Default workspace claimed by user ${user.id}`);
+    return workspace;
+  }
+
+  getWorkspace(workspaceId) {
+    return this.store.get(workspaceId);
+  }
+
+  getWorkspacesForUser(userId) {
+    return this.store.values()
+      .filter(workspace => workspace.members.some(member => member.userId === userId))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  // The caller's membership record, or null when they do not belong to the workspace
+  getMembership(workspaceId, userId) {
+    const workspace = this.getWorkspace(workspaceId);
+    if (!workspace) {
+      return null;
+    }
+    return workspace.members.find(member => member.userId === userId) || null;
+  }
+
+  async updateWorkspace(workspaceId, { name }) {
+    const workspace = this.requireWorkspace(workspaceId);
+    if (name !== undefined && !name) {
+      throw new Error('Workspace name is required');
+    }
+
+    const updated = await this.store.update(workspace.id, {
+      name: name || workspace.name,
+      updatedAt: new Date().toISOString()
+    });
+
+    logger.info(`Workspace updated: ${workspaceId}`);
+    return updated;
+  }
+
+  async addMember(workspaceId, userId, role = 'agent') {
+    const workspace = this.requireWorkspace(workspaceId);
+    this.assertAssignableRole(role);
+    if (workspace.members.some(member => member.userId === userId)) {
+      throw new Error('User is already a member');
+    }
+
+    const member = { userId, role, joinedAt: new Date().toISOString() };
+    await this.store.update(workspaceId, {
+      members: [...workspace.members, member],
+      updatedAt: new Date().toISOString()
+    });
+
+    logger.info(`User ${userId} added to workspace ${workspaceId} as ${role}`);
+    return member;
+  }
+
+  // Change a member's role; ownership is fixed at creation and cannot move here
+  async setMemberRole(workspaceId, userId, role) {
+    const workspace = this.requireWorkspace(workspaceId);
+    this.assertAssignableRole(role);
+    if (workspace.ownerId === userId) {
+      throw new Error('Cannot change the workspace owner\'s role');
+    }
+
+    const member = workspace.members.find(candidate => candidate.userId === userId);
+    if (!member) {
+      throw new Error('Member not found');
+    }
+
+    const updated = { ...member, role };
+    await this.store.update(workspaceId, {
+      members: workspace.members.map(candidate => (candidate.userId === userId ? updated : candidate)),
+      updatedAt: new Date().toISOString()
+    });
+
+    logger.info(`User ${userId} is now ${role} in workspace ${workspaceId}`);
+    return updated;
+  }
+
+  async removeMember(workspaceId, userId) {
+    const workspace = this.requireWorkspace(workspaceId);
+    if (workspace.ownerId === userId) {
+      throw new Error('Cannot remove the workspace owner');
+    }
+    if (!workspace.members.some(member => member.userId === userId)) {
+      throw new Error('Member not found');
+    }
+
+    await this.store.update(workspaceId, {
+      members: workspace.members.filter(member => member.userId !== userId),
+      updatedAt: new Date().toISOString()
+    });
+
+    logger.info(`User ${userId} removed from workspace ${workspaceId}`);
+    return true;
+  }
+
+  // Decrypted credentials by platform. A platform whose credentials cannot be
+  // decrypted (its key was dropped from config) is left out rather than failing the rest.
+  getPlatformCredentials(workspaceId) {
+    const workspace = this.getWorkspace(workspaceId);
+    const credentials = {};
+
+    for (const [platform, stored] of Object.entries(workspace?.platforms || {})) {
+      try {
+        credentials[platform] = credentialVault.decrypt(stored);
+      } catch (error) {
+        logger.error(`Cannot decrypt ${platform} credentials for workspace ${workspaceId}:`, error);
+      }
+    }
+    return credentials;
+  }
+
+  // Credentials are stored encrypted with the current key; see CredentialVault
+  async setPlatformCredentials(workspaceId, platform, credentials) {
+    const workspace = this.requireWorkspace(workspaceId);
+
+    await this.store.update(workspaceId, {
+      platforms: { ...workspace.platforms, [platform]: credentialVault.encrypt(credentials) },
+      updatedAt: new Date().toISOString()
+    });
+
+    logger.info(`${platform} credentials updated for workspace ${workspaceId}`);
+    return true;
+  }
+
+  async removePlatformCredentials(workspaceId, platform) {
+    const workspace = this.requireWorkspace(workspaceId);
+    if (!workspace.platforms?.[platform]) {
+      return false;
+    }
+
+    const { [platform]: removed, ...platforms } = workspace.platforms;
+    await this.store.update(workspaceId, { platforms, updatedAt: new Date().toISOString() });
+
+    logger.info(`${platform} credentials removed from workspace ${workspaceId}`);
+    return true;
+  }
+
+  assertAssignableRole(role) {
+    if (!ROLES.includes(role) || role === 'owner') {
+      throw new Error(`Invalid role: ${role}`);
+    }
+  }
+
+  // Re-encrypt every stored credential set that is plaintext or under a previous
+  // key, so the previous key can be retired. Safe to run repeatedly.
+  async rotateCredentialsKey() {
+    let reencrypted = 0;
+    let failed = 0;
+
+    for (const workspace of this.store.values()) {
+      const platforms = { ...workspace.platforms };
+      let changed = false;
+
+      for (const [platform, stored] of Object.entries(platforms)) {
+        try {
+          const rotated = credentialVault.reencrypt(stored);
+          if (rotated) {
+            platforms[platform] = rotated;
+            changed = true;
+            reencrypted++;
+          }
+        } catch (error) {
+          failed++;
+          logger.error(`Cannot re-encrypt ${platform} credentials for workspace ${workspace.id}:`, error);
+        }
+      }
+
+      if (changed) {
+        await this.store.update(workspace.id, { platforms });
+      }
+    }
+
+    if (reencrypted > 0 || failed > 0) {
+      logger.info(`Credential key rotation: ${reencrypted} re-encrypted, ${failed} failed`);
+    }
+    return { reencrypted, failed };
+  }
+
+  requireWorkspace(workspaceId) {
+    const workspace = this.getWorkspace(workspaceId);
+    if (!workspace) {
+      throw new Error('Workspace not found');
+    }
+    return workspace;
+  }
+
+  // Workspace as returned by the API: credential values never leave the service
+  toPublicWorkspace(workspace) {
+    return {
+      id: workspace.id,
+      name: workspace.name,
+      ownerId: workspace.ownerId,
+      members: workspace.members,
+      platforms: Object.keys(workspace.platforms || {}),
+      createdAt: workspace.createdAt,
+      updatedAt: workspace.updatedAt
+    };
+  }
+}
+
+module.exports = new WorkspaceService();
+module.exports.DEFAULT_WORKSPACE_ID = DEFAULT_WORKSPACE_ID;
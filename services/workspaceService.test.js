@@ -0,0 +1,59 @@
+const workspaceService = require('./workspaceService');
+
+const { DEFAULT_WORKSPACE_ID } = workspaceService;
+
+let userCount = 0;
+function newUser(email) {
+  userCount++;
+  return { id: `user_ws_${userCount}`, email: email || `user${userCount}@example.com`, name: `User ${userCount}` };
+}
+
+describe('WorkspaceService provisioning', () => {
+  afterEach(async () => {
+    delete process.env.DEFAULT_WORKSPACE_OWNER_EMAIL;
+    await workspaceService.store.delete(DEFAULT_WORKSPACE_ID);
+  });
+
+  test('the first user to register gets a workspace of their own, not the default one', async () => {
+    const first = newUser();
+
+    const workspace = await workspaceService.provisionForUser(first);
+
+    expect(workspace.id).not.toBe(DEFAULT_WORKSPACE_ID);
+    expect(workspace).toMatchObject({ ownerId: first.id, name: `User ${userCount}'s workspace` });
+    expect(workspaceService.getMembership(DEFAULT_WORKSPACE_ID, first.id)).toBeNull();
+  });
+
+  test('an existing unowned default workspace stays unowned', async () => {
+    await workspaceService.createWorkspace({ id: DEFAULT_WORKSPACE_ID, name: 'Default workspace' });
+
+    await workspaceService.provisionForUser(newUser());
+
+    expect(workspaceService.getWorkspace(DEFAULT_WORKSPACE_ID).ownerId).toBeUndefined();
+  });
+
+  test('the user named by DEFAULT_WORKSPACE_OWNER_EMAIL claims the default workspace', async () => {
+    process.env.DEFAULT_WORKSPACE_OWNER_EMAIL = 'Admin@Example.com';
+    await workspaceService.createWorkspace({ id: DEFAULT_WORKSPACE_ID, name: 'Default workspace' });
+    const admin = newUser('admin@example.com');
+
+    const workspace = await workspaceService.provisionForUser(admin);
+
+    expect(workspace.id).toBe(DEFAULT_WORKSPACE_ID);
+    expect(workspaceService.getMembership(DEFAULT_WORKSPACE_ID, admin.id)).toMatchObject({ role: 'owner' });
+  });
+
+  test('the default workspace is claimed only once', async () => {
+    process.env.DEFAULT_WORKSPACE_OWNER_EMAIL = 'admin@example.com';
+    const admin = newUser('admin@example.com');
+    await workspaceService.provisionForUser(admin);
+
+    expect(await workspaceService.claimDefaultWorkspace({ ...newUser(), email: 'admin@example.com' })).toBeNull();
+    expect(workspaceService.getWorkspace(DEFAULT_WORKSPACE_ID).ownerId).toBe(admin.id);
+  });
+
+  test('nobody claims the default workspace without DEFAULT_WORKSPACE_OWNER_EMAIL', async () => {
+    expect(await workspaceService.claimDefaultWorkspace(newUser())).toBeNull();
+    expect(workspaceService.getWorkspace(DEFAULT_WORKSPACE_ID)).toBeNull();
+  });
+});
@@ -46,7 +46,7 @@ async function setupTelegram() {
     const useHttps = await askQuestion('Use HTTPS? (y/n): ');
     
     const protocol = useHttps.toLowerCase() === 'y' ? 'https' : 'http';
-    const webhookUrl = `${protocol}://${domain}/api/telegram/webhook`;
+    const webhookUrl = `${protocol}://${domain}/api/webhooks/telegram`;
     
     // Generate a random secret for webhook verification
     const webhookSecret = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
@@ -69,7 +69,7 @@ async function setup() {
       return;
     }
     
-    const jwtExpires = await question('JWT Expires In (default: 7d): ') || '7d';
+    const jwtExpires = await question('Access Token Expires In (default: 15m): ') || '15m';
     const refreshSecret = await question('Refresh Token Secret (generate another strong random string): ');
     if (!refreshSecret) {
       console.log('❌ Refresh Token Secret is required!');
@@ -95,11 +95,11 @@ async function setup() {
     console.log('2. Create a new project or select existing');
     console.log('3. Enable Gmail API');
     console.log('4. Create OAuth 2.0 credentials');
-    console.log('5. Add redirect URI: http://localhost:3000/api/auth/google/callback\n');
+    console.log('5. Add redirect URI: http://localhost:3000/api/platforms/gmail/oauth/callback\n');
     
     const googleClientId = await question('Google Client ID: ');
     const googleClientSecret = await question('Google Client Secret: ');
-    const googleRedirectUri = await question('Google Redirect URI (default: http://localhost:3000/api/auth/google/callback): ') || 'http://localhost:3000/api/auth/google/callback';
+    const googleRedirectUri = await question('Google Redirect URI (default: http://localhost:3000/api/platforms/gmail/oauth/callback): ') || 'http://localhost:3000/api/platforms/gmail/oauth/callback';
     const googleApiKey = await question('Google API Key (optional): ');
     
     console.log('\n💬 WhatsApp Business API Setup:');
@@ -0,0 +1,213 @@
+// In-process stand-in for the parts of the MongoDB driver's Db/Collection API
+// that MongoAdapter uses, for running the adapter without a server.
+// Supports equality (including array membership), RegExp, $in, $exists, $gte,
+// $lte, $or; updates with $set and $inc; sort, skip, limit and upserts.
+
+function getPath(doc, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function compare(a, b) {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+}
+
+function equals(value, expected) {
+  if (expected instanceof RegExp) {
+    return typeof value === 'string' && expected.test(value);
+  }
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some(item => equals(item, expected));
+  }
+  return compare(value, expected) === 0;
+}
+
+function matchesCondition(value, condition) {
+  const isOperatorObject = condition && typeof condition === 'object' &&
+    !(condition instanceof RegExp) && !(condition instanceof Date) && !Array.isArray(condition) &&
+    Object.keys(condition).some(key => key.startsWith('$'));
+  if (!isOperatorObject) {
+    return equals(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in':
+        return operand.some(item => equals(value, item));
+      case '$exists':
+        return (value !== undefined) === operand;
+      case '$gte':
+        return value !== undefined && compare(value, operand) >= 0;
+      case '$lte':
+        return value !== undefined && compare(value, operand) <= 0;
+      default:
+        throw new Error(`fakeMongo: unsupported operator ${operator}`);
+    }
+  });
+}
+
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([field, condition]) => {
+    if (field === '$or') {
+      return condition.some(alternative => matches(doc, alternative));
+    }
+    return matchesCondition(getPath(doc, field), condition);
+  });
+}
+
+function applyUpdate(doc, update) {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [field, value] of Object.entries(fields)) {
+      if (operator === '$set') {
+        doc[field] = value;
+      } else if (operator === '$inc') {
+        doc[field] = (doc[field] || 0) + value;
+      } else {
+        throw new Error(`fakeMongo: unsupported update ${operator}`);
+      }
+    }
+  }
+  return doc;
+}
+
+function project(doc, options = {}) {
+  if (!doc) return null;
+  const copy = structuredClone(doc);
+  if (options.projection?._id === 0) {
+    delete copy._id;
+  }
+  return copy;
+}
+
+class FakeCursor {
+  constructor(docs, options) {
+    this.docs = docs;
+    this.options = options;
+  }
+
+  sort(spec) {
+    const [[field, direction]] = Object.entries(spec);
+    this.docs = [...this.docs].sort((a, b) => compare(getPath(a, field), getPath(b, field)) * direction);
+    return this;
+  }
+
+  skip(count) {
+    this.docs = this.docs.slice(count);
+    return this;
+  }
+
+  limit(count) {
+    this.docs = this.docs.slice(0, count);
+    return this;
+  }
+
+  async toArray() {
+    return this.docs.map(doc => project(doc, this.options));
+  }
+}
+
+let nextObjectId = 1;
+
+class FakeCollection {
+  constructor() {
+    this.docs = [];
+    this.indexes = [];
+  }
+
+  async createIndexes(indexes) {
+    this.indexes.push(...indexes);
+    return indexes.map((index, i) => `index_${i}`);
+  }
+
+  async insertOne(doc) {
+    const stored = structuredClone(doc);
+    stored._id = stored._id ?? nextObjectId++;
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async findOne(query, options) {
+    return project(this.docs.find(doc => matches(doc, query)), options);
+  }
+
+  find(query, options) {
+    return new FakeCursor(this.docs.filter(doc => matches(doc, query)), options);
+  }
+
+  async countDocuments(query) {
+    return this.docs.filter(doc => matches(doc, query)).length;
+  }
+
+  async updateOne(query, update, { upsert = false } = {}) {
+    let doc = this.docs.find(candidate => matches(candidate, query));
+    if (!doc && upsert) {
+      doc = { ...query };
+      this.docs.push(doc);
+    }
+    if (!doc) {
+      return { matchedCount: 0, modifiedCount: 0 };
+    }
+    applyUpdate(doc, update);
+    return { matchedCount: 1, modifiedCount: 1 };
+  }
+
+  async updateMany(query, update) {
+    const targets = this.docs.filter(doc => matches(doc, query));
+    targets.forEach(doc => applyUpdate(doc, update));
+    return { matchedCount: targets.length, modifiedCount: targets.length };
+  }
+
+  // Resolves with the document itself, as with `includeResultMetadata: false`
+  async findOneAndUpdate(query, update, { upsert = false, returnDocument = 'before' } = {}) {
+    let doc = this.docs.find(candidate => matches(candidate, query));
+    const before = doc ? structuredClone(doc) : null;
+    if (!doc && upsert) {
+      doc = { ...query };
+      this.docs.push(doc);
+    }
+    if (!doc) {
+      return null;
+    }
+    applyUpdate(doc, update);
+    return returnDocument === 'after' ? structuredClone(doc) : before;
+  }
+
+  async deleteOne(query) {
+    const index = this.docs.findIndex(doc => matches(doc, query));
+    if (index === -1) {
+      return { deletedCount: 0 };
+    }
+    this.docs.splice(index, 1);
+    return { deletedCount: 1 };
+  }
+}
+
+class FakeDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  listCollections({ name } = {}) {
+    const names = Array.from(this.collections.keys()).filter(existing => !name || existing === name);
+    return { toArray: async () => names.map(existing => ({ name: existing })) };
+  }
+
+  async createCollection(name, options = {}) {
+    const collection = this.collection(name);
+    collection.options = options;
+    return collection;
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new FakeCollection());
+    }
+    return this.collections.get(name);
+  }
+}
+
+module.exports = { FakeDb, FakeCollection };
@@ -0,0 +1,50 @@
+const express = require('express');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'gmail');
+
+function matchesRequest(expected, req) {
+  if (expected.method !== req.method || expected.path !== req.path) {
+    return false;
+  }
+  return Object.entries(expected.query || {}).every(([key, value]) => {
+    return JSON.stringify(req.query[key]) === JSON.stringify(value);
+  });
+}
+
+// Local stand-in for the Gmail API that replays a recorded fixture from
+// test/fixtures/gmail. Each recorded exchange answers one matching request
+// (method, path and the recorded query parameters), in recording order; anything
+// unrecorded gets a 501. Point GMAIL_API_BASE_URL at `url` to use it.
+async function startGmailReplay(fixtureName) {
+  const { exchanges } = require(path.join(FIXTURES_DIR, `${fixtureName}.json`));
+  const pending = [...exchanges];
+  const requests = [];
+
+  const app = express();
+  app.use(express.json());
+  app.use((req, res) => {
+    requests.push({ method: req.method, path: req.path, query: req.query, body: req.body });
+
+    const index = pending.findIndex(exchange => matchesRequest(exchange.request, req));
+    if (index === -1) {
+      return res.status(501).json({ error: { code: 501, message: `Not recorded: ${req.method} ${req.originalUrl}` } });
+    }
+    const [{ response }] = pending.splice(index, 1);
+    res.status(response.status || 200).json(response.body);
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    // Recorded exchanges nobody asked for
+    unused: () => pending.map(({ request }) => `${request.method} ${request.path}`),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startGmailReplay };
@@ -0,0 +1,19 @@
+const express = require('express');
+
+// Mount `router` at `path` behind a stand-in for authenticateToken and
+// resolveWorkspace: the caller is `userId`, acting in `workspaceId` with `role`.
+// A request may switch with the X-Test-Workspace / X-Test-Role headers.
+function createRouteApp(path, router, { workspaceId = 'ws_test', role = 'owner', userId = 'user_test' } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { userId, email: `${userId}@example.com` };
+    req.workspaceId = req.get('X-Test-Workspace') || workspaceId;
+    req.workspaceRole = req.get('X-Test-Role') || role;
+    next();
+  });
+  app.use(path, router);
+  return app;
+}
+
+module.exports = { createRouteApp };
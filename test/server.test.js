@@ -0,0 +1,20 @@
+const path = require('path');
+const request = require('supertest');
+const JsonFileStore = require('../services/storage/jsonFileStore');
+
+const app = require('../server');
+
+describe('static files', () => {
+  test('serve the frontend', async () => {
+    await request(app).get('/index.html').expect(200);
+  });
+
+  test('never include local state', async () => {
+    await request(app).get('/data/users.json').expect(404);
+    await request(app).get('/data/auth-sessions.json').expect(404);
+  });
+
+  test('local state defaults to a directory outside the app', () => {
+    expect(path.relative(path.join(__dirname, '..'), JsonFileStore.DEFAULT_DATA_DIR)).toMatch(/^\.\./);
+  });
+});
@@ -0,0 +1,26 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file gets its own DATA_DIR, so JsonFileStore state never leaks
+// between files or into the working tree
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'unified-inbox-test-'));
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+// Service loggers write to logs/*.log; keep tests quiet and the log files untouched
+jest.mock('winston', () => {
+  const winston = jest.requireActual('winston');
+  class SilentTransport extends winston.transports.Console {
+    constructor() {
+      super({ silent: true });
+    }
+  }
+  return {
+    ...winston,
+    transports: { ...winston.transports, File: SilentTransport, Console: SilentTransport },
+    createLogger: options => winston.createLogger({
+      ...options,
+      transports: [new SilentTransport()]
+    })
+  };
+});